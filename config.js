@@ -52,7 +52,11 @@ function loadJsonConfig(configPath) {
       const config = JSON.parse(content);
 
       // AIDEV-NOTE: Validate required configuration fields
-      const required = ["CANVAS_URL", "CANVAS_USERNAME", "CANVAS_PWD"];
+      // API mode authenticates with a token, so username/password aren't needed
+      const required =
+        config.CANVAS_SCRAPE_MODE === "api"
+          ? ["CANVAS_URL", "CANVAS_API_TOKEN"]
+          : ["CANVAS_URL", "CANVAS_USERNAME", "CANVAS_PWD"];
       const missing = required.filter((key) => !config[key]);
       if (missing.length > 0) {
         throw new Error(`Missing required fields: ${missing.join(", ")}`);
@@ -132,17 +136,112 @@ loadConfiguration();
 const env_canvas_url = process.env.CANVAS_URL || "https://canvas.colorado.edu/";
 const env_canvas_username = process.env.CANVAS_USERNAME || "";
 const env_canvas_pwd = process.env.CANVAS_PWD || "";
+const env_canvas_api_token = process.env.CANVAS_API_TOKEN || "";
+// AIDEV-NOTE: "browser" drives Playwright through the planner, "api" uses the REST API
+const env_canvas_scrape_mode =
+  process.env.CANVAS_SCRAPE_MODE === "api" ? "api" : "browser";
+
+// AIDEV-NOTE: Planner window - how far ahead/back items are loaded (both backends)
+const env_planner_horizon = process.env.PLANNER_HORIZON || "21d";
+const env_planner_past_days = parseInt(process.env.PLANNER_PAST_DAYS, 10) || 0;
+const env_planner_include_overdue =
+  process.env.PLANNER_INCLUDE_OVERDUE !== "false";
+
+// AIDEV-NOTE: Number of item pages scraped in parallel, clamped to 1-8 so Canvas
+// doesn't rate-limit us and memory stays bounded (one browser tab per worker)
+const env_scrape_concurrency = Math.min(
+  Math.max(parseInt(process.env.SCRAPE_CONCURRENCY, 10) || 3, 1),
+  8,
+);
+
+// AIDEV-NOTE: Institution timezone (IANA name) used to parse due date text. "auto" reads
+// the user's Canvas profile timezone and falls back to the host timezone
+const env_canvas_timezone = process.env.CANVAS_TIMEZONE || "auto";
+
+// AIDEV-NOTE: Login strategy for the identity provider in front of Canvas (see src/login/)
+const env_login_strategy = process.env.CANVAS_LOGIN_STRATEGY || "form";
+const env_mfa_strategy = process.env.CANVAS_MFA_STRATEGY || "none";
+const env_totp_secret = process.env.CANVAS_TOTP_SECRET || "";
+const env_totp_input_selector = process.env.CANVAS_TOTP_INPUT_SELECTOR || "";
+const env_mfa_timeout =
+  parseInt(process.env.CANVAS_MFA_TIMEOUT_SECONDS, 10) * 1000 || 120000;
+
+// AIDEV-NOTE: Browser session reuse between runs (avoids re-entering SSO credentials)
+const env_session_reuse = process.env.CANVAS_SESSION_REUSE !== "false";
+const env_session_file =
+  process.env.CANVAS_SESSION_FILE || ".canvas-session.json";
+const env_session_key = process.env.CANVAS_SESSION_KEY || "";
+
+// AIDEV-NOTE: Incremental scraping cache (browser mode) - unchanged planner items are reused
+// until the TTL expires, `--full-refresh` ignores cached entries for one run
+const env_item_cache_enabled = process.env.ITEM_CACHE_ENABLED !== "false";
+const env_item_cache_file = process.env.ITEM_CACHE_FILE || "item-cache.json";
+const env_item_cache_ttl =
+  parseFloat(process.env.ITEM_CACHE_TTL_HOURS) * 60 * 60 * 1000 ||
+  24 * 60 * 60 * 1000;
+
+// AIDEV-NOTE: Course crawler - also walk every active course's index pages so items outside
+// the planner window (far-future or undated) are found. Off by default: it is much slower
+const env_course_crawl_enabled = process.env.COURSE_CRAWL_ENABLED === "true";
+
+// AIDEV-NOTE: Selector profiles (see src/selector-profiles.js) - per-host selector candidates
+// tried before the built-in ones, for Canvas instances whose DOM differs
+const env_selector_profiles_file =
+  process.env.SELECTOR_PROFILES_FILE || "selector-profiles.json";
+
+// AIDEV-NOTE: Where `--save-fixtures` writes sanitized page HTML (see src/fixtures.js)
+const env_fixtures_dir = process.env.FIXTURES_DIR || "fixtures";
+
+// AIDEV-NOTE: Export filters (see src/filters.js) - comma-separated lists, applied to the
+// normalized items before export (output.json keeps everything)
+const env_filter_include_courses = process.env.FILTER_INCLUDE_COURSES || "";
+const env_filter_exclude_courses = process.env.FILTER_EXCLUDE_COURSES || "";
+const env_filter_types = process.env.FILTER_TYPES || "";
+const env_filter_due_from = process.env.FILTER_DUE_FROM || "";
+const env_filter_due_until = process.env.FILTER_DUE_UNTIL || "";
+const env_filter_include_undated =
+  process.env.FILTER_INCLUDE_UNDATED !== "false";
+
+// AIDEV-NOTE: Course registry (see src/course-registry.js) - user aliases and colors keyed by
+// course code, course ID or name pattern
+const env_course_registry_file =
+  process.env.COURSE_REGISTRY_FILE || "courses.json";
 
 const env_notion_api_key = process.env.NOTION_API_KEY || "";
 const env_notion_db_id = process.env.NOTION_DB_ID || "";
 const env_notion_export = process.env.NOTION_EXPORT === "true" || false;
 
+// AIDEV-NOTE: Opt-in - leave items Canvas shows as submitted or graded out of the exports
+const env_export_skip_submitted = process.env.EXPORT_SKIP_SUBMITTED === "true";
+
 const env_todoist_api_key = process.env.TODOIST_API_KEY || "";
 const env_todoist_export = process.env.TODOIST_EXPORT === "true" || false;
+// AIDEV-NOTE: Canvas item -> Todoist task IDs (see src/todoist-map.js)
+const env_todoist_map_file = process.env.TODOIST_MAP_FILE || "todoist-map.json";
+// AIDEV-NOTE: "field=canvas|user" pairs overriding who owns each synced task field (see
+// src/todoist-fields.js)
+const env_todoist_field_ownership = process.env.TODOIST_FIELD_OWNERSHIP || "";
+// AIDEV-NOTE: Where new tasks go (see src/todoist-projects.js) - "match" keeps the old
+// name matching with the Inbox as fallback
+const env_todoist_project_mode = process.env.TODOIST_PROJECT_MODE || "match";
+const env_todoist_parent_project =
+  process.env.TODOIST_PARENT_PROJECT || "School";
+const env_todoist_type_sections = process.env.TODOIST_TYPE_SECTIONS === "true";
+// AIDEV-NOTE: Priority and reminder rules (see src/todoist-rules.js)
+const env_todoist_rules_file =
+  process.env.TODOIST_RULES_FILE || "todoist-rules.json";
+// AIDEV-NOTE: Opt-in - task completion follows Canvas submission state (see
+// src/todoist-export.js)
+const env_todoist_close_submitted =
+  process.env.TODOIST_CLOSE_SUBMITTED === "true";
+const env_todoist_reopen_resubmitted =
+  process.env.TODOIST_REOPEN_RESUBMITTED === "true";
 
 export default {
   url: env_canvas_url,
   account: { username: env_canvas_username, password: env_canvas_pwd },
+  canvas_api_token: env_canvas_api_token,
+  timezone: env_canvas_timezone,
   todoist_api_key: env_todoist_api_key,
   notion_api_key: env_notion_api_key,
   notion_db_id: env_notion_db_id,
@@ -157,8 +256,82 @@ export default {
     enableFileLogging: process.env.ENABLE_FILE_LOGGING !== "false",
   },
 
+  login: {
+    strategy: env_login_strategy,
+    mfa: env_mfa_strategy,
+    totpSecret: env_totp_secret,
+    totpInputSelector: env_totp_input_selector,
+    mfaTimeout: env_mfa_timeout,
+  },
+
+  session: {
+    enabled: env_session_reuse,
+    path: env_session_file,
+    encryptionKey: env_session_key,
+  },
+
+  // AIDEV-NOTE: Scraper backend selection and tuning
+  scraper: {
+    mode: env_canvas_scrape_mode,
+    concurrency: env_scrape_concurrency,
+    planner: {
+      horizon: env_planner_horizon,
+      pastDays: env_planner_past_days,
+      includeOverdue: env_planner_include_overdue,
+    },
+    cache: {
+      enabled: env_item_cache_enabled,
+      path: env_item_cache_file,
+      ttlMs: env_item_cache_ttl,
+      // --save-fixtures has to open every item page, so it bypasses the cache too
+      fullRefresh:
+        process.argv.includes("--full-refresh") ||
+        process.argv.includes("--save-fixtures"),
+    },
+    courseCrawl: {
+      enabled: env_course_crawl_enabled,
+    },
+    selectors: {
+      profilesPath: env_selector_profiles_file,
+    },
+    fixtures: {
+      save: process.argv.includes("--save-fixtures"),
+      dir: env_fixtures_dir,
+    },
+  },
+
   exportTo: {
     todoist: env_todoist_export,
     notion: env_notion_export,
   },
+
+  todoist: {
+    mapPath: env_todoist_map_file,
+    fieldOwnership: env_todoist_field_ownership,
+    rulesPath: env_todoist_rules_file,
+    closeSubmitted: env_todoist_close_submitted,
+    reopenResubmitted: env_todoist_reopen_resubmitted,
+    projects: {
+      mode: env_todoist_project_mode,
+      parentName: env_todoist_parent_project,
+      typeSections: env_todoist_type_sections,
+    },
+  },
+
+  exportOptions: {
+    skipSubmitted: env_export_skip_submitted,
+  },
+
+  filters: {
+    includeCourses: env_filter_include_courses,
+    excludeCourses: env_filter_exclude_courses,
+    types: env_filter_types,
+    dueFrom: env_filter_due_from,
+    dueUntil: env_filter_due_until,
+    includeUndated: env_filter_include_undated,
+  },
+
+  courses: {
+    registryPath: env_course_registry_file,
+  },
 };
@@ -1,9 +1,16 @@
 import fs from "fs";
 import config from "./config.js";
 import logger from "./src/logger.js";
-import { scrapeCanvas } from "./src/canvas-scraper.js";
+import { scrapeCanvas, checkCanvasSelectors } from "./src/canvas-scraper.js";
+import { scrapeCanvasApi } from "./src/canvas-api.js";
 import { exportToTodoist } from "./src/todoist-export.js";
 import { exportToNotion } from "./src/notion-export.js";
+import { normalizeItems } from "./src/normalize.js";
+import { applyItemFilters } from "./src/filters.js";
+import { formatSelectorReport } from "./src/selector-check.js";
+import { loadTaskRules, formatRulesReport } from "./src/todoist-rules.js";
+import { annotateCourses, loadCourseRegistry } from "./src/course-registry.js";
+import { resolveTimezone } from "./src/timezone.js";
 import { runConfigWizard, checkConfigExists } from "./src/config-wizard.js";
 import crypto from "crypto";
 
@@ -20,8 +27,15 @@ const operationStats = {
   sessionId: SESSION_ID,
   startTime: Date.now(),
   apiStats: {
-    notion: { creates: 0, updates: 0, errors: 0 },
-    todoist: { creates: 0, updates: 0, errors: 0 },
+    notion: { creates: 0, updates: 0, errors: 0, skipped: 0 },
+    todoist: {
+      creates: 0,
+      updates: 0,
+      closes: 0,
+      reopens: 0,
+      errors: 0,
+      skipped: 0,
+    },
   },
   endTime: null,
   totalDuration: null,
@@ -32,14 +46,19 @@ const operationStats = {
   const isDev = myArgs[0] === "--dev";
   const skipScraping = myArgs.includes("--skip-scraping");
   const runSetup = myArgs.includes("--setup");
+  const checkSelectors = myArgs.includes("--check-selectors");
+  const rulesDryRun = myArgs.includes("--rules-dry-run");
 
   // AIDEV-NOTE: Check for existing configuration before proceeding
   let configStatus = checkConfigExists();
 
+  // AIDEV-NOTE: Either a password (browser mode) or an API token (api mode) counts as configured
+  const hasCredentials = !!(config.account.password || config.canvas_api_token);
+
   // AIDEV-NOTE: Run wizard if explicitly requested or no config exists
-  if (runSetup || (!configStatus.exists && !config.account.password)) {
+  if (runSetup || (!configStatus.exists && !hasCredentials)) {
     if (!runSetup) {
-      // Auto-trigger wizard only if no config AND no password from env vars
+      // Auto-trigger wizard only if no config AND no credentials from env vars
       console.log("\n⚠️  No configuration file found.");
       console.log("Starting interactive configuration wizard...\n");
     }
@@ -57,7 +76,7 @@ const operationStats = {
   }
 
   // Final validation that config exists after wizard (if run)
-  if (!configStatus.exists && !config.account.password) {
+  if (!configStatus.exists && !hasCredentials) {
     console.error("\n❌ No configuration found. Please run:");
     console.error("  node main.js --setup\n");
     process.exit(1);
@@ -68,6 +87,7 @@ const operationStats = {
     context: "app_start",
     timestamp: Date.now(),
     mode: isDev ? "development" : "production",
+    scrapeMode: config.scraper.mode,
     arguments: myArgs,
     nodeVersion: process.version,
     platform: process.platform,
@@ -75,6 +95,33 @@ const operationStats = {
 
   console.log("\n🎓 Canvas Scraper - Assignment Exporter\n");
 
+  // AIDEV-NOTE: Selector health check - exits non-zero when a required selector is broken so
+  // scheduled runs can catch Canvas UI changes before they silently return zero items
+  if (checkSelectors) {
+    try {
+      console.log("🩺 Checking Canvas selectors against the live UI...\n");
+      const rows = await checkCanvasSelectors(config, isDev, SESSION_ID);
+      console.log(formatSelectorReport(rows));
+      const failed = rows.filter((row) => row.status === "fail").length;
+      console.log(
+        failed > 0
+          ? `\n❌ ${failed} required selector(s) failed.\n`
+          : "\n✅ All required selectors matched.\n",
+      );
+      process.exit(failed > 0 ? 1 : 0);
+    } catch (error) {
+      logger.error("Selector check failed", {
+        context: "selector_check",
+        sessionId: SESSION_ID,
+        error: error.message,
+        errorType: error.constructor.name,
+        stack: error.stack,
+      });
+      console.error("\n❌ Selector check failed:", error.message);
+      process.exit(1);
+    }
+  }
+
   try {
     console.log("🔍 Scraping assignments from Canvas...");
 
@@ -98,9 +145,30 @@ const operationStats = {
       }
     } else {
       // AIDEV-NOTE: Canvas scraping using dedicated module with session correlation
-      assignments = await scrapeCanvas(config, isDev, SESSION_ID);
+      // Both backends return the same item objects, so exports are backend-agnostic
+      assignments =
+        config.scraper.mode === "api"
+          ? await scrapeCanvasApi(config, isDev, SESSION_ID)
+          : await scrapeCanvas(config, isDev, SESSION_ID);
     }
 
+    // AIDEV-NOTE: Single normalization point - output.json and every exporter use the
+    // versioned schema (also upgrades output.json files written by older versions)
+    // Scraped items carry the timezone the scraper resolved; this only applies to items
+    // without one (older output.json), where "auto" means the host timezone
+    const timeZone =
+      config.timezone === "auto"
+        ? undefined
+        : resolveTimezone(config.timezone, null, SESSION_ID);
+    assignments = normalizeItems(assignments, { timeZone });
+
+    // AIDEV-NOTE: Parsed course codes and user aliases are resolved once here so every
+    // exporter shows the same course name (and output.json records it)
+    assignments = annotateCourses(
+      assignments,
+      loadCourseRegistry(config.courses, SESSION_ID),
+    );
+
     console.log(`\n📋 Found ${assignments.length} assignments in total.\n`);
     console.log(
       "➡️  Exporting assignments to selected platforms (if configured)...\n",
@@ -109,12 +177,43 @@ const operationStats = {
     // if (!(todoist || notion))
     fs.writeFileSync("output.json", JSON.stringify(assignments, null, 2));
 
+    // AIDEV-NOTE: Course/type/due date filters only affect what is exported - output.json
+    // above keeps every item so --skip-scraping runs can re-filter without rescraping
+    const exportItems = applyItemFilters(
+      assignments,
+      config.filters,
+      SESSION_ID,
+    );
+    if (exportItems.length !== assignments.length) {
+      console.log(
+        `🔎 ${exportItems.length} of ${assignments.length} items match the export filters.\n`,
+      );
+    }
+
+    // AIDEV-NOTE: Rules dry run shows the priority/reminders each item would get and
+    // exports nothing - usually combined with --skip-scraping
+    if (rulesDryRun) {
+      let rules;
+      try {
+        rules = loadTaskRules(config.todoist, SESSION_ID, { strict: true });
+      } catch (error) {
+        console.error(
+          `\n❌ Invalid Todoist rules file ${config.todoist.rulesPath}:`,
+          error.message,
+        );
+        process.exit(1);
+      }
+      console.log("🧪 Todoist rules dry run - nothing is exported\n");
+      console.log(formatRulesReport(exportItems, rules));
+      return;
+    }
+
     // AIDEV-NOTE: Export operations using dedicated modules
     const { todoist, notion } = exportTo;
     if (todoist)
-      await exportToTodoist(assignments, config, SESSION_ID, operationStats);
+      await exportToTodoist(exportItems, config, SESSION_ID, operationStats);
     if (notion)
-      await exportToNotion(assignments, config, SESSION_ID, operationStats);
+      await exportToNotion(exportItems, config, SESSION_ID, operationStats);
 
     console.log("\n✅ All operations completed successfully.\n");
 
@@ -0,0 +1,722 @@
+import logger from "./logger.js";
+import { parsePlannerHorizon, getPlannerStart } from "./planner.js";
+import { resolveTimezone } from "./timezone.js";
+import { classifyLinks, parseHtmlAnchors } from "./scrapers/links.js";
+import { toAssignmentUrl } from "./scrapers/peer-review.js";
+
+// AIDEV-NOTE: Canvas REST API scraper - alternate backend to the Playwright planner scraper
+// Uses a personal access token against /api/v1 and returns the same item objects as
+// scrapeCanvas() so main.js and the exporters don't need to know which backend ran
+
+// AIDEV-NOTE: Planner plannable_type -> scraper item type. Types missing here are counted
+// as skipped, mirroring the browser scraper which only recognizes these page types
+const PLANNABLE_TYPES = {
+  assignment: "assignment",
+  quiz: "quiz",
+  discussion_topic: "discussion",
+  announcement: "announcement",
+  wiki_page: "page",
+  calendar_event: "calendar_event",
+  planner_note: "planner_note",
+  assessment_request: "peer_review",
+};
+
+// AIDEV-NOTE: Item type -> scrapingStats counter (same names as the browser scraper)
+const TYPE_STATS = {
+  assignment: "assignments",
+  quiz: "quizzes",
+  discussion: "discussions",
+  announcement: "announcements",
+  page: "pages",
+  calendar_event: "calendarEvents",
+  planner_note: "plannerNotes",
+  peer_review: "peerReviews",
+};
+
+// AIDEV-NOTE: Types Canvas tracks submissions for
+const SUBMITTABLE_TYPES = ["assignment", "quiz", "discussion"];
+
+// AIDEV-NOTE: Per-type detail endpoints used to fetch the description body. Course-scoped
+// endpoints return null for items without a course, which are built from the planner alone.
+// Peer review requests have no endpoint of their own
+const DETAIL_ENDPOINTS = {
+  assignment: (courseId, id) =>
+    courseId &&
+    `/api/v1/courses/${courseId}/assignments/${id}?include[]=submission`,
+  quiz: (courseId, id) =>
+    courseId && `/api/v1/courses/${courseId}/quizzes/${id}`,
+  discussion_topic: (courseId, id) =>
+    courseId && `/api/v1/courses/${courseId}/discussion_topics/${id}`,
+  announcement: (courseId, id) =>
+    courseId && `/api/v1/courses/${courseId}/discussion_topics/${id}`,
+  wiki_page: (courseId, id) =>
+    courseId && `/api/v1/courses/${courseId}/pages/${id}`,
+  calendar_event: (courseId, id) => `/api/v1/calendar_events/${id}`,
+  planner_note: (courseId, id) => `/api/v1/planner_notes/${id}`,
+};
+
+/**
+ * Scrape Canvas planner items through the REST API instead of a browser
+ * @param {Object} config - Configuration object containing Canvas URL and API token
+ * @param {string} config.url - Canvas base URL
+ * @param {string} config.canvas_api_token - Canvas personal access token
+ * @param {boolean} isDev - Whether to run in development mode (extra debug logging only)
+ * @param {string} sessionId - Session ID for operation tracking (passed from main.js)
+ * @returns {Promise<Array>} Array of processed assignments, quizzes, and discussions
+ */
+export const scrapeCanvasApi = async (config, isDev = false, sessionId) => {
+  const SESSION_ID = sessionId;
+
+  // AIDEV-NOTE: Same statistics shape as the browser scraper for comparable logs
+  const operationStats = {
+    sessionId: SESSION_ID,
+    startTime: Date.now(),
+    scrapingStats: {
+      totalItems: 0,
+      processedItems: 0,
+      assignments: 0,
+      quizzes: 0,
+      discussions: 0,
+      announcements: 0,
+      pages: 0,
+      calendarEvents: 0,
+      plannerNotes: 0,
+      peerReviews: 0,
+      coursesCrawled: 0,
+      crawledItems: 0,
+      errors: 0,
+      skipped: 0,
+      plannerDaysScanned: 0,
+      plannerItemsScanned: 0,
+    },
+  };
+
+  if (!config.canvas_api_token) {
+    throw new Error(
+      "Canvas API mode requires CANVAS_API_TOKEN to be configured",
+    );
+  }
+
+  logger.info("Starting Canvas API scraping session", {
+    context: "session_start",
+    sessionId: SESSION_ID,
+    timestamp: operationStats.startTime,
+    mode: isDev ? "development" : "production",
+    backend: "api",
+  });
+
+  try {
+    const timeZone = await fetchTimezone(config, operationStats);
+    const courses = await fetchCourses(config, operationStats);
+    const plannerItems = await fetchPlannerItems(config, operationStats);
+
+    operationStats.scrapingStats.totalItems = plannerItems.length;
+    operationStats.scrapingStats.plannerItemsScanned = plannerItems.length;
+    operationStats.scrapingStats.plannerDaysScanned = new Set(
+      plannerItems.map((item) => item.plannable_date?.slice(0, 10)),
+    ).size;
+
+    // AIDEV-NOTE: Course crawl - add course items outside the planner window
+    if (config.scraper?.courseCrawl?.enabled) {
+      const crawled = await fetchCourseItems(config, courses, operationStats);
+      const planned = new Set(plannerItems.map(toPlannableKey));
+      for (const item of crawled) {
+        if (planned.has(toPlannableKey(item))) continue;
+        planned.add(toPlannableKey(item));
+        plannerItems.push(item);
+        operationStats.scrapingStats.crawledItems++;
+      }
+      operationStats.scrapingStats.totalItems = plannerItems.length;
+    }
+
+    logger.info("Discovered planner items", {
+      context: "scraping",
+      sessionId: SESSION_ID,
+      itemCount: plannerItems.length,
+      courseCount: courses.size,
+      operation: "item_discovery_complete",
+    });
+
+    const assignments = [];
+    for (const plannerItem of plannerItems) {
+      const type = PLANNABLE_TYPES[plannerItem.plannable_type];
+      if (!type) {
+        // AIDEV-NOTE: Unrecognized plannable type, skipping
+        operationStats.scrapingStats.skipped++;
+        continue;
+      }
+
+      try {
+        const data = await buildItem(
+          config,
+          plannerItem,
+          type,
+          courses,
+          timeZone,
+          operationStats,
+        );
+        assignments.push(data);
+        operationStats.scrapingStats.processedItems++;
+        operationStats.scrapingStats[TYPE_STATS[data.type]]++;
+      } catch (error) {
+        // AIDEV-NOTE: Item detail error - continue with remaining items
+        operationStats.scrapingStats.errors++;
+        logger.error("Canvas API item processing failed", {
+          context: "scraping",
+          sessionId: SESSION_ID,
+          error: error.message,
+          errorType: error.constructor.name,
+          itemTitle: plannerItem.plannable?.title,
+          plannableType: plannerItem.plannable_type,
+          operation: "api_item_processing",
+        });
+      }
+    }
+
+    logger.info("Scraping completed", {
+      context: "scraping",
+      sessionId: SESSION_ID,
+      backend: "api",
+      assignmentsFound: assignments.length,
+      duration: Date.now() - operationStats.startTime,
+      operationStats: operationStats.scrapingStats,
+      assignments: assignments.map((a) => ({
+        title: a.title,
+        class: a.class_name,
+        due: a.due_date?.string,
+      })),
+    });
+
+    return assignments;
+  } catch (error) {
+    operationStats.scrapingStats.errors++;
+    logger.error("Canvas API scraping failed - session terminated", {
+      context: "global_error",
+      sessionId: SESSION_ID,
+      error: error.message,
+      errorType: error.constructor.name,
+      stack: error.stack,
+      operation: "canvas_api_scraping",
+      sessionStats: operationStats.scrapingStats,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Build a scraper-compatible item object from a planner item and its detail record
+ * @param {Object} config - Configuration object (Canvas URL and API token)
+ * @param {Object} plannerItem - Canvas planner item (or a course crawl item)
+ * @param {string} plannerType - Scraper item type from PLANNABLE_TYPES
+ * @param {Map} courses - Active courses keyed by course ID
+ * @param {string} timeZone - Institution timezone for the due date text
+ * @param {Object} operationStats - Session statistics (sessionId for logging)
+ * @returns {Promise<Object>} Item in the shape scrapeCanvas() returns
+ */
+export const buildItem = async (
+  config,
+  plannerItem,
+  plannerType,
+  courses,
+  timeZone,
+  operationStats,
+) => {
+  const plannable = plannerItem.plannable || {};
+  const courseId = plannerItem.course_id;
+
+  let detail = {};
+  const endpoint = DETAIL_ENDPOINTS[plannerItem.plannable_type];
+  const detailPath =
+    plannerItem.plannable_id && endpoint?.(courseId, plannerItem.plannable_id);
+  if (detailPath) {
+    detail = await canvasApiRequest(config, detailPath, operationStats);
+  }
+
+  // AIDEV-NOTE: New Quizzes are planner "assignments" that launch the quiz-lti tool
+  const isNewQuiz = plannerType === "assignment" && isQuizLtiAssignment(detail);
+  const type = isNewQuiz ? "quiz" : plannerType;
+
+  const dateValue = resolveItemDate(type, detail, plannable, plannerItem);
+  const fallbackDate =
+    type === "announcement" ? "No publish date" : "No due date";
+
+  const course = courses.get(courseId);
+
+  return {
+    class_name:
+      course?.course_code ||
+      course?.name ||
+      plannerItem.context_name ||
+      "Unknown Class",
+    title:
+      type === "peer_review"
+        ? `Peer Review: ${plannable.title || "Untitled Assignment"}`
+        : detail.title ||
+          detail.name ||
+          plannable.title ||
+          `Untitled ${type.charAt(0).toUpperCase()}${type.slice(1)}`,
+    due_date: {
+      string: dateValue ? formatCanvasDate(dateValue, timeZone) : fallbackDate,
+    },
+    description: htmlToText(
+      detail.description ||
+        detail.message ||
+        detail.body ||
+        detail.details ||
+        "",
+    ),
+    url: detail.html_url || toAbsoluteUrl(config.url, plannerItem.html_url),
+    type: type,
+    // AIDEV-NOTE: The API already has exact values - normalizeItem() keeps these instead
+    // of re-parsing the formatted due date text
+    course_id: courseId,
+    item_id: plannerItem.plannable_id,
+    due_at: dateValue || null,
+    posted_at: detail.posted_at || plannable.posted_at || null,
+    points_possible:
+      detail.points_possible ??
+      detail.assignment?.points_possible ??
+      plannable.points_possible,
+    time_zone: timeZone,
+    ...(SUBMITTABLE_TYPES.includes(type) && {
+      submission: buildSubmission(
+        detail.submission ?? detail.assignment?.submission,
+        plannerItem.submissions,
+      ),
+    }),
+    ...(type === "discussion" && {
+      discussion: buildDiscussionDetails(detail),
+    }),
+    ...(type === "assignment" && buildRequirements(config, detail)),
+    ...(type === "quiz" && { quiz: buildQuizDetails(detail, isNewQuiz) }),
+    ...(type === "page" &&
+      classifyLinks(
+        parseHtmlAnchors(detail.body),
+        detail.html_url || config.url,
+      )),
+    ...(type === "calendar_event" && {
+      event: {
+        event_id: String(plannerItem.plannable_id ?? "") || null,
+        start_at: detail.start_at || plannable.start_at || null,
+        end_at: detail.end_at || plannable.end_at || null,
+        all_day: !!(detail.all_day ?? plannable.all_day),
+      },
+    }),
+    ...(type === "peer_review" && {
+      peer_review: {
+        assignment_title: plannable.title || null,
+        assignment_url: toAssignmentUrl(
+          toAbsoluteUrl(config.url, plannerItem.html_url || ""),
+        ),
+        reviewee: null,
+      },
+    }),
+  };
+};
+
+/**
+ * Pick the timestamp that stands in for an item's due date
+ * @param {string} type - Scraper item type
+ * @param {Object} detail - Detail endpoint record ({} when there is none)
+ * @param {Object} plannable - The planner item's plannable
+ * @param {Object} plannerItem - Canvas planner item
+ * @returns {string|null|undefined} ISO timestamp, empty when the item has no date
+ */
+export const resolveItemDate = (type, detail, plannable, plannerItem) => {
+  switch (type) {
+    // AIDEV-NOTE: Announcements have no due date - the browser scraper uses the publish date
+    case "announcement":
+      return (
+        detail.posted_at || plannable.posted_at || plannerItem.plannable_date
+      );
+    // Graded discussions are due when their assignment is; ungraded ones may have a to-do date
+    case "discussion":
+      return detail.assignment?.due_at || plannable.todo_date || null;
+    case "calendar_event":
+      return (
+        detail.start_at || plannable.start_at || plannerItem.plannable_date
+      );
+    // To-do style items (pages, planner notes, peer reviews) are due on their planner date
+    case "page":
+    case "planner_note":
+    case "peer_review":
+      return (
+        detail.todo_date || plannable.todo_date || plannerItem.plannable_date
+      );
+    default:
+      return detail.due_at || plannable.due_at;
+  }
+};
+
+/**
+ * Check whether an assignment record is a New Quizzes (quiz_lti) assignment
+ * @private
+ */
+const isQuizLtiAssignment = (detail) =>
+  !!detail.is_quiz_lti_assignment ||
+  (detail.submission_types?.includes("external_tool") &&
+    /quiz-lti/.test(detail.external_tool_tag_attributes?.url || ""));
+
+/**
+ * Build graded discussion requirements from a discussion topic record
+ * @private
+ */
+const buildDiscussionDetails = (detail) => {
+  const assignment = detail.assignment || null;
+  // AIDEV-NOTE: Checkpointed discussions split the due date into "reply to topic" and
+  // "required replies" sub-assignments
+  const checkpoint = (tag) =>
+    (assignment?.checkpoints || []).find((entry) => entry.tag === tag)
+      ?.due_at || null;
+
+  return {
+    graded: !!(assignment || detail.assignment_id),
+    require_initial_post: !!detail.require_initial_post,
+    required_replies: detail.reply_to_entry_required_count || 0,
+    reply_to_topic_due: checkpoint("reply_to_topic"),
+    required_replies_due: checkpoint("reply_to_entry"),
+    peer_reviews: !!assignment?.peer_reviews,
+  };
+};
+
+/**
+ * Build quiz metadata from a classic quiz record or a New Quizzes assignment record
+ * @private
+ */
+const buildQuizDetails = (detail, isNewQuiz) => ({
+  engine: isNewQuiz ? "new_quizzes" : "classic",
+  // AIDEV-NOTE: Question count and time limit live inside the New Quizzes tool
+  question_count: isNewQuiz ? null : (detail.question_count ?? null),
+  time_limit_minutes: isNewQuiz ? null : (detail.time_limit ?? null),
+  allowed_attempts: detail.allowed_attempts ?? null,
+  unlock_at: detail.unlock_at || null,
+  lock_at: detail.lock_at || null,
+});
+
+/**
+ * Build submission types, description links and rubric from an assignment record
+ * @private
+ */
+const buildRequirements = (config, detail) => ({
+  submission_types: detail.submission_types || [],
+  ...classifyLinks(
+    parseHtmlAnchors(detail.description),
+    detail.html_url || config.url,
+  ),
+  rubric: detail.rubric?.length
+    ? detail.rubric.map((criterion) => ({
+        description: criterion.description || "",
+        points: criterion.points ?? null,
+        ratings: (criterion.ratings || []).map((rating) => ({
+          description: rating.description || "",
+          points: rating.points ?? null,
+        })),
+      }))
+    : null,
+});
+
+/**
+ * Build the scraper submission shape from an assignment's submission record, falling
+ * back to the planner's submission summary (quizzes, or missing include[]=submission)
+ * @param {Object|undefined} submission - Canvas submission record
+ * @param {Object|boolean|undefined} plannerSubmissions - Planner submission summary
+ * @returns {Object|null} Submission, null when Canvas reported neither
+ */
+export const buildSubmission = (submission, plannerSubmissions) => {
+  if (submission) {
+    return {
+      workflow_state: submission.workflow_state || null,
+      tracker_status: null,
+      submitted_at: submission.submitted_at || null,
+      late: !!submission.late,
+      missing: !!submission.missing,
+      score: submission.score ?? null,
+      grade: submission.grade ?? null,
+      redo_request: !!submission.redo_request,
+    };
+  }
+
+  if (!plannerSubmissions) return null;
+
+  // AIDEV-NOTE: Planner summaries only carry booleans, so map them onto workflow states
+  const workflow_state = plannerSubmissions.graded
+    ? "graded"
+    : plannerSubmissions.submitted
+      ? "submitted"
+      : "unsubmitted";
+  return {
+    workflow_state,
+    tracker_status: null,
+    submitted_at: null,
+    late: !!plannerSubmissions.late,
+    missing: !!plannerSubmissions.missing,
+    score: null,
+    grade: null,
+    redo_request: !!plannerSubmissions.redo_request,
+  };
+};
+
+/**
+ * Resolve the institution timezone, reading the user's Canvas profile for "auto"
+ * @private
+ */
+const fetchTimezone = async (config, operationStats) => {
+  let detected = null;
+  if (!config.timezone || config.timezone === "auto") {
+    try {
+      const profile = await canvasApiRequest(
+        config,
+        "/api/v1/users/self/profile",
+        operationStats,
+      );
+      detected = profile.time_zone || null;
+    } catch (error) {
+      // AIDEV-NOTE: Non-critical - resolveTimezone falls back to the host timezone
+      logger.warn("Failed to read timezone from Canvas profile", {
+        context: "timezone",
+        sessionId: operationStats.sessionId,
+        error: error.message,
+        operation: "timezone_detection",
+      });
+    }
+  }
+
+  const timeZone = resolveTimezone(
+    config.timezone,
+    detected,
+    operationStats.sessionId,
+  );
+  logger.info("Using institution timezone", {
+    context: "timezone",
+    sessionId: operationStats.sessionId,
+    timeZone: timeZone,
+    setting: config.timezone,
+    operation: "timezone_resolution",
+  });
+  return timeZone;
+};
+
+/**
+ * Fetch active courses keyed by course ID
+ * @private
+ */
+const fetchCourses = async (config, operationStats) => {
+  const courses = await canvasApiRequestAll(
+    config,
+    "/api/v1/courses?enrollment_state=active&per_page=100",
+    operationStats,
+  );
+  return new Map(courses.map((course) => [course.id, course]));
+};
+
+/**
+ * List every assignment, quiz and discussion of the active courses as planner-style items
+ * so buildItem() handles them like planner entries
+ * @param {Object} config - Configuration object (Canvas URL and API token)
+ * @param {Map} courses - Active courses keyed by course ID
+ * @param {Object} operationStats - Session statistics (coursesCrawled is counted)
+ * @returns {Promise<Array>} Planner-style items, every page of each listing
+ */
+export const fetchCourseItems = async (config, courses, operationStats) => {
+  const items = [];
+  for (const courseId of courses.keys()) {
+    try {
+      const assignments = await canvasApiRequestAll(
+        config,
+        `/api/v1/courses/${courseId}/assignments?per_page=100`,
+        operationStats,
+      );
+      const topics = await canvasApiRequestAll(
+        config,
+        `/api/v1/courses/${courseId}/discussion_topics?per_page=100`,
+        operationStats,
+      );
+
+      // AIDEV-NOTE: Classic quizzes and graded discussions also appear as assignments -
+      // list them under their own type so they dedupe against the planner's entries
+      for (const assignment of assignments) {
+        const [plannable_type, plannable_id] = assignment.quiz_id
+          ? ["quiz", assignment.quiz_id]
+          : assignment.discussion_topic
+            ? ["discussion_topic", assignment.discussion_topic.id]
+            : ["assignment", assignment.id];
+        items.push({
+          course_id: courseId,
+          plannable_type,
+          plannable_id,
+          html_url: assignment.html_url,
+          plannable: { title: assignment.name, due_at: assignment.due_at },
+        });
+      }
+      for (const topic of topics) {
+        items.push({
+          course_id: courseId,
+          plannable_type: "discussion_topic",
+          plannable_id: topic.id,
+          html_url: topic.html_url,
+          plannable: { title: topic.title, todo_date: topic.todo_date },
+        });
+      }
+      operationStats.scrapingStats.coursesCrawled++;
+    } catch (error) {
+      // AIDEV-NOTE: One inaccessible course shouldn't stop the crawl
+      logger.warn("Failed to list course items", {
+        context: "course_crawl",
+        sessionId: operationStats.sessionId,
+        error: error.message,
+        courseId: courseId,
+        operation: "course_item_listing",
+      });
+    }
+  }
+  return items;
+};
+
+/**
+ * Identify a planner item by type and Canvas ID for de-duplication
+ * @private
+ */
+const toPlannableKey = (item) => `${item.plannable_type}:${item.plannable_id}`;
+
+/**
+ * Fetch planner items for the configured planner window (same settings as the browser planner)
+ * @private
+ */
+const fetchPlannerItems = async (config, operationStats) => {
+  const plannerConfig = config.scraper?.planner || {};
+  const query = new URLSearchParams({
+    start_date: getPlannerStart(plannerConfig.pastDays).toISOString(),
+    end_date: parsePlannerHorizon(plannerConfig.horizon).toISOString(),
+    per_page: "100",
+  });
+  return canvasApiRequestAll(
+    config,
+    `/api/v1/planner/items?${query}`,
+    operationStats,
+  );
+};
+
+/**
+ * Perform a single authenticated Canvas API request
+ * @private
+ */
+const canvasApiRequest = async (config, pathOrUrl, operationStats) => {
+  const { body } = await canvasApiFetch(config, pathOrUrl, operationStats);
+  return body;
+};
+
+/**
+ * Perform a paginated Canvas API request, following Link rel="next" headers
+ * @private
+ */
+const canvasApiRequestAll = async (config, pathOrUrl, operationStats) => {
+  const results = [];
+  let nextUrl = pathOrUrl;
+
+  while (nextUrl) {
+    const { body, response } = await canvasApiFetch(
+      config,
+      nextUrl,
+      operationStats,
+    );
+    if (Array.isArray(body)) results.push(...body);
+    nextUrl = parseNextLink(response.headers.get("link"));
+  }
+
+  return results;
+};
+
+/**
+ * Fetch a Canvas API URL with token auth, returning the parsed body and raw response
+ * @private
+ */
+const canvasApiFetch = async (config, pathOrUrl, operationStats) => {
+  const requestUrl = toAbsoluteUrl(config.url, pathOrUrl);
+  const startTime = Date.now();
+
+  const response = await fetch(requestUrl, {
+    headers: {
+      Authorization: `Bearer ${config.canvas_api_token}`,
+      Accept: "application/json",
+    },
+  });
+
+  logger.debug("Canvas API request completed", {
+    context: "canvas_api",
+    sessionId: operationStats.sessionId,
+    url: requestUrl,
+    status: response.status,
+    duration: Date.now() - startTime,
+  });
+
+  if (!response.ok) {
+    throw new Error(
+      `Canvas API request failed with status ${response.status}: ${requestUrl}`,
+    );
+  }
+
+  return { body: await response.json(), response };
+};
+
+/**
+ * Extract the rel="next" URL from a Canvas Link header
+ * @param {string|null} linkHeader - Link response header
+ * @returns {string|null} Next page URL, null on the last page
+ */
+export const parseNextLink = (linkHeader) => {
+  if (!linkHeader) return null;
+  const next = linkHeader.split(",").find((part) => /rel="next"/.test(part));
+  const match = next?.match(/<([^>]+)>/);
+  return match ? match[1] : null;
+};
+
+const toAbsoluteUrl = (baseUrl, pathOrUrl) => new URL(pathOrUrl, baseUrl).href;
+
+/**
+ * Format an ISO timestamp like the Canvas UI does ("Mon Sep 22, 2025 4:00pm")
+ * so downstream date parsing behaves the same as for browser-scraped items
+ * @param {string} isoString - ISO timestamp
+ * @param {string} timeZone - IANA timezone to show the time in
+ * @returns {string} Canvas-style date text
+ *
+ * @example
+ * formatCanvasDate("2025-09-22T22:00:00Z", "America/Denver") -> "Mon Sep 22, 2025 4:00pm"
+ */
+export const formatCanvasDate = (isoString, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      weekday: "short",
+      month: "short",
+      day: "numeric",
+      year: "numeric",
+      hour: "numeric",
+      minute: "2-digit",
+      hour12: true,
+    })
+      .formatToParts(new Date(isoString))
+      .map((part) => [part.type, part.value]),
+  );
+  return `${parts.weekday} ${parts.month} ${parts.day}, ${parts.year} ${parts.hour}:${parts.minute}${parts.dayPeriod.toLowerCase()}`;
+};
+
+/**
+ * Reduce Canvas HTML descriptions to the plain text the page scrapers return
+ * @param {string} html - HTML body
+ * @returns {string} Plain text
+ */
+export const htmlToText = (html) =>
+  html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(p|div|li|h[1-6])>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    // Last, so escaped entities ("&amp;lt;") are decoded only once
+    .replace(/&amp;/g, "&")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
@@ -1,21 +1,65 @@
 import { chromium } from "playwright";
 import logger from "./logger.js";
 import { SELECTORS } from "./selectors.js";
+import {
+  loadSelectorProfile,
+  applySelectorProfile,
+  resolveSelector,
+  findElement,
+  getCssSelector,
+  getActiveProfile,
+} from "./selector-profiles.js";
+import {
+  SELECTOR_CHECKS,
+  pickSampleItems,
+  measureSelectors,
+  collectPageInventory,
+  evaluateSelectorChecks,
+  listUncheckedProfileSelectors,
+} from "./selector-check.js";
+import {
+  loadPlannerItems,
+  classifyPlannerItem,
+  parsePlannerSchedule,
+} from "./planner.js";
+import { resolveTimezone } from "./timezone.js";
+import { runWithConcurrency } from "./worker-pool.js";
+import { crawlCourses, selectUnplannedItems } from "./course-crawler.js";
+import {
+  computeFingerprint,
+  computeEntryFingerprint,
+  loadItemCache,
+  getCachedItem,
+  setCachedItem,
+  saveItemCache,
+} from "./item-cache.js";
 import { scrape_assignment_data } from "./scrapers/assignment.js";
 import { scrape_quiz_data } from "./scrapers/quiz.js";
 import { scrape_discussion_data } from "./scrapers/discussion.js";
+import { scrape_page_data } from "./scrapers/page.js";
+import { scrape_peer_review_data } from "./scrapers/peer-review.js";
+import {
+  scrape_calendar_event_data,
+  scrape_planner_note_data,
+} from "./scrapers/planner-entry.js";
+import { resolveLoginStrategies, MFA_STRATEGIES } from "./login/index.js";
+import { saveFixture } from "./fixtures.js";
+import {
+  loadSessionState,
+  saveSessionState,
+  clearSessionState,
+} from "./session-store.js";
 
 // AIDEV-NOTE: Canvas scraper module - extracted from main.js for focused Canvas operations
 // Handles all browser automation, login, navigation, and data extraction for Canvas LMS
 
-const initializeBrowser = async (isDev, SESSION_ID) => {
-  // AIDEV-NOTE: Browser initialization with mode detection
-  if (isDev) {
-    logger.info("Initializing browser in development mode", {
+const initializeBrowser = async (headed, SESSION_ID) => {
+  // AIDEV-NOTE: Browser initialization with mode detection (dev mode or manual MFA)
+  if (headed) {
+    logger.info("Initializing browser in headed mode", {
       context: "initialization",
       sessionId: SESSION_ID,
       headless: false,
-      mode: "development",
     });
     return await chromium.launch({ headless: false });
   } else {
@@ -51,8 +95,18 @@ export const scrapeCanvas = async (config, isDev = false, sessionId) => {
       assignments: 0,
       quizzes: 0,
       discussions: 0,
+      announcements: 0,
+      pages: 0,
+      calendarEvents: 0,
+      plannerNotes: 0,
+      peerReviews: 0,
       errors: 0,
       skipped: 0,
+      plannerDaysScanned: 0,
+      plannerItemsScanned: 0,
+      cachedItems: 0,
+      coursesCrawled: 0,
+      crawledItems: 0,
     },
   };
 
@@ -68,7 +122,16 @@ export const scrapeCanvas = async (config, isDev = false, sessionId) => {
       platform: process.platform,
     });
 
-    browser = await initializeBrowser(isDev, SESSION_ID);
+    // AIDEV-NOTE: Host-specific selector candidates go in front of the built-in ones
+    applySelectorProfile(
+      loadSelectorProfile(config.scraper.selectors, config.url, SESSION_ID),
+      SESSION_ID,
+    );
+
+    // AIDEV-NOTE: Manual MFA approval needs a visible browser even outside dev mode
+    const headed =
+      isDev || !!MFA_STRATEGIES[config.login?.mfa]?.requiresHeadedBrowser;
+    browser = await initializeBrowser(headed, SESSION_ID);
 
     // AIDEV-NOTE: Browser initialization completed
     logger.info("Browser initialized successfully", {
@@ -78,7 +141,9 @@ export const scrapeCanvas = async (config, isDev = false, sessionId) => {
     });
 
     // AIDEV-NOTE: Browser context and page creation with error handling
-    context = await browser.newContext();
+    // A saved storageState lets us skip the login form when the session is still valid
+    const storageState = loadSessionState(config.session, SESSION_ID);
+    context = await browser.newContext(storageState ? { storageState } : {});
     page = await context.newPage();
 
     // Set timeouts for page operations
@@ -86,24 +151,20 @@ export const scrapeCanvas = async (config, isDev = false, sessionId) => {
     page.setDefaultNavigationTimeout(60000);
 
     // AIDEV-NOTE: Canvas login and navigation workflow
-    await performCanvasLogin(page, config, operationStats);
+    await performCanvasLogin(page, config, operationStats, !!storageState);
     await navigateToPlanner(page, config, operationStats);
 
-    // Scroll down to load all items
-    // scroll to the button with the text "Load more"
-    // await page.getByText("Load more").scrollIntoViewIfNeeded();
-    await page.getByText("Load more").click();
-    await page.waitForTimeout(2000); // wait 2 seconds
-    await page.getByText("Load more").click();
-    await page.waitForTimeout(2000); // wait 2 seconds
-
-    // AIDEV-NOTE: Item discovery and data extraction
-    const assignments = await scrapeCanvasItems(
-      page,
-      context,
-      config,
-      operationStats,
-    );
+    const timeZone = await detectTimezone(page, config, operationStats);
+
+    // AIDEV-NOTE: Page the planner until the configured horizon (and past days) are loaded
+    await loadPlannerItems(page, config.scraper.planner, operationStats);
+    await saveFixture(page, "planner", config, SESSION_ID);
+
+    // AIDEV-NOTE: Item discovery and data extraction. Items are tagged with the timezone
+    // their due date text was rendered in so normalizeItem() can parse it correctly
+    const assignments = (
+      await scrapeCanvasItems(page, context, config, operationStats, timeZone)
+    ).map((item) => ({ ...item, time_zone: timeZone }));
 
     // AIDEV-NOTE: Scraping completion with statistics summary
     logger.info("Scraping completed", {
@@ -161,8 +222,16 @@ export const scrapeCanvas = async (config, isDev = false, sessionId) => {
           assignments: operationStats.scrapingStats.assignments,
           quizzes: operationStats.scrapingStats.quizzes,
           discussions: operationStats.scrapingStats.discussions,
+          announcements: operationStats.scrapingStats.announcements,
+          pages: operationStats.scrapingStats.pages,
+          calendarEvents: operationStats.scrapingStats.calendarEvents,
+          plannerNotes: operationStats.scrapingStats.plannerNotes,
+          peerReviews: operationStats.scrapingStats.peerReviews,
           errors: operationStats.scrapingStats.errors,
           skipped: operationStats.scrapingStats.skipped,
+          plannerDaysScanned: operationStats.scrapingStats.plannerDaysScanned,
+          plannerItemsScanned: operationStats.scrapingStats.plannerItemsScanned,
+          crawledItems: operationStats.scrapingStats.crawledItems,
           successRate: Math.round(
             (operationStats.scrapingStats.processedItems /
               Math.max(operationStats.scrapingStats.totalItems, 1)) *
@@ -183,11 +252,146 @@ export const scrapeCanvas = async (config, isDev = false, sessionId) => {
   }
 };
 
+/**
+ * Check every selector against the live Canvas UI (`--check-selectors`)
+ * Logs in, measures the planner and one sample page per item type found in it
+ * @param {Object} config - Configuration object (same settings as scrapeCanvas)
+ * @param {boolean} isDev - Whether to run in development mode (headless:false)
+ * @param {string} sessionId - Session ID for operation tracking (passed from main.js)
+ * @returns {Promise<Array<Object>>} Report rows (see evaluateSelectorChecks)
+ */
+export const checkCanvasSelectors = async (
+  config,
+  isDev = false,
+  sessionId,
+) => {
+  const operationStats = {
+    sessionId: sessionId,
+    startTime: Date.now(),
+    scrapingStats: { errors: 0 },
+  };
+
+  applySelectorProfile(
+    loadSelectorProfile(config.scraper.selectors, config.url, sessionId),
+    sessionId,
+  );
+
+  let browser;
+  try {
+    const headed =
+      isDev || !!MFA_STRATEGIES[config.login?.mfa]?.requiresHeadedBrowser;
+    browser = await initializeBrowser(headed, sessionId);
+    const storageState = loadSessionState(config.session, sessionId);
+    const context = await browser.newContext(
+      storageState ? { storageState } : {},
+    );
+    const page = await context.newPage();
+    page.setDefaultTimeout(30000);
+    page.setDefaultNavigationTimeout(60000);
+
+    await performCanvasLogin(page, config, operationStats, !!storageState);
+    await navigateToPlanner(page, config, operationStats);
+    await page
+      .waitForLoadState("networkidle", { timeout: 15000 })
+      .catch(() => {});
+
+    const plannerChecks = SELECTOR_CHECKS.planner;
+    const rows = evaluateSelectorChecks(
+      "planner",
+      await measureSelectors(page, [
+        ...plannerChecks.required.flat(),
+        ...plannerChecks.optional,
+      ]),
+      await collectPageInventory(page),
+    );
+
+    // AIDEV-NOTE: Sample pages come from whatever the planner currently lists
+    const entries = await page
+      .$$eval(
+        await resolveSelector(page, "planner.items"),
+        (links, selectors) =>
+          links.map((link) => ({
+            href: link.getAttribute("href"),
+            title: link.innerText,
+            typeLabel: link
+              .closest(selectors.itemContainer)
+              ?.querySelector(selectors.itemType)?.innerText,
+          })),
+        {
+          itemContainer: getCssSelector("planner.itemContainer"),
+          itemType: getCssSelector("planner.itemType"),
+        },
+      )
+      .catch(() => []);
+
+    for (const sample of pickSampleItems(entries, config.url)) {
+      const samplePage = await context.newPage();
+      try {
+        await samplePage.goto(sample.url);
+        await samplePage
+          .waitForLoadState("networkidle", { timeout: 15000 })
+          .catch(() => {});
+        const keys = [
+          SELECTOR_CHECKS.item,
+          SELECTOR_CHECKS[sample.type],
+        ].flatMap(({ required, optional }) => [
+          ...required.flat(),
+          ...optional,
+        ]);
+        const measurements = await measureSelectors(samplePage, keys);
+        const inventory = await collectPageInventory(samplePage);
+        rows.push(
+          ...evaluateSelectorChecks("item", measurements, inventory).map(
+            (row) => ({ ...row, page: sample.type }),
+          ),
+          ...evaluateSelectorChecks(sample.type, measurements, inventory),
+        );
+      } catch (sampleError) {
+        // AIDEV-NOTE: One unreachable sample shouldn't hide the rest of the report
+        logger.warn("Failed to check selectors on sample item", {
+          context: "selector_check",
+          sessionId: sessionId,
+          error: sampleError.message,
+          itemType: sample.type,
+          url: sample.url,
+          operation: "selector_check_sample",
+        });
+      } finally {
+        await samplePage.close().catch(() => {});
+      }
+    }
+
+    rows.push(...listUncheckedProfileSelectors(rows, getActiveProfile()));
+
+    logger.info("Selector check completed", {
+      context: "selector_check",
+      sessionId: sessionId,
+      checked: rows.length,
+      failed: rows
+        .filter((row) => row.status === "fail")
+        .map((row) => `${row.page}:${row.key}`),
+      fallbacks: rows
+        .filter((row) => row.status === "fallback")
+        .map((row) => `${row.page}:${row.key}`),
+      operation: "selector_check",
+    });
+    return rows;
+  } finally {
+    if (browser) await browser.close().catch(() => {});
+  }
+};
+
 /**
  * Handles Canvas login workflow
+ * @param {boolean} hasSavedSession - Whether the context was created from a saved session
  * @private
  */
-const performCanvasLogin = async (page, config, operationStats) => {
+const performCanvasLogin = async (
+  page,
+  config,
+  operationStats,
+  hasSavedSession = false,
+) => {
   const { account, url } = config;
 
   try {
@@ -215,52 +419,69 @@ const performCanvasLogin = async (page, config, operationStats) => {
     throw error;
   }
 
+  // AIDEV-NOTE: Saved session check - a visible dashboard link means we're still logged in
+  if (hasSavedSession) {
+    const sessionValid = await page
+      .waitForSelector(
+        await resolveSelector(page, "navigation.dashboardLink"),
+        {
+          state: "attached",
+          timeout: 10000,
+        },
+      )
+      .then(() => true)
+      .catch(() => false);
+
+    if (sessionValid) {
+      logger.info("Reusing saved Canvas session, skipping login form", {
+        context: "authentication",
+        sessionId: operationStats.sessionId,
+        currentUrl: page.url(),
+        operation: "session_reuse",
+      });
+      return;
+    }
+
+    logger.info("Saved Canvas session expired, performing full login", {
+      context: "authentication",
+      sessionId: operationStats.sessionId,
+      currentUrl: page.url(),
+      selector: SELECTORS.navigation.dashboardLink,
+      operation: "session_expired",
+    });
+    clearSessionState(config.session, operationStats.sessionId);
+  }
+
   try {
+    const { login: loginStrategy, mfa: mfaStrategy } = resolveLoginStrategies(
+      config.login,
+    );
+
     // AIDEV-NOTE: Canvas login attempt logging with authentication context
     logger.info("Attempting Canvas login", {
       context: "authentication",
       sessionId: operationStats.sessionId,
       url: url,
       username: account.username ? "[PROVIDED]" : "[MISSING]",
+      loginStrategy: loginStrategy.name,
+      mfaStrategy: mfaStrategy.name,
     });
 
-    // Check if login form elements are present
-    try {
-      // await page.getByRole('textbox', { name: 'IdentiKey Username' }).click();
-      // await page.getByRole('textbox', { name: 'IdentiKey Password' }).click();
-      await page.waitForSelector(SELECTORS.login.username, { timeout: 15000 });
-      await page.waitForSelector(SELECTORS.login.password, { timeout: 5000 });
-      await page.waitForSelector(SELECTORS.login.submit, { timeout: 5000 });
-    } catch (selectorError) {
-      // AIDEV-NOTE: Login form selector error handling with page content debugging
-      logger.error("Canvas login form elements not found", {
-        context: "authentication",
-        error: selectorError.message,
-        url: page.url(),
-        pageTitle: await page.title().catch(() => "Unknown"),
-        selectors: {
-          username: SELECTORS.login.username,
-          password: SELECTORS.login.password,
-          submit: SELECTORS.login.submit,
-        },
-        operation: "form_element_detection",
-      });
-      throw selectorError;
-    }
-
-    // Fill login form
-    await page.fill(SELECTORS.login.username, account.username);
-    await page.fill(SELECTORS.login.password, account.password);
+    await saveFixture(page, "login", config, operationStats.sessionId);
 
-    // Submit form
-    await page.click(SELECTORS.login.submit);
+    // AIDEV-NOTE: Provider-specific credential entry and MFA are delegated to strategies
+    await loginStrategy.login(page, account, operationStats);
+    await mfaStrategy.complete(page, config.login, operationStats);
 
     // Wait until page loads
     try {
-      await page.waitForSelector(SELECTORS.navigation.dashboardLink, {
-        state: "attached",
-        timeout: 30000,
-      });
+      await page.waitForSelector(
+        await resolveSelector(page, "navigation.dashboardLink"),
+        {
+          state: "attached",
+          timeout: 30000,
+        },
+      );
     } catch (dashboardError) {
       // AIDEV-NOTE: Dashboard link detection error handling with authentication failure context
       operationStats.scrapingStats.errors++;
@@ -283,6 +504,12 @@ const performCanvasLogin = async (page, config, operationStats) => {
       sessionId: operationStats.sessionId,
       nextStep: "dashboard_navigation",
     });
+
+    await saveSessionState(
+      page.context(),
+      config.session,
+      operationStats.sessionId,
+    );
   } catch (error) {
     // AIDEV-NOTE: Canvas login error handling with session tracking
     operationStats.scrapingStats.errors++;
@@ -314,7 +541,9 @@ const navigateToPlanner = async (page, config, operationStats) => {
     if (href != url) {
       // AIDEV-NOTE: Dashboard navigation
       try {
-        await page.click(SELECTORS.navigation.dashboardLink);
+        await page.click(
+          await resolveSelector(page, "navigation.dashboardLink"),
+        );
       } catch (clickError) {
         // AIDEV-NOTE: Dashboard navigation click error with selector debugging
         operationStats.scrapingStats.errors++;
@@ -332,10 +561,13 @@ const navigateToPlanner = async (page, config, operationStats) => {
 
     // Wait until page loads
     try {
-      await page.waitForSelector(SELECTORS.navigation.plannerButton, {
-        state: "attached",
-        timeout: 30000,
-      });
+      await page.waitForSelector(
+        await resolveSelector(page, "navigation.plannerButton"),
+        {
+          state: "attached",
+          timeout: 30000,
+        },
+      );
     } catch (plannerError) {
       // AIDEV-NOTE: Planner button detection error with fallback debugging
       operationStats.scrapingStats.errors++;
@@ -376,12 +608,17 @@ const navigateToPlanner = async (page, config, operationStats) => {
 };
 
 /**
- * Discovers and scrapes all Canvas items (assignments, quizzes, discussions)
+ * Discovers and scrapes all Canvas planner items (assignments, quizzes, discussions,
+ * announcements, pages, calendar events, planner notes and peer reviews)
  * @private
  */
-const scrapeCanvasItems = async (page, context, config, operationStats) => {
-  const { url } = config;
-
+const scrapeCanvasItems = async (
+  page,
+  context,
+  config,
+  operationStats,
+  timeZone,
+) => {
   let item_links;
   try {
     // AIDEV-NOTE: Item discovery and Canvas state capture
@@ -392,7 +629,7 @@ const scrapeCanvasItems = async (page, context, config, operationStats) => {
     };
 
     // Next find every planner day that contains elements
-    item_links = await page.$$(SELECTORS.planner.items);
+    item_links = await page.$$(await resolveSelector(page, "planner.items"));
 
     operationStats.scrapingStats.totalItems = item_links.length;
 
@@ -434,295 +671,559 @@ const scrapeCanvasItems = async (page, context, config, operationStats) => {
     throw error;
   }
 
-  let assignments = [];
-
-  // AIDEV-NOTE: Process each discovered item
+  // AIDEV-NOTE: Entry parts are read inside the page with closest()/querySelector(),
+  // so only CSS candidates can be used for them
+  const plannerSelectors = Object.fromEntries(
+    ["itemContainer", "itemType", "itemTime", "group", "groupTitle", "day"].map(
+      (name) => [name, getCssSelector(`planner.${name}`)],
+    ),
+  );
+
+  // AIDEV-NOTE: Read title/href from the planner up front - element handles belong to the
+  // planner page, so workers only receive plain descriptors
+  const descriptors = [];
   for (let i = 0; i < item_links.length; i++) {
-    let assignment_page;
-    let itemTitle = "Unknown";
-
+    let title;
     try {
-      // Create new page
-      assignment_page = await context.newPage();
-
-      // Set timeouts for assignment pages
-      assignment_page.setDefaultTimeout(20000);
-      assignment_page.setDefaultNavigationTimeout(30000);
-
-      // Get item title for logging
-      try {
-        itemTitle = (await item_links[i].innerText()).replace("\n", " ");
-      } catch (titleError) {
-        // AIDEV-NOTE: Item title extraction error with fallback logging and session tracking
-        logger.warn("Failed to extract item title", {
-          context: "scraping",
-          sessionId: operationStats.sessionId,
-          error: titleError.message,
-          itemIndex: i + 1,
-          operation: "title_extraction",
-        });
-        itemTitle = `Item ${i + 1}`;
-      }
-
-      logger.info("Starting planner item scrape", {
+      title = (await item_links[i].innerText()).replace("\n", " ");
+    } catch (titleError) {
+      // AIDEV-NOTE: Item title extraction error with fallback logging and session tracking
+      logger.warn("Failed to extract item title", {
         context: "scraping",
         sessionId: operationStats.sessionId,
-        title: itemTitle,
+        error: titleError.message,
         itemIndex: i + 1,
-        totalItems: item_links.length,
-        progressPercent: Math.round(((i + 1) / item_links.length) * 100),
-        operationStats: {
-          processed: operationStats.scrapingStats.processedItems,
-          errors: operationStats.scrapingStats.errors,
-        },
+        operation: "title_extraction",
       });
+      title = `Item ${i + 1}`;
+    }
+    const href = await item_links[i].getAttribute("href").catch(() => null);
+    // AIDEV-NOTE: The planner entry's type label, time and day heading are the only source
+    // for items without a scrapeable page (calendar events, planner notes) and for the
+    // to-do dates of pages and peer reviews
+    const entry = await item_links[i]
+      .evaluate((el, selectors) => {
+        const item = el.closest(selectors.itemContainer);
+        const group = el.closest(selectors.group);
+        return {
+          plannerText: item?.innerText,
+          typeLabel: item?.querySelector(selectors.itemType)?.innerText,
+          timeText: item?.querySelector(selectors.itemTime)?.innerText,
+          dayText: el.closest(selectors.day)?.querySelector("h2")?.innerText,
+          courseName: group?.querySelector(selectors.groupTitle)?.innerText,
+        };
+      }, plannerSelectors)
+      .catch(() => ({}));
+    descriptors.push({
+      index: i,
+      title,
+      href,
+      kind: classifyPlannerItem({ typeLabel: entry.typeLabel, href }),
+      schedule: parsePlannerSchedule(entry.dayText, entry.timeText, timeZone),
+      courseName: entry.courseName?.trim() || null,
+      // AIDEV-NOTE: The whole planner entry (due time, "Submitted"/"Graded" badges) and
+      // its day heading feed the cache fingerprint, so any visible change forces a rescrape
+      fingerprint: computeEntryFingerprint(href, entry),
+    });
+  }
 
-      // Open assignment/item page
-      let itemUrl;
-      try {
-        const href = await item_links[i].getAttribute("href");
-        itemUrl = url + href;
-        await assignment_page.goto(itemUrl);
-      } catch (navigationError) {
-        // AIDEV-NOTE: Assignment page navigation error with recovery context
-        logger.error("Failed to navigate to assignment page", {
-          context: "navigation",
-          error: navigationError.message,
-          errorType: navigationError.constructor.name,
-          itemIndex: i + 1,
-          itemTitle: itemTitle,
-          url: itemUrl,
-          operation: "assignment_navigation",
-        });
-        await assignment_page.close();
-        continue; // Skip this item and continue with next
+  // AIDEV-NOTE: Optional second discovery path - course index pages catch items outside
+  // the planner window. Runs after the planner entries are read since it navigates away
+  if (config.scraper?.courseCrawl?.enabled) {
+    const crawled = await crawlCourses(page, config, operationStats);
+    const unplanned = selectUnplannedItems(
+      descriptors.map((descriptor) => descriptor.href),
+      crawled,
+      config.url,
+    );
+    for (const item of unplanned) {
+      descriptors.push({
+        index: descriptors.length,
+        title: item.title,
+        href: item.path,
+        kind: null,
+        schedule: parsePlannerSchedule(null, null),
+        courseName: item.courseName,
+        fingerprint: computeFingerprint(item.path, item.rowText),
+      });
+    }
+    operationStats.scrapingStats.crawledItems = unplanned.length;
+    operationStats.scrapingStats.totalItems = descriptors.length;
+  }
+
+  const concurrency = config.scraper?.concurrency || 1;
+  const cacheConfig = config.scraper?.cache;
+  const cache = loadItemCache(cacheConfig, operationStats.sessionId);
+  const progress = { completed: 0, total: descriptors.length };
+
+  logger.info("Scraping planner items", {
+    context: "scraping",
+    sessionId: operationStats.sessionId,
+    totalItems: descriptors.length,
+    concurrency: concurrency,
+    cacheEnabled: !!cacheConfig?.enabled,
+    fullRefresh: !!cacheConfig?.fullRefresh,
+    operation: "item_scrape_start",
+  });
+
+  // AIDEV-NOTE: Bounded worker pool - results come back in planner order. Unchanged items
+  // within the cache TTL are reused without opening their page
+  const results = await runWithConcurrency(
+    descriptors,
+    concurrency,
+    async (descriptor) => {
+      const cacheKey = descriptor.href ? config.url + descriptor.href : null;
+      const cached =
+        cacheKey &&
+        getCachedItem(cache, cacheKey, descriptor.fingerprint, cacheConfig);
+      if (cached) {
+        recordCachedItem(cached, descriptor, operationStats, progress);
+        return cached;
+      }
+
+      const data = PLANNER_ENTRY_SCRAPERS[descriptor.kind]
+        ? scrapePlannerEntry(descriptor, config, operationStats, progress)
+        : await scrapePlannerItem(
+            descriptor,
+            context,
+            config,
+            operationStats,
+            progress,
+          );
+      if (data && cacheKey) {
+        setCachedItem(cache, cacheKey, descriptor.fingerprint, data);
+      }
+      return data;
+    },
+  );
+
+  saveItemCache(cache, cacheConfig, operationStats.sessionId);
+
+  return results.filter(Boolean);
+};
+
+// AIDEV-NOTE: Stat counters per item type, so cache hits are counted like fresh scrapes
+const TYPE_STATS = {
+  assignment: "assignments",
+  quiz: "quizzes",
+  discussion: "discussions",
+  announcement: "announcements",
+  page: "pages",
+  calendar_event: "calendarEvents",
+  planner_note: "plannerNotes",
+  peer_review: "peerReviews",
+};
+
+// AIDEV-NOTE: Planner entries without an item page, built straight from the planner
+const PLANNER_ENTRY_SCRAPERS = {
+  calendar_event: scrape_calendar_event_data,
+  planner_note: scrape_planner_note_data,
+};
+
+/**
+ * Build an item from its planner entry alone (calendar events, planner notes)
+ * @private
+ */
+const scrapePlannerEntry = (descriptor, config, operationStats, progress) => {
+  const stats = operationStats.scrapingStats;
+  const data = {
+    class_name: descriptor.courseName || "Unknown Class",
+    ...PLANNER_ENTRY_SCRAPERS[descriptor.kind](descriptor),
+    url: descriptor.href ? config.url + descriptor.href : null,
+    type: descriptor.kind,
+  };
+  stats[TYPE_STATS[descriptor.kind]]++;
+  stats.processedItems++;
+
+  progress.completed++;
+  logger.info("Built planner entry item", {
+    context: "scraping",
+    sessionId: operationStats.sessionId,
+    title: descriptor.title,
+    itemType: descriptor.kind,
+    itemIndex: descriptor.index + 1,
+    totalItems: progress.total,
+    progressPercent: Math.round((progress.completed / progress.total) * 100),
+    operation: "planner_entry_scrape",
+  });
+  return data;
+};
+
+/**
+ * Update statistics and progress for an item reused from the cache
+ * @private
+ */
+const recordCachedItem = (data, descriptor, operationStats, progress) => {
+  const stats = operationStats.scrapingStats;
+  stats.cachedItems++;
+  stats.processedItems++;
+  if (TYPE_STATS[data.type]) stats[TYPE_STATS[data.type]]++;
+
+  progress.completed++;
+  logger.info("Reused cached planner item", {
+    context: "scraping",
+    sessionId: operationStats.sessionId,
+    title: descriptor.title,
+    itemIndex: descriptor.index + 1,
+    totalItems: progress.total,
+    progressPercent: Math.round((progress.completed / progress.total) * 100),
+    operation: "item_cache_hit",
+  });
+};
+
+/**
+ * Resolve the institution timezone, reading Canvas's page ENV for "auto"
+ * @private
+ */
+const detectTimezone = async (page, config, operationStats) => {
+  let detected = null;
+  if (!config.timezone || config.timezone === "auto") {
+    // AIDEV-NOTE: Canvas exposes the user's profile timezone on every page as ENV.TIMEZONE
+    detected = await page
+      .evaluate(() => window.ENV?.TIMEZONE || null)
+      .catch(() => null);
+  }
+
+  const timeZone = resolveTimezone(
+    config.timezone,
+    detected,
+    operationStats.sessionId,
+  );
+  logger.info("Using institution timezone", {
+    context: "timezone",
+    sessionId: operationStats.sessionId,
+    timeZone: timeZone,
+    setting: config.timezone,
+    operation: "timezone_resolution",
+  });
+  return timeZone;
+};
+
+/**
+ * Opens a single planner item in a new page and extracts its data
+ * @returns {Promise<Object|null>} Item data, or null if skipped/failed
+ * @private
+ */
+const scrapePlannerItem = async (
+  descriptor,
+  context,
+  config,
+  operationStats,
+  progress,
+) => {
+  const { url } = config;
+  const i = descriptor.index;
+  const itemTitle = descriptor.title;
+  let assignment_page;
+
+  try {
+    // Create new page
+    assignment_page = await context.newPage();
+
+    // Set timeouts for assignment pages
+    assignment_page.setDefaultTimeout(20000);
+    assignment_page.setDefaultNavigationTimeout(30000);
+
+    logger.info("Starting planner item scrape", {
+      context: "scraping",
+      sessionId: operationStats.sessionId,
+      title: itemTitle,
+      itemIndex: i + 1,
+      totalItems: progress.total,
+      operationStats: {
+        processed: operationStats.scrapingStats.processedItems,
+        errors: operationStats.scrapingStats.errors,
+      },
+    });
+
+    // Open assignment/item page
+    let itemUrl;
+    try {
+      if (!descriptor.href) {
+        throw new Error("Planner item has no link");
       }
+      itemUrl = url + descriptor.href;
+      await assignment_page.goto(itemUrl);
+    } catch (navigationError) {
+      // AIDEV-NOTE: Assignment page navigation error with recovery context
+      logger.error("Failed to navigate to assignment page", {
+        context: "navigation",
+        error: navigationError.message,
+        errorType: navigationError.constructor.name,
+        itemIndex: i + 1,
+        itemTitle: itemTitle,
+        url: itemUrl,
+        operation: "assignment_navigation",
+      });
+      return null; // Skip this item and continue with next
+    }
 
-      // Wait for content to load
-      await assignment_page.waitForSelector(SELECTORS.content.main, {
+    // Wait for content to load
+    await assignment_page.waitForSelector(
+      await resolveSelector(assignment_page, "content.main"),
+      {
+        state: "attached",
+        timeout: 20000,
+      },
+    );
+    await assignment_page.waitForSelector(
+      await resolveSelector(assignment_page, "content.mainWithChildren"),
+      {
         state: "attached",
         timeout: 20000,
+      },
+    );
+    const spinner = await findElement(assignment_page, "content.spinner");
+    if (spinner) {
+      await spinner.waitForElementState("hidden", { timeout: 20000 });
+    }
+
+    // Find class_name
+    let class_name = "Unknown Class";
+    try {
+      const classElement = await findElement(
+        assignment_page,
+        "breadcrumbs.className",
+      );
+
+      if (classElement) {
+        class_name = await classElement.innerText();
+      } else {
+        throw new Error("Class name element not found");
+      }
+    } catch (classError) {
+      // AIDEV-NOTE: Class name extraction error with fallback behavior
+      logger.warn("Failed to extract class name, using fallback", {
+        context: "scraping",
+        error: classError.message,
+        itemIndex: i + 1,
+        itemTitle: itemTitle,
+        fallbackClassName: class_name,
+        selector: SELECTORS.breadcrumbs.className,
+        operation: "class_name_extraction",
       });
+    }
+
+    // find content once page loads
+    let content;
+    try {
+      // Content is dynamically loaded, we need to wait for children to appear
+      // and/or the spinner to disappear
+
+      // Wait for main content container to appear
       await assignment_page.waitForSelector(
-        SELECTORS.content.mainWithChildren,
+        await resolveSelector(assignment_page, "content.main"),
         {
-          state: "attached",
-          timeout: 20000,
+          state: "visible",
         },
       );
-      const spinner = await assignment_page.$(SELECTORS.content.spinner);
-      if (spinner) {
-        await spinner.waitForElementState("hidden", { timeout: 20000 });
-      }
 
-      // Find class_name
-      let class_name = "Unknown Class";
-      try {
-        const classElement = await assignment_page.$(
-          SELECTORS.breadcrumbs.className,
-        );
+      // // Check for children inside content container
+      // let children = await assignment_page.$$(SELECTORS.content.children);
 
-        if (classElement) {
-          class_name = await classElement.innerText();
-        } else {
-          throw new Error("Class name element not found");
-        }
-      } catch (classError) {
-        // AIDEV-NOTE: Class name extraction error with fallback behavior
-        logger.warn("Failed to extract class name, using fallback", {
-          context: "scraping",
-          error: classError.message,
-          itemIndex: i + 1,
-          itemTitle: itemTitle,
-          fallbackClassName: class_name,
-          selector: SELECTORS.breadcrumbs.className,
-          operation: "class_name_extraction",
-        });
-      }
+      // // Wait until children are present
+      // const maxRetries = 5;
+      // let retries = 0;
+      // while (children.length === 0 && retries < maxRetries) {
+      //   await assignment_page.waitForTimeout(1000); // Wait 1 second
+      //   children = await assignment_page.$$(SELECTORS.content.children);
+      //   retries++;
+      // }
 
-      // find content once page loads
-      let content;
-      try {
-        // Content is dynamically loaded, we need to wait for children to appear
-        // and/or the spinner to disappear
+      content = await findElement(assignment_page, "content.main");
 
-        // Wait for main content container to appear
-        await assignment_page.waitForSelector(SELECTORS.content.main, {
-          state: "visible",
-        });
+      // Check for spinner presence
+      let spinnerPresent =
+        (await findElement(assignment_page, "content.spinner")) !== null;
 
-        // // Check for children inside content container
-        // let children = await assignment_page.$$(SELECTORS.content.children);
-
-        // // Wait until children are present
-        // const maxRetries = 5;
-        // let retries = 0;
-        // while (children.length === 0 && retries < maxRetries) {
-        //   await assignment_page.waitForTimeout(1000); // Wait 1 second
-        //   children = await assignment_page.$$(SELECTORS.content.children);
-        //   retries++;
-        // }
-
-        content = await assignment_page.$(SELECTORS.content.main);
-
-        // Check for spinner presence
-        let spinnerPresent =
-          (await assignment_page.$(SELECTORS.content.spinner)) !== null;
-
-        // Wait for spinner to disappear if present
-        if (spinnerPresent) {
-          logger.info("Waiting for content spinner to disappear", {
-            context: "scraping",
-            itemIndex: i + 1,
-            itemTitle: itemTitle,
-            url: assignment_page.url(),
-            selector: SELECTORS.content.spinner,
-            operation: "spinner_wait",
-          });
-
-          await assignment_page.waitForSelector(SELECTORS.content.spinner, {
-            state: "hidden",
-          });
-        }
-
-        if (!content) {
-          throw new Error("Content container not found");
-        }
-      } catch (contentError) {
-        // AIDEV-NOTE: Content container error with page debugging
-        logger.error("Failed to find content container", {
+      // Wait for spinner to disappear if present
+      if (spinnerPresent) {
+        logger.info("Waiting for content spinner to disappear", {
           context: "scraping",
-          error: contentError.message,
           itemIndex: i + 1,
           itemTitle: itemTitle,
           url: assignment_page.url(),
-          selector: SELECTORS.content.main,
-          operation: "content_container_detection",
+          selector: SELECTORS.content.spinner,
+          operation: "spinner_wait",
         });
-        await assignment_page.close();
-        continue;
-      }
-
-      let data = { class_name: class_name };
 
-      try {
-        if (await verify_is_assignment(content, operationStats)) {
-          // AIDEV-NOTE: Assignment verification with statistics tracking
-          operationStats.scrapingStats.assignments++;
-          data = {
-            ...data,
-            ...(await scrape_assignment_data(assignment_page)),
-            url: assignment_page.url(),
-            type: "assignment",
-          };
-        } else if (await verify_is_quiz(content, operationStats)) {
-          // AIDEV-NOTE: Quiz verification with statistics tracking
-          operationStats.scrapingStats.quizzes++;
-          data = {
-            ...data,
-            ...(await scrape_quiz_data(assignment_page)),
-            url: assignment_page.url(),
-            type: "quiz",
-          };
-        } else if (await verify_is_discussion(content, operationStats)) {
-          // AIDEV-NOTE: Discussion verification with statistics tracking
-          operationStats.scrapingStats.discussions++;
-          data = {
-            ...data,
-            ...(await scrape_discussion_data(assignment_page)),
-            url: assignment_page.url(),
-            type: "discussion",
-          };
-        } else {
-          // AIDEV-NOTE: Unrecognized content type, skipping
-          operationStats.scrapingStats.skipped++;
-          await assignment_page.close();
-          continue;
-        }
-      } catch (verificationError) {
-        // AIDEV-NOTE: Content verification error with type detection debugging
-        logger.error("Content verification failed", {
-          context: "scraping",
-          error: verificationError.message,
-          errorType: verificationError.constructor.name,
-          itemIndex: i + 1,
-          itemTitle: itemTitle,
-          className: class_name,
-          url: assignment_page.url(),
-          operation: "content_verification",
-        });
-        await assignment_page.close();
-        continue;
+        await assignment_page.waitForSelector(
+          await resolveSelector(assignment_page, "content.spinner"),
+          {
+            state: "hidden",
+          },
+        );
       }
 
-      // Add all info to object and push to array
-      assignments.push(data);
-      operationStats.scrapingStats.processedItems++;
-
-      // AIDEV-NOTE: Page processing completed
-    } catch (error) {
-      // AIDEV-NOTE: Assignment processing error with comprehensive recovery context and session tracking
-      operationStats.scrapingStats.errors++;
-      logger.error("Assignment processing failed", {
+      if (!content) {
+        throw new Error("Content container not found");
+      }
+    } catch (contentError) {
+      // AIDEV-NOTE: Content container error with page debugging
+      logger.error("Failed to find content container", {
         context: "scraping",
-        sessionId: operationStats.sessionId,
-        error: error.message,
-        errorType: error.constructor.name,
+        error: contentError.message,
         itemIndex: i + 1,
         itemTitle: itemTitle,
-        totalItems: item_links.length,
-        stack: error.stack,
-        operation: "assignment_processing",
-        operationStats: {
-          processed: operationStats.scrapingStats.processedItems,
-          errors: operationStats.scrapingStats.errors,
-          successRate: Math.round(
-            (operationStats.scrapingStats.processedItems / (i + 1)) * 100,
-          ),
-        },
+        url: assignment_page.url(),
+        selector: SELECTORS.content.main,
+        operation: "content_container_detection",
       });
-    } finally {
-      // Ensure assignment page is always closed
-      if (assignment_page) {
-        try {
-          await assignment_page.close();
-        } catch (closeError) {
-          // AIDEV-NOTE: Page cleanup error logging with session tracking
-          logger.warn("Failed to close assignment page", {
-            context: "scraping",
-            sessionId: operationStats.sessionId,
-            error: closeError.message,
-            itemIndex: i + 1,
-            operation: "page_cleanup",
-          });
-        }
-      }
+      return null;
+    }
+
+    let data = { class_name: class_name };
+    let discussionKind = false;
 
-      logger.info("Completed planner item scrape", {
+    try {
+      // AIDEV-NOTE: Quizzes are checked first - New Quizzes live on assignment pages
+      if (await verify_is_quiz(content, operationStats)) {
+        // AIDEV-NOTE: Quiz verification with statistics tracking
+        operationStats.scrapingStats.quizzes++;
+        data = {
+          ...data,
+          ...(await scrape_quiz_data(assignment_page)),
+          url: assignment_page.url(),
+          type: "quiz",
+        };
+      } else if (await verify_is_assignment(content, operationStats)) {
+        // AIDEV-NOTE: Assignment verification with statistics tracking
+        operationStats.scrapingStats.assignments++;
+        data = {
+          ...data,
+          ...(await scrape_assignment_data(assignment_page)),
+          url: assignment_page.url(),
+          type: "assignment",
+        };
+      } else if (
+        (discussionKind = await verify_is_discussion(
+          content,
+          operationStats,
+          assignment_page,
+        ))
+      ) {
+        // AIDEV-NOTE: Discussion verification with statistics tracking
+        operationStats.scrapingStats[TYPE_STATS[discussionKind]]++;
+        data = {
+          ...data,
+          ...(await scrape_discussion_data(assignment_page, discussionKind)),
+          url: assignment_page.url(),
+          type: discussionKind,
+        };
+      } else if (await verify_is_peer_review(content, operationStats)) {
+        // AIDEV-NOTE: Peer review verification with statistics tracking
+        operationStats.scrapingStats.peerReviews++;
+        data = {
+          ...data,
+          ...(await scrape_peer_review_data(assignment_page, descriptor)),
+          url: assignment_page.url(),
+          type: "peer_review",
+        };
+      } else if (await verify_is_page(content, operationStats)) {
+        // AIDEV-NOTE: Course page verification with statistics tracking
+        operationStats.scrapingStats.pages++;
+        data = {
+          ...data,
+          ...(await scrape_page_data(assignment_page, descriptor.schedule)),
+          url: assignment_page.url(),
+          type: "page",
+        };
+      } else {
+        // AIDEV-NOTE: Unrecognized content type, skipping
+        operationStats.scrapingStats.skipped++;
+        return null;
+      }
+    } catch (verificationError) {
+      // AIDEV-NOTE: Content verification error with type detection debugging
+      logger.error("Content verification failed", {
         context: "scraping",
-        sessionId: operationStats.sessionId,
-        title: itemTitle,
+        error: verificationError.message,
+        errorType: verificationError.constructor.name,
         itemIndex: i + 1,
-        totalItems: item_links.length,
-        progressPercent: Math.round(((i + 1) / item_links.length) * 100),
-        operationStats: {
-          processed: operationStats.scrapingStats.processedItems,
-          errors: operationStats.scrapingStats.errors,
-        },
-        operation: "item_scrape_complete",
+        itemTitle: itemTitle,
+        className: class_name,
+        url: assignment_page.url(),
+        operation: "content_verification",
       });
+      return null;
     }
-  }
 
-  return assignments;
+    await saveFixture(
+      assignment_page,
+      data.type,
+      config,
+      operationStats.sessionId,
+    );
+
+    // Add all info to object and return it for the ordered results
+    operationStats.scrapingStats.processedItems++;
+    return data;
+  } catch (error) {
+    // AIDEV-NOTE: Assignment processing error with comprehensive recovery context and session tracking
+    operationStats.scrapingStats.errors++;
+    logger.error("Assignment processing failed", {
+      context: "scraping",
+      sessionId: operationStats.sessionId,
+      error: error.message,
+      errorType: error.constructor.name,
+      itemIndex: i + 1,
+      itemTitle: itemTitle,
+      totalItems: progress.total,
+      stack: error.stack,
+      operation: "assignment_processing",
+      operationStats: {
+        processed: operationStats.scrapingStats.processedItems,
+        errors: operationStats.scrapingStats.errors,
+        successRate: Math.round(
+          (operationStats.scrapingStats.processedItems /
+            Math.max(progress.completed + 1, 1)) *
+            100,
+        ),
+      },
+    });
+    return null;
+  } finally {
+    // Ensure assignment page is always closed
+    if (assignment_page) {
+      try {
+        await assignment_page.close();
+      } catch (closeError) {
+        // AIDEV-NOTE: Page cleanup error logging with session tracking
+        logger.warn("Failed to close assignment page", {
+          context: "scraping",
+          sessionId: operationStats.sessionId,
+          error: closeError.message,
+          itemIndex: i + 1,
+          operation: "page_cleanup",
+        });
+      }
+    }
+
+    progress.completed++;
+    logger.info("Completed planner item scrape", {
+      context: "scraping",
+      sessionId: operationStats.sessionId,
+      title: itemTitle,
+      itemIndex: i + 1,
+      totalItems: progress.total,
+      progressPercent: Math.round((progress.completed / progress.total) * 100),
+      operationStats: {
+        processed: operationStats.scrapingStats.processedItems,
+        errors: operationStats.scrapingStats.errors,
+      },
+      operation: "item_scrape_complete",
+    });
+  }
 };
 
 // AIDEV-NOTE: Content verification functions for different Canvas content types
+// Exported for the offline fixture tests (tests/fixture-scrapers.test.js)
 
-const verify_is_assignment = async (content, operationStats) => {
+export const verify_is_assignment = async (content, operationStats) => {
   try {
-    const result = !!(await content.$(
-      SELECTORS.verification.assignment.container,
+    const result = !!(await findElement(
+      content,
+      "verification.assignment.container",
     ));
     return result;
   } catch (error) {
@@ -738,9 +1239,12 @@ const verify_is_assignment = async (content, operationStats) => {
   }
 };
 
-const verify_is_quiz = async (content, operationStats) => {
+export const verify_is_quiz = async (content, operationStats) => {
   try {
-    const result = !!(await content.$(SELECTORS.verification.quiz.container));
+    // AIDEV-NOTE: Classic quiz page or a New Quizzes (quiz_lti) launch
+    const result =
+      !!(await findElement(content, "verification.quiz.container")) ||
+      !!(await findElement(content, "verification.quiz.newQuizContainer"));
     return result;
   } catch (error) {
     // AIDEV-NOTE: Quiz verification error with selector debugging
@@ -755,35 +1259,42 @@ const verify_is_quiz = async (content, operationStats) => {
   }
 };
 
-const verify_is_discussion = async (content, operationStats) => {
+/**
+ * Identify discussion topic pages and tell announcements apart from regular discussions
+ * @param {Object} content - Main content element of the item page
+ * @param {Object} operationStats - Session statistics
+ * @param {Object} page - Item page (breadcrumbs sit outside the content element)
+ * @returns {Promise<string|false>} "announcement", "discussion" or false
+ */
+export const verify_is_discussion = async (content, operationStats, page) => {
   try {
-    let temp_crumb = await content.$(SELECTORS.breadcrumbs.firstLevel);
-
-    const discussionElement = await content.$(
-      SELECTORS.verification.discussion.replyAction,
-    );
-
-    let breadcrumbText = "";
-    if (temp_crumb) {
-      try {
-        breadcrumbText = await temp_crumb.innerText();
-      } catch (textError) {
-        // AIDEV-NOTE: Breadcrumb text extraction error
-        logger.warn("Failed to extract breadcrumb text", {
-          context: "content_verification",
-          error: textError.message,
-          operation: "breadcrumb_text_extraction",
-        });
-      }
+    const discussionElement =
+      (await findElement(content, "verification.discussion.replyAction")) ||
+      (await findElement(content, "verification.discussion.container"));
+    if (!discussionElement) return false;
+
+    // AIDEV-NOTE: Announcements are discussion topics too - the breadcrumb trail
+    // ("Course > Announcements > Title") or the URL says which one we are on
+    let breadcrumbTexts = [];
+    try {
+      breadcrumbTexts = await page.$$eval(
+        await resolveSelector(page, "breadcrumbs.links"),
+        (links) => links.map((link) => link.innerText.trim()),
+      );
+    } catch (textError) {
+      // AIDEV-NOTE: Breadcrumb text extraction error
+      logger.warn("Failed to extract breadcrumb text", {
+        context: "content_verification",
+        error: textError.message,
+        operation: "breadcrumb_text_extraction",
+      });
     }
 
-    const result = !!(
-      discussionElement &&
-      temp_crumb &&
-      breadcrumbText === "Announcements"
-    );
+    const isAnnouncement =
+      breadcrumbTexts.includes("Announcements") ||
+      /\/announcements(\/|$)/.test(page.url());
 
-    return result;
+    return isAnnouncement ? "announcement" : "discussion";
   } catch (error) {
     // AIDEV-NOTE: Discussion verification error with comprehensive debugging
     logger.error("Discussion verification failed", {
@@ -792,7 +1303,8 @@ const verify_is_discussion = async (content, operationStats) => {
       errorType: error.constructor.name,
       selectors: {
         discussion: SELECTORS.verification.discussion.replyAction,
-        breadcrumb: SELECTORS.breadcrumbs.firstLevel,
+        container: SELECTORS.verification.discussion.container,
+        breadcrumb: SELECTORS.breadcrumbs.links,
       },
       operation: "discussion_verification",
     });
@@ -800,4 +1312,36 @@ const verify_is_discussion = async (content, operationStats) => {
   }
 };
 
+export const verify_is_page = async (content, operationStats) => {
+  try {
+    return !!(await findElement(content, "verification.page.container"));
+  } catch (error) {
+    // AIDEV-NOTE: Page verification error with selector debugging
+    logger.error("Page verification failed", {
+      context: "content_verification",
+      error: error.message,
+      errorType: error.constructor.name,
+      selector: SELECTORS.verification.page.container,
+      operation: "page_verification",
+    });
+    return false;
+  }
+};
+
+export const verify_is_peer_review = async (content, operationStats) => {
+  try {
+    return !!(await findElement(content, "verification.peerReview.container"));
+  } catch (error) {
+    // AIDEV-NOTE: Peer review verification error with selector debugging
+    logger.error("Peer review verification failed", {
+      context: "content_verification",
+      error: error.message,
+      errorType: error.constructor.name,
+      selector: SELECTORS.verification.peerReview.container,
+      operation: "peer_review_verification",
+    });
+    return false;
+  }
+};
+
 // AIDEV-NOTE: Data extraction functions moved to src/scrapers/ for modularity
@@ -102,21 +102,45 @@ export async function runConfigWizard(configPath = null, format = null) {
       }
     } while (!isValidUrl(canvasUrl));
 
-    const canvasUsername = await input({
-      message: "Canvas Username",
+    // AIDEV-NOTE: API mode skips the browser entirely, so it needs a token instead of a password
+    const useApiMode = await confirm({
+      message:
+        "Use a Canvas personal access token (API mode, no browser login)?",
+      default: false,
     });
 
-    // AIDEV-NOTE: Validate password is not empty before proceeding
-    let canvasPassword;
-    do {
-      canvasPassword = await password({
-        message: "Canvas Password",
-        mask: "*",
+    let canvasUsername = "";
+    let canvasPassword = "";
+    let canvasApiToken = "";
+    if (useApiMode) {
+      console.log(
+        "Create a token from Canvas: Account → Settings → New Access Token",
+      );
+      do {
+        canvasApiToken = await password({
+          message: "Canvas API Token",
+          mask: "*",
+        });
+        if (!canvasApiToken || canvasApiToken.trim().length === 0) {
+          console.log("❌ API token cannot be empty. Please try again.\n");
+        }
+      } while (!canvasApiToken || canvasApiToken.trim().length === 0);
+    } else {
+      canvasUsername = await input({
+        message: "Canvas Username",
       });
-      if (!canvasPassword || canvasPassword.trim().length === 0) {
-        console.log("❌ Password cannot be empty. Please try again.\n");
-      }
-    } while (!canvasPassword || canvasPassword.trim().length === 0);
+
+      // AIDEV-NOTE: Validate password is not empty before proceeding
+      do {
+        canvasPassword = await password({
+          message: "Canvas Password",
+          mask: "*",
+        });
+        if (!canvasPassword || canvasPassword.trim().length === 0) {
+          console.log("❌ Password cannot be empty. Please try again.\n");
+        }
+      } while (!canvasPassword || canvasPassword.trim().length === 0);
+    }
 
     // Step 4: Todoist Integration (Optional)
     console.log("\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
@@ -171,9 +195,13 @@ export async function runConfigWizard(configPath = null, format = null) {
     });
 
     // Add explicit warning if user declines encryption with password present
-    if (!enableEncryption && canvasPassword) {
-      console.log("\n⚠️  WARNING: Your password will be stored in PLAIN TEXT!");
-      console.log("   Anyone with access to the config file can read your password.");
+    if (!enableEncryption && (canvasPassword || canvasApiToken)) {
+      console.log(
+        `\n⚠️  WARNING: Your ${useApiMode ? "API token" : "password"} will be stored in PLAIN TEXT!`,
+      );
+      console.log(
+        `   Anyone with access to the config file can read your ${useApiMode ? "API token" : "password"}.`,
+      );
       const confirmPlain = await confirm({
         message: "Are you sure you want to continue without encryption?",
         default: false,
@@ -189,6 +217,8 @@ export async function runConfigWizard(configPath = null, format = null) {
       CANVAS_URL: canvasUrl,
       CANVAS_USERNAME: canvasUsername,
       CANVAS_PWD: canvasPassword,
+      CANVAS_SCRAPE_MODE: useApiMode ? "api" : "browser",
+      CANVAS_API_TOKEN: canvasApiToken,
       TODOIST_EXPORT: enableTodoist ? "true" : "false",
       TODOIST_API_KEY: todoistApiKey,
       NOTION_EXPORT: enableNotion ? "true" : "false",
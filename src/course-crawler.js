@@ -0,0 +1,197 @@
+import logger from "./logger.js";
+import { SELECTORS } from "./selectors.js";
+import { resolveSelector, getCssSelector } from "./selector-profiles.js";
+
+// AIDEV-NOTE: Course crawler - second discovery path next to the planner. The planner only
+// shows items inside its date window, so assignments due far ahead or without a due date
+// never appear there. The crawler walks every active course's Assignments, Quizzes and
+// Discussions index pages and returns item links that scrapeCanvasItems() merges with the
+// planner entries (de-duplicated by Canvas URL path)
+
+// AIDEV-NOTE: Index page per item kind and the item URL pattern links must match
+const COURSE_INDEXES = [
+  { path: "assignments", pattern: /^\/courses\/\d+\/assignments\/\d+$/ },
+  { path: "quizzes", pattern: /^\/courses\/\d+\/quizzes\/\d+$/ },
+  {
+    path: "discussion_topics",
+    pattern: /^\/courses\/\d+\/discussion_topics\/\d+$/,
+  },
+];
+
+/**
+ * Reduce a Canvas item link to its URL path so planner and index links compare equal
+ * @param {string} href - Absolute or relative link
+ * @param {string} baseUrl - Canvas base URL
+ * @returns {string|null} Path without query, hash or trailing slash, or null for links
+ *   to other sites
+ *
+ * @example
+ * toItemPath("https://canvas.test/courses/12/assignments/345?module_item_id=9", "https://canvas.test")
+ *   -> "/courses/12/assignments/345"
+ */
+export const toItemPath = (href, baseUrl) => {
+  if (!href) return null;
+  try {
+    const url = new URL(href, baseUrl);
+    if (url.origin !== new URL(baseUrl).origin) return null;
+    return url.pathname.replace(/\/+$/, "") || "/";
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Keep the index page links that point at course items, de-duplicated by path
+ * @param {Array<Object>} links - [{ href, text, rowText }] read from an index page
+ * @param {string} baseUrl - Canvas base URL
+ * @returns {Array<Object>} [{ path, title, rowText }]
+ */
+export const selectCourseItemLinks = (links, baseUrl) => {
+  const seen = new Set();
+  const items = [];
+  for (const link of links || []) {
+    const path = toItemPath(link.href, baseUrl);
+    if (!path || seen.has(path)) continue;
+    if (!COURSE_INDEXES.some(({ pattern }) => pattern.test(path))) continue;
+    seen.add(path);
+    items.push({
+      path,
+      title: (link.text || "").replace(/\s+/g, " ").trim(),
+      rowText: link.rowText || "",
+    });
+  }
+  return items;
+};
+
+/**
+ * Pick the crawled items that the planner didn't already list
+ * @param {Array<string|null>} plannerHrefs - Links of the planner entries
+ * @param {Array<Object>} crawled - Items from crawlCourses()
+ * @param {string} baseUrl - Canvas base URL
+ * @returns {Array<Object>} Crawled items missing from the planner, in crawl order
+ */
+export const selectUnplannedItems = (plannerHrefs, crawled, baseUrl) => {
+  const planned = new Set(
+    plannerHrefs.map((href) => toItemPath(href, baseUrl)).filter(Boolean),
+  );
+  return crawled.filter((item) => {
+    if (planned.has(item.path)) return false;
+    planned.add(item.path);
+    return true;
+  });
+};
+
+/**
+ * Enumerate active courses and collect item links from their index pages
+ * @param {Object} page - Logged-in Playwright page (navigated away from the planner)
+ * @param {Object} config - Configuration object (config.url)
+ * @param {Object} operationStats - Statistics object (scrapingStats is updated)
+ * @returns {Promise<Array<Object>>} [{ path, title, rowText, courseName }]
+ */
+export const crawlCourses = async (page, config, operationStats) => {
+  const courses = await listActiveCourses(page, config, operationStats);
+  const items = [];
+
+  for (const course of courses) {
+    for (const index of COURSE_INDEXES) {
+      const indexUrl = `${config.url}/courses/${course.id}/${index.path}`;
+      try {
+        await page.goto(indexUrl);
+        await page
+          .waitForLoadState("networkidle", { timeout: 15000 })
+          .catch(() => {});
+        const links = await page.$$eval(
+          await resolveSelector(page, "courseCrawl.indexLinks"),
+          (anchors, rowSelector) =>
+            anchors.map((a) => ({
+              href: a.getAttribute("href"),
+              text: a.innerText,
+              rowText: a.closest(rowSelector)?.innerText || "",
+            })),
+          getCssSelector("courseCrawl.indexRow"),
+        );
+        for (const item of selectCourseItemLinks(links, config.url)) {
+          items.push({ ...item, courseName: course.name });
+        }
+      } catch (error) {
+        // AIDEV-NOTE: One failing index page (tab hidden by the teacher) shouldn't stop the crawl
+        logger.warn("Failed to crawl course index page", {
+          context: "course_crawl",
+          sessionId: operationStats.sessionId,
+          error: error.message,
+          courseId: course.id,
+          url: indexUrl,
+          operation: "course_index_crawl",
+        });
+      }
+    }
+  }
+
+  operationStats.scrapingStats.coursesCrawled = courses.length;
+  logger.info("Course crawl completed", {
+    context: "course_crawl",
+    sessionId: operationStats.sessionId,
+    courses: courses.length,
+    itemsFound: items.length,
+    operation: "course_crawl",
+  });
+  return items;
+};
+
+/**
+ * Read the active courses from the course list, falling back to the dashboard cards
+ * @private
+ */
+const listActiveCourses = async (page, config, operationStats) => {
+  const readCourses = (selector) =>
+    page.$$eval(selector, (anchors) =>
+      anchors.map((a) => ({
+        href: a.getAttribute("href"),
+        name: (a.getAttribute("title") || a.innerText || "").trim(),
+      })),
+    );
+
+  let links = [];
+  try {
+    await page.goto(`${config.url}/courses`);
+    links = await readCourses(
+      await resolveSelector(page, "courseCrawl.courseLinks"),
+    );
+    if (links.length === 0) {
+      await page.goto(config.url);
+      await page
+        .waitForSelector(
+          await resolveSelector(page, "courseCrawl.dashboardCards"),
+          {
+            timeout: 15000,
+          },
+        )
+        .catch(() => {});
+      links = await readCourses(
+        await resolveSelector(page, "courseCrawl.dashboardCards"),
+      );
+    }
+  } catch (error) {
+    logger.error("Failed to list active courses", {
+      context: "course_crawl",
+      sessionId: operationStats.sessionId,
+      error: error.message,
+      errorType: error.constructor.name,
+      selectors: {
+        courseLinks: SELECTORS.courseCrawl.courseLinks,
+        dashboardCards: SELECTORS.courseCrawl.dashboardCards,
+      },
+      operation: "course_discovery",
+    });
+    return [];
+  }
+
+  const courses = new Map();
+  for (const link of links) {
+    const id = toItemPath(link.href, config.url)?.match(
+      /^\/courses\/(\d+)$/,
+    )?.[1];
+    if (id && !courses.has(id)) courses.set(id, { id, name: link.name });
+  }
+  return [...courses.values()];
+};
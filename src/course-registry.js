@@ -0,0 +1,163 @@
+import fs from "fs";
+import logger from "./logger.js";
+import { matchesCoursePattern } from "./filters.js";
+
+// AIDEV-NOTE: Course registry - one place that turns raw Canvas course names
+// ("ATLS 5420-001: Interactive Design (Fall 2025)") into structured course info and applies
+// the user's aliases and colors from courses.json. main.js annotates every item with a
+// `course` object, and the exporters use its label for Todoist projects/labels and Notion tags
+
+// AIDEV-NOTE: "ATLS 5420-001", "CSCI-1300-010", "PSYC 2012 Sec 100", "MATH 1300R.002"
+// Departments are upper case so "Fall 2025" or "Week 12" aren't read as course codes
+const COURSE_CODE_PATTERN =
+  /\b(?!FALL\b)([A-Z]{2,5})[\s-]?(\d{3,4}[A-Z]?)\b(?:(?:\s*-\s*|\s*\.\s*|\s+[Ss]ec(?:tion)?\.?\s*)([A-Z]?\d{2,3}[A-Z]?)\b)?/;
+
+// AIDEV-NOTE: "Fall 2025", "(Spring '26)", "Summer 2025 B"
+const TERM_PATTERN = /\b(Fall|Spring|Summer|Winter)\s*'?(\d{4}|\d{2})\b/i;
+
+/**
+ * Parse department, number, section, term and title out of a Canvas course name
+ * @param {string} name - Course name as shown by Canvas
+ * @returns {Object} { code, department, number, section, term, title } - fields that can't
+ *   be found are null; title falls back to the full name
+ *
+ * @example
+ * parseCourseName("ATLS 5420-001: Interactive Design (Fall 2025)")
+ *   -> { code: "ATLS 5420", department: "ATLS", number: "5420", section: "001",
+ *        term: "Fall 2025", title: "Interactive Design" }
+ */
+export const parseCourseName = (name) => {
+  const text = String(name || "")
+    .replace(/\s+/g, " ")
+    .trim();
+  const codeMatch = text.match(COURSE_CODE_PATTERN);
+  const termMatch = text.match(TERM_PATTERN);
+
+  const department = codeMatch ? codeMatch[1] : null;
+  const number = codeMatch ? codeMatch[2] : null;
+  let term = null;
+  if (termMatch) {
+    const season =
+      termMatch[1][0].toUpperCase() + termMatch[1].slice(1).toLowerCase();
+    const year = termMatch[2].length === 2 ? `20${termMatch[2]}` : termMatch[2];
+    term = `${season} ${year}`;
+  }
+
+  // Whatever remains after removing the code and term is the descriptive title
+  let title = text;
+  if (codeMatch) title = title.replace(codeMatch[0], "");
+  if (termMatch) title = title.replace(termMatch[0], "");
+  title = title
+    .replace(/\(\s*\)|\[\s*\]/g, "")
+    .replace(/^[\s:\-–|,]+|[\s:\-–|,]+$/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  return {
+    code: department ? `${department} ${number}` : null,
+    department,
+    number,
+    section: codeMatch?.[3] || null,
+    term,
+    title: title || text || null,
+  };
+};
+
+/**
+ * Load user-defined course aliases and colors
+ * @param {Object} registryConfig - `config.courses` settings
+ * @param {string} registryConfig.registryPath - Path to courses.json
+ * @param {string} sessionId - Session ID for logging correlation
+ * @returns {Array<Object>} [{ pattern, alias, color }] in file order
+ *
+ * @example courses.json
+ * {
+ *   "ATLS 5420": { "alias": "Interactive Design", "color": "blue" },
+ *   "12345": { "alias": "Advising" },
+ *   "*Sandbox*": { "alias": "Sandbox", "color": "grey" }
+ * }
+ */
+export const loadCourseRegistry = (registryConfig, sessionId) => {
+  const registryPath = registryConfig?.registryPath;
+  if (!registryPath || !fs.existsSync(registryPath)) return [];
+
+  try {
+    const entries = JSON.parse(fs.readFileSync(registryPath, "utf-8"));
+    const registry = Object.entries(entries).map(([pattern, entry]) => ({
+      pattern,
+      alias: (typeof entry === "string" ? entry : entry?.alias) || null,
+      color: (typeof entry === "object" && entry?.color) || null,
+    }));
+
+    logger.info("Loaded course registry", {
+      context: "course_registry",
+      sessionId: sessionId,
+      path: registryPath,
+      entries: registry.length,
+      operation: "registry_load",
+    });
+    return registry;
+  } catch (error) {
+    // AIDEV-NOTE: A broken registry shouldn't block exports - fall back to parsed names
+    logger.warn("Failed to load course registry, using course names", {
+      context: "course_registry",
+      sessionId: sessionId,
+      error: error.message,
+      path: registryPath,
+      operation: "registry_load",
+    });
+    return [];
+  }
+};
+
+/**
+ * Resolve an item's course info, applying the first matching registry entry
+ * @param {Object} item - Normalized item ({ course_id, class_name })
+ * @param {Array<Object>} registry - Entries from loadCourseRegistry()
+ * @returns {Object} { id, name, code, department, number, section, term, title, alias,
+ *   color, label } - label is what exporters show: alias, else code, else the course name
+ */
+export const resolveCourse = (item, registry = []) => {
+  const name = item.class_name || "Unknown Class";
+  const parsed = parseCourseName(name);
+  // AIDEV-NOTE: Registry keys may be a course ID, the parsed code ("ATLS 5420") or a name
+  // pattern - the same syntax as the export course filters
+  const entry = registry.find(
+    ({ pattern }) =>
+      (parsed.code && pattern.toUpperCase() === parsed.code) ||
+      matchesCoursePattern(
+        { course_id: item.course_id, class_name: name },
+        pattern,
+      ),
+  );
+
+  return {
+    id: item.course_id ?? null,
+    name,
+    ...parsed,
+    alias: entry?.alias || null,
+    color: entry?.color || null,
+    // Notion multi-select options can't contain commas
+    label: (entry?.alias || parsed.code || name).replace(/,/g, ""),
+  };
+};
+
+/**
+ * Attach resolved course info to every item
+ * @param {Array} items - Normalized items
+ * @param {Array<Object>} registry - Entries from loadCourseRegistry()
+ * @returns {Array} Items with a `course` object, in the same order
+ */
+export const annotateCourses = (items, registry = []) =>
+  (items || []).map((item) => ({
+    ...item,
+    course: resolveCourse(item, registry),
+  }));
+
+/**
+ * Get the name exporters should show for an item's course
+ * @param {Object} item - Item (annotated or not)
+ * @returns {string} Course label, falling back to the raw class name
+ */
+export const getCourseLabel = (item) =>
+  item.course?.label || item.class_name || "Unknown Class";
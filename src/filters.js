@@ -0,0 +1,158 @@
+import logger from "./logger.js";
+import { parsePlannerHorizon, getPlannerStart } from "./planner.js";
+
+// AIDEV-NOTE: Export filters - decide which normalized items reach Todoist/Notion. Applied in
+// main.js after normalization, so they work the same for both backends and for
+// --skip-scraping runs. output.json keeps every scraped item; changing a filter and re-running
+// with --skip-scraping never needs a rescrape
+
+/**
+ * Check whether an item's course matches a filter pattern
+ * @param {Object} item - Normalized item ({ course_id, class_name })
+ * @param {string} pattern - Course ID ("12345") or case-insensitive name pattern where `*`
+ *   matches any text; patterns without `*` match anywhere in the name
+ * @returns {boolean}
+ *
+ * @example
+ * matchesCoursePattern({ course_id: "12", class_name: "Advising Sandbox" }, "*sandbox*") -> true
+ * matchesCoursePattern({ course_id: "12", class_name: "CSCI 1300" }, "12") -> true
+ */
+export const matchesCoursePattern = (item, pattern) => {
+  const value = String(pattern || "").trim();
+  if (!value) return false;
+  if (/^\d+$/.test(value)) return String(item.course_id ?? "") === value;
+
+  const name = item.class_name || "";
+  if (!value.includes("*")) {
+    return name.toLowerCase().includes(value.toLowerCase());
+  }
+  const source = value
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${source}$`, "i").test(name);
+};
+
+/**
+ * Resolve the due date window settings to dates
+ * @param {Object} filterConfig - `config.filters` settings
+ * @param {string} filterConfig.dueFrom - Days back ("7d") or a date ("2025-09-01"); empty for no limit
+ * @param {string} filterConfig.dueUntil - Horizon ("30d", "6w", "2025-12-19"); empty for no limit
+ * @param {Date} now - Reference date (default: current time)
+ * @returns {Object} { from: Date|null, until: Date|null }
+ * @throws {Error} If a setting can't be parsed
+ */
+export const resolveDueWindow = (filterConfig = {}, now = new Date()) => {
+  const from = String(filterConfig.dueFrom || "")
+    .trim()
+    .toLowerCase();
+  let fromDate = null;
+  if (from) {
+    const relative = from.match(/^(\d+)\s*d$/);
+    if (relative) {
+      fromDate = getPlannerStart(parseInt(relative[1], 10), now);
+    } else if (/^\d{4}-\d{2}-\d{2}$/.test(from)) {
+      const [year, month, day] = from.split("-").map(Number);
+      fromDate = new Date(year, month - 1, day);
+    } else {
+      throw new Error(
+        `Invalid due date filter start "${filterConfig.dueFrom}". Use e.g. "7d" or "2025-09-01"`,
+      );
+    }
+  }
+
+  return {
+    from: fromDate,
+    until: filterConfig.dueUntil
+      ? parsePlannerHorizon(filterConfig.dueUntil, now)
+      : null,
+  };
+};
+
+/**
+ * Filter normalized items by course, type and due date window
+ * @param {Array} items - Normalized items
+ * @param {Object} filterConfig - `config.filters` settings
+ * @param {string} filterConfig.includeCourses - Comma-separated course patterns to keep
+ *   (empty keeps every course)
+ * @param {string} filterConfig.excludeCourses - Comma-separated course patterns to drop
+ * @param {string} filterConfig.types - Comma-separated item types to keep (empty keeps all)
+ * @param {string} filterConfig.dueFrom - See resolveDueWindow
+ * @param {string} filterConfig.dueUntil - See resolveDueWindow
+ * @param {boolean} filterConfig.includeUndated - Keep items without a due date
+ * @param {string} sessionId - Session ID for logging correlation
+ * @param {Date} now - Reference date for relative due windows (default: current time)
+ * @returns {Array} Items that pass every filter, in the original order
+ */
+export const applyItemFilters = (
+  items,
+  filterConfig = {},
+  sessionId,
+  now = new Date(),
+) => {
+  const includeCourses = toList(filterConfig.includeCourses);
+  const excludeCourses = toList(filterConfig.excludeCourses);
+  const types = toList(filterConfig.types).map((type) => type.toLowerCase());
+  const window = resolveDueWindow(filterConfig, now);
+  const includeUndated = filterConfig.includeUndated !== false;
+
+  const excluded = { course: 0, type: 0, dueDate: 0 };
+  const kept = (items || []).filter((item) => {
+    const courseIncluded =
+      includeCourses.length === 0 ||
+      includeCourses.some((pattern) => matchesCoursePattern(item, pattern));
+    if (
+      !courseIncluded ||
+      excludeCourses.some((pattern) => matchesCoursePattern(item, pattern))
+    ) {
+      excluded.course++;
+      return false;
+    }
+
+    if (types.length > 0 && !types.includes(item.type)) {
+      excluded.type++;
+      return false;
+    }
+
+    if (!isInDueWindow(item.due_at, window, includeUndated)) {
+      excluded.dueDate++;
+      return false;
+    }
+    return true;
+  });
+
+  logger.info("Applied export filters", {
+    context: "filters",
+    sessionId: sessionId,
+    totalItems: (items || []).length,
+    keptItems: kept.length,
+    excluded: excluded,
+    window: {
+      from: window.from?.toISOString() || null,
+      until: window.until?.toISOString() || null,
+    },
+    operation: "item_filtering",
+  });
+  return kept;
+};
+
+/**
+ * Split a comma-separated setting into trimmed, non-empty values
+ * @private
+ */
+const toList = (value) =>
+  (Array.isArray(value) ? value : String(value || "").split(","))
+    .map((entry) => String(entry).trim())
+    .filter(Boolean);
+
+/**
+ * Check a due timestamp against the resolved window
+ * @private
+ */
+const isInDueWindow = (dueAt, window, includeUndated) => {
+  if (!dueAt) return includeUndated;
+  const due = new Date(dueAt);
+  if (window.from && due < window.from) return false;
+  if (window.until && due > window.until) return false;
+  return true;
+};
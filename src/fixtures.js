@@ -0,0 +1,116 @@
+import fs from "fs";
+import path from "path";
+import logger from "./logger.js";
+
+// AIDEV-NOTE: Fixture capture for the offline scraper tests (`--save-fixtures`). The
+// browser scraper saves the rendered HTML of the login page, the planner and every item
+// page it opens; sanitizeFixtureHtml() strips scripts, tokens and personal data so the
+// files can be copied into tests/fixtures/canvas/ and committed
+
+const FIXTURE_HOST = "canvas.test";
+
+/**
+ * Strip scripts, tokens and personal data from captured Canvas HTML
+ * @param {string} html - Page HTML from page.content()
+ * @param {Object} options
+ * @param {string} options.baseUrl - Canvas base URL, rewritten to https://canvas.test
+ * @param {Array<string>} options.redact - Extra strings to replace (user name, login)
+ * @returns {string} Sanitized HTML
+ *
+ * @example
+ * sanitizeFixtureHtml('<a href="https://canvas.school.edu/courses/1">Jane Doe</a>',
+ *   { baseUrl: "https://canvas.school.edu", redact: ["Jane Doe"] })
+ *   -> '<a href="https://canvas.test/courses/1">Student Name</a>'
+ */
+export const sanitizeFixtureHtml = (html, { baseUrl, redact = [] } = {}) => {
+  let sanitized = String(html || "")
+    // Canvas ENV (user IDs, API tokens, feature flags) and analytics live in scripts;
+    // the DOM is captured after rendering, so the fixtures don't need them
+    .replace(/<script\b[^>]*>[\s\S]*?<\/script>/gi, "")
+    .replace(/<noscript\b[^>]*>[\s\S]*?<\/noscript>/gi, "")
+    // Stylesheets and preloads point at the CDN - offline tests never load them
+    .replace(/<link\b[^>]*>/gi, "")
+    .replace(/(<meta\s+name="csrf-token"\s+content=")[^"]*"/gi, '$1REDACTED"')
+    .replace(
+      /(<input\b[^>]*name="(?:authenticity_token|csrf[^"]*)"[^>]*value=")[^"]*"/gi,
+      '$1REDACTED"',
+    )
+    .replace(/(<input\b[^>]*type="password"[^>]*value=")[^"]*"/gi, '$1"')
+    .replace(/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g, "student@example.edu")
+    .replace(/\/users\/\d+/g, "/users/1");
+
+  if (baseUrl) {
+    const host = new URL(baseUrl).host;
+    sanitized = sanitized.split(host).join(FIXTURE_HOST);
+  }
+  for (const value of redact) {
+    if (value && value.trim().length > 2) {
+      sanitized = sanitized.split(value.trim()).join("Student Name");
+    }
+  }
+  return sanitized;
+};
+
+/**
+ * Build a fixture file name from a page kind and its URL
+ * @param {string} kind - "login", "planner" or an item type
+ * @param {string} url - Page URL (its last numeric ID keeps item fixtures apart)
+ * @returns {string} e.g. "assignment-345.html"
+ */
+export const getFixtureName = (kind, url) => {
+  const id = String(url || "").match(/\/(\d+)(?:\/?(?:[?#].*)?)$/)?.[1];
+  const name = id ? `${kind}-${id}` : kind;
+  return `${name.replace(/[^\w-]/g, "_")}.html`;
+};
+
+/**
+ * Save the current page as a sanitized fixture when `--save-fixtures` is set
+ * @param {Object} page - Playwright page
+ * @param {string} kind - "login", "planner" or an item type
+ * @param {Object} config - Configuration object (config.scraper.fixtures, url, account)
+ * @param {string} sessionId - Session ID for logging correlation
+ * @returns {Promise<string|null>} Written file path, or null when disabled or failed
+ */
+export const saveFixture = async (page, kind, config, sessionId) => {
+  const fixtureConfig = config.scraper?.fixtures;
+  if (!fixtureConfig?.save) return null;
+
+  const filePath = path.join(
+    fixtureConfig.dir,
+    getFixtureName(kind, page.url()),
+  );
+  try {
+    // AIDEV-NOTE: The display name is read before scripts are stripped - Canvas only
+    // exposes it through ENV and the avatar tray
+    const userName = await page
+      .evaluate(() => window.ENV?.current_user?.display_name || null)
+      .catch(() => null);
+    const html = sanitizeFixtureHtml(await page.content(), {
+      baseUrl: config.url,
+      redact: [userName, config.account?.username],
+    });
+
+    fs.mkdirSync(fixtureConfig.dir, { recursive: true });
+    fs.writeFileSync(filePath, html);
+    logger.info("Saved page fixture", {
+      context: "fixtures",
+      sessionId: sessionId,
+      kind: kind,
+      path: filePath,
+      bytes: html.length,
+      operation: "fixture_save",
+    });
+    return filePath;
+  } catch (error) {
+    // AIDEV-NOTE: Fixture capture is a debugging aid - never fail the scrape over it
+    logger.warn("Failed to save page fixture", {
+      context: "fixtures",
+      sessionId: sessionId,
+      error: error.message,
+      kind: kind,
+      path: filePath,
+      operation: "fixture_save",
+    });
+    return null;
+  }
+};
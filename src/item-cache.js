@@ -0,0 +1,166 @@
+// AIDEV-NOTE: Local item cache for incremental scraping. Entries are keyed by the Canvas item
+// URL and store the last scraped data plus a fingerprint of the planner entry (day heading,
+// title, due time, submission badges). Unchanged items are reused until their TTL expires
+import crypto from "crypto";
+import fs from "fs";
+import logger from "./logger.js";
+import { SCHEMA_VERSION } from "./normalize.js";
+
+// AIDEV-NOTE: Bump SCRAPED_ITEM_VERSION whenever a scraper adds or changes item fields.
+// Cached items are reused as scraped, so without a bump unchanged pages would keep serving
+// items without the new fields. Either version changing discards the cache
+const SCRAPED_ITEM_VERSION = 4;
+const CACHE_VERSION = `${SCHEMA_VERSION}.${SCRAPED_ITEM_VERSION}`;
+
+// AIDEV-NOTE: Entries untouched for this long belong to items that left the planner window
+const PRUNE_AFTER_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Compute a stable fingerprint for a planner entry
+ * @param {...string} parts - Values that change when the item changes (href, planner text)
+ * @returns {string} SHA-256 hex digest
+ */
+export const computeFingerprint = (...parts) =>
+  crypto
+    .createHash("sha256")
+    .update(parts.map((part) => String(part ?? "")).join("\n"))
+    .digest("hex");
+
+/**
+ * Fingerprint a planner entry as read by the scraper
+ * @param {string} href - Item link
+ * @param {Object} entry - Planner entry texts
+ * @param {string} entry.dayText - Day heading the entry sits under - the row itself only
+ *   shows the due time, so a due date moved to another day changes nothing else
+ * @param {string} entry.plannerText - Entry text (title, due time, submission badges)
+ * @returns {string} SHA-256 hex digest
+ */
+export const computeEntryFingerprint = (href, { dayText, plannerText } = {}) =>
+  computeFingerprint(href, (dayText || "").split("\n")[0].trim(), plannerText);
+
+/**
+ * Load the item cache from disk
+ * @param {Object} cacheConfig - `config.scraper.cache` settings
+ * @param {boolean} cacheConfig.enabled - Whether caching is enabled
+ * @param {string} cacheConfig.path - Cache file path
+ * @param {string} sessionId - Session ID for logging correlation
+ * @returns {Object} Cache object `{ version, items: { [url]: entry } }`
+ */
+export const loadItemCache = (cacheConfig, sessionId) => {
+  const empty = { version: CACHE_VERSION, items: {} };
+  if (!cacheConfig?.enabled || !fs.existsSync(cacheConfig.path)) {
+    return empty;
+  }
+
+  try {
+    const cache = JSON.parse(fs.readFileSync(cacheConfig.path, "utf-8"));
+    if (cache.version !== CACHE_VERSION || !cache.items) {
+      // AIDEV-NOTE: Old cache layout or item shape - start fresh rather than migrate
+      return empty;
+    }
+
+    logger.info("Loaded item cache", {
+      context: "item_cache",
+      sessionId: sessionId,
+      path: cacheConfig.path,
+      entries: Object.keys(cache.items).length,
+      operation: "cache_load",
+    });
+    return cache;
+  } catch (error) {
+    logger.warn("Failed to load item cache, starting empty", {
+      context: "item_cache",
+      sessionId: sessionId,
+      error: error.message,
+      path: cacheConfig.path,
+      operation: "cache_load",
+    });
+    return empty;
+  }
+};
+
+/**
+ * Look up a cached item that can be reused without rescraping
+ * @param {Object} cache - Cache object from loadItemCache
+ * @param {string} url - Canvas item URL
+ * @param {string} fingerprint - Current planner fingerprint
+ * @param {Object} cacheConfig - `config.scraper.cache` settings (ttlMs, fullRefresh)
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object|null} Cached item data, or null if missing, changed, or expired
+ */
+export const getCachedItem = (
+  cache,
+  url,
+  fingerprint,
+  cacheConfig,
+  now = Date.now(),
+) => {
+  if (!cacheConfig?.enabled || cacheConfig.fullRefresh) return null;
+
+  const entry = cache.items[url];
+  if (!entry || entry.fingerprint !== fingerprint) return null;
+  if (now - entry.scrapedAt > cacheConfig.ttlMs) return null;
+
+  entry.lastSeenAt = now;
+  return entry.data;
+};
+
+/**
+ * Record freshly scraped item data
+ * @param {Object} cache - Cache object from loadItemCache
+ * @param {string} url - Canvas item URL
+ * @param {string} fingerprint - Planner fingerprint at scrape time
+ * @param {Object} data - Scraped item data
+ * @param {number} now - Current time in milliseconds
+ */
+export const setCachedItem = (
+  cache,
+  url,
+  fingerprint,
+  data,
+  now = Date.now(),
+) => {
+  cache.items[url] = { fingerprint, scrapedAt: now, lastSeenAt: now, data };
+};
+
+/**
+ * Write the item cache to disk, pruning entries not seen for a long time
+ * @param {Object} cache - Cache object from loadItemCache
+ * @param {Object} cacheConfig - `config.scraper.cache` settings
+ * @param {string} sessionId - Session ID for logging correlation
+ * @param {number} now - Current time in milliseconds
+ */
+export const saveItemCache = (
+  cache,
+  cacheConfig,
+  sessionId,
+  now = Date.now(),
+) => {
+  if (!cacheConfig?.enabled) return;
+
+  for (const [url, entry] of Object.entries(cache.items)) {
+    if (now - (entry.lastSeenAt || entry.scrapedAt) > PRUNE_AFTER_MS) {
+      delete cache.items[url];
+    }
+  }
+
+  try {
+    fs.writeFileSync(cacheConfig.path, JSON.stringify(cache, null, 2));
+    logger.info("Saved item cache", {
+      context: "item_cache",
+      sessionId: sessionId,
+      path: cacheConfig.path,
+      entries: Object.keys(cache.items).length,
+      operation: "cache_save",
+    });
+  } catch (error) {
+    // AIDEV-NOTE: Non-critical - the next run just rescrapes everything
+    logger.warn("Failed to save item cache", {
+      context: "item_cache",
+      sessionId: sessionId,
+      error: error.message,
+      path: cacheConfig.path,
+      operation: "cache_save",
+    });
+  }
+};
@@ -0,0 +1,37 @@
+import { LOGIN_STRATEGIES } from "./strategies.js";
+import { MFA_STRATEGIES } from "./mfa.js";
+
+// AIDEV-NOTE: Login strategy registry - resolves CANVAS_LOGIN_STRATEGY / CANVAS_MFA_STRATEGY
+// names to strategy objects so performCanvasLogin stays provider-agnostic
+
+export { LOGIN_STRATEGIES, MFA_STRATEGIES };
+export { generateTotp } from "./totp.js";
+
+/**
+ * Resolve the configured login and MFA strategies
+ * @param {Object} loginConfig - `config.login` settings
+ * @param {string} loginConfig.strategy - Login strategy name (default: "form")
+ * @param {string} loginConfig.mfa - MFA strategy name (default: "none")
+ * @returns {{ login: Object, mfa: Object }} Resolved strategies
+ * @throws {Error} If a configured strategy name is unknown
+ */
+export const resolveLoginStrategies = (loginConfig = {}) => {
+  const loginName = loginConfig.strategy || "form";
+  const mfaName = loginConfig.mfa || "none";
+
+  const login = LOGIN_STRATEGIES[loginName];
+  if (!login) {
+    throw new Error(
+      `Unknown login strategy "${loginName}". Available: ${Object.keys(LOGIN_STRATEGIES).join(", ")}`,
+    );
+  }
+
+  const mfa = MFA_STRATEGIES[mfaName];
+  if (!mfa) {
+    throw new Error(
+      `Unknown MFA strategy "${mfaName}". Available: ${Object.keys(MFA_STRATEGIES).join(", ")}`,
+    );
+  }
+
+  return { login, mfa };
+};
@@ -0,0 +1,104 @@
+import logger from "../logger.js";
+import { resolveSelector } from "../selector-profiles.js";
+import { generateTotp } from "./totp.js";
+
+// AIDEV-NOTE: Multi-factor strategies run after the login strategy submits credentials
+// Strategy shape: { name, complete: async (page, loginConfig, operationStats) => void }
+
+const MFA_SELECTORS = {
+  // Common one-time-code inputs (Microsoft, Duo passcode, Okta, Google, generic)
+  codeInput:
+    'input[autocomplete="one-time-code"], input[name="otc"], input[name="passcode"], input[name="totpPin"], input[name="code"]',
+  submit: 'button[type="submit"], input[type="submit"]',
+};
+
+const noneStrategy = {
+  name: "none",
+  complete: async () => {},
+};
+
+// AIDEV-NOTE: Fills the one-time code from CANVAS_TOTP_SECRET. If no code prompt shows up
+// (e.g. the IdP remembered this device) the step is skipped rather than failing the login
+const totpStrategy = {
+  name: "totp",
+  complete: async (page, loginConfig, operationStats) => {
+    if (!loginConfig.totpSecret) {
+      throw new Error("TOTP MFA strategy requires CANVAS_TOTP_SECRET");
+    }
+
+    const inputSelector =
+      loginConfig.totpInputSelector || MFA_SELECTORS.codeInput;
+    const promptShown = await page
+      .waitForSelector(inputSelector, { state: "visible", timeout: 15000 })
+      .then(() => true)
+      .catch(() => false);
+
+    if (!promptShown) {
+      logger.info("No one-time code prompt detected, skipping TOTP step", {
+        context: "authentication",
+        sessionId: operationStats.sessionId,
+        selector: inputSelector,
+        operation: "mfa_totp",
+      });
+      return;
+    }
+
+    await page.fill(inputSelector, generateTotp(loginConfig.totpSecret));
+    await page.click(MFA_SELECTORS.submit);
+
+    logger.info("Submitted TOTP code", {
+      context: "authentication",
+      sessionId: operationStats.sessionId,
+      operation: "mfa_totp",
+    });
+  },
+};
+
+// AIDEV-NOTE: Waits for the user to approve a push notification (Duo, Microsoft
+// Authenticator, ...). Runs the browser headed so any on-screen prompt can be answered
+const manualStrategy = {
+  name: "manual",
+  requiresHeadedBrowser: true,
+  complete: async (page, loginConfig, operationStats) => {
+    const timeout = loginConfig.mfaTimeout;
+
+    console.log(
+      `\n🔐 Waiting up to ${Math.round(timeout / 1000)}s for you to approve the sign-in (push notification or browser prompt)...`,
+    );
+    logger.info("Waiting for manual MFA approval", {
+      context: "authentication",
+      sessionId: operationStats.sessionId,
+      timeout: timeout,
+      operation: "mfa_manual",
+    });
+
+    try {
+      await page.waitForSelector(
+        await resolveSelector(page, "navigation.dashboardLink"),
+        {
+          state: "attached",
+          timeout: timeout,
+        },
+      );
+    } catch (approvalError) {
+      logger.error("Manual MFA approval not received in time", {
+        context: "authentication",
+        sessionId: operationStats.sessionId,
+        error: approvalError.message,
+        timeout: timeout,
+        currentUrl: page.url(),
+        operation: "mfa_manual",
+      });
+      throw approvalError;
+    }
+
+    console.log("✅ Sign-in approved.\n");
+  },
+};
+
+// AIDEV-NOTE: Built-in MFA strategies selectable with CANVAS_MFA_STRATEGY
+export const MFA_STRATEGIES = {
+  none: noneStrategy,
+  totp: totpStrategy,
+  manual: manualStrategy,
+};
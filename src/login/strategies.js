@@ -0,0 +1,185 @@
+import logger from "../logger.js";
+import { resolveSelector } from "../selector-profiles.js";
+
+// AIDEV-NOTE: Login strategies for the identity providers in front of Canvas. Each strategy
+// only submits credentials - post-login verification (dashboard link) stays in canvas-scraper.js
+// Strategy shape: { name, login: async (page, account, operationStats) => void }
+
+// AIDEV-NOTE: Login page selectors per provider. Comma-separated CSS matches whichever
+// variant the provider renders, so minor layout differences don't need a new strategy
+const LOGIN_SELECTORS = {
+  // Canvas's own login page (no external SSO)
+  canvas: {
+    username:
+      'input[name="pseudonym_session[unique_id]"], input#pseudonym_session_unique_id',
+    password:
+      'input[name="pseudonym_session[password]"], input#pseudonym_session_password',
+    submit: 'button[type="submit"], input[type="submit"]',
+  },
+  // Generic SAML IdP / Shibboleth login form
+  saml: {
+    username:
+      'input[name="j_username"], input[name="username"], input#username, input[type="email"]',
+    password:
+      'input[name="j_password"], input[name="password"], input#password, input[type="password"]',
+    submit:
+      'button[name="_eventId_proceed"], button[type="submit"], input[type="submit"]',
+  },
+  // Username and password on separate screens with a "Next" button in between
+  multiStep: {
+    username:
+      'input[name="username"], input[name="loginfmt"], input[type="email"], input#username',
+    next: 'button[type="submit"], input[type="submit"], button:has-text("Next")',
+    password:
+      'input[name="password"], input[name="passwd"], input[type="password"]',
+    submit:
+      'button[type="submit"], input[type="submit"], button:has-text("Sign in")',
+  },
+  microsoft: {
+    username: 'input[name="loginfmt"]',
+    next: "input#idSIButton9",
+    password: 'input[name="passwd"]',
+    submit: "input#idSIButton9",
+    // "Stay signed in?" prompt - answer "No" so no persistent Microsoft cookie is set
+    staySignedInNo: "input#idBtn_Back",
+  },
+  google: {
+    username: 'input[type="email"]',
+    next: "#identifierNext",
+    password: 'input[type="password"][name="Passwd"], input[type="password"]',
+    submit: "#passwordNext",
+  },
+};
+
+/**
+ * Create a strategy for single-page username/password/submit login forms
+ * @param {string} name - Strategy name used in config and logs
+ * @param {Object|string} selectors - { username, password, submit } selectors, or the
+ *   selector profile group holding them (e.g. "login" for login.username, ...)
+ * @returns {Object} Login strategy
+ */
+export const createFormStrategy = (name, selectors) => ({
+  name,
+  login: async (page, account, operationStats) => {
+    // AIDEV-NOTE: Profile keys are resolved one field at a time, after the previous field
+    // appeared, so candidates for later fields are tried against the rendered form
+    const resolved = {};
+    const resolve = async (field) => {
+      resolved[field] =
+        typeof selectors === "string"
+          ? await resolveSelector(page, `${selectors}.${field}`)
+          : selectors[field];
+      return resolved[field];
+    };
+
+    // Check if login form elements are present
+    try {
+      await page.waitForSelector(await resolve("username"), { timeout: 15000 });
+      await page.waitForSelector(await resolve("password"), { timeout: 5000 });
+      await page.waitForSelector(await resolve("submit"), { timeout: 5000 });
+    } catch (selectorError) {
+      // AIDEV-NOTE: Login form selector error handling with page content debugging
+      logger.error("Canvas login form elements not found", {
+        context: "authentication",
+        sessionId: operationStats.sessionId,
+        error: selectorError.message,
+        url: page.url(),
+        pageTitle: await page.title().catch(() => "Unknown"),
+        strategy: name,
+        selectors: resolved,
+        operation: "form_element_detection",
+      });
+      throw selectorError;
+    }
+
+    // Fill login form
+    await page.fill(resolved.username, account.username);
+    await page.fill(resolved.password, account.password);
+
+    // Submit form
+    await page.click(resolved.submit);
+  },
+});
+
+/**
+ * Create a strategy that walks through a sequence of login screens
+ * @param {string} name - Strategy name used in config and logs
+ * @param {Array<Object>} steps - Ordered steps:
+ *   { action: "fill", selector, value: "username"|"password" } or
+ *   { action: "click", selector, optional?: boolean }
+ * @returns {Object} Login strategy
+ */
+export const createMultiStepStrategy = (name, steps) => ({
+  name,
+  login: async (page, account, operationStats) => {
+    for (const [index, step] of steps.entries()) {
+      try {
+        await page.waitForSelector(step.selector, {
+          state: "visible",
+          timeout: step.optional ? 5000 : 15000,
+        });
+
+        if (step.action === "fill") {
+          await page.fill(step.selector, account[step.value]);
+        } else {
+          await page.click(step.selector);
+        }
+
+        logger.debug("Login step completed", {
+          context: "authentication",
+          sessionId: operationStats.sessionId,
+          strategy: name,
+          step: index + 1,
+          action: step.action,
+          selector: step.selector,
+        });
+      } catch (stepError) {
+        // AIDEV-NOTE: Optional steps (e.g. "Stay signed in?") may never appear
+        if (step.optional) continue;
+
+        logger.error("Login step failed", {
+          context: "authentication",
+          sessionId: operationStats.sessionId,
+          error: stepError.message,
+          strategy: name,
+          step: index + 1,
+          action: step.action,
+          selector: step.selector,
+          url: page.url(),
+          pageTitle: await page.title().catch(() => "Unknown"),
+          operation: "multi_step_login",
+        });
+        throw stepError;
+      }
+    }
+  },
+});
+
+const buildSteps = (selectors) => [
+  { action: "fill", selector: selectors.username, value: "username" },
+  { action: "click", selector: selectors.next },
+  { action: "fill", selector: selectors.password, value: "password" },
+  { action: "click", selector: selectors.submit },
+];
+
+// AIDEV-NOTE: Built-in login strategies selectable with CANVAS_LOGIN_STRATEGY
+export const LOGIN_STRATEGIES = {
+  // Original CU IdentiKey layout - uses the centralized SELECTORS.login through the
+  // selector profiles
+  form: createFormStrategy("form", "login"),
+  canvas: createFormStrategy("canvas", LOGIN_SELECTORS.canvas),
+  saml: createFormStrategy("saml", LOGIN_SELECTORS.saml),
+  "multi-step": createMultiStepStrategy(
+    "multi-step",
+    buildSteps(LOGIN_SELECTORS.multiStep),
+  ),
+  microsoft: createMultiStepStrategy("microsoft", [
+    ...buildSteps(LOGIN_SELECTORS.microsoft),
+    {
+      action: "click",
+      selector: LOGIN_SELECTORS.microsoft.staySignedInNo,
+      optional: true,
+    },
+  ]),
+  google: createMultiStepStrategy("google", buildSteps(LOGIN_SELECTORS.google)),
+};
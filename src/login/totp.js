@@ -0,0 +1,69 @@
+import crypto from "crypto";
+
+// AIDEV-NOTE: RFC 6238 time-based one-time password generation, used by the "totp" MFA
+// strategy so unattended runs can answer authenticator-app prompts from a stored secret
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/**
+ * Decode an RFC 4648 base32 string (the format authenticator apps use for secrets)
+ * @param {string} input - Base32 secret, spaces/dashes/padding allowed
+ * @returns {Buffer} Decoded secret bytes
+ */
+export const decodeBase32 = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=-]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character "${char}" in TOTP secret`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a TOTP code for the given secret
+ * @param {string} secret - Base32-encoded shared secret
+ * @param {Object} options - Generation options
+ * @param {number} options.timestamp - Time in milliseconds (default: now)
+ * @param {number} options.period - Time step in seconds (default: 30)
+ * @param {number} options.digits - Code length (default: 6)
+ * @returns {string} Zero-padded one-time code
+ *
+ * @example
+ * generateTotp("GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ", { timestamp: 59000 }) -> "287082"
+ */
+export const generateTotp = (
+  secret,
+  { timestamp = Date.now(), period = 30, digits = 6 } = {},
+) => {
+  const counter = Math.floor(timestamp / 1000 / period);
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac("sha1", decodeBase32(secret))
+    .update(counterBuffer)
+    .digest();
+
+  // Dynamic truncation (RFC 4226 section 5.3)
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, "0");
+};
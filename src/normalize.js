@@ -0,0 +1,319 @@
+import { parse } from "chrono-node";
+import {
+  getHostTimezone,
+  getZonedComponents,
+  zonedTimeToUtc,
+} from "./timezone.js";
+
+// AIDEV-NOTE: Normalization layer between the scrapers and everything downstream. Both
+// backends return loosely shaped items ({ class_name, title, due_date: { string }, ... });
+// normalizeItem() turns them into one versioned schema that output.json and every exporter
+// consume, so due dates are parsed exactly once. Bump SCHEMA_VERSION on breaking changes
+
+export const SCHEMA_VERSION = 1;
+
+// AIDEV-NOTE: Canvas URL path segments that are followed by an item ID
+const URL_ITEM_SEGMENTS = [
+  "assignments",
+  "quizzes",
+  "discussion_topics",
+  "announcements",
+  "pages",
+  "calendar_events",
+];
+
+// AIDEV-NOTE: Placeholder texts the scrapers use when an item has no date
+const NO_DATE_PATTERN = /^no (due|publish) date$/i;
+
+/**
+ * Extract Canvas course and item IDs from an item URL
+ * @param {string} url - Absolute or relative Canvas item URL
+ * @returns {Object} { course_id, item_id } (null when not present)
+ *
+ * @example
+ * parseCanvasUrl("https://canvas.test/courses/12/assignments/345") -> { course_id: "12", item_id: "345" }
+ */
+export const parseCanvasUrl = (url) => {
+  const result = { course_id: null, item_id: null };
+  if (!url) return result;
+
+  let pathname;
+  try {
+    pathname = new URL(url, "https://canvas.invalid").pathname;
+  } catch {
+    return result;
+  }
+
+  const segments = pathname.split("/").filter(Boolean);
+  const courseIndex = segments.indexOf("courses");
+  if (courseIndex !== -1 && segments[courseIndex + 1]) {
+    result.course_id = segments[courseIndex + 1];
+  }
+
+  const itemIndex = segments.findIndex((segment) =>
+    URL_ITEM_SEGMENTS.includes(segment),
+  );
+  if (itemIndex !== -1 && segments[itemIndex + 1]) {
+    result.item_id = segments[itemIndex + 1];
+  }
+
+  return result;
+};
+
+/**
+ * Parse Canvas due date text ("Mon Sep 22, 2025 4:00pm") into an ISO-8601 timestamp
+ * @param {string} text - Raw due date text as shown by Canvas
+ * @param {string} timeZone - IANA timezone the text is written in (default: host timezone)
+ * @param {Date} now - Reference date for relative and year-less dates (default: current time)
+ * @param {boolean} forwardDate - Resolve year-less dates into the future (false for past
+ *   events such as submission times)
+ * @returns {string|null} UTC ISO-8601 timestamp, or null when there is no parseable date
+ *
+ * @example
+ * parseDueDate("Mon Sep 22, 2025 11:59pm", "America/Denver") -> "2025-09-23T05:59:00.000Z"
+ */
+export const parseDueDate = (
+  text,
+  timeZone = getHostTimezone(),
+  now = new Date(),
+  forwardDate = true,
+) => {
+  const cleaned = String(text || "")
+    .replace(/^Due:\s*/i, "")
+    .trim();
+  if (!cleaned || NO_DATE_PATTERN.test(cleaned)) return null;
+
+  // AIDEV-NOTE: chrono works in host-local time, so hand it a reference whose local fields
+  // are the institution's wall clock ("today"/"tomorrow" resolve in that zone) and convert
+  // the parsed wall-clock components with the zone's DST rules afterwards
+  const wallClock = getZonedComponents(now, timeZone);
+  const reference = new Date(
+    wallClock.year,
+    wallClock.month - 1,
+    wallClock.day,
+    wallClock.hour,
+    wallClock.minute,
+    wallClock.second,
+  );
+
+  const [result] = parse(cleaned, reference, { forwardDate });
+  if (!result) return null;
+
+  const { start } = result;
+  if (start.isCertain("timezoneOffset")) {
+    return start.date().toISOString();
+  }
+
+  return zonedTimeToUtc(
+    {
+      year: start.get("year"),
+      month: start.get("month"),
+      day: start.get("day"),
+      hour: start.get("hour"),
+      minute: start.get("minute"),
+      second: start.get("second"),
+    },
+    timeZone,
+  ).toISOString();
+};
+
+/**
+ * Convert a scraped item into the normalized output schema
+ * @param {Object} item - Item from scrapeCanvas/scrapeCanvasApi or an older output.json
+ * @param {Object} options - Normalization options
+ * @param {string} options.timeZone - Institution timezone, used when the item has none
+ * @param {Date} options.now - Reference date for due date parsing
+ * @returns {Object} Normalized item:
+ *   { schema_version, id, course_id, item_id, type, title, class_name, url,
+ *     due_at, due_date: { string }, posted_at, time_zone, points_possible, status,
+ *     submission, submission_types, attachments, links, rubric, quiz, discussion,
+ *     event, peer_review, description }
+ */
+export const normalizeItem = (
+  item,
+  { timeZone = getHostTimezone(), now = new Date() } = {},
+) => {
+  // AIDEV-NOTE: Scrapers tag items with the zone Canvas rendered them in (auto-detection)
+  const time_zone = item.time_zone || timeZone;
+  const fromUrl = parseCanvasUrl(item.url);
+  const course_id = toId(item.course_id) ?? fromUrl.course_id;
+  const item_id = toId(item.item_id) ?? fromUrl.item_id;
+  const type = item.type || "unknown";
+  const rawDue = item.due_date?.string ?? null;
+  const submission = normalizeSubmission(item.submission, time_zone, now);
+
+  return {
+    schema_version: SCHEMA_VERSION,
+    // AIDEV-NOTE: Browser-scraped planner notes have neither an ID nor a URL
+    id: item_id
+      ? `${type}:${item_id}`
+      : item.url || (item.title ? `${type}:${item.title}` : null),
+    course_id,
+    item_id,
+    type,
+    title: item.title || "",
+    class_name: item.class_name || "Unknown Class",
+    url: item.url || null,
+    // AIDEV-NOTE: Keep an existing timestamp (API backend, already-normalized items) so
+    // re-normalizing output.json never shifts year-less dates
+    due_at: toIso(item.due_at) ?? parseDueDate(rawDue, time_zone, now),
+    due_date: { string: rawDue },
+    // AIDEV-NOTE: Publish date of announcements/discussions (their due_at is separate)
+    posted_at:
+      toIso(item.posted_at) ??
+      parseDueDate(item.posted_at, time_zone, now, false),
+    time_zone,
+    points_possible: toNumber(item.points_possible),
+    status: submission?.workflow_state ?? item.status ?? null,
+    submission,
+    submission_types: item.submission_types || [],
+    attachments: item.attachments || [],
+    links: item.links || [],
+    rubric: item.rubric || null,
+    quiz: normalizeQuiz(item.quiz, time_zone, now),
+    discussion: normalizeDiscussion(item.discussion, time_zone, now),
+    event: normalizeEvent(item.event, time_zone, now),
+    peer_review: item.peer_review
+      ? {
+          assignment_title: item.peer_review.assignment_title ?? null,
+          assignment_url: item.peer_review.assignment_url ?? null,
+          reviewee: item.peer_review.reviewee ?? null,
+        }
+      : null,
+    description: item.description ?? null,
+  };
+};
+
+// AIDEV-NOTE: Workflow states where the student has nothing left to hand in
+const DONE_STATES = ["submitted", "graded", "pending_review"];
+
+/**
+ * Check whether Canvas shows the item's work as handed in
+ * @param {Object} item - Normalized item
+ * @returns {boolean} True for submitted or graded items
+ */
+export const isSubmitted = (item) =>
+  DONE_STATES.includes(item?.submission?.workflow_state);
+
+/**
+ * Check whether the instructor asked for the item's work to be handed in again
+ * @param {Object} item - Normalized item
+ * @returns {boolean} True when Canvas flags a resubmission request
+ */
+export const isResubmissionRequested = (item) =>
+  !!item?.submission?.redo_request;
+
+/**
+ * Normalize a scraped submission (submitted_at text/ISO -> ISO in the item's timezone)
+ * @private
+ */
+const normalizeSubmission = (submission, timeZone, now) => {
+  if (!submission) return null;
+  return {
+    workflow_state: submission.workflow_state ?? null,
+    submitted_at:
+      toIso(submission.submitted_at) ??
+      parseDueDate(submission.submitted_at, timeZone, now, false),
+    late: !!submission.late,
+    missing: !!submission.missing,
+    score: toNumber(submission.score),
+    grade: submission.grade ?? null,
+    // AIDEV-NOTE: Set when the instructor asked for a resubmission (API mode only)
+    redo_request: !!submission.redo_request,
+  };
+};
+
+/**
+ * Normalize a list of scraped items
+ * @param {Array} items - Scraped items
+ * @param {Object} options - See normalizeItem
+ * @returns {Array} Normalized items in the same order
+ */
+export const normalizeItems = (items, options = {}) =>
+  (items || []).map((item) => normalizeItem(item, options));
+
+/**
+ * Normalize quiz metadata (availability text/ISO -> ISO in the item's timezone)
+ * @private
+ */
+const normalizeQuiz = (quiz, timeZone, now) => {
+  if (!quiz) return null;
+  // AIDEV-NOTE: Availability windows can start in the past, so no forward-dating
+  const toTimestamp = (value) =>
+    toIso(value) ?? parseDueDate(value, timeZone, now, false);
+  return {
+    engine: quiz.engine || "classic",
+    question_count: toNumber(quiz.question_count),
+    time_limit_minutes: toNumber(quiz.time_limit_minutes),
+    allowed_attempts: toNumber(quiz.allowed_attempts),
+    unlock_at: toTimestamp(quiz.unlock_at),
+    lock_at: toTimestamp(quiz.lock_at),
+  };
+};
+
+/**
+ * Normalize graded discussion requirements (checkpoint due text/ISO -> ISO)
+ * @private
+ */
+const normalizeDiscussion = (discussion, timeZone, now) => {
+  if (!discussion) return null;
+  const toTimestamp = (value) =>
+    toIso(value) ?? parseDueDate(value, timeZone, now);
+  return {
+    graded: !!discussion.graded,
+    require_initial_post: !!discussion.require_initial_post,
+    required_replies: toNumber(discussion.required_replies) ?? 0,
+    reply_to_topic_due: toTimestamp(discussion.reply_to_topic_due),
+    required_replies_due: toTimestamp(discussion.required_replies_due),
+    peer_reviews: !!discussion.peer_reviews,
+  };
+};
+
+/**
+ * Normalize calendar event times (planner text/ISO -> ISO)
+ * @private
+ */
+const normalizeEvent = (event, timeZone, now) => {
+  if (!event) return null;
+  const toTimestamp = (value) =>
+    toIso(value) ?? parseDueDate(value, timeZone, now);
+  return {
+    event_id: toId(event.event_id),
+    start_at: toTimestamp(event.start_at),
+    end_at: toTimestamp(event.end_at),
+    all_day: !!event.all_day,
+  };
+};
+
+/**
+ * Coerce a Canvas ID (number or string) to a string
+ * @private
+ */
+const toId = (value) =>
+  value === undefined || value === null || value === "" ? null : String(value);
+
+/**
+ * Re-serialize a timestamp as UTC ISO-8601
+ * @private
+ */
+const toIso = (value) => {
+  // Free text ("Sep 20 3:15pm") goes through parseDueDate so it gets the right timezone
+  if (
+    !value ||
+    (typeof value === "string" && !/^\d{4}-\d{2}-\d{2}T/.test(value))
+  ) {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Coerce points ("10", 10) to a number
+ * @private
+ */
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
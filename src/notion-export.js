@@ -1,7 +1,9 @@
 // AIDEV-NOTE: Notion export module handles all Notion API integration and page management
 import { Client } from "@notionhq/client";
-import { parseDate } from "chrono-node";
 import logger from "./logger.js";
+import { formatInTimezone, getHostTimezone } from "./timezone.js";
+import { getCourseLabel } from "./course-registry.js";
+import { isSubmitted } from "./normalize.js";
 
 /**
  * Export assignments to Notion with duplicate detection and error handling
@@ -93,82 +95,52 @@ export async function exportToNotion(
       operation: "database_query_complete",
     });
 
-    const ref_date = Date();
-
     // AIDEV-NOTE: Process assignments sequentially to avoid rate limiting
     for (const item of assignments) {
-      try {
-        // AIDEV-NOTE: Date processing debug logging for timezone handling
-        logger.debug("Processing assignment date", {
+      // AIDEV-NOTE: Work already handed in on Canvas doesn't need a page
+      if (config.exportOptions?.skipSubmitted && isSubmitted(item)) {
+        operationStats.apiStats.notion.skipped++;
+        logger.info("Skipping submitted assignment", {
           context: "notion_export",
           sessionId: sessionId,
           title: item.title,
-          originalDate: item["due_date"]["string"],
-          timezone: "MDT",
+          reason: "Submitted on Canvas",
+          workflowState: item.submission.workflow_state,
         });
+        continue;
+      }
 
-        let temp_date;
-        try {
-          temp_date = parseDate(item["due_date"]["string"], ref_date, {
-            timezone: "MDT",
-            forwardDate: true,
-          });
-
-          if (!temp_date) {
-            throw new Error("Date parsing returned null");
-          }
-
-          // AIDEV-NOTE: Date parsing debug logging with parsed result
-          logger.debug("Date parsed by chrono-node", {
-            context: "notion_export",
-            sessionId: sessionId,
-            title: item.title,
-            parsedDate: temp_date,
-          });
-        } catch (dateParseError) {
-          // AIDEV-NOTE: Date parsing error with fallback behavior
-          logger.warn("Failed to parse assignment date, using current date", {
+      try {
+        // AIDEV-NOTE: Due dates arrive parsed as ISO-8601 from normalizeItem()
+        let due_date = item.due_at;
+        if (!due_date) {
+          logger.warn("Assignment has no due date, using current date", {
             context: "notion_export",
             sessionId: sessionId,
-            error: dateParseError.message,
             title: item.title,
-            originalDate: item["due_date"]["string"],
+            originalDate: item.due_date?.string,
             fallbackDate: new Date().toISOString(),
             operation: "date_parsing",
           });
-          temp_date = new Date(); // Fallback to current date
+          due_date = new Date().toISOString();
         }
 
-        try {
-          temp_date = new Date(temp_date);
-
-          // AIDEV-NOTE: Timezone offset adjustment for Notion API compatibility
-          // FIXME: I'm not sure why I have to do this with notion to offset the timezone
-          // I wish notion had a way to change it, but it doesn't seem to work
-          temp_date.setHours(temp_date.getHours() - 7);
+        // AIDEV-NOTE: Notion renders a start with a UTC offset in UTC, so send the
+        // institution's wall-clock time plus its IANA zone and let Notion apply DST
+        const time_zone = item.time_zone || getHostTimezone();
+        const due_date_property = {
+          start: formatInTimezone(due_date, time_zone).slice(0, 19),
+          time_zone: time_zone,
+        };
 
-          // AIDEV-NOTE: Final date debug logging after timezone offset
-          logger.debug("Final date after timezone adjustment", {
-            context: "notion_export",
-            sessionId: sessionId,
-            title: item.title,
-            finalDate: temp_date,
-            isoString: temp_date.toISOString(),
-          });
-
-          item["due_date"]["string"] = temp_date.toISOString();
-        } catch (dateProcessError) {
-          // AIDEV-NOTE: Date processing error with recovery
-          logger.error("Date processing failed, using original date", {
-            context: "notion_export",
-            sessionId: sessionId,
-            error: dateProcessError.message,
-            title: item.title,
-            originalDate: item["due_date"]["string"],
-            operation: "date_processing",
-          });
-          // Keep original date if processing fails
-        }
+        logger.debug("Notion due date prepared", {
+          context: "notion_export",
+          sessionId: sessionId,
+          title: item.title,
+          dueAt: item.due_at,
+          start: due_date_property.start,
+          timeZone: time_zone,
+        });
 
         let previous_item;
         try {
@@ -227,9 +199,7 @@ export async function exportToNotion(
                   ],
                 },
                 "Due Date": {
-                  date: {
-                    start: item["due_date"]["string"],
-                  },
+                  date: due_date_property,
                 },
                 Tags: {
                   multi_select: [
@@ -237,7 +207,7 @@ export async function exportToNotion(
                       name: "School",
                     },
                     {
-                      name: item["class_name"],
+                      name: getCourseLabel(item),
                     },
                   ],
                 },
@@ -264,7 +234,7 @@ export async function exportToNotion(
               assignmentTitle: item.title,
               pageId: update_response.id,
               className: item.class_name,
-              dueDate: item.due_date.string,
+              dueDate: due_date,
               duration: endTime - startTime,
               action: "update_complete",
               apiStats: operationStats.apiStats.notion,
@@ -284,7 +254,7 @@ export async function exportToNotion(
               assignmentTitle: item.title,
               pageId: previous_item.id,
               className: item.class_name,
-              dueDate: item.due_date.string,
+              dueDate: due_date,
               operation: "page_update",
               apiStats: operationStats.apiStats.notion,
             });
@@ -297,7 +267,7 @@ export async function exportToNotion(
               sessionId: sessionId,
               title: item.title,
               className: item.class_name,
-              dueDate: item.due_date.string,
+              dueDate: due_date,
               action: "create",
             });
 
@@ -316,9 +286,7 @@ export async function exportToNotion(
                   ],
                 },
                 "Due Date": {
-                  date: {
-                    start: item["due_date"]["string"],
-                  },
+                  date: due_date_property,
                 },
                 PRIORITY: {
                   number: 3,
@@ -334,7 +302,7 @@ export async function exportToNotion(
                       name: "School",
                     },
                     {
-                      name: item["class_name"],
+                      name: getCourseLabel(item),
                     },
                   ],
                 },
@@ -361,7 +329,7 @@ export async function exportToNotion(
               assignmentTitle: item.title,
               pageId: response.id,
               className: item.class_name,
-              dueDate: item.due_date.string,
+              dueDate: due_date,
               priority: 3,
               status: "Not Started",
               duration: endTime - startTime,
@@ -382,7 +350,7 @@ export async function exportToNotion(
               requestId: e.request_id,
               assignmentTitle: item.title,
               className: item.class_name,
-              dueDate: item.due_date.string,
+              dueDate: due_date,
               stack: e.stack,
               action: "create_error",
               apiStats: operationStats.apiStats.notion,
@@ -0,0 +1,284 @@
+import { parseDate } from "chrono-node";
+import logger from "./logger.js";
+import { resolveSelector, getCssSelector } from "./selector-profiles.js";
+import { parseDueDate } from "./normalize.js";
+import { getHostTimezone } from "./timezone.js";
+
+// AIDEV-NOTE: Planner enumeration - pages the Canvas planner until a configurable horizon
+// instead of clicking "Load more" a fixed number of times, optionally loading past days and
+// overdue (missing) items. Also used by the API backend to compute its date window
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// AIDEV-NOTE: Safety cap so a Canvas UI change can't turn paging into an endless loop
+const MAX_LOAD_CLICKS = 50;
+
+/**
+ * Resolve a planner horizon setting to an end-of-day Date
+ * @param {string} horizon - "30d", "6w", an ISO date ("2025-12-19"), or empty for the default
+ * @param {Date} now - Reference date (default: current time)
+ * @returns {Date} Last day (inclusive) that should be loaded
+ * @throws {Error} If the horizon can't be parsed
+ *
+ * @example
+ * parsePlannerHorizon("30d") -> 30 days from today, 23:59:59.999
+ * parsePlannerHorizon("2025-12-19") -> Dec 19 2025, 23:59:59.999 (e.g. end of term)
+ */
+export const parsePlannerHorizon = (horizon, now = new Date()) => {
+  const value = String(horizon || "21d")
+    .trim()
+    .toLowerCase();
+
+  const relative = value.match(/^(\d+)\s*([dw])$/);
+  let end;
+  if (relative) {
+    const days = parseInt(relative[1], 10) * (relative[2] === "w" ? 7 : 1);
+    end = new Date(now.getTime() + days * DAY_MS);
+  } else if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const [year, month, day] = value.split("-").map(Number);
+    end = new Date(year, month - 1, day);
+  } else {
+    throw new Error(
+      `Invalid planner horizon "${horizon}". Use e.g. "30d", "6w" or "2025-12-19"`,
+    );
+  }
+
+  end.setHours(23, 59, 59, 999);
+  return end;
+};
+
+/**
+ * Resolve how far back the planner should load
+ * @param {number} pastDays - Number of past days to include (0 = start today)
+ * @param {Date} now - Reference date (default: current time)
+ * @returns {Date} Start of the first day that should be loaded
+ */
+export const getPlannerStart = (pastDays, now = new Date()) => {
+  const start = new Date(now.getTime() - (pastDays || 0) * DAY_MS);
+  start.setHours(0, 0, 0, 0);
+  return start;
+};
+
+/**
+ * Parse a planner day heading ("Today", "Tomorrow", "Monday, September 29")
+ * @param {string} headingText - Heading inner text
+ * @param {Date} now - Reference date
+ * @param {boolean} forwardDate - Resolve year-less dates into the future (for days
+ *   after today, so "January 5" seen in December means next year)
+ * @returns {Date|null} Parsed date or null if unrecognized
+ */
+export const parsePlannerDayHeading = (
+  headingText,
+  now = new Date(),
+  forwardDate = false,
+) => {
+  const text = (headingText || "").split("\n")[0].trim();
+  if (!text) return null;
+  return parseDate(text, now, { forwardDate }) || null;
+};
+
+/**
+ * Classify planner entries that aren't verified from their item page
+ * @param {Object} entry - Planner entry read by the scraper
+ * @param {string} entry.typeLabel - Type label Canvas shows on the entry ("Page", "To Do", ...)
+ * @param {string|null} entry.href - Link of the entry (planner notes have none)
+ * @returns {string|null} "page", "calendar_event", "peer_review", "planner_note", or null
+ *   for entries identified from their page (assignments, quizzes, discussions)
+ */
+export const classifyPlannerItem = ({ typeLabel, href }) => {
+  const label = (typeLabel || "").trim().toLowerCase();
+  const path = href || "";
+
+  if (label === "calendar event" || /\/calendar(?:_events)?\b/.test(path)) {
+    return "calendar_event";
+  }
+  if (
+    label === "peer review" ||
+    /\/assignments\/\d+\/submissions\//.test(path)
+  ) {
+    return "peer_review";
+  }
+  if (label === "page" || /\/pages\//.test(path)) return "page";
+  // AIDEV-NOTE: Student-created to-dos open a tray instead of linking anywhere
+  if (label === "to do" || !path) return "planner_note";
+  return null;
+};
+
+/**
+ * Combine a planner day heading and an entry's time text into dates
+ * @param {string} dayText - Day heading ("Today", "Monday, September 29")
+ * @param {string} timeText - Entry time ("Due: 11:59 PM", "To Do: 9:00 AM",
+ *   "10:00 AM to 11:00 AM", "All Day")
+ * @param {string} timeZone - IANA timezone the planner is rendered in (default: host timezone)
+ * @param {Date} now - Reference date for relative and year-less headings
+ * @returns {Object} { start, end, start_at, end_at, all_day } - start/end are date text
+ *   with the heading resolved to an absolute date, start_at/end_at the UTC ISO timestamps;
+ *   start is null when the day heading is missing
+ *
+ * @example
+ * parsePlannerSchedule("Tomorrow", "Due: 11:59 PM", "America/Denver", new Date("2025-09-22T16:00:00Z"))
+ *   -> { start: "Tuesday, September 23, 2025 at 11:59 PM", end: null,
+ *        start_at: "2025-09-24T05:59:00.000Z", end_at: null, all_day: false }
+ */
+export const parsePlannerSchedule = (
+  dayText,
+  timeText,
+  timeZone = getHostTimezone(),
+  now = new Date(),
+) => {
+  const heading = (dayText || "").split("\n")[0].trim();
+  const time = (timeText || "").replace(/\s+/g, " ").trim();
+  if (!heading) {
+    return {
+      start: null,
+      end: null,
+      start_at: null,
+      end_at: null,
+      all_day: false,
+    };
+  }
+
+  // AIDEV-NOTE: Headings are relative ("Tomorrow") or year-less, so they're resolved
+  // against the scrape time here - cached items are re-normalized on later days
+  const headingAt = parseDueDate(heading, timeZone, now);
+  const day = headingAt ? formatDay(headingAt, timeZone) : heading;
+
+  const times = time.match(/\d{1,2}(?::\d{2})?\s*[AP]M/gi) || [];
+  const start = times[0] ? `${day} at ${times[0]}` : day;
+  const end = times[1] ? `${day} at ${times[1]}` : null;
+  return {
+    start,
+    end,
+    start_at: parseDueDate(start, timeZone, now),
+    end_at: end ? parseDueDate(end, timeZone, now) : null,
+    all_day: !times.length && /all day/i.test(time),
+  };
+};
+
+/**
+ * Page through the planner until the horizon is loaded
+ * @param {Object} page - Playwright page showing the planner
+ * @param {Object} plannerConfig - `config.scraper.planner` settings
+ * @param {string} plannerConfig.horizon - Horizon setting (see parsePlannerHorizon)
+ * @param {number} plannerConfig.pastDays - Past days to load
+ * @param {boolean} plannerConfig.includeOverdue - Whether to expand missing items
+ * @param {Object} operationStats - Statistics object (scrapingStats is updated)
+ * @returns {Promise<Object>} { days, items, loadClicks, horizon }
+ */
+export const loadPlannerItems = async (page, plannerConfig, operationStats) => {
+  const now = new Date();
+  const horizon = parsePlannerHorizon(plannerConfig.horizon, now);
+  const start = getPlannerStart(plannerConfig.pastDays, now);
+  let loadClicks = 0;
+
+  // AIDEV-NOTE: Future days - click "Load more" until the last loaded day passes the horizon
+  while (loadClicks < MAX_LOAD_CLICKS) {
+    const lastDay = await getEdgeDay(page, "last", now);
+    if (lastDay && lastDay > horizon) break;
+
+    const loaded = await clickAndWaitForDays(page, "planner.loadMore");
+    if (!loaded) break; // No button or nothing new - end of planner
+    loadClicks++;
+  }
+
+  // AIDEV-NOTE: Past days - "Load prior dates" until the first day is before the start date
+  if (plannerConfig.pastDays > 0) {
+    while (loadClicks < MAX_LOAD_CLICKS) {
+      const firstDay = await getEdgeDay(page, "first", now);
+      if (firstDay && firstDay < start) break;
+
+      const loaded = await clickAndWaitForDays(page, "planner.loadPrior");
+      if (!loaded) break;
+      loadClicks++;
+    }
+  }
+
+  // AIDEV-NOTE: Overdue items are collapsed behind a "Show N missing items" toggle
+  if (plannerConfig.includeOverdue) {
+    const missingToggle = page
+      .locator(await resolveSelector(page, "planner.showMissing"))
+      .first();
+    if (await missingToggle.isVisible().catch(() => false)) {
+      await missingToggle.click();
+      await page.waitForTimeout(1000);
+    }
+  }
+
+  const days = await page
+    .locator(await resolveSelector(page, "planner.day"))
+    .count();
+  const items = await page
+    .locator(await resolveSelector(page, "planner.items"))
+    .count();
+
+  operationStats.scrapingStats.plannerDaysScanned = days;
+  operationStats.scrapingStats.plannerItemsScanned = items;
+
+  logger.info("Planner enumeration completed", {
+    context: "scraping",
+    sessionId: operationStats.sessionId,
+    plannerDays: days,
+    plannerItems: items,
+    loadClicks: loadClicks,
+    horizon: horizon.toISOString(),
+    start: start.toISOString(),
+    reachedClickLimit: loadClicks >= MAX_LOAD_CLICKS,
+    operation: "planner_enumeration",
+  });
+
+  return { days, items, loadClicks, horizon };
+};
+
+/**
+ * Get the date of the first or last loaded planner day
+ * @private
+ */
+const getEdgeDay = async (page, edge, now) => {
+  const headings = page.locator(
+    await resolveSelector(page, "planner.dayHeading"),
+  );
+  const count = await headings.count();
+  if (count === 0) return null;
+
+  const heading = edge === "first" ? headings.first() : headings.last();
+  const text = await heading.innerText().catch(() => "");
+  return parsePlannerDayHeading(text, now, edge === "last");
+};
+
+/**
+ * Click a paging button and wait for more planner days to render
+ * @private
+ * @returns {Promise<boolean>} False when the button is missing or nothing loaded
+ */
+const clickAndWaitForDays = async (page, buttonKey) => {
+  const button = page.locator(await resolveSelector(page, buttonKey)).first();
+  if (!(await button.isVisible().catch(() => false))) return false;
+
+  // AIDEV-NOTE: The day count is polled with querySelectorAll, so it needs a CSS candidate
+  const daySelector = getCssSelector("planner.day");
+  const before = await page.locator(daySelector).count();
+  await button.click();
+
+  return page
+    .waitForFunction(
+      ({ selector, count }) =>
+        document.querySelectorAll(selector).length > count,
+      { selector: daySelector, count: before },
+      { timeout: 10000 },
+    )
+    .then(() => true)
+    .catch(() => false);
+};
+
+/**
+ * Format a timestamp as an absolute day ("Tuesday, September 23, 2025") in a timezone
+ * @private
+ */
+const formatDay = (isoString, timeZone) =>
+  new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    weekday: "long",
+    month: "long",
+    day: "numeric",
+    year: "numeric",
+  }).format(new Date(isoString));
@@ -1,36 +1,175 @@
 import logger from "../logger.js";
+import { classifyLinks } from "./links.js";
+import {
+  registerSelectors,
+  findElement,
+  resolveSelector,
+} from "../selector-profiles.js";
 
 // Assignment page selectors
 // consider swtiching to more 'pywright style' selectors
 const SELECTORS = {
   assignment: {
-    // Verification selector
-    container: "#assignment-student-header-content",
-    // Legacy verification selector (kept for reference)
-    containerOld: "div[id='assignment_show']",
+    // Verification selector - new assignment page, then the legacy page
+    container: [
+      "#assignment-student-header-content",
+      "div[id='assignment_show']",
+    ],
     // Data extraction selectors
-    // legacy title: 'h1[class="title"]',
     // await expect(page.getByTestId('title')).toContainText('Assignment Title');
-    title: '#assignment-student-header-content >> data-testid="title"',
+    title: [
+      '#assignment-student-header-content >> data-testid="title"',
+      { testId: "title" },
+      'h1[class="title"]',
+    ],
     status: 'data-testid="submission-workflow-tracker-title"', // e.g. "In Progress"
     subStatus: 'data-testid="submission-workflow-tracker-subtitle"', // e.g. "NEXT UP: Submit Assignment"
     // await expect(page.getByTestId('due-date')).toContainText('Due: Mon Sep 22, 2025 4:00pm');
-    // dueDate: "span[class='date_text']",
-    dueDate: (page) => page.getByTestId("due-date"),
+    dueDate: [{ testId: "due-date" }, "span[class='date_text']"],
     // getByTestId('assignments-2-assignment-toggle-details-text')
     // contains sub-elements, but innerText works well
     description:
       'div[data-testid="assignments-2-assignment-toggle-details-text"]',
+    // Points and posted score, e.g. "10 Points Possible" or "8/10 Points"
+    gradeDisplay: '[data-testid="grade-display"]',
+    // Status pills shown next to the header when Canvas flags the submission
+    latePill: '[data-testid="late-pill"]',
+    missingPill: '[data-testid="missing-pill"]',
+    // Links inside the description (file attachments and embedded links)
+    descriptionLinks:
+      'div[data-testid="assignments-2-assignment-toggle-details-text"] a[href]',
+    // Submission type tabs ("Upload", "Text", "URL", ...) shown above the submit area, then
+    // the legacy page's "Submitting: a file upload, a text entry box"
+    submissionTypes: [
+      '[data-testid="submission-type-selector"] button',
+      "ul.student-assignment-overview li:has-text('Submitting') .value",
+    ],
+    // Rubric table rows (rendered on both the legacy and the new assignment page)
+    rubricRows: ".rubric_container tr.criterion:not(.blank)",
   },
 };
 
+// AIDEV-NOTE: Registered so selector profiles can put their own candidates first
+registerSelectors(SELECTORS);
+
+// AIDEV-NOTE: Submission type labels -> Canvas API submission_types values
+const SUBMISSION_TYPE_LABELS = [
+  { pattern: /upload/i, type: "online_upload" },
+  { pattern: /text/i, type: "online_text_entry" },
+  { pattern: /url|website/i, type: "online_url" },
+  { pattern: /media|recording|studio/i, type: "media_recording" },
+  { pattern: /annotat/i, type: "student_annotation" },
+  { pattern: /external tool/i, type: "external_tool" },
+  { pattern: /on paper/i, type: "on_paper" },
+  { pattern: /^no submission|nothing/i, type: "none" },
+];
+
+/**
+ * Map submission type labels to Canvas submission_types values
+ * @param {Array<string>} labels - Tab labels or comma-separated legacy text
+ * @returns {Array<string>} Unique submission types in page order
+ *
+ * @example
+ * parseSubmissionTypes(["a file upload, a text entry box"]) -> ["online_upload", "online_text_entry"]
+ */
+export const parseSubmissionTypes = (labels) => {
+  const types = [];
+  for (const label of (labels || []).flatMap((text) =>
+    String(text).split(/,|\bor\b/),
+  )) {
+    const match = SUBMISSION_TYPE_LABELS.find(({ pattern }) =>
+      pattern.test(label.trim()),
+    );
+    if (match && !types.includes(match.type)) types.push(match.type);
+  }
+  return types;
+};
+
+/**
+ * Convert raw rubric rows into criteria with numeric points
+ * @param {Array<Object>} rows - [{ description, pointsText, ratings: [{ description, pointsText }] }]
+ * @returns {Array<Object>} [{ description, points, ratings: [{ description, points }] }]
+ */
+export const parseRubric = (rows) =>
+  (rows || [])
+    .filter((row) => row.description)
+    .map((row) => ({
+      description: row.description.trim(),
+      points: parsePoints(row.pointsText),
+      ratings: (row.ratings || []).map((rating) => ({
+        description: (rating.description || "").trim(),
+        points: parsePoints(rating.pointsText),
+      })),
+    }));
+
+// AIDEV-NOTE: Submission workflow tracker title -> Canvas submission workflow_state
+// (the same values the REST API reports, so both backends agree). The first match wins, so
+// the negative states come first - "Unsubmitted" and "Incomplete" contain the positive words
+const TRACKER_STATES = [
+  {
+    pattern: /in progress|not submitted|unsubmitted|incomplete/i,
+    state: "unsubmitted",
+  },
+  { pattern: /review feedback|graded/i, state: "graded" },
+  { pattern: /submitted|complete/i, state: "submitted" },
+];
+
+/**
+ * Turn the raw submission texts from an assignment page into structured fields
+ * @param {Object} raw - Texts/flags read from the page
+ * @param {string} raw.status - Workflow tracker title ("In Progress", "Submitted", ...)
+ * @param {string} raw.subStatus - Tracker subtitle ("NEXT UP: Submit Assignment", "SUBMITTED: Sep 20 3:15pm")
+ * @param {string} raw.gradeText - Grade display text ("10 Points Possible", "8/10 Points")
+ * @param {boolean} raw.late - Whether the late pill is shown
+ * @param {boolean} raw.missing - Whether the missing pill is shown
+ * @returns {Object} { points_possible, submission: { workflow_state, tracker_status,
+ *   submitted_at, late, missing, score, grade } }
+ */
+export const parseSubmissionDetails = ({
+  status = "",
+  subStatus = "",
+  gradeText = "",
+  late = false,
+  missing = false,
+} = {}) => {
+  const grade = (gradeText || "").replace(/\s+/g, " ").trim();
+  const scored = grade.match(/([\d.]+|[-–])\s*\/\s*([\d.]+)\s*points?/i);
+  const possible = grade.match(/([\d.]+)\s*points?\s*possible/i);
+
+  const points_possible = scored
+    ? parseFloat(scored[2])
+    : possible
+      ? parseFloat(possible[1])
+      : null;
+  const score = scored && /\d/.test(scored[1]) ? parseFloat(scored[1]) : null;
+
+  let workflow_state =
+    TRACKER_STATES.find(({ pattern }) => pattern.test(status || ""))?.state ||
+    null;
+  if (score !== null) workflow_state = "graded";
+
+  const submittedMatch = (subStatus || "").match(/submitted:?\s*(.+)/i);
+
+  return {
+    points_possible,
+    submission: {
+      workflow_state,
+      tracker_status: (status || "").trim() || null,
+      submitted_at: submittedMatch ? submittedMatch[1].trim() : null,
+      late: !!late,
+      missing: !!missing,
+      score,
+      grade: score !== null ? `${scored[1]}/${scored[2]}` : null,
+    },
+  };
+};
+
 export const scrape_assignment_data = async (content) => {
   try {
     // Get title
     let title = "Untitled Assignment";
     try {
-      // page.getByTestId('title')
-      const titleElement = await content.getByTestId("title");
+      const titleElement = await findElement(content, "assignment.title");
       if (titleElement) {
         title = await titleElement.innerText();
       } else {
@@ -50,7 +189,7 @@ export const scrape_assignment_data = async (content) => {
     // Get due date
     let due_date = "No due date";
     try {
-      const dueDateElement = await SELECTORS.assignment.dueDate(content);
+      const dueDateElement = await findElement(content, "assignment.dueDate");
       if (dueDateElement) {
         due_date = await dueDateElement.innerText();
         // Clean up due date text if needed
@@ -72,7 +211,7 @@ export const scrape_assignment_data = async (content) => {
     // Get description
     let description = "";
     try {
-      const descElement = await content.$(SELECTORS.assignment.description);
+      const descElement = await findElement(content, "assignment.description");
       if (descElement) {
         description = await descElement.innerText();
       }
@@ -86,12 +225,60 @@ export const scrape_assignment_data = async (content) => {
       });
     }
 
+    // Get points, submission state and posted score
+    let submissionDetails = parseSubmissionDetails();
+    try {
+      submissionDetails = parseSubmissionDetails({
+        status: await readOptionalText(content, "assignment.status"),
+        subStatus: await readOptionalText(content, "assignment.subStatus"),
+        gradeText: await readOptionalText(content, "assignment.gradeDisplay"),
+        late: !!(await findElement(content, "assignment.latePill")),
+        missing: !!(await findElement(content, "assignment.missingPill")),
+      });
+    } catch (submissionError) {
+      // AIDEV-NOTE: Submission details are non-critical - the item is still exported
+      logger.warn("Failed to extract assignment submission details", {
+        context: "data_extraction",
+        error: submissionError.message,
+        selectors: {
+          status: SELECTORS.assignment.status,
+          gradeDisplay: SELECTORS.assignment.gradeDisplay,
+        },
+        operation: "assignment_submission_extraction",
+      });
+    }
+
+    // Get submission types, attachments, links and rubric
+    let requirements = {
+      submission_types: [],
+      attachments: [],
+      links: [],
+      rubric: null,
+    };
+    try {
+      requirements = await scrapeAssignmentRequirements(content);
+    } catch (requirementsError) {
+      // AIDEV-NOTE: Requirements are non-critical - the item is still exported
+      logger.warn("Failed to extract assignment requirements", {
+        context: "data_extraction",
+        error: requirementsError.message,
+        selectors: {
+          submissionTypes: SELECTORS.assignment.submissionTypes,
+          descriptionLinks: SELECTORS.assignment.descriptionLinks,
+          rubricRows: SELECTORS.assignment.rubricRows,
+        },
+        operation: "assignment_requirements_extraction",
+      });
+    }
+
     // AIDEV-NOTE: Assignment data extracted
 
     return {
       title: title,
       due_date: { string: due_date.replace(" by ", " ") },
       description: description,
+      ...submissionDetails,
+      ...requirements,
     };
   } catch (error) {
     // AIDEV-NOTE: Assignment data extraction error with comprehensive context
@@ -109,3 +296,74 @@ export const scrape_assignment_data = async (content) => {
     throw error;
   }
 };
+
+/**
+ * Read an element's text without waiting for it to appear
+ * @private
+ * @returns {Promise<string>} Inner text, or "" when the element is absent
+ */
+const readOptionalText = async (content, key) => {
+  const element = await findElement(content, key);
+  return element ? await element.innerText() : "";
+};
+
+/**
+ * Read submission types, description links and rubric from an assignment page
+ * @private
+ */
+const scrapeAssignmentRequirements = async (content) => {
+  const typeLabels = await content.$$eval(
+    await resolveSelector(content, "assignment.submissionTypes"),
+    (elements) => elements.map((element) => element.innerText),
+  );
+
+  const anchors = await content.$$eval(
+    await resolveSelector(content, "assignment.descriptionLinks"),
+    (elements) =>
+      elements.map((a) => ({
+        text: a.innerText,
+        href: a.getAttribute("href"),
+        className: a.className,
+        title: a.getAttribute("title") || "",
+      })),
+  );
+
+  // AIDEV-NOTE: Rubric rows are read in the page - each criterion has its own ratings cells
+  const rubricRows = await content.$$eval(
+    await resolveSelector(content, "assignment.rubricRows"),
+    (rows) =>
+      rows.map((row) => ({
+        description:
+          row.querySelector(".description_title, .criterion_description")
+            ?.innerText || "",
+        pointsText:
+          row.querySelector(".criterion_points, .points_form")?.innerText || "",
+        ratings: Array.from(row.querySelectorAll("td.rating")).map(
+          (rating) => ({
+            description:
+              rating.querySelector(".rating_description_value, .description")
+                ?.innerText || "",
+            pointsText: rating.querySelector(".points")?.innerText || "",
+          }),
+        ),
+      })),
+  );
+
+  const rubric = parseRubric(rubricRows);
+  return {
+    submission_types: parseSubmissionTypes(typeLabels),
+    ...classifyLinks(anchors, content.url()),
+    rubric: rubric.length > 0 ? rubric : null,
+  };
+};
+
+/**
+ * Parse a points label ("10 pts", "/ 10 pts", "2.5") into a number
+ * @private
+ */
+const parsePoints = (text) => {
+  const match = String(text || "").match(
+    /(\d+(?:\.\d+)?)\s*(?:pts?|points?)?\s*$/i,
+  );
+  return match ? parseFloat(match[1]) : null;
+};
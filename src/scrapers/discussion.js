@@ -1,23 +1,59 @@
 import logger from "../logger.js";
+import {
+  registerSelectors,
+  findElement,
+  resolveSelector,
+} from "../selector-profiles.js";
 
 // AIDEV-NOTE: Discussion/announcement page selectors moved from centralized selectors.js
+// Covers both the legacy discussion page and the redesigned (React) discussion page
 const SELECTORS = {
   discussion: {
     // Verification selectors
     replyAction: "a[class='discussion-reply-action discussion-reply-box']",
+    container: '[data-testid="discussion-topic-container"]',
     // Data extraction selectors
-    title: "h1[class='discussion-title']",
+    title: [
+      "h1[class='discussion-title']",
+      { testId: "discussion-topic-title" },
+    ],
     publishDate: "div[class='discussion-pubdate']",
-    description: "div[class='discussion-section message_wrapper']",
+    description: [
+      "div[class='discussion-section message_wrapper']",
+      { testId: "discussion-topic-message" },
+    ],
+    // Graded discussion details: points, due dates, checkpoints, reply requirements
+    // (every match is read, so this stays one combined selector)
+    gradingInfo:
+      "[data-testid='graded-discussion-info'], .discussion-assignment-details, .discussion-topic-due-dates",
+    // "You must post before seeing replies" notice
+    initialPostRequired: [
+      { testId: "require-initial-post-alert" },
+      ".discussion-require-initial-post",
+    ],
   },
 };
 
-export const scrape_discussion_data = async (content) => {
+// AIDEV-NOTE: Registered so selector profiles can put their own candidates first
+registerSelectors(SELECTORS);
+
+/**
+ * Extract discussion or announcement data
+ * @param {Object} content - Playwright page showing the topic
+ * @param {string} kind - "discussion" or "announcement" (from the page breadcrumbs)
+ * @returns {Promise<Object>} Announcements: { title, due_date (publish date), posted_at,
+ *   description }. Discussions additionally get points_possible and a `discussion` object
+ */
+export const scrape_discussion_data = async (
+  content,
+  kind = "announcement",
+) => {
   try {
     // Get title
-    let title = "Untitled Discussion";
+    let title =
+      kind === "announcement" ? "Untitled Announcement" : "Untitled Discussion";
     try {
-      const titleElement = await content.$(SELECTORS.discussion.title);
+      const titleElement = await findElement(content, "discussion.title");
       if (titleElement) {
         title = await titleElement.innerText();
       } else {
@@ -34,13 +70,16 @@ export const scrape_discussion_data = async (content) => {
       });
     }
 
-    // Get publish date (used as due date for discussions)
-    let due_date = "No publish date";
+    // Get publish date
+    let posted_at = null;
     try {
-      const pubDateElement = await content.$(SELECTORS.discussion.publishDate);
+      const pubDateElement = await findElement(
+        content,
+        "discussion.publishDate",
+      );
       if (pubDateElement) {
-        due_date = await pubDateElement.innerText();
-      } else {
+        posted_at = (await pubDateElement.innerText()).trim();
+      } else if (kind === "announcement") {
         throw new Error("Discussion publish date element not found");
       }
     } catch (pubDateError) {
@@ -49,7 +88,7 @@ export const scrape_discussion_data = async (content) => {
         context: "data_extraction",
         error: pubDateError.message,
         selector: SELECTORS.discussion.publishDate,
-        fallbackPublishDate: due_date,
+        fallbackPublishDate: "No publish date",
         operation: "discussion_publish_date_extraction",
       });
     }
@@ -57,7 +96,7 @@ export const scrape_discussion_data = async (content) => {
     // Get description
     let description = "";
     try {
-      const descElement = await content.$(SELECTORS.discussion.description);
+      const descElement = await findElement(content, "discussion.description");
       if (descElement) {
         description = await descElement.innerText();
       }
@@ -71,12 +110,54 @@ export const scrape_discussion_data = async (content) => {
       });
     }
 
+    // AIDEV-NOTE: Announcements have no due date - the publish date stands in for it
+    if (kind === "announcement") {
+      const publishDate = posted_at || "No publish date";
+      return {
+        title: title,
+        due_date: { string: publishDate.replace(" by ", " ") },
+        posted_at: posted_at,
+        description: description,
+      };
+    }
+
+    // Get grading info, due dates and reply requirements
+    let requirements = parseDiscussionRequirements("");
+    try {
+      const infoText = (
+        await content.$$eval(
+          await resolveSelector(content, "discussion.gradingInfo"),
+          (elements) => elements.map((element) => element.innerText),
+        )
+      ).join("\n");
+      const initialPostRequired = !!(await findElement(
+        content,
+        "discussion.initialPostRequired",
+      ));
+      requirements = parseDiscussionRequirements(infoText, {
+        initialPostRequired,
+      });
+    } catch (requirementsError) {
+      // AIDEV-NOTE: Discussion requirements are non-critical
+      logger.warn("Failed to extract discussion requirements", {
+        context: "data_extraction",
+        error: requirementsError.message,
+        selector: SELECTORS.discussion.gradingInfo,
+        operation: "discussion_requirements_extraction",
+      });
+    }
+
     // AIDEV-NOTE: Discussion data extracted
 
     return {
       title: title,
-      due_date: { string: due_date.replace(" by ", " ") },
+      due_date: {
+        string: (requirements.due || "No due date").replace(" by ", " "),
+      },
+      posted_at: posted_at,
       description: description,
+      points_possible: requirements.points_possible,
+      discussion: requirements.discussion,
     };
   } catch (error) {
     // AIDEV-NOTE: Discussion data extraction error with comprehensive context
@@ -84,6 +165,7 @@ export const scrape_discussion_data = async (content) => {
       context: "data_extraction",
       error: error.message,
       errorType: error.constructor.name,
+      kind: kind,
       selectors: {
         title: SELECTORS.discussion.title,
         publishDate: SELECTORS.discussion.publishDate,
@@ -94,3 +176,45 @@ export const scrape_discussion_data = async (content) => {
     throw error;
   }
 };
+
+/**
+ * Parse graded discussion info text into due dates, points and reply requirements
+ * @param {string} text - Grading info text, e.g. "This is a graded discussion: 10 points
+ *   possible\nDue Sep 22 at 11:59pm" or with checkpoints "Reply to Topic: Sep 22 ...
+ *   Required Replies (2): Sep 25 ..."
+ * @param {Object} flags - { initialPostRequired } read from the page
+ * @returns {Object} { due, points_possible, discussion: { graded, require_initial_post,
+ *   required_replies, reply_to_topic_due, required_replies_due, peer_reviews } }
+ */
+export const parseDiscussionRequirements = (
+  text,
+  { initialPostRequired = false } = {},
+) => {
+  const info = String(text || "");
+  const line = (pattern) => info.match(pattern)?.[1]?.trim() || null;
+
+  const points = line(/([\d.]+)\s*points?\s*possible/i);
+  const replyToTopicDue = line(/reply to topic:?\s*(?:due\s*)?([^\n]+)/i);
+  const requiredReplies = info.match(
+    /required repl(?:y|ies)\s*\((\d+)\):?\s*(?:due\s*)?([^\n]*)/i,
+  );
+  // Plain "Due ..." line; checkpointed discussions are due when the topic reply is
+  const dueLine = info
+    .split("\n")
+    .find((text) => !/repl(?:y|ies)/i.test(text) && /\bdue:?\s+\S/i.test(text));
+  const due = dueLine?.match(/\bdue:?\s+(.+)$/i)[1].trim() || replyToTopicDue;
+
+  return {
+    due,
+    points_possible: points ? parseFloat(points) : null,
+    discussion: {
+      graded: /graded discussion/i.test(info) || points !== null,
+      require_initial_post:
+        initialPostRequired || /must post before seeing replies/i.test(info),
+      required_replies: requiredReplies ? parseInt(requiredReplies[1], 10) : 0,
+      reply_to_topic_due: replyToTopicDue,
+      required_replies_due: requiredReplies?.[2]?.trim() || null,
+      peer_reviews: /peer review/i.test(info),
+    },
+  };
+};
@@ -0,0 +1,95 @@
+// AIDEV-NOTE: Link helpers shared by the page scrapers and the API backend. Both produce
+// plain anchor records ({ text, href, className }) which classifyLinks() splits into Canvas
+// file attachments and other embedded links, so both backends yield identical fields
+
+// Canvas file URLs: /files/123, /courses/1/files/123, /users/1/files/123 (+ /download, ?wrap=1)
+const FILE_URL_PATTERN =
+  /^(.*\/files\/\d+)(?:\/(?:download|preview))?(?:[/?#].*)?$/;
+
+/**
+ * Split anchors into file attachments and embedded links
+ * @param {Array<Object>} anchors - [{ text, href, className }]
+ * @param {string} baseUrl - Page URL used to resolve relative links
+ * @returns {Object} { attachments: [{ name, url, download_url }], links: [{ text, url }] }
+ */
+export const classifyLinks = (anchors, baseUrl) => {
+  const attachments = [];
+  const links = [];
+  const seen = new Set();
+
+  for (const anchor of anchors || []) {
+    const url = toAbsoluteUrl(anchor.href, baseUrl);
+    if (!url || seen.has(url)) continue;
+    seen.add(url);
+
+    const text = (anchor.text || "").replace(/\s+/g, " ").trim();
+    // Only same-origin /files/ URLs are Canvas files - other sites may use the same path
+    const sameOrigin = new URL(url).origin === new URL(baseUrl).origin;
+    const fileMatch =
+      sameOrigin && new URL(url).pathname.match(FILE_URL_PATTERN);
+    const isFile =
+      fileMatch || /\binstructure_file_link\b/.test(anchor.className || "");
+
+    if (isFile) {
+      const fileUrl = new URL(url);
+      const filePath = fileMatch ? fileMatch[1] : fileUrl.pathname;
+      attachments.push({
+        name: text || anchor.title || filePath.split("/").pop(),
+        url,
+        download_url: `${fileUrl.origin}${filePath}/download`,
+      });
+    } else {
+      links.push({ text: text || url, url });
+    }
+  }
+
+  return { attachments, links };
+};
+
+/**
+ * Extract anchor records from an HTML string (API descriptions)
+ * @param {string} html - HTML body
+ * @returns {Array<Object>} [{ text, href, className, title }]
+ */
+export const parseHtmlAnchors = (html) => {
+  const anchors = [];
+  const anchorPattern = /<a\b([^>]*)>([\s\S]*?)<\/a>/gi;
+  let match;
+  while ((match = anchorPattern.exec(html || "")) !== null) {
+    const attributes = match[1];
+    anchors.push({
+      href: readAttribute(attributes, "href"),
+      className: readAttribute(attributes, "class"),
+      title: readAttribute(attributes, "title"),
+      text: match[2].replace(/<[^>]+>/g, "").replace(/&amp;/g, "&"),
+    });
+  }
+  return anchors;
+};
+
+/**
+ * Resolve an href against the page URL, keeping only http(s) links
+ * @private
+ */
+const toAbsoluteUrl = (href, baseUrl) => {
+  if (!href || href.startsWith("#")) return null;
+  try {
+    const url = new URL(href, baseUrl);
+    return url.protocol === "http:" || url.protocol === "https:"
+      ? url.href
+      : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Read a quoted attribute value from an HTML attribute string
+ * @private
+ */
+const readAttribute = (attributes, name) => {
+  const match = attributes.match(
+    new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, "i"),
+  );
+  return match ? (match[1] ?? match[2]).replace(/&amp;/g, "&") : "";
+};
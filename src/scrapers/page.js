@@ -0,0 +1,105 @@
+import logger from "../logger.js";
+import { classifyLinks } from "./links.js";
+import {
+  registerSelectors,
+  findElement,
+  resolveSelector,
+} from "../selector-profiles.js";
+
+// AIDEV-NOTE: Course (wiki) page selectors. Pages only reach the planner when the teacher
+// sets a to-do date, which the page itself doesn't show - it comes from the planner entry
+const SELECTORS = {
+  page: {
+    // Verification selector
+    container: "#wiki_page_show",
+    // Data extraction selectors
+    title: "h1.page-title",
+    body: "#wiki_page_show .show-content.user_content",
+    bodyLinks: "#wiki_page_show .show-content.user_content a[href]",
+  },
+};
+
+// AIDEV-NOTE: Registered so selector profiles can put their own candidates first
+registerSelectors(SELECTORS);
+
+/**
+ * Extract course page data
+ * @param {Object} content - Playwright page showing the course page
+ * @param {Object} schedule - Planner schedule for the entry (see parsePlannerSchedule)
+ * @returns {Promise<Object>} { title, due_date: { string }, due_at, description, attachments, links }
+ */
+export const scrape_page_data = async (content, schedule = {}) => {
+  try {
+    // Get title
+    let title = "Untitled Page";
+    try {
+      const titleElement = await findElement(content, "page.title");
+      if (titleElement) {
+        title = (await titleElement.innerText()).trim();
+      } else {
+        throw new Error("Page title element not found");
+      }
+    } catch (titleError) {
+      // AIDEV-NOTE: Page title extraction error with fallback
+      logger.warn("Failed to extract page title, using fallback", {
+        context: "data_extraction",
+        error: titleError.message,
+        selector: SELECTORS.page.title,
+        fallbackTitle: title,
+        operation: "page_title_extraction",
+      });
+    }
+
+    // Get body text and the files/links it references
+    let description = null;
+    let references = { attachments: [], links: [] };
+    try {
+      const bodyElement = await findElement(content, "page.body");
+      if (bodyElement) {
+        description = (await bodyElement.innerText()).trim() || null;
+      }
+      const anchors = await content.$$eval(
+        await resolveSelector(content, "page.bodyLinks"),
+        (elements) =>
+          elements.map((a) => ({
+            text: a.innerText,
+            href: a.getAttribute("href"),
+            className: a.className,
+            title: a.getAttribute("title") || "",
+          })),
+      );
+      references = classifyLinks(anchors, content.url());
+    } catch (bodyError) {
+      // AIDEV-NOTE: Page body extraction error - non-critical
+      logger.warn("Failed to extract page body", {
+        context: "data_extraction",
+        error: bodyError.message,
+        selector: SELECTORS.page.body,
+        operation: "page_body_extraction",
+      });
+    }
+
+    // AIDEV-NOTE: Page data extracted
+
+    return {
+      title: title,
+      due_date: { string: schedule.start || "No due date" },
+      due_at: schedule.start_at || null,
+      description: description,
+      ...references,
+    };
+  } catch (error) {
+    // AIDEV-NOTE: Page data extraction error with comprehensive context
+    logger.error("Page data extraction failed", {
+      context: "data_extraction",
+      error: error.message,
+      errorType: error.constructor.name,
+      selectors: {
+        title: SELECTORS.page.title,
+        body: SELECTORS.page.body,
+      },
+      operation: "page_data_extraction",
+    });
+    throw error;
+  }
+};
@@ -0,0 +1,105 @@
+import logger from "../logger.js";
+import { registerSelectors, findElement } from "../selector-profiles.js";
+
+// AIDEV-NOTE: Peer review selectors. A peer review to-do links to the classmate's submission
+// page (/courses/1/assignments/2/submissions/3), which shows the assignment and whose work
+// is being reviewed; the review's due date comes from the planner entry
+const SELECTORS = {
+  peerReview: {
+    // Verification selector
+    container: "#submission_details, .submission-details-header",
+    // Data extraction selectors
+    assignmentTitle: [
+      ".submission-details-header__heading",
+      "#submission_details h2 a",
+      "#content h1",
+    ],
+    reviewee: [
+      ".submission-details-header__student",
+      "#submission_details .user_name",
+    ],
+  },
+};
+
+// AIDEV-NOTE: Registered so selector profiles can put their own candidates first
+registerSelectors(SELECTORS);
+
+/**
+ * Extract peer review data
+ * @param {Object} content - Playwright page showing the submission under review
+ * @param {Object} entry - Planner entry ({ title }) and schedule (see parsePlannerSchedule)
+ * @returns {Promise<Object>} { title, due_date: { string }, due_at, description, peer_review }
+ */
+export const scrape_peer_review_data = async (
+  content,
+  { title: plannerTitle, schedule = {} } = {},
+) => {
+  try {
+    // Get assignment title and reviewee
+    let assignmentTitle = null;
+    let reviewee = null;
+    try {
+      const titleElement = await findElement(
+        content,
+        "peerReview.assignmentTitle",
+      );
+      if (titleElement) {
+        assignmentTitle = (await titleElement.innerText()).trim() || null;
+      }
+      const revieweeElement = await findElement(content, "peerReview.reviewee");
+      if (revieweeElement) {
+        reviewee = (await revieweeElement.innerText()).trim() || null;
+      }
+    } catch (headerError) {
+      // AIDEV-NOTE: Peer review header extraction error - the planner title is kept
+      logger.warn("Failed to extract peer review details", {
+        context: "data_extraction",
+        error: headerError.message,
+        selectors: {
+          assignmentTitle: SELECTORS.peerReview.assignmentTitle,
+          reviewee: SELECTORS.peerReview.reviewee,
+        },
+        operation: "peer_review_details_extraction",
+      });
+    }
+
+    // AIDEV-NOTE: Peer review data extracted
+
+    return {
+      // AIDEV-NOTE: The planner titles peer reviews after the assignment - prefix them so
+      // they don't look like the assignment itself in task tools
+      title: `Peer Review: ${assignmentTitle || plannerTitle || "Untitled Assignment"}`,
+      due_date: { string: schedule.start || "No due date" },
+      due_at: schedule.start_at || null,
+      description: null,
+      peer_review: {
+        assignment_title: assignmentTitle,
+        assignment_url: toAssignmentUrl(content.url()),
+        reviewee: reviewee,
+      },
+    };
+  } catch (error) {
+    // AIDEV-NOTE: Peer review data extraction error with comprehensive context
+    logger.error("Peer review data extraction failed", {
+      context: "data_extraction",
+      error: error.message,
+      errorType: error.constructor.name,
+      selectors: {
+        assignmentTitle: SELECTORS.peerReview.assignmentTitle,
+        reviewee: SELECTORS.peerReview.reviewee,
+      },
+      operation: "peer_review_data_extraction",
+    });
+    throw error;
+  }
+};
+
+/**
+ * Strip the submission part from a peer review URL to get the assignment URL
+ * @param {string} url - Submission URL (/courses/1/assignments/2/submissions/3)
+ * @returns {string|null} Assignment URL (/courses/1/assignments/2)
+ */
+export const toAssignmentUrl = (url) => {
+  const match = (url || "").match(/^(.*\/assignments\/\d+)\/submissions\//);
+  return match ? match[1] : null;
+};
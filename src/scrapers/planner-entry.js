@@ -0,0 +1,45 @@
+// AIDEV-NOTE: Planner-only entries. Calendar events link into the calendar app and
+// student-created planner notes open a tray, so neither has an item page to scrape -
+// everything comes from the planner entry read in scrapeCanvasItems()
+
+/**
+ * Build a calendar event item from its planner entry
+ * @param {Object} entry - Planner entry { title, href, schedule }
+ * @returns {Object} { title, due_date: { string }, due_at, description, event }
+ */
+export const scrape_calendar_event_data = ({ title, href, schedule = {} }) => ({
+  title: title || "Untitled Event",
+  due_date: { string: schedule.start || "No due date" },
+  due_at: schedule.start_at || null,
+  description: null,
+  event: {
+    // AIDEV-NOTE: The planner links to /calendar?event_id=123 - keep the ID for the URL
+    event_id: readEventId(href),
+    start_at: schedule.start_at || null,
+    end_at: schedule.end_at || null,
+    all_day: !!schedule.all_day,
+  },
+});
+
+/**
+ * Build a planner note (student to-do) item from its planner entry
+ * @param {Object} entry - Planner entry { title, schedule }
+ * @returns {Object} { title, due_date: { string }, due_at, description }
+ */
+export const scrape_planner_note_data = ({ title, schedule = {} }) => ({
+  title: title || "Untitled To Do",
+  due_date: { string: schedule.start || "No due date" },
+  due_at: schedule.start_at || null,
+  description: null,
+});
+
+/**
+ * Read the event ID from a planner calendar link
+ * @private
+ */
+const readEventId = (href) => {
+  const match = (href || "").match(
+    /(?:[?&]event_id=|\/calendar_events\/)(\d+)/,
+  );
+  return match ? match[1] : null;
+};
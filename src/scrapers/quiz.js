@@ -1,6 +1,13 @@
 import logger from "../logger.js";
+import {
+  registerSelectors,
+  findElement,
+  resolveSelector,
+} from "../selector-profiles.js";
 
 // AIDEV-NOTE: Quiz page selectors moved from centralized selectors.js
+// Classic quizzes render #quiz_show; New Quizzes are assignments that launch the quiz-lti
+// external tool, so their metadata comes from the legacy assignment overview instead
 const SELECTORS = {
   quiz: {
     // Verification selector
@@ -13,18 +20,46 @@ const SELECTORS = {
     // await expect(page.locator('#quiz_student_details')).toContainText('Questions');
     // await expect(page.locator('#quiz_student_details')).toContainText('Time Limit');
     title: 'h1[id="quiz_title"]',
-    dueDate:
+    // Fallback when the "Due" label isn't found - first details row, then the legacy
+    // positional selector
+    dueDate: [
+      "#quiz_student_details > li:first-child .value",
       "#quiz_student_details > li:nth-child(1) > span:nth-child(2) > span:nth-child(1)",
+    ],
+    // Label/value rows: Due, Points, Questions, Available, Time Limit, Allowed Attempts
+    details: "#quiz_student_details > li",
+    instructions: "#quiz_show .description.user_content",
     // hasStartButton: getByRole('button', { name: 'Take the Quiz' })
   },
+  newQuiz: {
+    // Verification selector - the LTI launch form/frame pointing at the quiz-lti tool
+    container: 'form[action*="quiz-lti"], iframe[src*="quiz-lti"]',
+    title: "#assignment_show h1.title, h1.title",
+    // Label/value rows: Due, Points, Submitting, Available
+    details: "ul.student-assignment-overview > li",
+    instructions: "#assignment_show .description.user_content",
+  },
 };
 
+// AIDEV-NOTE: Registered so selector profiles can put their own candidates first
+registerSelectors(SELECTORS);
+
+/**
+ * Extract quiz data from a classic or New Quizzes page
+ * @param {Object} content - Playwright page showing the quiz
+ * @returns {Promise<Object>} { title, due_date: { string }, description, points_possible, quiz }
+ */
 export const scrape_quiz_data = async (content) => {
   try {
+    // AIDEV-NOTE: Pick the selector set for the quiz engine that rendered this page
+    const isNewQuiz = !(await findElement(content, "quiz.container"));
+    const engine = isNewQuiz ? "newQuiz" : "quiz";
+    const engineSelectors = SELECTORS[engine];
+
     // Get title
     let title = "Untitled Quiz";
     try {
-      const titleElement = await content.$(SELECTORS.quiz.title);
+      const titleElement = await findElement(content, `${engine}.title`);
       if (titleElement) {
         title = await titleElement.innerText();
       } else {
@@ -35,29 +70,74 @@ export const scrape_quiz_data = async (content) => {
       logger.warn("Failed to extract quiz title, using fallback", {
         context: "data_extraction",
         error: titleError.message,
-        selector: SELECTORS.quiz.title,
+        selector: engineSelectors.title,
         fallbackTitle: title,
         operation: "quiz_title_extraction",
       });
     }
 
+    // Get quiz details (due date, points, questions, time limit, attempts, availability)
+    let details = parseQuizDetails([]);
+    try {
+      details = parseQuizDetails(
+        await content.$$eval(
+          await resolveSelector(content, `${engine}.details`),
+          (rows) =>
+            rows.map((row) => ({
+              label: row.querySelector(".title")?.innerText || "",
+              value: row.querySelector(".value")?.innerText || "",
+            })),
+        ),
+      );
+    } catch (detailsError) {
+      // AIDEV-NOTE: Quiz details are non-critical - title and due date still export
+      logger.warn("Failed to extract quiz details", {
+        context: "data_extraction",
+        error: detailsError.message,
+        selector: engineSelectors.details,
+        operation: "quiz_details_extraction",
+      });
+    }
+
     // Get due date
-    let due_date = "No due date";
+    let due_date = details.due || "No due date";
+    if (!details.due && !isNewQuiz) {
+      try {
+        const dueDateElement = await findElement(content, "quiz.dueDate");
+        if (dueDateElement) {
+          due_date = await dueDateElement.innerText();
+        } else {
+          throw new Error("Quiz due date element not found");
+        }
+      } catch (dueDateError) {
+        // AIDEV-NOTE: Quiz due date extraction error with fallback
+        logger.warn("Failed to extract quiz due date, using fallback", {
+          context: "data_extraction",
+          error: dueDateError.message,
+          selector: SELECTORS.quiz.dueDate,
+          fallbackDueDate: due_date,
+          operation: "quiz_due_date_extraction",
+        });
+      }
+    }
+
+    // Get instructions
+    let description = null;
     try {
-      const dueDateElement = await content.$(SELECTORS.quiz.dueDate);
-      if (dueDateElement) {
-        due_date = await dueDateElement.innerText();
-      } else {
-        throw new Error("Quiz due date element not found");
+      const instructionsElement = await findElement(
+        content,
+        `${engine}.instructions`,
+      );
+      if (instructionsElement) {
+        description = (await instructionsElement.innerText()).trim() || null;
       }
-    } catch (dueDateError) {
-      // AIDEV-NOTE: Quiz due date extraction error with fallback
-      logger.warn("Failed to extract quiz due date, using fallback", {
+    } catch (instructionsError) {
+      // AIDEV-NOTE: Quiz instructions extraction error - non-critical
+      logger.warn("Failed to extract quiz instructions", {
         context: "data_extraction",
-        error: dueDateError.message,
-        selector: SELECTORS.quiz.dueDate,
-        fallbackDueDate: due_date,
-        operation: "quiz_due_date_extraction",
+        error: instructionsError.message,
+        selector: engineSelectors.instructions,
+        operation: "quiz_instructions_extraction",
       });
     }
 
@@ -66,7 +146,16 @@ export const scrape_quiz_data = async (content) => {
     return {
       title: title,
       due_date: { string: due_date.replace(" by ", " ") },
-      description: null,
+      description: description,
+      points_possible: details.points_possible,
+      quiz: {
+        engine: isNewQuiz ? "new_quizzes" : "classic",
+        question_count: details.question_count,
+        time_limit_minutes: details.time_limit_minutes,
+        allowed_attempts: details.allowed_attempts,
+        unlock_at: details.unlock_at,
+        lock_at: details.lock_at,
+      },
     };
   } catch (error) {
     // AIDEV-NOTE: Quiz data extraction error with comprehensive context
@@ -77,9 +166,78 @@ export const scrape_quiz_data = async (content) => {
       selectors: {
         title: SELECTORS.quiz.title,
         dueDate: SELECTORS.quiz.dueDate,
+        details: SELECTORS.quiz.details,
       },
       operation: "quiz_data_extraction",
     });
     throw error;
   }
 };
+
+/**
+ * Parse the label/value rows of a quiz (or assignment overview) details list
+ * @param {Array<Object>} rows - [{ label: "Time Limit", value: "1 Hour 30 Minutes" }, ...]
+ * @returns {Object} { due, points_possible, question_count, time_limit_minutes,
+ *   allowed_attempts (-1 = unlimited), unlock_at, lock_at } - dates stay as Canvas text
+ */
+export const parseQuizDetails = (rows) => {
+  const values = {};
+  for (const { label, value } of rows || []) {
+    const key = (label || "").trim().toLowerCase();
+    if (key) values[key] = (value || "").replace(/\s+/g, " ").trim();
+  }
+
+  const available = parseAvailability(values.available);
+  const attempts = values["allowed attempts"];
+
+  return {
+    due: values.due || null,
+    points_possible: parseNumber(values.points),
+    question_count: parseNumber(values.questions),
+    time_limit_minutes: parseTimeLimit(values["time limit"]),
+    allowed_attempts: /unlimited/i.test(attempts || "")
+      ? -1
+      : parseNumber(attempts),
+    unlock_at: available.unlock_at,
+    lock_at: available.lock_at,
+  };
+};
+
+/**
+ * Split "Sep 16 at 12am - Sep 23 at 11:59pm" / "until ..." / "after ..." availability text
+ * @private
+ */
+const parseAvailability = (text) => {
+  if (!text) return { unlock_at: null, lock_at: null };
+  const until = text.match(/^(?:available\s+)?until\s+(.+)$/i);
+  if (until) return { unlock_at: null, lock_at: until[1] };
+  const after = text.match(/^(?:available\s+)?(?:after|from)\s+(.+)$/i);
+  if (after) return { unlock_at: after[1], lock_at: null };
+
+  const [unlock, lock] = text.split(/\s+-\s+/);
+  return { unlock_at: unlock || null, lock_at: lock || null };
+};
+
+/**
+ * Convert "1 Hour 30 Minutes" / "45 Minutes" / "None" to minutes
+ * @private
+ */
+const parseTimeLimit = (text) => {
+  if (!text || /none|no time limit/i.test(text)) return null;
+  const hours = text.match(/(\d+)\s*hours?/i);
+  const minutes = text.match(/(\d+)\s*min(?:ute)?s?/i);
+  if (!hours && !minutes) return null;
+  return (
+    (hours ? parseInt(hours[1], 10) * 60 : 0) +
+    (minutes ? parseInt(minutes[1], 10) : 0)
+  );
+};
+
+/**
+ * Read the first number in a details value ("10", "12.5 pts")
+ * @private
+ */
+const parseNumber = (text) => {
+  const match = String(text || "").match(/\d+(?:\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+};
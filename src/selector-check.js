@@ -0,0 +1,344 @@
+import { validateSelector } from "./selectors.js";
+import {
+  getSelectorCandidates,
+  listSelectorKeys,
+  toPlaywrightSelector,
+} from "./selector-profiles.js";
+import { classifyPlannerItem } from "./planner.js";
+
+// AIDEV-NOTE: Selector health check (`node main.js --check-selectors`). canvas-scraper.js
+// logs in, measures the planner and one sample page per item type with measureSelectors(),
+// and this module turns the measurements into a pass/fail report. A selector passes when
+// its first candidate matches, is a "fallback" when only a later candidate matches (works,
+// but Canvas probably changed) and fails when no candidate of a required selector matches
+
+// AIDEV-NOTE: Selectors checked per page. `required` entries must match - an array entry
+// means "at least one of these" (e.g. classic or New Quizzes); `optional` ones may be
+// legitimately absent (no rubric, no late pill, nothing to load)
+export const SELECTOR_CHECKS = {
+  planner: {
+    required: [
+      "navigation.dashboardLink",
+      "navigation.plannerButton",
+      "planner.items",
+      "planner.day",
+      "planner.dayHeading",
+      "planner.itemContainer",
+      "planner.group",
+      "planner.groupTitle",
+    ],
+    optional: [
+      "planner.itemType",
+      "planner.itemTime",
+      "planner.loadMore",
+      "planner.loadPrior",
+      "planner.showMissing",
+    ],
+  },
+  item: {
+    required: [
+      "content.main",
+      "content.mainWithChildren",
+      "breadcrumbs.links",
+      "breadcrumbs.className",
+    ],
+    optional: ["content.spinner"],
+  },
+  assignment: {
+    required: ["verification.assignment.container", "assignment.title"],
+    optional: [
+      "assignment.dueDate",
+      "assignment.description",
+      "assignment.status",
+      "assignment.gradeDisplay",
+      "assignment.submissionTypes",
+      "assignment.descriptionLinks",
+      "assignment.rubricRows",
+      "assignment.latePill",
+      "assignment.missingPill",
+    ],
+  },
+  quiz: {
+    required: [
+      ["verification.quiz.container", "verification.quiz.newQuizContainer"],
+      ["quiz.title", "newQuiz.title"],
+    ],
+    optional: ["quiz.details", "newQuiz.details", "quiz.instructions"],
+  },
+  discussion: {
+    required: [
+      [
+        "verification.discussion.replyAction",
+        "verification.discussion.container",
+      ],
+      "discussion.title",
+    ],
+    optional: [
+      "discussion.description",
+      "discussion.gradingInfo",
+      "discussion.initialPostRequired",
+    ],
+  },
+  announcement: {
+    required: [
+      [
+        "verification.discussion.replyAction",
+        "verification.discussion.container",
+      ],
+      "discussion.title",
+    ],
+    optional: ["discussion.publishDate", "discussion.description"],
+  },
+  page: {
+    required: ["verification.page.container", "page.title"],
+    optional: ["page.body", "page.bodyLinks"],
+  },
+  peer_review: {
+    required: [
+      "verification.peerReview.container",
+      "peerReview.assignmentTitle",
+    ],
+    optional: ["peerReview.reviewee"],
+  },
+};
+
+// AIDEV-NOTE: Item URL patterns for picking sample pages (peer reviews and pages come from
+// classifyPlannerItem, which also knows the planner type labels)
+const SAMPLE_URL_TYPES = [
+  { type: "quiz", pattern: /\/quizzes\/\d+/ },
+  { type: "announcement", pattern: /\/announcements\/\d+/ },
+  { type: "discussion", pattern: /\/discussion_topics\/\d+/ },
+  { type: "assignment", pattern: /\/assignments\/\d+\/?$/ },
+];
+
+/**
+ * Pick one planner entry per item type to visit
+ * @param {Array<Object>} entries - Planner entries [{ href, typeLabel, title }]
+ * @param {string} baseUrl - Canvas base URL
+ * @returns {Array<Object>} [{ type, url, title }] in SELECTOR_CHECKS order
+ */
+export const pickSampleItems = (entries, baseUrl) => {
+  const samples = new Map();
+  for (const entry of entries || []) {
+    if (!entry.href) continue;
+    let path;
+    try {
+      path = new URL(entry.href, baseUrl).pathname;
+    } catch {
+      continue;
+    }
+    const type =
+      classifyPlannerItem({ typeLabel: entry.typeLabel, href: path }) ||
+      SAMPLE_URL_TYPES.find(({ pattern }) => pattern.test(path))?.type;
+    if (!SELECTOR_CHECKS[type] || samples.has(type)) continue;
+    samples.set(type, {
+      type,
+      url: new URL(entry.href, baseUrl).href,
+      title: entry.title || "",
+    });
+  }
+  return Object.keys(SELECTOR_CHECKS)
+    .filter((type) => samples.has(type))
+    .map((type) => samples.get(type));
+};
+
+/**
+ * Count the matches of every candidate of the given selectors on a page
+ * @param {Object} page - Playwright page
+ * @param {Array<string>} keys - Dotted selector keys
+ * @returns {Promise<Object>} { "<key>": [{ candidate, selector, count, error }] }
+ */
+export const measureSelectors = async (page, keys) => {
+  const measurements = {};
+  for (const key of keys) {
+    measurements[key] = [];
+    for (const candidate of getSelectorCandidates(key)) {
+      const selector = toPlaywrightSelector(candidate);
+      const { count, error } = await validateSelector(page, selector);
+      measurements[key].push({ candidate, selector, count, error });
+    }
+  }
+  return measurements;
+};
+
+/**
+ * Read the page's test IDs, IDs and classes for suggesting alternatives
+ * @param {Object} page - Playwright page
+ * @returns {Promise<Array<Object>>} [{ tag, id, testId, classes }]
+ */
+export const collectPageInventory = async (page) =>
+  page
+    .$$eval("[data-testid], [id], h1, h2, button, a[class]", (elements) =>
+      elements.slice(0, 500).map((element) => ({
+        tag: element.tagName.toLowerCase(),
+        id: element.id || "",
+        testId: element.getAttribute("data-testid") || "",
+        classes: Array.from(element.classList),
+      })),
+    )
+    .catch(() => []);
+
+/**
+ * Suggest selectors for a broken logical selector from what the page contains
+ * @param {string} key - Dotted selector key, e.g. "assignment.dueDate"
+ * @param {Array<Object>} inventory - Result of collectPageInventory()
+ * @param {number} limit - Maximum number of suggestions
+ * @returns {Array<string>} CSS selectors whose test ID, ID or class mentions the key's words
+ *
+ * @example
+ * suggestAlternatives("assignment.dueDate", [{ tag: "span", testId: "due-at", classes: [] }])
+ *   -> ['[data-testid="due-at"]']
+ */
+export const suggestAlternatives = (key, inventory, limit = 3) => {
+  // "verification.page.container" -> "page"; "assignment.dueDate" -> "due", "date"
+  const parts = key.split(".");
+  const name = parts.at(-1) === "container" ? parts.at(-2) : parts.at(-1);
+  const words = name
+    .replace(/([a-z])([A-Z])/g, "$1 $2")
+    .toLowerCase()
+    .split(/\s+/)
+    .filter((word) => word.length > 2);
+  const mentions = (value) =>
+    words.some((word) => value.toLowerCase().includes(word));
+
+  const suggestions = [];
+  for (const element of inventory || []) {
+    let selector = null;
+    if (element.testId && mentions(element.testId)) {
+      selector = `[data-testid="${element.testId}"]`;
+    } else if (element.id && mentions(element.id)) {
+      selector = `#${element.id}`;
+    } else {
+      const className = element.classes?.find(mentions);
+      if (className) selector = `${element.tag}.${className}`;
+    }
+    if (selector && !suggestions.includes(selector)) suggestions.push(selector);
+    if (suggestions.length >= limit) break;
+  }
+  return suggestions;
+};
+
+/**
+ * Turn one page's measurements into report rows
+ * @param {string} pageType - Key of SELECTOR_CHECKS ("planner", "assignment", ...)
+ * @param {Object} measurements - Result of measureSelectors()
+ * @param {Array<Object>} inventory - Result of collectPageInventory() for suggestions
+ * @returns {Array<Object>} [{ page, key, status, count, candidate, suggestions }] where
+ *   status is "pass", "fallback", "fail" or "absent" (optional selector not on the page)
+ */
+export const evaluateSelectorChecks = (pageType, measurements, inventory) => {
+  const { required = [], optional = [] } = SELECTOR_CHECKS[pageType] || {};
+  const matched = (key) =>
+    (measurements[key] || []).findIndex(({ count }) => count > 0);
+
+  const rows = [];
+  const addRow = (key, isRequired) => {
+    const winner = matched(key);
+    const candidates = measurements[key] || [];
+    let status = "pass";
+    if (winner > 0) status = "fallback";
+    if (winner === -1) status = isRequired ? "fail" : "absent";
+    rows.push({
+      page: pageType,
+      key,
+      status,
+      count: winner === -1 ? 0 : candidates[winner].count,
+      candidate: winner === -1 ? null : candidates[winner].selector,
+      error: candidates.find(({ error }) => error)?.error || null,
+      suggestions:
+        status === "fail" || status === "fallback"
+          ? suggestAlternatives(key, inventory)
+          : [],
+    });
+  };
+
+  for (const entry of required) {
+    const group = Array.isArray(entry) ? entry : [entry];
+    // One match in an "any of" group satisfies the whole group
+    const groupMatched = group.some((key) => matched(key) !== -1);
+    for (const key of group) addRow(key, !groupMatched);
+  }
+  for (const key of optional) addRow(key, false);
+  return rows;
+};
+
+/**
+ * Report profile selectors the check didn't measure
+ * @param {Array<Object>} rows - Report rows so far
+ * @param {Object} profile - Active profile ({ candidates })
+ * @returns {Array<Object>} "unused" rows for profile keys no scraper reads (usually a
+ *   typo) and "skipped" rows for keys on pages the check couldn't visit
+ */
+export const listUncheckedProfileSelectors = (rows, profile) => {
+  const checked = new Set(rows.map(({ key }) => key));
+  const known = new Set(listSelectorKeys());
+  return Object.keys(profile?.candidates || {})
+    .filter((key) => !checked.has(key))
+    .map((key) => ({
+      page: "-",
+      key,
+      status: known.has(key) ? "skipped" : "unused",
+      count: 0,
+      candidate: null,
+      error: null,
+      suggestions: [],
+    }));
+};
+
+/**
+ * Format report rows as a plain-text table
+ * @param {Array<Object>} rows - Report rows
+ * @returns {string} Table followed by a summary line
+ */
+export const formatSelectorReport = (rows) => {
+  const STATUS_LABELS = {
+    pass: "PASS",
+    fallback: "FALLBACK",
+    fail: "FAIL",
+    absent: "absent",
+    skipped: "skipped",
+    unused: "UNUSED",
+  };
+  const table = [
+    [
+      "Page",
+      "Selector",
+      "Status",
+      "Matches",
+      "Matched candidate / suggestions",
+    ],
+    ...rows.map((row) => [
+      row.page,
+      row.key,
+      STATUS_LABELS[row.status] || row.status,
+      String(row.count),
+      [
+        row.candidate,
+        row.suggestions.length > 0 ? `try: ${row.suggestions.join(" | ")}` : "",
+      ]
+        .filter(Boolean)
+        .join("  "),
+    ]),
+  ];
+  const widths = table[0].map((_, column) =>
+    Math.max(...table.map((cells) => cells[column].length)),
+  );
+  const lines = table.map((cells) =>
+    cells
+      .map((cell, column) =>
+        column === cells.length - 1 ? cell : cell.padEnd(widths[column]),
+      )
+      .join("  ")
+      .trimEnd(),
+  );
+  lines.splice(1, 0, widths.map((width) => "-".repeat(width)).join("  "));
+
+  const count = (status) => rows.filter((row) => row.status === status).length;
+  lines.push(
+    "",
+    `${count("pass")} passed, ${count("fallback")} fallback, ${count("fail")} failed, ` +
+      `${count("absent")} absent (optional), ${count("skipped")} skipped, ` +
+      `${count("unused")} unused profile keys`,
+  );
+  return lines.join("\n");
+};
@@ -0,0 +1,321 @@
+import fs from "fs";
+import logger from "./logger.js";
+import { SELECTORS } from "./selectors.js";
+
+// AIDEV-NOTE: Selector profiles - every logical selector ("planner.items",
+// "assignment.title", ...) is an ordered list of candidates tried in turn. The built-in
+// candidates live in src/selectors.js and the scraper files (which register them here);
+// a user profile file keyed by Canvas host puts its own candidates in front of them, so a
+// different institution's DOM can be supported without editing the source. The winning
+// candidate per key is logged whenever it changes.
+//
+// Candidate forms:
+//   "css or playwright selector"            - used as-is ("//..." is XPath)
+//   { css: "..." }                          - CSS selector
+//   { xpath: "//..." }                      - XPath expression
+//   { testId: "due-date" }                  - [data-testid="due-date"]
+//   { role: "button", name: "Load more" }   - ARIA role with accessible name
+
+const CANDIDATE_KEYS = ["css", "xpath", "testId", "role"];
+
+// AIDEV-NOTE: Module state for the current run - registered default roots, the active
+// profile's candidates (by dotted key) and the last winning candidate per key
+const defaultRoots = [SELECTORS];
+let profileCandidates = {};
+let profileSessionId;
+const winners = new Map();
+
+/**
+ * Convert a selector candidate to a Playwright selector string
+ * @param {string|Object} candidate - See the candidate forms above
+ * @returns {string|null} Selector string, or null for an unusable candidate
+ *
+ * @example
+ * toPlaywrightSelector({ testId: "due-date" }) -> '[data-testid="due-date"]'
+ * toPlaywrightSelector({ role: "button", name: "Load more" })
+ *   -> 'internal:role=button[name="Load more"i]'
+ */
+export const toPlaywrightSelector = (candidate) => {
+  if (typeof candidate === "string") return candidate.trim() || null;
+  if (!candidate || typeof candidate !== "object") return null;
+  if (candidate.css) return candidate.css;
+  if (candidate.xpath) return `xpath=${candidate.xpath}`;
+  if (candidate.testId)
+    return `[data-testid=${JSON.stringify(candidate.testId)}]`;
+  if (candidate.role) {
+    return candidate.name
+      ? `internal:role=${candidate.role}[name=${JSON.stringify(candidate.name)}i]`
+      : `internal:role=${candidate.role}`;
+  }
+  return null;
+};
+
+/**
+ * Normalize a selector setting to a list of candidates
+ * @param {string|Object|Array} value - One candidate or an ordered list
+ * @returns {Array} Candidates, in order
+ */
+export const normalizeCandidates = (value) =>
+  (Array.isArray(value) ? value : [value]).filter(
+    (candidate) => toPlaywrightSelector(candidate) !== null,
+  );
+
+/**
+ * Pick and flatten the profile for a Canvas host
+ * @param {Object} profiles - Parsed profile file: { "<host>": { ... }, "*": { ... } }
+ * @param {string} canvasUrl - Canvas base URL
+ * @returns {Object} { host, candidates: { "<dotted key>": [candidates] } } - entries for
+ *   the exact host win over "*.suffix" wildcards, which win over the "*" default profile
+ *
+ * @example
+ * selectHostProfile({ "canvas.test": { planner: { items: ".todo a" } } }, "https://canvas.test")
+ *   -> { host: "canvas.test", candidates: { "planner.items": [".todo a"] } }
+ */
+export const selectHostProfile = (profiles, canvasUrl) => {
+  let host = null;
+  try {
+    host = new URL(canvasUrl).hostname.toLowerCase();
+  } catch {
+    host = null;
+  }
+
+  const matches = Object.keys(profiles || {})
+    .map((pattern) => ({ pattern, rank: rankHostPattern(pattern, host) }))
+    .filter(({ rank }) => rank > 0)
+    .sort((a, b) => a.rank - b.rank);
+
+  const candidates = {};
+  for (const { pattern } of matches) {
+    Object.assign(candidates, flattenProfile(profiles[pattern]));
+  }
+  return { host, candidates };
+};
+
+/**
+ * Read the selector profile for the configured Canvas host
+ * @param {Object} profileConfig - { profilesPath } - path to the profile file
+ * @param {string} canvasUrl - Canvas base URL
+ * @param {string} sessionId - Session ID for logging correlation
+ * @returns {Object} { host, candidates } - no candidates when the file is missing or invalid
+ */
+export const loadSelectorProfile = (profileConfig, canvasUrl, sessionId) => {
+  const profilesPath = profileConfig?.profilesPath;
+  if (!profilesPath || !fs.existsSync(profilesPath)) {
+    return { host: null, candidates: {} };
+  }
+
+  try {
+    const profile = selectHostProfile(
+      JSON.parse(fs.readFileSync(profilesPath, "utf-8")),
+      canvasUrl,
+    );
+    logger.info("Loaded selector profile", {
+      context: "selector_profiles",
+      sessionId: sessionId,
+      path: profilesPath,
+      host: profile.host,
+      selectors: Object.keys(profile.candidates),
+      operation: "profile_load",
+    });
+    return profile;
+  } catch (error) {
+    // AIDEV-NOTE: A broken profile falls back to the built-in selectors instead of failing
+    logger.warn("Failed to load selector profile, using built-in selectors", {
+      context: "selector_profiles",
+      sessionId: sessionId,
+      error: error.message,
+      path: profilesPath,
+      operation: "profile_load",
+    });
+    return { host: null, candidates: {} };
+  }
+};
+
+/**
+ * Make a loaded profile the active one for this run
+ * @param {Object} profile - Result of loadSelectorProfile()
+ * @param {string} sessionId - Session ID for logging the winning candidates
+ */
+export const applySelectorProfile = (profile, sessionId) => {
+  profileCandidates = profile?.candidates || {};
+  profileSessionId = sessionId;
+  winners.clear();
+};
+
+/**
+ * Register a scraper's built-in selectors so profiles can override them
+ * @param {Object} selectors - Selector groups, e.g. { assignment: { title: [...] } }
+ */
+export const registerSelectors = (selectors) => {
+  if (!defaultRoots.includes(selectors)) defaultRoots.push(selectors);
+};
+
+/**
+ * Get the ordered candidates for a logical selector
+ * @param {string} key - Dotted key, e.g. "planner.items"
+ * @returns {Array} Profile candidates first, then the built-in ones
+ * @throws {Error} If no built-in selector or profile entry has that key
+ */
+export const getSelectorCandidates = (key) => {
+  const builtIn = defaultRoots
+    .map((root) => lookupKey(root, key))
+    .find((value) => value !== undefined);
+  const fromProfile = profileCandidates[key] || [];
+  if (builtIn === undefined && fromProfile.length === 0) {
+    throw new Error(`Unknown selector "${key}"`);
+  }
+  return [
+    ...fromProfile,
+    ...(builtIn === undefined ? [] : normalizeCandidates(builtIn)),
+  ];
+};
+
+/**
+ * List the built-in logical selector keys
+ * @returns {Array<string>} Dotted keys of every registered selector
+ */
+export const listSelectorKeys = () => {
+  const keys = [];
+  const walk = (node, prefix) => {
+    for (const [name, value] of Object.entries(node)) {
+      const key = prefix ? `${prefix}.${name}` : name;
+      if (isSelectorGroup(value)) walk(value, key);
+      else keys.push(key);
+    }
+  };
+  defaultRoots.forEach((root) => walk(root, ""));
+  return keys;
+};
+
+/**
+ * Get the active profile
+ * @returns {Object} { candidates } - see loadSelectorProfile()
+ */
+export const getActiveProfile = () => ({ candidates: profileCandidates });
+
+/**
+ * Get the first plain CSS candidate for a logical selector
+ * Used for selectors evaluated inside the page (closest(), querySelector())
+ * @param {string} key - Dotted key
+ * @returns {string|null} CSS selector
+ */
+export const getCssSelector = (key) => {
+  const candidate = getSelectorCandidates(key).find(isCssCandidate);
+  return candidate === undefined ? null : toPlaywrightSelector(candidate);
+};
+
+/**
+ * Find the first element matched by a logical selector's candidates
+ * @param {Object} content - Playwright page, frame or element handle
+ * @param {string} key - Dotted key, e.g. "assignment.title"
+ * @returns {Promise<Object|null>} Element handle, or null when no candidate matches
+ */
+export const findElement = async (content, key) => {
+  const candidates = getSelectorCandidates(key);
+  for (let index = 0; index < candidates.length; index++) {
+    const selector = toPlaywrightSelector(candidates[index]);
+    const element = await content.$(selector).catch(() => null);
+    if (element) {
+      recordWinner(key, index, candidates[index]);
+      return element;
+    }
+  }
+  return null;
+};
+
+/**
+ * Resolve a logical selector to the first candidate that matches on the page
+ * @param {Object} content - Playwright page, frame or element handle
+ * @param {string} key - Dotted key, e.g. "planner.items"
+ * @returns {Promise<string>} Selector string - the first candidate when none match yet,
+ *   so callers that wait for the element keep working
+ */
+export const resolveSelector = async (content, key) => {
+  const candidates = getSelectorCandidates(key);
+  for (let index = 0; index < candidates.length; index++) {
+    const selector = toPlaywrightSelector(candidates[index]);
+    if (await content.$(selector).catch(() => null)) {
+      recordWinner(key, index, candidates[index]);
+      return selector;
+    }
+  }
+  return toPlaywrightSelector(candidates[0]);
+};
+
+/**
+ * Rank how specifically a profile host pattern matches (0 = no match)
+ * @private
+ */
+const rankHostPattern = (pattern, host) => {
+  const value = pattern.trim().toLowerCase();
+  if (value === "*") return 1;
+  if (!host) return 0;
+  if (value.startsWith("*.")) return host.endsWith(value.slice(1)) ? 2 : 0;
+  return value === host ? 3 : 0;
+};
+
+/**
+ * Flatten nested profile groups to { "<dotted key>": [candidates] }
+ * @private
+ */
+const flattenProfile = (entries, prefix = "") => {
+  const flat = {};
+  for (const [name, value] of Object.entries(entries || {})) {
+    const key = prefix ? `${prefix}.${name}` : name;
+    if (isSelectorGroup(value)) {
+      Object.assign(flat, flattenProfile(value, key));
+    } else {
+      const candidates = normalizeCandidates(value);
+      if (candidates.length > 0) flat[key] = candidates;
+    }
+  }
+  return flat;
+};
+
+/**
+ * Check whether a selector/profile value is a group of selectors rather than candidates
+ * @private
+ */
+const isSelectorGroup = (value) =>
+  !!value &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  !CANDIDATE_KEYS.some((candidateKey) => candidateKey in value);
+
+/**
+ * Read a dotted key from a selector root
+ * @private
+ */
+const lookupKey = (root, key) =>
+  key.split(".").reduce((node, part) => node?.[part], root);
+
+/**
+ * Check whether a candidate can be used with querySelector()/closest()
+ * @private
+ */
+const isCssCandidate = (candidate) => {
+  if (typeof candidate === "object")
+    return !!(candidate.css || candidate.testId);
+  return !/^(\/\/|\.\.|xpath=|text=|internal:|role=)|>>|:has-text\(/.test(
+    candidate.trim(),
+  );
+};
+
+/**
+ * Log the candidate that matched when it differs from the last match for the key
+ * @private
+ */
+const recordWinner = (key, index, candidate) => {
+  const description = JSON.stringify(candidate);
+  if (winners.get(key) === description) return;
+  winners.set(key, description);
+  logger.info("Selector candidate matched", {
+    context: "selector_profiles",
+    sessionId: profileSessionId,
+    selector: key,
+    candidate: candidate,
+    candidateIndex: index,
+    fromProfile: index < (profileCandidates[key]?.length || 0),
+    operation: "selector_resolution",
+  });
+};
@@ -1,6 +1,8 @@
 // AIDEV-NOTE: Centralized Canvas CSS selectors for easy maintenance when Canvas UI changes
 // Selectors are grouped by page type and functionality, more specific selectors are in their
 // respective scraper files `src/scrapers/*` (e.g., assignment, quiz, discussion)
+// A value may be an ordered list of candidates (see src/selector-profiles.js) - lookups go
+// through resolveSelector()/findElement() so user selector profiles can override them
 
 export const SELECTORS = {
   // Login page selectors
@@ -22,9 +24,45 @@ export const SELECTORS = {
   // Planner view selectors for discovering items
   planner: {
     // test in browser console: $$("div[class*='planner-item'] >> a[class*='view-link']")
-    items: "div[class*='planner-item'] >> a[class*='view-link']",
-    // Legacy selector patterns (kept for reference)
-    itemsOld: "div[class*='planner-item'] >> div[class*='title'] >> a",
+    // Planner notes ("To Do") render a button instead of a link; the second candidate is
+    // the older planner markup
+    items: [
+      "div[class*='planner-item'] >> :is(a, button)[class*='view-link']",
+      "div[class*='planner-item'] >> div[class*='title'] >> a",
+    ],
+    // Each planner day container and its date heading ("Today", "Monday, September 29")
+    day: "div[class*='planner-day']",
+    dayHeading: "div[class*='planner-day'] h2",
+    // Parts of a single planner entry: type label ("Page", "Calendar Event", "To Do"),
+    // time text ("Due: 11:59 PM", "10:00 AM to 11:00 AM") and its course group heading
+    itemContainer: "div[class*='planner-item']",
+    itemType: "[class*='type']",
+    itemTime: "[class*='due']",
+    group: "div[class*='planner-grouping']",
+    groupTitle: "[class*='title']",
+    // Paging controls: future days at the bottom, past days at the top
+    loadMore: [
+      "button:has-text('Load more')",
+      { role: "button", name: "Load more" },
+    ],
+    loadPrior: [
+      "button:has-text('Load prior dates')",
+      { role: "button", name: "Load prior dates" },
+    ],
+    // Collapsed overdue/missing items toggle ("Show 2 missing items")
+    showMissing: "button:has-text('missing item')",
+  },
+
+  // AIDEV-NOTE: Course crawler selectors (course list, dashboard and course index pages)
+  courseCrawl: {
+    // Current enrollments table on /courses
+    courseLinks: "#my_courses_table a[href*='/courses/']",
+    // Dashboard course cards (fallback when the course list is empty or hidden)
+    dashboardCards: "a.ic-DashboardCard__link",
+    // Item links on the Assignments/Quizzes/Discussions index pages - filtered by URL
+    indexLinks: "#content a[href]",
+    // Row around an index link (title, due date, points) used for the cache fingerprint
+    indexRow: ".ig-row, tr, li",
   },
 
   // Page content containers
@@ -37,30 +75,47 @@ export const SELECTORS = {
   // Breadcrumb navigation selectors
   breadcrumbs: {
     links: "#breadcrumbs a",
-    className:
-      "#breadcrumbs > ul:nth-child(1) > li:nth-child(2) > a:nth-child(1) > span:nth-child(1)",
-    firstLevel:
-      "#breadcrumbs > ul:nth-child(1) > li:nth-child(1) > a:nth-child(1) > span:nth-child(1)",
+    // Course name - the crumb after the home icon
+    className: [
+      "#breadcrumbs li:nth-child(2) a span",
+      "#breadcrumbs a[href*='/courses/'] span",
+      { xpath: "//nav[@aria-label='breadcrumbs']//li[2]//a" },
+    ],
+    firstLevel: "#breadcrumbs li:first-child a span",
   },
 
   // AIDEV-NOTE: Content verification selectors for identifying Canvas content types
   // These remain centralized since they're used for type detection across the scraper
   verification: {
     assignment: {
-      container: "#assignment-student-header-content",
-      containerOld: "div[id='assignment_show']", // Legacy selector kept for reference
+      // New assignment page first, then the legacy #assignment_show page
+      container: [
+        "#assignment-student-header-content",
+        "div[id='assignment_show']",
+      ],
     },
     quiz: {
       container: "div[id='quiz_show']",
+      // New Quizzes: an assignment page that launches the quiz-lti external tool
+      newQuizContainer: 'form[action*="quiz-lti"], iframe[src*="quiz-lti"]',
     },
     discussion: {
       replyAction: "a[class='discussion-reply-action discussion-reply-box']",
+      // Redesigned (React) discussion page
+      container: '[data-testid="discussion-topic-container"]',
+    },
+    page: {
+      container: "#wiki_page_show",
+    },
+    // Classmate's submission page opened from a peer review to-do
+    peerReview: {
+      container: "#submission_details, .submission-details-header",
     },
   },
 };
 
 // AIDEV-NOTE: Helper functions for common selector operations
-// NOTE: Assignment, quiz, and discussion selectors moved to their respective scraper files
+// NOTE: Item page selectors (assignment, quiz, discussion, ...) moved to their respective scraper files
 export const getSelectorContext = (pageType) => {
   switch (pageType) {
     case "login":
@@ -79,28 +134,18 @@ export const getSelectorContext = (pageType) => {
 };
 
 // AIDEV-NOTE: Selector validation helper for debugging Canvas UI changes
+// Used by the selector health check (src/selector-check.js, `--check-selectors`)
 export const validateSelector = async (
   page,
   selector,
   expectedCount = null,
 ) => {
   try {
-    const elements = await page.$$(selector);
-    const found = elements.length;
-
-    if (expectedCount !== null && found !== expectedCount) {
-      console.warn(
-        `Selector "${selector}" found ${found} elements, expected ${expectedCount}`,
-      );
-      return false;
-    }
-
-    return found > 0;
+    const count = (await page.$$(selector)).length;
+    const valid = expectedCount !== null ? count === expectedCount : count > 0;
+    return { valid, count, error: null };
   } catch (error) {
-    console.error(
-      `Selector validation failed for "${selector}":`,
-      error.message,
-    );
-    return false;
+    // Invalid selector syntax or a closed page
+    return { valid: false, count: 0, error: error.message };
   }
 };
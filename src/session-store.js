@@ -0,0 +1,178 @@
+// AIDEV-NOTE: Persists the Playwright storageState (cookies + localStorage) between runs so
+// scheduled runs can skip the SSO login form. The file is written with owner-only permissions
+// and is optionally encrypted with AES-256-GCM when a session key is configured
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import logger from "./logger.js";
+
+const ENCRYPTION_ALGORITHM = "aes-256-gcm";
+
+/**
+ * Load a previously saved browser session
+ * @param {Object} sessionConfig - `config.session` settings
+ * @param {boolean} sessionConfig.enabled - Whether session reuse is enabled
+ * @param {string} sessionConfig.path - Path to the session file
+ * @param {string} sessionConfig.encryptionKey - Optional passphrase for encryption
+ * @param {string} sessionId - Session ID for logging correlation
+ * @returns {Object|null} Playwright storageState object or null if unavailable
+ */
+export const loadSessionState = (sessionConfig, sessionId) => {
+  if (!sessionConfig?.enabled || !fs.existsSync(sessionConfig.path)) {
+    return null;
+  }
+
+  try {
+    const stored = JSON.parse(fs.readFileSync(sessionConfig.path, "utf-8"));
+    const state = stored.encrypted
+      ? decryptState(stored, sessionConfig.encryptionKey)
+      : stored;
+
+    logger.info("Loaded saved Canvas browser session", {
+      context: "session_store",
+      sessionId: sessionId,
+      path: sessionConfig.path,
+      encrypted: !!stored.encrypted,
+      cookieCount: state.cookies?.length || 0,
+      operation: "session_load",
+    });
+    return state;
+  } catch (error) {
+    // AIDEV-NOTE: Corrupt file or wrong key - fall back to a full login
+    logger.warn("Failed to load saved browser session, ignoring it", {
+      context: "session_store",
+      sessionId: sessionId,
+      error: error.message,
+      path: sessionConfig.path,
+      operation: "session_load",
+    });
+    return null;
+  }
+};
+
+/**
+ * Save the current browser context session to disk
+ * @param {Object} context - Playwright BrowserContext
+ * @param {Object} sessionConfig - `config.session` settings
+ * @param {string} sessionId - Session ID for logging correlation
+ * @returns {Promise<boolean>} True if the session was saved
+ */
+export const saveSessionState = async (context, sessionConfig, sessionId) => {
+  if (!sessionConfig?.enabled) return false;
+
+  try {
+    const state = await context.storageState();
+    const stored = sessionConfig.encryptionKey
+      ? encryptState(state, sessionConfig.encryptionKey)
+      : state;
+
+    const dir = path.dirname(sessionConfig.path);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.writeFileSync(sessionConfig.path, JSON.stringify(stored), {
+      mode: 0o600,
+    });
+    // AIDEV-NOTE: writeFileSync only applies mode on creation, tighten existing files too
+    fs.chmodSync(sessionConfig.path, 0o600);
+
+    logger.info("Saved Canvas browser session", {
+      context: "session_store",
+      sessionId: sessionId,
+      path: sessionConfig.path,
+      encrypted: !!sessionConfig.encryptionKey,
+      cookieCount: state.cookies?.length || 0,
+      operation: "session_save",
+    });
+    return true;
+  } catch (error) {
+    // AIDEV-NOTE: Non-critical - next run will simply log in again
+    logger.warn("Failed to save browser session", {
+      context: "session_store",
+      sessionId: sessionId,
+      error: error.message,
+      path: sessionConfig.path,
+      operation: "session_save",
+    });
+    return false;
+  }
+};
+
+/**
+ * Remove a saved session, e.g. after Canvas rejected it as expired
+ * @param {Object} sessionConfig - `config.session` settings
+ * @param {string} sessionId - Session ID for logging correlation
+ */
+export const clearSessionState = (sessionConfig, sessionId) => {
+  if (!sessionConfig?.path || !fs.existsSync(sessionConfig.path)) return;
+
+  try {
+    fs.unlinkSync(sessionConfig.path);
+    logger.info("Cleared expired Canvas browser session", {
+      context: "session_store",
+      sessionId: sessionId,
+      path: sessionConfig.path,
+      operation: "session_clear",
+    });
+  } catch (error) {
+    logger.warn("Failed to clear browser session", {
+      context: "session_store",
+      sessionId: sessionId,
+      error: error.message,
+      path: sessionConfig.path,
+      operation: "session_clear",
+    });
+  }
+};
+
+/**
+ * Encrypt a storageState object with a passphrase-derived key
+ * @private
+ */
+const encryptState = (state, passphrase) => {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const key = crypto.scryptSync(passphrase, salt, 32);
+  const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, key, iv);
+  const data = Buffer.concat([
+    cipher.update(JSON.stringify(state), "utf-8"),
+    cipher.final(),
+  ]);
+
+  return {
+    encrypted: true,
+    algorithm: ENCRYPTION_ALGORITHM,
+    salt: salt.toString("base64"),
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+};
+
+/**
+ * Decrypt a stored session produced by encryptState
+ * @private
+ */
+const decryptState = (stored, passphrase) => {
+  if (!passphrase) {
+    throw new Error("Saved session is encrypted but no session key is set");
+  }
+
+  const key = crypto.scryptSync(
+    passphrase,
+    Buffer.from(stored.salt, "base64"),
+    32,
+  );
+  const decipher = crypto.createDecipheriv(
+    ENCRYPTION_ALGORITHM,
+    key,
+    Buffer.from(stored.iv, "base64"),
+  );
+  decipher.setAuthTag(Buffer.from(stored.tag, "base64"));
+  const data = Buffer.concat([
+    decipher.update(Buffer.from(stored.data, "base64")),
+    decipher.final(),
+  ]);
+
+  return JSON.parse(data.toString("utf-8"));
+};
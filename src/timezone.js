@@ -0,0 +1,154 @@
+import logger from "./logger.js";
+
+// AIDEV-NOTE: Institution timezone helpers. Canvas shows due dates as wall-clock text in the
+// user's profile timezone ("Mon Sep 22, 2025 11:59pm"), so converting them to instants needs
+// the IANA zone rather than a fixed offset - a fixed "MDT"/-7h is wrong for half the year.
+// Offsets come from Intl, which applies each zone's DST rules for the given date
+
+/**
+ * Timezone of the machine running the scraper (fallback when nothing else is known)
+ * @returns {string} IANA timezone name
+ */
+export const getHostTimezone = () =>
+  Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+
+/**
+ * Check whether a string is an IANA timezone name supported by this runtime
+ * @param {string} timeZone - Timezone name, e.g. "America/Denver"
+ * @returns {boolean}
+ */
+export const isValidTimezone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== "string") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Get the wall-clock components of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Object} { year, month (1-12), day, hour, minute, second }
+ */
+export const getZonedComponents = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(date)
+      .map((part) => [part.type, parseInt(part.value, 10)]),
+  );
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+};
+
+/**
+ * Get a timezone's UTC offset at a given instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number} Offset in minutes (e.g. -360 for MDT, -420 for MST)
+ */
+export const getTimezoneOffset = (date, timeZone) => {
+  const c = getZonedComponents(date, timeZone);
+  const asUtc = Date.UTC(
+    c.year,
+    c.month - 1,
+    c.day,
+    c.hour,
+    c.minute,
+    c.second,
+  );
+  const instant = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((asUtc - instant) / 60000);
+};
+
+/**
+ * Convert wall-clock components in a timezone to an instant
+ * @param {Object} components - { year, month (1-12), day, hour, minute, second }
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date} Instant
+ *
+ * @example
+ * zonedTimeToUtc({ year: 2025, month: 9, day: 22, hour: 23, minute: 59 }, "America/Denver")
+ *   -> 2025-09-23T05:59:00.000Z
+ */
+export const zonedTimeToUtc = (components, timeZone) => {
+  const { year, month, day, hour = 0, minute = 0, second = 0 } = components;
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // AIDEV-NOTE: Two passes settle the offset when the first guess lands on the other side
+  // of a DST transition. Repeated fall-back times resolve to the first occurrence and
+  // skipped spring-forward times shift forward by the DST gap
+  const firstOffset = getTimezoneOffset(new Date(asUtc), timeZone);
+  let instant = asUtc - firstOffset * 60000;
+  const secondOffset = getTimezoneOffset(new Date(instant), timeZone);
+  if (secondOffset !== firstOffset) {
+    const candidate = asUtc - secondOffset * 60000;
+    // A candidate whose own offset disagrees means the wall-clock time doesn't exist
+    if (getTimezoneOffset(new Date(candidate), timeZone) === secondOffset) {
+      instant = candidate;
+    }
+  }
+
+  return new Date(instant);
+};
+
+/**
+ * Format an instant as an ISO-8601 local time with offset
+ * @param {Date|string} date - Instant
+ * @param {string} timeZone - IANA timezone name
+ * @returns {string} e.g. "2025-09-22T23:59:00-06:00"
+ */
+export const formatInTimezone = (date, timeZone) => {
+  const instant = new Date(date);
+  const c = getZonedComponents(instant, timeZone);
+  const offset = getTimezoneOffset(instant, timeZone);
+  const pad = (value) => String(value).padStart(2, "0");
+  const sign = offset < 0 ? "-" : "+";
+  const absOffset = Math.abs(offset);
+
+  return (
+    `${c.year}-${pad(c.month)}-${pad(c.day)}T${pad(c.hour)}:${pad(c.minute)}:${pad(c.second)}` +
+    `${sign}${pad(Math.floor(absOffset / 60))}:${pad(absOffset % 60)}`
+  );
+};
+
+/**
+ * Resolve the configured institution timezone
+ * @param {string} setting - CANVAS_TIMEZONE value: an IANA name or "auto"
+ * @param {string|null} detected - Timezone detected from Canvas (used for "auto")
+ * @param {string} sessionId - Session ID for logging correlation
+ * @returns {string} IANA timezone name (falls back to the host timezone)
+ */
+export const resolveTimezone = (setting, detected, sessionId) => {
+  const wanted = !setting || setting === "auto" ? detected : setting;
+  if (isValidTimezone(wanted)) return wanted;
+
+  const fallback = getHostTimezone();
+  logger.warn("Institution timezone unavailable, using host timezone", {
+    context: "timezone",
+    sessionId: sessionId,
+    setting: setting,
+    detected: detected,
+    fallback: fallback,
+    operation: "timezone_resolution",
+  });
+  return fallback;
+};
@@ -1,6 +1,33 @@
 // AIDEV-NOTE: Todoist export module handles all Todoist API integration and task management
+import crypto from "crypto";
 import { TodoistApi } from "@doist/todoist-api-typescript";
 import logger from "./logger.js";
+import { isSubmitted, isResubmissionRequested } from "./normalize.js";
+import { getCourseLabel } from "./course-registry.js";
+import {
+  loadTodoistMap,
+  findTodoistTask,
+  getSyncedFields,
+  setTodoistTask,
+  setClosedBySync,
+  isClosedBySync,
+  saveTodoistMap,
+} from "./todoist-map.js";
+import {
+  parseFieldOwnership,
+  buildTaskFields,
+  diffTaskFields,
+  toTaskArgs,
+} from "./todoist-fields.js";
+import {
+  fetchAllPages,
+  createLocationState,
+  resolveTaskLocation,
+} from "./todoist-projects.js";
+import { loadTaskRules, evaluateTaskRules } from "./todoist-rules.js";
+
+// AIDEV-NOTE: The SDK has no reminder endpoint - reminders go through the Sync API
+const TODOIST_SYNC_URL = "https://api.todoist.com/api/v1/sync";
 
 /**
  * Export assignments to Todoist with duplicate detection and error handling
@@ -27,9 +54,10 @@ export async function exportToTodoist(
   }
 
   const todoistExportStart = Date.now();
-  const todoistApi = new TodoistApi(
-    process.env.TODOIST_API_KEY || config.todoist_api_key,
-  );
+  const todoistApiKey = process.env.TODOIST_API_KEY || config.todoist_api_key;
+  const todoistApi = new TodoistApi(todoistApiKey);
+  // AIDEV-NOTE: Canvas item -> Todoist task IDs, consulted before any title matching
+  const todoistMap = loadTodoistMap(config.todoist, sessionId);
 
   try {
     // AIDEV-NOTE: Todoist sync initiation logging with session tracking
@@ -40,16 +68,20 @@ export async function exportToTodoist(
       operation: "export_start",
     });
 
+    const fieldOwnership = parseFieldOwnership(config.todoist?.fieldOwnership);
+    const taskRules = loadTaskRules(config.todoist, sessionId);
+
     // AIDEV-NOTE: Updated to use REST API methods instead of deprecated Sync API
     let current_items, current_projects;
     try {
-      // Get all tasks (both active and completed)
-      const tasksResponse = await todoistApi.getTasks();
-      current_items = tasksResponse.results || tasksResponse;
+      // Get all active tasks - a mapped task missing from this list counts as closed, so
+      // every page must be read
+      current_items = await fetchAllPages((args) => todoistApi.getTasks(args));
 
-      // Get all projects
-      const projectsResponse = await todoistApi.getProjects();
-      current_projects = projectsResponse.results || projectsResponse;
+      // Get all projects - remembered course projects are looked up in this list
+      current_projects = await fetchAllPages((args) =>
+        todoistApi.getProjects(args),
+      );
 
       // AIDEV-NOTE: Todoist state management logging with item and project counts
       logger.info("Todoist state retrieved", {
@@ -71,8 +103,54 @@ export async function exportToTodoist(
       throw stateError;
     }
 
+    const locationState = createLocationState(
+      current_projects,
+      config.todoist?.projects,
+    );
+
+    // AIDEV-NOTE: Course labels with a registry color are created up front so Todoist
+    // doesn't auto-create them in the default color
+    await ensureCourseLabels(todoistApi, assignments, sessionId);
+
+    const { closeSubmitted, reopenResubmitted } = config.todoist || {};
+
     for (const item of assignments) {
+      // AIDEV-NOTE: Work already handed in on Canvas doesn't need a task. With closeSubmitted
+      // the item still goes through matching below so its existing task can be closed
+      const handedIn = isSubmitted(item) && !isResubmissionRequested(item);
+      if (config.exportOptions?.skipSubmitted && handedIn && !closeSubmitted) {
+        operationStats.apiStats.todoist.skipped++;
+        logger.info("Skipping submitted assignment", {
+          context: "todoist_export",
+          sessionId: sessionId,
+          title: item.title,
+          reason: "Submitted on Canvas",
+          workflowState: item.submission.workflow_state,
+        });
+        continue;
+      }
+
       try {
+        let project_id;
+        try {
+          project_id = await findRelatedProject(
+            current_projects,
+            item,
+            sessionId,
+          );
+        } catch (projectError) {
+          // AIDEV-NOTE: Project lookup error with fallback
+          logger.warn("Failed to find related project, using default", {
+            context: "todoist_export",
+            sessionId: sessionId,
+            error: projectError.message,
+            title: item.title,
+            className: item.class_name,
+            operation: "project_lookup",
+          });
+          project_id = false; // Use default project
+        }
+
         // AIDEV-NOTE: Todoist item duplication check logging
         logger.debug("Checking for existing Todoist item", {
           context: "todoist_export",
@@ -82,17 +160,18 @@ export async function exportToTodoist(
           operation: "duplication_check",
         });
 
-        let previous_item;
+        let match;
         try {
-          previous_item = await checkIfAlreadyAdded(current_items, item);
+          match = findTodoistTask(todoistMap, current_items, item, project_id);
 
           logger.debug("Todoist item check completed", {
             context: "todoist_export",
             sessionId: sessionId,
             title: item.title,
-            existingItem: !!previous_item,
-            itemId: previous_item?.id,
-            isCompleted: !!previous_item?.isCompleted,
+            existingItem: !!match.task,
+            matchedBy: match.source,
+            itemId: match.task?.id || match.mappedTaskId,
+            isCompleted: !!match.task?.isCompleted,
             operation: "duplication_check_complete",
           });
         } catch (duplicateCheckError) {
@@ -107,10 +186,116 @@ export async function exportToTodoist(
               operation: "duplication_check",
             },
           );
-          previous_item = false; // Assume it's new if check fails
+          match = { task: null, source: null, mappedTaskId: null }; // Assume it's new
+        }
+        const previous_item = match.task || false;
+        const closing = closeSubmitted && handedIn;
+        // AIDEV-NOTE: A task found only by its title may be an unrelated task of the user's,
+        // so submitted work neither adopts nor closes it
+        const closable = previous_item && match.source !== "title";
+
+        // AIDEV-NOTE: Tasks found by URL or title are adopted into the mapping, so later
+        // runs find them even after a rename
+        if (previous_item && match.source !== "map" && (closable || !closing)) {
+          setTodoistTask(todoistMap, item, previous_item.id);
+          logger.info("Adopted existing Todoist task", {
+            context: "todoist_export",
+            sessionId: sessionId,
+            title: item.title,
+            itemId: previous_item.id,
+            matchedBy: match.source,
+            operation: "task_adopt",
+          });
         }
 
-        if (previous_item && previous_item.isCompleted) {
+        if (closing) {
+          if (closable) {
+            // AIDEV-NOTE: Completion follows Canvas - the task closes once the work is in
+            try {
+              await todoistApi.closeTask(previous_item.id);
+              operationStats.apiStats.todoist.closes++;
+              setClosedBySync(todoistMap, item, true);
+
+              logger.info("Closed Todoist task for submitted assignment", {
+                context: "todoist_export",
+                sessionId: sessionId,
+                title: item.title,
+                itemId: previous_item.id,
+                workflowState: item.submission.workflow_state,
+                action: "close",
+                apiStats: operationStats.apiStats.todoist,
+              });
+            } catch (e) {
+              operationStats.apiStats.todoist.errors++;
+              logger.error("Todoist API error during task close", {
+                context: "todoist_export",
+                sessionId: sessionId,
+                error: e.message,
+                errorType: e.constructor.name,
+                assignmentTitle: item.title,
+                itemId: previous_item.id,
+                action: "close_error",
+                apiStats: operationStats.apiStats.todoist,
+              });
+            }
+          } else {
+            // No open task of this item - a closed one stays closed and none is created
+            operationStats.apiStats.todoist.skipped++;
+            logger.info("Skipping submitted assignment", {
+              context: "todoist_export",
+              sessionId: sessionId,
+              title: item.title,
+              reason: "Submitted on Canvas",
+              workflowState: item.submission.workflow_state,
+            });
+          }
+        } else if (
+          match.source === "map" &&
+          !match.task &&
+          reopenResubmitted &&
+          isResubmissionRequested(item) &&
+          isClosedBySync(todoistMap, item)
+        ) {
+          // AIDEV-NOTE: Only tasks the sync closed are reopened - tasks completed by hand
+          // stay closed. The reopened task gets its field updates on the next run
+          try {
+            await todoistApi.reopenTask(match.mappedTaskId);
+            operationStats.apiStats.todoist.reopens++;
+            setClosedBySync(todoistMap, item, false);
+
+            logger.info("Reopened Todoist task for requested resubmission", {
+              context: "todoist_export",
+              sessionId: sessionId,
+              title: item.title,
+              itemId: match.mappedTaskId,
+              action: "reopen",
+              apiStats: operationStats.apiStats.todoist,
+            });
+          } catch (e) {
+            operationStats.apiStats.todoist.errors++;
+            logger.error("Todoist API error during task reopen", {
+              context: "todoist_export",
+              sessionId: sessionId,
+              error: e.message,
+              errorType: e.constructor.name,
+              assignmentTitle: item.title,
+              itemId: match.mappedTaskId,
+              action: "reopen_error",
+              apiStats: operationStats.apiStats.todoist,
+            });
+          }
+        } else if (match.source === "map" && !match.task) {
+          // AIDEV-NOTE: Only active tasks are listed - a mapped task that is missing was
+          // completed or deleted in Todoist, so it must not be recreated
+          operationStats.apiStats.todoist.skipped++;
+          logger.info("Skipping assignment with a closed Todoist task", {
+            context: "todoist_export",
+            sessionId: sessionId,
+            title: item.title,
+            itemId: match.mappedTaskId,
+            reason: "Mapped task completed or deleted",
+          });
+        } else if (previous_item && previous_item.isCompleted) {
           // If previous item has already been completed don't update it
           // AIDEV-NOTE: Replaced console.log with structured logging for completed assignments
           logger.info("Skipping completed assignment", {
@@ -121,42 +306,40 @@ export async function exportToTodoist(
             isCompleted: previous_item.isCompleted,
           });
         } else {
-          let project_id;
+          // AIDEV-NOTE: Matching above uses the project found by name, where tasks from
+          // before auto-created projects live; the task itself goes to the resolved location
+          let location;
           try {
-            project_id = await findRelatedProject(
-              current_projects,
-              item.class_name,
+            location = await resolveTaskLocation(
+              todoistApi,
+              todoistMap,
+              locationState,
+              item,
+              project_id,
               sessionId,
             );
-          } catch (projectError) {
-            // AIDEV-NOTE: Project lookup error with fallback
-            logger.warn("Failed to find related project, using default", {
-              context: "todoist_export",
-              sessionId: sessionId,
-              error: projectError.message,
-              title: item.title,
-              className: item.class_name,
-              operation: "project_lookup",
-            });
-            project_id = false; // Use default project
+          } catch (locationError) {
+            logger.warn(
+              "Failed to set up Todoist project, using matched project",
+              {
+                context: "todoist_export",
+                sessionId: sessionId,
+                error: locationError.message,
+                title: item.title,
+                className: item.class_name,
+                operation: "project_setup",
+              },
+            );
+            location = { projectId: project_id, sectionId: null };
           }
 
-          // AIDEV-NOTE: Clean date string by removing "Due: " prefix that Canvas adds to assignments
-          const cleanedDueDate = item.due_date?.string?.replace(
-            /^Due:\s*/i,
-            "",
-          );
-          const data = {
-            ...(item.title && { content: item.title }),
-            ...(project_id && { projectId: project_id }),
-            // Convert due date object to dueString for natural language processing
-            ...(cleanedDueDate && { dueString: cleanedDueDate }),
-            ...(item.description && {
-              description: `${item.description}\n\n[Canvas Link](${item.url})`,
-              labels: [item.class_name, item.type],
-            }),
-            priority: 3,
-          };
+          const rules = evaluateTaskRules(item, taskRules);
+          const fields = buildTaskFields(item, {
+            projectId: location.projectId,
+            sectionId: location.sectionId,
+            priority: rules.priority,
+          });
+          const data = toTaskArgs(fields);
 
           if (previous_item === false) {
             // AIDEV-NOTE: Todoist add operation logging with item details
@@ -165,8 +348,10 @@ export async function exportToTodoist(
               sessionId: sessionId,
               title: item.title,
               dueDate: item.due_date?.string,
-              projectId: project_id,
+              projectId: location.projectId,
+              sectionId: location.sectionId,
               priority: data.priority,
+              priorityRule: rules.priorityRule,
               action: "add",
             });
 
@@ -176,6 +361,30 @@ export async function exportToTodoist(
               const endTime = Date.now();
 
               operationStats.apiStats.todoist.creates++;
+              setTodoistTask(todoistMap, item, addResult?.id, fields);
+
+              // AIDEV-NOTE: Reminders are only added to new tasks, so they're never
+              // duplicated; relative reminders move with the due date by themselves
+              if (rules.reminders.length > 0 && fields.due?.datetime) {
+                try {
+                  await addTaskReminders(
+                    todoistApiKey,
+                    addResult.id,
+                    rules.reminders,
+                  );
+                } catch (reminderError) {
+                  // Reminders need Todoist Pro - the task itself was created
+                  logger.warn("Failed to add Todoist reminders", {
+                    context: "todoist_export",
+                    sessionId: sessionId,
+                    error: reminderError.message,
+                    title: item.title,
+                    itemId: addResult.id,
+                    reminders: rules.reminders,
+                    operation: "reminder_add",
+                  });
+                }
+              }
 
               // AIDEV-NOTE: Todoist add operation completion logging with timing and session tracking
               logger.info("Todoist item added successfully", {
@@ -197,7 +406,7 @@ export async function exportToTodoist(
                 error: e.message,
                 errorType: e.constructor.name,
                 assignmentTitle: item.title,
-                projectId: project_id,
+                projectId: location.projectId,
                 dueDate: item.due_date?.string,
                 stack: e.stack,
                 action: "add_error",
@@ -205,21 +414,40 @@ export async function exportToTodoist(
               });
             }
           } else {
-            // AIDEV-NOTE: Build update data with Canvas link appended to description
-            const updateData = {
-              ...(item.description && {
-                description: `${item.description}\n\n[Canvas Link](${item.url})`,
-              }),
-            };
-
-            // AIDEV-NOTE: Skip update if there's nothing to update (e.g., quizzes without descriptions)
-            if (Object.keys(updateData).length === 0) {
+            // AIDEV-NOTE: Send only the fields that differ from the task, leaving user-owned
+            // fields alone once they were edited in Todoist (see todoist-fields.js)
+            const { changes, kept } = diffTaskFields(
+              fields,
+              previous_item,
+              getSyncedFields(todoistMap, item),
+              fieldOwnership,
+            );
+            const {
+              projectId: moveToProjectId,
+              sectionId: moveToSectionId,
+              ...updateData
+            } = toTaskArgs(changes);
+
+            if (kept.length > 0) {
+              logger.debug("Keeping fields edited in Todoist", {
+                context: "todoist_export",
+                sessionId: sessionId,
+                title: item.title,
+                itemId: previous_item.id,
+                fields: kept,
+                operation: "field_ownership",
+              });
+            }
+
+            if (Object.keys(changes).length === 0) {
+              setTodoistTask(todoistMap, item, previous_item.id, fields);
               logger.info("Skipping update - no changes needed", {
                 context: "todoist_export",
                 sessionId: sessionId,
                 title: item.title,
                 itemId: previous_item.id,
-                reason: "No description to add",
+                reason: "Task matches Canvas",
+                keptFields: kept,
                 action: "update_skipped",
               });
             } else {
@@ -230,27 +458,41 @@ export async function exportToTodoist(
                 title: item.title,
                 dueDate: item.due_date?.string,
                 itemId: previous_item.id,
-                hasDescription: !!item.description,
+                changedFields: Object.keys(changes),
+                keptFields: kept,
                 action: "update",
               });
 
               try {
                 const startTime = Date.now();
                 // AIDEV-NOTE: Updated to use updateTask() instead of deprecated items.update()
-                const updateResult = await todoistApi.updateTask(
-                  previous_item.id,
-                  updateData,
-                );
+                if (Object.keys(updateData).length > 0) {
+                  await todoistApi.updateTask(previous_item.id, updateData);
+                }
+                // AIDEV-NOTE: updateTask can't change the project - tasks are moved instead.
+                // A section implies its project
+                if (moveToSectionId || moveToProjectId) {
+                  await todoistApi.moveTask(
+                    previous_item.id,
+                    moveToSectionId
+                      ? { sectionId: moveToSectionId }
+                      : { projectId: moveToProjectId },
+                  );
+                }
                 const endTime = Date.now();
 
                 operationStats.apiStats.todoist.updates++;
+                // Recorded only after a successful update, otherwise the failed fields
+                // would look like edits made in Todoist on the next run
+                setTodoistTask(todoistMap, item, previous_item.id, fields);
 
                 // AIDEV-NOTE: Todoist update operation completion logging with timing and session tracking
                 logger.info("Todoist item updated successfully", {
                   context: "todoist_export",
                   sessionId: sessionId,
                   title: item.title,
-                  itemId: updateResult.id,
+                  itemId: previous_item.id,
+                  changedFields: Object.keys(changes),
                   duration: endTime - startTime,
                   action: "update_complete",
                   apiStats: operationStats.apiStats.todoist,
@@ -302,7 +544,9 @@ export async function exportToTodoist(
       apiStats: operationStats.apiStats.todoist,
       successRate: Math.round(
         ((operationStats.apiStats.todoist.creates +
-          operationStats.apiStats.todoist.updates) /
+          operationStats.apiStats.todoist.updates +
+          operationStats.apiStats.todoist.closes +
+          operationStats.apiStats.todoist.reopens) /
           assignments.length) *
           100,
       ),
@@ -321,73 +565,57 @@ export async function exportToTodoist(
       operation: "export_failure",
     });
     throw error; // Re-throw to allow caller to handle
+  } finally {
+    // AIDEV-NOTE: Saved even after a failure so tasks created so far aren't duplicated
+    saveTodoistMap(todoistMap, config.todoist, sessionId);
   }
 }
 
 /**
- * Check if an assignment already exists in Todoist
- * @param {Array} items - Array of existing Todoist items
- * @param {Object} given_item - Assignment item to check
- * @returns {Promise<Object|boolean>} - Returns existing item or false if not found
- */
-async function checkIfAlreadyAdded(items, given_item) {
-  try {
-    // AIDEV-NOTE: Duplicate detection by Canvas URL in task description or content
-    const possible_item = items.find((item) => {
-      // Check both content title match and Canvas URL in description
-      const titleMatch = item.content === given_item.title;
-      const urlMatch =
-        given_item.url &&
-        item.description &&
-        item.description.includes(given_item.url);
-      return titleMatch || urlMatch;
-    });
-
-    return possible_item ? possible_item : false;
-  } catch (error) {
-    // AIDEV-NOTE: Todoist item comparison error with array safety
-    logger.error("Todoist item comparison failed", {
-      context: "utility",
-      error: error.message,
-      errorType: error.constructor.name,
-      itemsCount: items?.length || 0,
-      givenItemTitle: given_item?.title || "Unknown",
-      operation: "todoist_item_comparison",
-    });
-    return false; // Return false if comparison fails
-  }
-}
-
-/**
- * Find a related Todoist project for a class name
+ * Find a related Todoist project for an item's course
  * @param {Array} projects - Array of Todoist projects
- * @param {string} class_name - Class name to find project for
+ * @param {Object} item - Item annotated with course info (see course-registry.js)
  * @param {string} sessionId - Session ID for logging
  * @returns {Promise<string|boolean>} - Project ID or false if not found
  */
-async function findRelatedProject(projects, class_name, sessionId) {
+async function findRelatedProject(projects, item, sessionId) {
   try {
-    const cleaned_class_name = cleanName(class_name.toLowerCase());
+    // AIDEV-NOTE: Match on the alias, the course code ("ATLS 5420") or the descriptive title,
+    // in that order, so a project named "ATLS 5420 - Interactive Design" or "Design" works
+    const candidates = [
+      item.course?.alias,
+      item.course?.code,
+      item.course?.title,
+    ]
+      .filter(Boolean)
+      .map((candidate) => candidate.toLowerCase());
+    if (candidates.length === 0) {
+      candidates.push((item.class_name || "").toLowerCase());
+    }
 
-    // AIDEV-NOTE: Project lookup logging with class name matching
+    // AIDEV-NOTE: Project lookup logging with course name matching
     logger.debug("Looking up related project", {
       context: "todoist_export",
       sessionId: sessionId,
-      originalClassName: class_name,
-      cleanedClassName: cleaned_class_name,
+      originalClassName: item.class_name,
+      candidates: candidates,
       availableProjects: projects.length,
       operation: "project_lookup",
     });
 
-    const possible_project = projects.find((project) => {
-      return project.name.toLowerCase().includes(cleaned_class_name);
-    });
+    let possible_project;
+    for (const candidate of candidates) {
+      possible_project = projects.find((project) =>
+        project.name.toLowerCase().includes(candidate),
+      );
+      if (possible_project) break;
+    }
 
     // AIDEV-NOTE: Project lookup results logging with match details
     logger.debug("Project lookup completed", {
       context: "todoist_export",
       sessionId: sessionId,
-      className: class_name,
+      className: item.class_name,
       matchFound: !!possible_project,
       projectId: possible_project?.id,
       projectName: possible_project?.name,
@@ -402,7 +630,7 @@ async function findRelatedProject(projects, class_name, sessionId) {
       sessionId: sessionId,
       error: error.message,
       errorType: error.constructor.name,
-      className: class_name,
+      className: item?.class_name,
       projectsCount: projects?.length || 0,
       operation: "project_lookup",
     });
@@ -411,20 +639,78 @@ async function findRelatedProject(projects, class_name, sessionId) {
 }
 
 /**
- * Clean a string for project matching
- * @param {string} string - String to clean
- * @returns {string} - Cleaned string
- *
- * @example
- * "ATLS 5420-001" -> "atls 5420"
+ * Add relative reminders to a task
+ * @param {string} apiKey - Todoist API key
+ * @param {string} taskId - Todoist task ID
+ * @param {Array<number>} minuteOffsets - Minutes before the due time
+ * @returns {Promise<void>}
+ * @throws {Error} If the request or a reminder command fails
+ */
+async function addTaskReminders(apiKey, taskId, minuteOffsets) {
+  const response = await fetch(TODOIST_SYNC_URL, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${apiKey}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      commands: minuteOffsets.map((minutes) => ({
+        type: "reminder_add",
+        uuid: crypto.randomUUID(),
+        temp_id: crypto.randomUUID(),
+        args: { item_id: taskId, type: "relative", minute_offset: minutes },
+      })),
+    }),
+  });
+  if (!response.ok) {
+    throw new Error(
+      `Todoist sync request failed with status ${response.status}`,
+    );
+  }
+
+  const { sync_status: syncStatus = {} } = await response.json();
+  const failed = Object.values(syncStatus).find((status) => status !== "ok");
+  if (failed) throw new Error(failed.error || "Reminder rejected by Todoist");
+}
+
+/**
+ * Create missing course labels that have a registry color
+ * @param {Object} todoistApi - Todoist API client
+ * @param {Array} items - Items annotated with course info
+ * @param {string} sessionId - Session ID for logging
+ * @returns {Promise<void>}
  */
-function cleanName(string) {
-  let cleaned = string
-    .toLowerCase()
-    .replace(/[^a-z0-9\s]/g, "") // Remove special characters
-    .replace(/\s+/g, " ") // Replace multiple spaces with single space
-    .trim() // Trim leading/trailing spaces
-    .replace(/\s(-|section)\s.*$/, "") // Remove section identifiers like " - 001" or " section 001"
-    .replace(/\s\d{3,}$/, ""); // Remove trailing numbers (e.g. " 5420")
-  return cleaned;
+async function ensureCourseLabels(todoistApi, items, sessionId) {
+  const colored = new Map();
+  for (const item of items) {
+    if (item.course?.color)
+      colored.set(getCourseLabel(item), item.course.color);
+  }
+  if (colored.size === 0) return;
+
+  try {
+    const labels = await fetchAllPages((args) => todoistApi.getLabels(args));
+    const existing = new Set(labels.map((label) => label.name.toLowerCase()));
+
+    for (const [name, color] of colored) {
+      if (existing.has(name.toLowerCase())) continue;
+      await todoistApi.addLabel({ name, color });
+      logger.info("Created Todoist course label", {
+        context: "todoist_export",
+        sessionId: sessionId,
+        label: name,
+        color: color,
+        operation: "label_create",
+      });
+    }
+  } catch (error) {
+    // AIDEV-NOTE: Non-critical - tasks still get their labels, just in the default color
+    logger.warn("Failed to create colored course labels", {
+      context: "todoist_export",
+      sessionId: sessionId,
+      error: error.message,
+      errorType: error.constructor.name,
+      operation: "label_create",
+    });
+  }
 }
@@ -0,0 +1,201 @@
+import { getCourseLabel } from "./course-registry.js";
+
+// AIDEV-NOTE: Field-level sync of existing Todoist tasks. The update path compares what
+// Canvas wants (buildTaskFields) with the task and sends only the fields that changed. Each
+// field has an owner: "canvas" fields always follow Canvas, "user" fields follow Canvas only
+// until they're edited in Todoist. An edit is detected by comparing the task with the value
+// last synced from Canvas, which todoist-map.js keeps per item
+
+export const TASK_FIELDS = [
+  "content",
+  "description",
+  "due",
+  "labels",
+  "project",
+  "section",
+  "priority",
+];
+
+// AIDEV-NOTE: Canvas owns the due date and description - a moved deadline must reach
+// Todoist. Renames, relabels, moves and reprioritizing in Todoist are kept
+export const DEFAULT_FIELD_OWNERSHIP = {
+  content: "user",
+  description: "canvas",
+  due: "canvas",
+  labels: "user",
+  project: "user",
+  section: "user",
+  priority: "user",
+};
+
+/**
+ * Parse the field ownership setting
+ * @param {string} value - Comma-separated `field=owner` pairs, e.g. "content=canvas,due=user";
+ *   fields that aren't listed keep DEFAULT_FIELD_OWNERSHIP
+ * @returns {Object} Owner ("canvas" or "user") per field
+ * @throws {Error} On an unknown field or owner
+ *
+ * @example
+ * parseFieldOwnership("priority=canvas").priority -> "canvas"
+ */
+export const parseFieldOwnership = (value) => {
+  const ownership = { ...DEFAULT_FIELD_OWNERSHIP };
+  for (const entry of String(value || "").split(",")) {
+    if (!entry.trim()) continue;
+    const [field, owner] = entry.split("=").map((part) => part.trim());
+    if (!TASK_FIELDS.includes(field) || !["canvas", "user"].includes(owner)) {
+      throw new Error(
+        `Invalid Todoist field ownership "${entry.trim()}". Use e.g. "due=canvas" with a field of ${TASK_FIELDS.join(", ")}`,
+      );
+    }
+    ownership[field] = owner;
+  }
+  return ownership;
+};
+
+/**
+ * Build the task fields Canvas wants for an item
+ * @param {Object} item - Normalized item (annotated with course info)
+ * @param {Object} options
+ * @param {string|boolean} options.projectId - Todoist project of the item's course (false
+ *   when unknown)
+ * @param {string|null} options.sectionId - Section within that project (see todoist-projects.js)
+ * @param {number} options.priority - API priority from the task rules (see todoist-rules.js)
+ * @returns {Object} Field values - fields Canvas has nothing for are left out
+ */
+export const buildTaskFields = (
+  item,
+  { projectId = false, sectionId = null, priority = 3 } = {},
+) => {
+  // AIDEV-NOTE: Prefer the normalized ISO timestamp; fall back to Todoist's natural
+  // language parsing only when the raw due text couldn't be parsed
+  const cleanedDueDate = item.due_date?.string?.replace(/^Due:\s*/i, "");
+  const due = item.due_at
+    ? { datetime: new Date(item.due_at).toISOString() }
+    : cleanedDueDate
+      ? { string: cleanedDueDate }
+      : undefined;
+
+  return omitUndefined({
+    content: item.title || undefined,
+    description: item.description
+      ? `${item.description}\n\n[Canvas Link](${item.url})`
+      : undefined,
+    due,
+    labels: [getCourseLabel(item), item.type].filter(Boolean),
+    project: projectId ? String(projectId) : undefined,
+    section: sectionId ? String(sectionId) : undefined,
+    priority,
+  });
+};
+
+/**
+ * Read the same fields from a Todoist task
+ * @param {Object} task - Todoist task
+ * @returns {Object} Field values in the shape of buildTaskFields
+ */
+export const readTaskFields = (task) => ({
+  content: task.content,
+  description: task.description || "",
+  due: task.due?.datetime
+    ? { datetime: new Date(task.due.datetime).toISOString() }
+    : task.due
+      ? { string: task.due.string }
+      : null,
+  labels: task.labels || [],
+  project: task.projectId ? String(task.projectId) : null,
+  section: task.sectionId ? String(task.sectionId) : null,
+  priority: task.priority,
+});
+
+/**
+ * Decide which fields of an existing task to update
+ * @param {Object} fields - Fields Canvas wants (buildTaskFields)
+ * @param {Object} task - Existing Todoist task
+ * @param {Object|null} synced - Fields last synced from Canvas (null when unknown)
+ * @param {Object} ownership - Owner per field (parseFieldOwnership)
+ * @returns {Object} { changes, kept } - `changes` holds the fields to send, `kept` lists the
+ *   user-owned fields left alone because they were edited in Todoist
+ *
+ * @example
+ * // Canvas moved the due date, the user renamed the task
+ * diffTaskFields(
+ *   { content: "HW 3", due: { datetime: "2025-09-24T05:59:00.000Z" } },
+ *   { content: "HW 3 (hard)", due: { datetime: "2025-09-23T05:59:00Z", string: "Sep 22" } },
+ *   { content: "HW 3", due: { datetime: "2025-09-23T05:59:00.000Z" } },
+ *   DEFAULT_FIELD_OWNERSHIP,
+ * ) -> { changes: { due: { datetime: "2025-09-24T05:59:00.000Z" } }, kept: ["content"] }
+ */
+export const diffTaskFields = (fields, task, synced, ownership) => {
+  const current = readTaskFields(task);
+  const changes = {};
+  const kept = [];
+
+  for (const [field, value] of Object.entries(fields)) {
+    if (isSameValue(field, value, current[field])) continue;
+    // AIDEV-NOTE: Todoist rewrites a due string ("Sep 22 11:59pm" reads back as "Sep 22
+    // 11:59 PM" with a date), so a string-only due never matches the task. It counts as
+    // unchanged while Canvas still sends the string last synced
+    if (
+      field === "due" &&
+      value?.string &&
+      isSameValue(field, value, synced?.due)
+    ) {
+      continue;
+    }
+
+    // AIDEV-NOTE: Without a synced value (tasks adopted or synced before field tracking)
+    // a user-owned field that differs counts as edited
+    const editedInTodoist =
+      synced?.[field] === undefined ||
+      !isSameValue(field, synced[field], current[field]);
+    if (ownership[field] === "user" && editedInTodoist) {
+      kept.push(field);
+    } else {
+      changes[field] = value;
+    }
+  }
+
+  return { changes, kept };
+};
+
+/**
+ * Convert task fields to Todoist addTask/updateTask arguments
+ * @param {Object} fields - Task fields (buildTaskFields or the changes of diffTaskFields)
+ * @returns {Object} Arguments - `projectId` and `sectionId` aren't accepted by updateTask;
+ *   move tasks with moveTasks instead
+ */
+export const toTaskArgs = (fields) =>
+  omitUndefined({
+    content: fields.content,
+    description: fields.description,
+    labels: fields.labels,
+    priority: fields.priority,
+    projectId: fields.project,
+    sectionId: fields.section,
+    dueDatetime: fields.due?.datetime,
+    dueString: fields.due?.string,
+  });
+
+/**
+ * Compare two values of a field (labels ignore order)
+ * @private
+ */
+const isSameValue = (field, a, b) => {
+  if (field === "labels") {
+    return (
+      JSON.stringify([...(a || [])].sort()) ===
+      JSON.stringify([...(b || [])].sort())
+    );
+  }
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+};
+
+/**
+ * Drop keys whose value is undefined
+ * @private
+ */
+const omitUndefined = (object) =>
+  Object.fromEntries(
+    Object.entries(object).filter(([, value]) => value !== undefined),
+  );
@@ -0,0 +1,204 @@
+// AIDEV-NOTE: Persistent Canvas item -> Todoist task mapping. Entries are keyed by the
+// normalized item ID ("assignment:345", see normalize.js) and hold the Todoist task ID, so
+// renamed tasks, identically titled items in two courses and tasks without a description
+// are still matched. Items without an entry fall back to adopting an existing task by
+// Canvas URL, then by title (the pre-mapping behavior) - adopted tasks are recorded, which
+// migrates task lists created before the mapping existed
+import fs from "fs";
+import logger from "./logger.js";
+import { getCourseLabel } from "./course-registry.js";
+
+const MAP_VERSION = 1;
+
+/**
+ * Get the mapping key of an item
+ * @param {Object} item - Normalized item
+ * @returns {string|null} The item's stable ID, falling back to its URL
+ */
+export const getItemKey = (item) => item?.id || item?.url || null;
+
+/**
+ * Load the Todoist mapping from disk
+ * @param {Object} mapConfig - `config.todoist` settings ({ mapPath })
+ * @param {string} sessionId - Session ID for logging correlation
+ * @returns {Object} Mapping `{ version, tasks: { [itemKey]: { taskId, title, fields, syncedAt } },
+ *   projects, sections }` where `fields` are the task fields last synced from Canvas (see
+ *   todoist-fields.js) and `projects`/`sections` hold the IDs todoist-projects.js created
+ *   or adopted
+ */
+export const loadTodoistMap = (mapConfig, sessionId) => {
+  const empty = { version: MAP_VERSION, tasks: {}, projects: {}, sections: {} };
+  if (!mapConfig?.mapPath || !fs.existsSync(mapConfig.mapPath)) return empty;
+
+  try {
+    const map = JSON.parse(fs.readFileSync(mapConfig.mapPath, "utf-8"));
+    if (map.version !== MAP_VERSION || !map.tasks) {
+      // AIDEV-NOTE: Unknown layout - start empty, existing tasks are adopted again
+      return empty;
+    }
+
+    logger.info("Loaded Todoist task mapping", {
+      context: "todoist_map",
+      sessionId: sessionId,
+      path: mapConfig.mapPath,
+      entries: Object.keys(map.tasks).length,
+      operation: "map_load",
+    });
+    return { ...empty, ...map };
+  } catch (error) {
+    logger.warn("Failed to load Todoist task mapping, starting empty", {
+      context: "todoist_map",
+      sessionId: sessionId,
+      error: error.message,
+      path: mapConfig.mapPath,
+      operation: "map_load",
+    });
+    return empty;
+  }
+};
+
+/**
+ * Find the Todoist task for an item
+ * @param {Object} map - Mapping from loadTodoistMap
+ * @param {Array} tasks - Active Todoist tasks
+ * @param {Object} item - Normalized item (annotated with course info)
+ * @param {string|boolean} projectId - Project the item belongs in (false when unknown)
+ * @returns {Object} { task, source, mappedTaskId } - source is "map", "url", "title" or
+ *   null; a mapped task that is no longer active (completed or deleted) comes back as
+ *   { task: null, source: "map", mappedTaskId }
+ */
+export const findTodoistTask = (map, tasks, item, projectId) => {
+  const key = getItemKey(item);
+  const mapped = key ? map.tasks[key] : null;
+  if (mapped) {
+    return {
+      task: tasks.find((task) => String(task.id) === mapped.taskId) || null,
+      source: "map",
+      mappedTaskId: mapped.taskId,
+    };
+  }
+
+  // AIDEV-NOTE: Tasks mapped to another item are never adopted - that is what made
+  // "Homework 3" in two courses share one task
+  const claimed = new Set(
+    Object.values(map.tasks).map((entry) => entry.taskId),
+  );
+  const unclaimed = tasks.filter((task) => !claimed.has(String(task.id)));
+
+  const byUrl =
+    item.url &&
+    unclaimed.find((task) => mentionsUrl(task.description, item.url));
+  if (byUrl) return { task: byUrl, source: "url", mappedTaskId: null };
+
+  const byTitle = unclaimed.filter(
+    (task) =>
+      task.content === item.title &&
+      (!projectId || task.projectId === projectId),
+  );
+  // Prefer the task carrying the item's course label when several share the title
+  const courseLabel = getCourseLabel(item);
+  const task =
+    byTitle.find((candidate) => candidate.labels?.includes(courseLabel)) ||
+    byTitle[0];
+  return task
+    ? { task, source: "title", mappedTaskId: null }
+    : { task: null, source: null, mappedTaskId: null };
+};
+
+/**
+ * Get the task fields last synced from Canvas for an item
+ * @param {Object} map - Mapping from loadTodoistMap
+ * @param {Object} item - Normalized item
+ * @returns {Object|null} Fields, null when the item has no mapped task or it was adopted
+ */
+export const getSyncedFields = (map, item) => {
+  const key = getItemKey(item);
+  return (key && map.tasks[key]?.fields) || null;
+};
+
+/**
+ * Record the Todoist task of an item
+ * @param {Object} map - Mapping from loadTodoistMap
+ * @param {Object} item - Normalized item
+ * @param {string} taskId - Todoist task ID
+ * @param {Object|null} fields - Task fields just synced from Canvas (null keeps the recorded ones)
+ * @param {number} now - Current time in milliseconds
+ */
+export const setTodoistTask = (
+  map,
+  item,
+  taskId,
+  fields = null,
+  now = Date.now(),
+) => {
+  const key = getItemKey(item);
+  if (!key || !taskId) return;
+  const previous = map.tasks[key];
+  map.tasks[key] = {
+    taskId: String(taskId),
+    title: item.title,
+    fields:
+      fields ||
+      (previous?.taskId === String(taskId) ? previous.fields : null) ||
+      null,
+    syncedAt: new Date(now).toISOString(),
+  };
+};
+
+/**
+ * Record whether the sync closed an item's task (only those are reopened)
+ * @param {Object} map - Mapping from loadTodoistMap
+ * @param {Object} item - Normalized item
+ * @param {boolean} closed - True after closing, false after reopening
+ */
+export const setClosedBySync = (map, item, closed) => {
+  const entry = map.tasks[getItemKey(item)];
+  if (entry) entry.closedBySync = closed;
+};
+
+/**
+ * Check whether the sync closed an item's task
+ * @param {Object} map - Mapping from loadTodoistMap
+ * @param {Object} item - Normalized item
+ * @returns {boolean}
+ */
+export const isClosedBySync = (map, item) =>
+  !!map.tasks[getItemKey(item)]?.closedBySync;
+
+/**
+ * Write the Todoist mapping to disk
+ * @param {Object} map - Mapping from loadTodoistMap
+ * @param {Object} mapConfig - `config.todoist` settings ({ mapPath })
+ * @param {string} sessionId - Session ID for logging correlation
+ */
+export const saveTodoistMap = (map, mapConfig, sessionId) => {
+  if (!mapConfig?.mapPath) return;
+
+  try {
+    fs.writeFileSync(mapConfig.mapPath, JSON.stringify(map, null, 2));
+    logger.info("Saved Todoist task mapping", {
+      context: "todoist_map",
+      sessionId: sessionId,
+      path: mapConfig.mapPath,
+      entries: Object.keys(map.tasks).length,
+      operation: "map_save",
+    });
+  } catch (error) {
+    // AIDEV-NOTE: The next run adopts the tasks again by URL/title, so this isn't fatal
+    logger.warn("Failed to save Todoist task mapping", {
+      context: "todoist_map",
+      sessionId: sessionId,
+      error: error.message,
+      path: mapConfig.mapPath,
+      operation: "map_save",
+    });
+  }
+};
+
+/**
+ * Check whether a task description links to a URL (".../assignments/34" must not match
+ * a link to ".../assignments/345")
+ * @private
+ */
+const mentionsUrl = (description, url) =>
+  (description || "").split(/[\s()<>[\]]+/).includes(url);
@@ -0,0 +1,255 @@
+import logger from "./logger.js";
+import { getCourseLabel } from "./course-registry.js";
+
+// AIDEV-NOTE: Where new Todoist tasks go. "match" (default) uses a project whose name
+// contains the course alias/code/title and falls back to the Inbox. "project" creates a
+// project per course that has no match, "section" one parent project ("School") with a
+// section per course; either can add a section per item type. Created IDs are remembered in
+// the task mapping (todoist-map.js), so a project renamed in Todoist is still used
+
+export const PROJECT_MODES = ["match", "project", "section"];
+
+// AIDEV-NOTE: List endpoints return 50 results per page by default, 200 at most
+const TODOIST_PAGE_LIMIT = 200;
+
+// AIDEV-NOTE: Section names for `typeSections`
+const TYPE_SECTION_NAMES = {
+  assignment: "Assignments",
+  quiz: "Quizzes",
+  discussion: "Discussions",
+  announcement: "Announcements",
+  page: "Pages",
+  calendar_event: "Events",
+  planner_note: "To Do",
+  peer_review: "Peer Reviews",
+};
+
+/**
+ * Read every page of a paginated Todoist list
+ * @param {Function} fetchPage - Called with { cursor, limit }, returns { results, nextCursor }
+ * @returns {Promise<Array>} Results of all pages
+ */
+export const fetchAllPages = async (fetchPage) => {
+  const results = [];
+  let cursor = null;
+  do {
+    const response = await fetchPage({ cursor, limit: TODOIST_PAGE_LIMIT });
+    results.push(...(response.results || response));
+    cursor = response.nextCursor || null;
+  } while (cursor);
+  return results;
+};
+
+/**
+ * Get the key a course's project/section is remembered by
+ * @param {Object} item - Normalized item (annotated with course info)
+ * @returns {string} "course:<id>", or "name:<class name>" without a course ID
+ *
+ * @example
+ * getCourseKey({ course_id: "12345" }) -> "course:12345"
+ */
+export const getCourseKey = (item) => {
+  const id = item.course?.id ?? item.course_id;
+  return id !== null && id !== undefined && id !== ""
+    ? `course:${id}`
+    : `name:${(item.class_name || "Unknown Class").toLowerCase()}`;
+};
+
+/**
+ * Create the per-run project/section state
+ * @param {Array} projects - Todoist projects (created projects are appended)
+ * @param {Object} projectConfig - `config.todoist.projects` settings
+ * @param {string} projectConfig.mode - "match", "project" or "section"
+ * @param {string} projectConfig.parentName - Parent project name in "section" mode
+ * @param {boolean} projectConfig.typeSections - Add a section per item type
+ * @returns {Object} State for resolveTaskLocation
+ * @throws {Error} On an unknown mode
+ */
+export const createLocationState = (projects, projectConfig = {}) => {
+  const mode = projectConfig.mode || "match";
+  if (!PROJECT_MODES.includes(mode)) {
+    throw new Error(
+      `Invalid Todoist project mode "${mode}". Use one of ${PROJECT_MODES.join(", ")}`,
+    );
+  }
+
+  return {
+    mode,
+    parentName: projectConfig.parentName || "School",
+    typeSections: !!projectConfig.typeSections,
+    projects,
+    sections: new Map(), // project ID -> sections, fetched on first use
+  };
+};
+
+/**
+ * Resolve (creating when needed) the project and section an item's task belongs in
+ * @param {Object} todoistApi - Todoist API client
+ * @param {Object} map - Mapping from loadTodoistMap (created IDs are recorded in it)
+ * @param {Object} state - State from createLocationState
+ * @param {Object} item - Normalized item (annotated with course info)
+ * @param {string|boolean} matchedProjectId - Project found by name (false when none)
+ * @param {string} sessionId - Session ID for logging correlation
+ * @returns {Promise<Object>} { projectId, sectionId } - projectId false means the Inbox
+ */
+export const resolveTaskLocation = async (
+  todoistApi,
+  map,
+  state,
+  item,
+  matchedProjectId,
+  sessionId,
+) => {
+  // AIDEV-NOTE: Items without a course (planner notes) stay where matching puts them
+  const hasCourse = item.class_name && item.class_name !== "Unknown Class";
+  if (state.mode === "match" || !hasCourse) {
+    return { projectId: matchedProjectId, sectionId: null };
+  }
+
+  const courseKey = getCourseKey(item);
+  const label = getCourseLabel(item);
+  const typeName = TYPE_SECTION_NAMES[item.type] || item.type;
+
+  if (state.mode === "project") {
+    const projectId = await ensureProject(
+      todoistApi,
+      map,
+      state,
+      courseKey,
+      { name: label, color: item.course?.color },
+      matchedProjectId,
+      sessionId,
+    );
+    const sectionId = state.typeSections
+      ? await ensureSection(
+          todoistApi,
+          map,
+          state,
+          projectId,
+          `${courseKey}|${item.type}`,
+          typeName,
+          sessionId,
+        )
+      : null;
+    return { projectId, sectionId };
+  }
+
+  const parent = state.projects.find(
+    (project) => project.name.toLowerCase() === state.parentName.toLowerCase(),
+  );
+  const projectId = await ensureProject(
+    todoistApi,
+    map,
+    state,
+    "school",
+    { name: state.parentName },
+    parent?.id,
+    sessionId,
+  );
+  // Sections can't be nested, so type sections are named "ATLS 5420 - Quizzes"
+  const sectionId = await ensureSection(
+    todoistApi,
+    map,
+    state,
+    projectId,
+    state.typeSections ? `${courseKey}|${item.type}` : courseKey,
+    state.typeSections ? `${label} - ${typeName}` : label,
+    sessionId,
+  );
+  return { projectId, sectionId };
+};
+
+/**
+ * Get the remembered project for a key, else adopt the fallback, else create one
+ * @private
+ */
+const ensureProject = async (
+  todoistApi,
+  map,
+  state,
+  key,
+  { name, color },
+  fallbackId,
+  sessionId,
+) => {
+  const remembered = map.projects[key];
+  if (
+    remembered &&
+    state.projects.some((project) => String(project.id) === remembered)
+  ) {
+    return remembered;
+  }
+  if (fallbackId) {
+    map.projects[key] = String(fallbackId);
+    return map.projects[key];
+  }
+
+  const project = await todoistApi.addProject({
+    name,
+    ...(color && { color }),
+  });
+  state.projects.push(project);
+  map.projects[key] = String(project.id);
+
+  logger.info("Created Todoist project", {
+    context: "todoist_export",
+    sessionId: sessionId,
+    project: name,
+    projectId: project.id,
+    color: color || null,
+    operation: "project_create",
+  });
+  return map.projects[key];
+};
+
+/**
+ * Get the remembered section for a key, else one with the same name, else create one
+ * @private
+ */
+const ensureSection = async (
+  todoistApi,
+  map,
+  state,
+  projectId,
+  key,
+  name,
+  sessionId,
+) => {
+  if (!state.sections.has(projectId)) {
+    state.sections.set(
+      projectId,
+      await fetchAllPages((args) =>
+        todoistApi.getSections({ projectId, ...args }),
+      ),
+    );
+  }
+  const sections = state.sections.get(projectId);
+
+  // AIDEV-NOTE: Only sections of this project count - a remembered section in another
+  // (e.g. a deleted and recreated parent) project is replaced
+  const remembered = map.sections[key];
+  if (
+    remembered &&
+    sections.some((section) => String(section.id) === remembered)
+  ) {
+    return remembered;
+  }
+
+  let section = sections.find(
+    (candidate) => candidate.name.toLowerCase() === name.toLowerCase(),
+  );
+  if (!section) {
+    section = await todoistApi.addSection({ name, projectId });
+    sections.push(section);
+    logger.info("Created Todoist section", {
+      context: "todoist_export",
+      sessionId: sessionId,
+      section: name,
+      sectionId: section.id,
+      projectId: projectId,
+      operation: "section_create",
+    });
+  }
+  map.sections[key] = String(section.id);
+  return map.sections[key];
+};
@@ -0,0 +1,289 @@
+import fs from "fs";
+import logger from "./logger.js";
+import { matchesCoursePattern } from "./filters.js";
+import { getCourseLabel } from "./course-registry.js";
+
+// AIDEV-NOTE: Todoist task rules - priority from item type, title, course, points possible
+// and days until due, plus relative reminders per item type. Rules come from
+// todoist-rules.json; without one every task gets p2 and no reminders (the old behavior).
+// `--rules-dry-run` prints what the rules would apply without touching Todoist
+
+const DEFAULT_PRIORITY = "p2";
+const MINUTES_PER_UNIT = { m: 1, h: 60, d: 24 * 60 };
+
+/**
+ * Convert a UI priority ("p1" = urgent ... "p4" = none) to the API value (4 ... 1)
+ * @param {string|number} value - "p1".."p4" or 1..4 (UI numbering)
+ * @returns {number} Todoist API priority
+ * @throws {Error} On anything else
+ *
+ * @example
+ * toApiPriority("p1") -> 4
+ */
+export const toApiPriority = (value) => {
+  const match = String(value).match(/^p?([1-4])$/i);
+  if (!match) {
+    throw new Error(`Invalid Todoist priority "${value}". Use p1 to p4`);
+  }
+  return 5 - parseInt(match[1], 10);
+};
+
+/**
+ * Parse a relative reminder ("1 day", "3 hours before", "30m") to minutes before due
+ * @param {string} value - Reminder offset
+ * @returns {number} Minutes
+ * @throws {Error} If the offset can't be parsed
+ */
+export const parseReminderOffset = (value) => {
+  const match = String(value)
+    .trim()
+    .toLowerCase()
+    .match(/^(\d+)\s*(m|mins?|minutes?|h|hours?|d|days?)(?:\s+before)?$/);
+  if (!match) {
+    throw new Error(
+      `Invalid reminder "${value}". Use e.g. "1 day", "3 hours" or "30 minutes"`,
+    );
+  }
+  return parseInt(match[1], 10) * MINUTES_PER_UNIT[match[2][0]];
+};
+
+/**
+ * Validate and normalize task rules
+ * @param {Object} definition - Parsed todoist-rules.json
+ * @param {Array<Object>} definition.priority - Ordered rules, first match wins:
+ *   { name, type, title, course, minPoints, maxPoints, dueWithinDays, priority } - every
+ *   condition given must match; type/title/course take a value or a list
+ * @param {string} definition.defaultPriority - Priority when no rule matches (default p2)
+ * @param {Object} definition.reminders - Reminder offsets per item type, "default" for the rest
+ * @returns {Object} { priority: [...], defaultPriority, reminders: { [type]: [minutes] } }
+ * @throws {Error} On an invalid priority, reminder or condition
+ *
+ * @example todoist-rules.json
+ * {
+ *   "priority": [
+ *     { "name": "Exams", "title": ["exam", "midterm", "final"], "priority": "p1" },
+ *     { "name": "Quizzes", "type": "quiz", "priority": "p1" },
+ *     { "name": "Due soon", "dueWithinDays": 2, "priority": "p2" },
+ *     { "name": "Announcements", "type": "announcement", "priority": "p4" }
+ *   ],
+ *   "defaultPriority": "p3",
+ *   "reminders": { "quiz": ["1 day", "3 hours"], "default": ["1 day"] }
+ * }
+ */
+export const parseTaskRules = (definition = {}) => {
+  const priority = (definition.priority || []).map((rule, index) => {
+    const name = rule.name || `Rule ${index + 1}`;
+    for (const key of ["minPoints", "maxPoints", "dueWithinDays"]) {
+      if (rule[key] !== undefined && typeof rule[key] !== "number") {
+        throw new Error(`Invalid "${key}" in priority rule "${name}"`);
+      }
+    }
+    return {
+      name,
+      types: toList(rule.type),
+      titles: toList(rule.title).map((title) => title.toLowerCase()),
+      courses: toList(rule.course),
+      minPoints: rule.minPoints ?? null,
+      maxPoints: rule.maxPoints ?? null,
+      dueWithinDays: rule.dueWithinDays ?? null,
+      priority: toApiPriority(rule.priority),
+    };
+  });
+
+  const reminders = Object.fromEntries(
+    Object.entries(definition.reminders || {}).map(([type, offsets]) => [
+      type,
+      toList(offsets).map(parseReminderOffset),
+    ]),
+  );
+
+  return {
+    priority,
+    defaultPriority: toApiPriority(
+      definition.defaultPriority || DEFAULT_PRIORITY,
+    ),
+    reminders,
+  };
+};
+
+/**
+ * Load the task rules file
+ * @param {Object} rulesConfig - `config.todoist` settings ({ rulesPath })
+ * @param {string} sessionId - Session ID for logging correlation
+ * @param {Object} options
+ * @param {boolean} options.strict - Throw on an invalid file instead of using the defaults
+ * @returns {Object} Rules from parseTaskRules (the defaults without a file)
+ * @throws {Error} In strict mode, if the file can't be read or parsed
+ */
+export const loadTaskRules = (
+  rulesConfig,
+  sessionId,
+  { strict = false } = {},
+) => {
+  const rulesPath = rulesConfig?.rulesPath;
+  if (!rulesPath || !fs.existsSync(rulesPath)) return parseTaskRules();
+
+  try {
+    const rules = parseTaskRules(
+      JSON.parse(fs.readFileSync(rulesPath, "utf-8")),
+    );
+    logger.info("Loaded Todoist task rules", {
+      context: "todoist_rules",
+      sessionId: sessionId,
+      path: rulesPath,
+      priorityRules: rules.priority.length,
+      reminderTypes: Object.keys(rules.reminders).length,
+      operation: "rules_load",
+    });
+    return rules;
+  } catch (error) {
+    // AIDEV-NOTE: Same as a broken course registry - export with the defaults. A dry run
+    // is strict, since checking the file is its whole point
+    if (strict) throw error;
+    logger.warn("Failed to load Todoist task rules, using defaults", {
+      context: "todoist_rules",
+      sessionId: sessionId,
+      error: error.message,
+      path: rulesPath,
+      operation: "rules_load",
+    });
+    return parseTaskRules();
+  }
+};
+
+/**
+ * Apply the rules to an item
+ * @param {Object} item - Normalized item (annotated with course info)
+ * @param {Object} rules - Rules from parseTaskRules/loadTaskRules
+ * @param {Date} now - Reference time for days until due
+ * @returns {Object} { priority, priorityRule, reminders, reminderRule } - priority is the
+ *   API value, priorityRule the matching rule's name (null for the default), reminders
+ *   minutes before due and reminderRule the reminders key used (null for none)
+ */
+export const evaluateTaskRules = (item, rules, now = new Date()) => {
+  const rule = rules.priority.find((candidate) =>
+    matchesRule(item, candidate, now),
+  );
+  const reminderRule =
+    item.type in rules.reminders
+      ? item.type
+      : "default" in rules.reminders
+        ? "default"
+        : null;
+
+  return {
+    priority: rule ? rule.priority : rules.defaultPriority,
+    priorityRule: rule ? rule.name : null,
+    reminders: reminderRule ? rules.reminders[reminderRule] : [],
+    reminderRule,
+  };
+};
+
+/**
+ * Format what the rules apply to each item as a table for `--rules-dry-run`
+ * @param {Array} items - Normalized items
+ * @param {Object} rules - Rules from loadTaskRules
+ * @param {Date} now - Reference time for days until due
+ * @returns {string} Report
+ */
+export const formatRulesReport = (items, rules, now = new Date()) => {
+  const table = [
+    ["Item", "Course", "Type", "Due in", "Priority", "Reminders"],
+    ...items.map((item) => {
+      const result = evaluateTaskRules(item, rules, now);
+      const days = getDaysUntilDue(item, now);
+      return [
+        truncate(item.title || "", 40),
+        getCourseLabel(item),
+        item.type || "",
+        days === null ? "-" : `${Math.round(days * 10) / 10}d`,
+        `p${5 - result.priority} (${result.priorityRule || "default"})`,
+        // Relative reminders need a due time
+        result.reminders.length === 0
+          ? "-"
+          : days === null
+            ? `none - no due time (${result.reminderRule})`
+            : `${result.reminders.map(formatOffset).join(", ")} (${result.reminderRule})`,
+      ];
+    }),
+  ];
+  const widths = table[0].map((_, column) =>
+    Math.max(...table.map((cells) => cells[column].length)),
+  );
+  return table
+    .map((cells) =>
+      cells
+        .map((cell, column) =>
+          column === cells.length - 1 ? cell : cell.padEnd(widths[column]),
+        )
+        .join("  ")
+        .trimEnd(),
+    )
+    .join("\n");
+};
+
+/**
+ * Check a priority rule's conditions against an item
+ * @private
+ */
+const matchesRule = (item, rule, now) => {
+  if (rule.types.length > 0 && !rule.types.includes(item.type)) return false;
+  if (
+    rule.titles.length > 0 &&
+    !rule.titles.some((title) =>
+      (item.title || "").toLowerCase().includes(title),
+    )
+  ) {
+    return false;
+  }
+  if (
+    rule.courses.length > 0 &&
+    !rule.courses.some((pattern) => matchesCoursePattern(item, pattern))
+  ) {
+    return false;
+  }
+
+  // Items without points (announcements, pages, notes) never match a points bound
+  const points = item.points_possible;
+  if (rule.minPoints !== null || rule.maxPoints !== null) {
+    if (typeof points !== "number") return false;
+    if (rule.minPoints !== null && points < rule.minPoints) return false;
+    if (rule.maxPoints !== null && points > rule.maxPoints) return false;
+  }
+
+  if (rule.dueWithinDays !== null) {
+    const days = getDaysUntilDue(item, now);
+    // Overdue items count as due within any window
+    if (days === null || days > rule.dueWithinDays) return false;
+  }
+  return true;
+};
+
+/**
+ * Days from now until the item is due, null without a due date
+ * @private
+ */
+const getDaysUntilDue = (item, now) => {
+  const due = item.due_at ? Date.parse(item.due_at) : NaN;
+  return Number.isNaN(due) ? null : (due - now.getTime()) / 86400000;
+};
+
+/**
+ * Format minutes before due as "1d", "3h" or "30m"
+ * @private
+ */
+const formatOffset = (minutes) => {
+  if (minutes % MINUTES_PER_UNIT.d === 0) return `${minutes / 1440}d`;
+  if (minutes % MINUTES_PER_UNIT.h === 0) return `${minutes / 60}h`;
+  return `${minutes}m`;
+};
+
+const toList = (value) =>
+  value === undefined || value === null
+    ? []
+    : Array.isArray(value)
+      ? value
+      : [value];
+
+const truncate = (text, length) =>
+  text.length > length ? `${text.slice(0, length - 1)}…` : text;
@@ -0,0 +1,30 @@
+// AIDEV-NOTE: Minimal bounded worker pool for running async jobs with limited concurrency
+// Used to scrape several Canvas item pages at once inside a single browser context
+
+/**
+ * Run an async worker over every item with at most `concurrency` jobs in flight
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of concurrent jobs (minimum 1)
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} Results in the same order as `items`
+ *
+ * @example
+ * await runWithConcurrency(urls, 3, (url) => scrape(url)) -> [result0, result1, ...]
+ */
+export const runWithConcurrency = async (items, concurrency, worker) => {
+  const results = new Array(items.length);
+  const limit = Math.max(1, Math.min(concurrency || 1, items.length));
+  let nextIndex = 0;
+
+  // AIDEV-NOTE: Each runner pulls the next index synchronously, so no two runners
+  // ever claim the same item and results land at their original position
+  const runner = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: limit }, runner));
+  return results;
+};
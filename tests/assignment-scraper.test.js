@@ -0,0 +1,124 @@
+import { describe, it, expect } from "vitest";
+import {
+  parseSubmissionDetails,
+  parseSubmissionTypes,
+  parseRubric,
+} from "../src/scrapers/assignment.js";
+
+// AIDEV-NOTE: Test suite for parsing assignment page submission texts (no browser needed)
+
+describe("Assignment Submission Details", () => {
+  it("should read points possible for unsubmitted work", () => {
+    expect(
+      parseSubmissionDetails({
+        status: "In Progress",
+        subStatus: "NEXT UP: Submit Assignment",
+        gradeText: "10 Points Possible",
+      }),
+    ).toEqual({
+      points_possible: 10,
+      submission: {
+        workflow_state: "unsubmitted",
+        tracker_status: "In Progress",
+        submitted_at: null,
+        late: false,
+        missing: false,
+        score: null,
+        grade: null,
+      },
+    });
+  });
+
+  it("should read the submission time and flags", () => {
+    const { submission } = parseSubmissionDetails({
+      status: "Submitted",
+      subStatus: "SUBMITTED: Sep 20, 2025 3:15pm",
+      gradeText: "–/25 Points",
+      late: true,
+    });
+
+    expect(submission.workflow_state).toBe("submitted");
+    expect(submission.submitted_at).toBe("Sep 20, 2025 3:15pm");
+    expect(submission.late).toBe(true);
+    expect(submission.score).toBeNull();
+  });
+
+  it("should treat a posted score as graded", () => {
+    const details = parseSubmissionDetails({
+      status: "Review Feedback",
+      gradeText: "8.5/10 Points",
+    });
+
+    expect(details.points_possible).toBe(10);
+    expect(details.submission.workflow_state).toBe("graded");
+    expect(details.submission.score).toBe(8.5);
+    expect(details.submission.grade).toBe("8.5/10");
+  });
+
+  it("should not mistake negative tracker states for submitted work", () => {
+    const stateOf = (status) =>
+      parseSubmissionDetails({ status }).submission.workflow_state;
+
+    expect(
+      ["Unsubmitted", "Not Submitted", "Incomplete", "In Progress"].map(
+        stateOf,
+      ),
+    ).toEqual(["unsubmitted", "unsubmitted", "unsubmitted", "unsubmitted"]);
+    expect(["Submitted", "Complete", "Review Feedback"].map(stateOf)).toEqual([
+      "submitted",
+      "submitted",
+      "graded",
+    ]);
+  });
+
+  it("should return empty details when nothing is shown", () => {
+    const details = parseSubmissionDetails();
+    expect(details.points_possible).toBeNull();
+    expect(details.submission.workflow_state).toBeNull();
+    expect(details.submission.missing).toBe(false);
+  });
+});
+
+describe("Assignment Requirements", () => {
+  it("should map submission type tabs and legacy text to Canvas values", () => {
+    expect(parseSubmissionTypes(["Upload", "Text", "URL"])).toEqual([
+      "online_upload",
+      "online_text_entry",
+      "online_url",
+    ]);
+    expect(
+      parseSubmissionTypes([
+        "a text entry box, a website url, or a file upload",
+      ]),
+    ).toEqual(["online_text_entry", "online_url", "online_upload"]);
+    expect(parseSubmissionTypes(["an external tool"])).toEqual([
+      "external_tool",
+    ]);
+    expect(parseSubmissionTypes([])).toEqual([]);
+  });
+
+  it("should parse rubric criteria and rating points", () => {
+    expect(
+      parseRubric([
+        {
+          description: "Correctness\n",
+          pointsText: "/ 10 pts",
+          ratings: [
+            { description: "Full Marks", pointsText: "10 pts" },
+            { description: "No Marks", pointsText: "0 pts" },
+          ],
+        },
+        { description: "", pointsText: "", ratings: [] },
+      ]),
+    ).toEqual([
+      {
+        description: "Correctness",
+        points: 10,
+        ratings: [
+          { description: "Full Marks", points: 10 },
+          { description: "No Marks", points: 0 },
+        ],
+      },
+    ]);
+  });
+});
@@ -0,0 +1,352 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import {
+  buildItem,
+  resolveItemDate,
+  buildSubmission,
+  fetchCourseItems,
+  parseNextLink,
+  formatCanvasDate,
+  htmlToText,
+} from "../src/canvas-api.js";
+
+// AIDEV-NOTE: Test suite for the Canvas REST API backend helpers, with a stubbed fetch
+// serving Canvas responses by path
+
+describe("Canvas API", () => {
+  const config = { url: "https://canvas.test", canvas_api_token: "token" };
+  const courses = new Map([[101, { id: 101, course_code: "CSCI 1300" }]]);
+  const timeZone = "America/Denver";
+
+  // Serves `routes` by request path (with query); `next` adds a Link header to that path
+  const stubCanvas = (routes) => {
+    const fetchMock = vi.fn(async (url) => {
+      const { pathname, search } = new URL(url);
+      const route = routes[`${pathname}${search}`];
+      if (route === undefined) {
+        return { ok: false, status: 404, headers: { get: () => null } };
+      }
+      const { body, next } = route;
+      return {
+        ok: true,
+        status: 200,
+        json: async () => body,
+        headers: {
+          get: (name) =>
+            name === "link" && next
+              ? `<https://canvas.test${next}>; rel="next"`
+              : null,
+        },
+      };
+    });
+    vi.stubGlobal("fetch", fetchMock);
+    return fetchMock;
+  };
+  const createStats = () => ({
+    sessionId: "test",
+    scrapingStats: { coursesCrawled: 0 },
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  describe("buildItem", () => {
+    const plannerItem = {
+      course_id: 101,
+      plannable_type: "assignment",
+      plannable_id: 345,
+      html_url: "/courses/101/assignments/345",
+      plannable: { title: "HW 3", due_at: "2025-09-23T05:59:00Z" },
+      submissions: { submitted: false },
+    };
+    const detailPath =
+      "/api/v1/courses/101/assignments/345?include[]=submission";
+
+    it("should build an assignment from its detail record", async () => {
+      stubCanvas({
+        [detailPath]: {
+          body: {
+            name: "Homework 3",
+            description: "<p>Solve &amp; show work</p>",
+            due_at: "2025-09-23T05:59:00Z",
+            html_url: "https://canvas.test/courses/101/assignments/345",
+            points_possible: 10,
+            submission_types: ["online_upload"],
+            submission: {
+              workflow_state: "graded",
+              score: 8,
+              grade: "8",
+              redo_request: true,
+            },
+          },
+        },
+      });
+
+      const item = await buildItem(
+        config,
+        plannerItem,
+        "assignment",
+        courses,
+        timeZone,
+        createStats(),
+      );
+
+      expect(item).toMatchObject({
+        class_name: "CSCI 1300",
+        title: "Homework 3",
+        due_date: { string: "Mon Sep 22, 2025 11:59pm" },
+        description: "Solve & show work",
+        url: "https://canvas.test/courses/101/assignments/345",
+        type: "assignment",
+        course_id: 101,
+        item_id: 345,
+        due_at: "2025-09-23T05:59:00Z",
+        points_possible: 10,
+        submission_types: ["online_upload"],
+        rubric: null,
+        submission: { workflow_state: "graded", score: 8, redo_request: true },
+      });
+    });
+
+    it("should treat quiz-lti assignments as New Quizzes", async () => {
+      stubCanvas({
+        [detailPath]: {
+          body: {
+            name: "Quiz 3",
+            is_quiz_lti_assignment: true,
+            allowed_attempts: 2,
+          },
+        },
+      });
+
+      const item = await buildItem(
+        config,
+        plannerItem,
+        "assignment",
+        courses,
+        timeZone,
+        createStats(),
+      );
+
+      expect(item.type).toBe("quiz");
+      expect(item.quiz).toMatchObject({
+        engine: "new_quizzes",
+        question_count: null,
+        allowed_attempts: 2,
+      });
+    });
+
+    it("should build peer reviews from the planner alone", async () => {
+      const fetchMock = stubCanvas({});
+
+      const item = await buildItem(
+        config,
+        {
+          course_id: 999,
+          context_name: "Writing Seminar",
+          plannable_type: "assessment_request",
+          plannable_id: 7,
+          plannable_date: "2025-09-25T06:00:00Z",
+          html_url: "/courses/999/assignments/12/submissions/5",
+          plannable: { title: "Essay 1" },
+        },
+        "peer_review",
+        courses,
+        timeZone,
+        createStats(),
+      );
+
+      expect(fetchMock).not.toHaveBeenCalled();
+      expect(item).toMatchObject({
+        class_name: "Writing Seminar",
+        title: "Peer Review: Essay 1",
+        due_date: { string: "Thu Sep 25, 2025 12:00am" },
+        peer_review: {
+          assignment_title: "Essay 1",
+          assignment_url: "https://canvas.test/courses/999/assignments/12",
+        },
+      });
+      expect(item.submission).toBeUndefined();
+    });
+
+    it("should fail when the detail request fails", async () => {
+      stubCanvas({});
+
+      await expect(
+        buildItem(
+          config,
+          plannerItem,
+          "assignment",
+          courses,
+          timeZone,
+          createStats(),
+        ),
+      ).rejects.toThrow(/Canvas API request failed with status 404/);
+    });
+  });
+
+  describe("resolveItemDate", () => {
+    const plannerItem = { plannable_date: "2025-09-20T06:00:00Z" };
+
+    it("should use the date that stands in for each type's due date", () => {
+      expect(
+        resolveItemDate(
+          "announcement",
+          { posted_at: "2025-09-18T15:00:00Z" },
+          {},
+          plannerItem,
+        ),
+      ).toBe("2025-09-18T15:00:00Z");
+      expect(
+        resolveItemDate(
+          "discussion",
+          { assignment: { due_at: "2025-09-24T05:59:00Z" } },
+          { todo_date: "2025-09-21T05:59:00Z" },
+          plannerItem,
+        ),
+      ).toBe("2025-09-24T05:59:00Z");
+      expect(
+        resolveItemDate(
+          "discussion",
+          {},
+          { todo_date: "2025-09-21T05:59:00Z" },
+          plannerItem,
+        ),
+      ).toBe("2025-09-21T05:59:00Z");
+      expect(resolveItemDate("page", {}, {}, plannerItem)).toBe(
+        "2025-09-20T06:00:00Z",
+      );
+      expect(
+        resolveItemDate(
+          "calendar_event",
+          { start_at: "2025-09-22T16:00:00Z" },
+          {},
+          plannerItem,
+        ),
+      ).toBe("2025-09-22T16:00:00Z");
+    });
+
+    it("should leave undated assignments and ungraded discussions without a date", () => {
+      expect(resolveItemDate("assignment", {}, {}, plannerItem)).toBeFalsy();
+      expect(resolveItemDate("discussion", {}, {}, plannerItem)).toBeNull();
+    });
+  });
+
+  describe("buildSubmission", () => {
+    it("should prefer the submission record", () => {
+      expect(
+        buildSubmission(
+          {
+            workflow_state: "submitted",
+            submitted_at: "2025-09-20T21:15:00Z",
+            late: true,
+          },
+          { graded: true },
+        ),
+      ).toEqual({
+        workflow_state: "submitted",
+        tracker_status: null,
+        submitted_at: "2025-09-20T21:15:00Z",
+        late: true,
+        missing: false,
+        score: null,
+        grade: null,
+        redo_request: false,
+      });
+    });
+
+    it("should map planner summaries onto workflow states", () => {
+      const stateOf = (summary) =>
+        buildSubmission(undefined, summary).workflow_state;
+
+      expect(stateOf({ graded: true, submitted: true })).toBe("graded");
+      expect(stateOf({ submitted: true })).toBe("submitted");
+      expect(stateOf({ missing: true })).toBe("unsubmitted");
+      expect(buildSubmission(undefined, { redo_request: true })).toMatchObject({
+        redo_request: true,
+      });
+      expect(buildSubmission(undefined, undefined)).toBeNull();
+    });
+  });
+
+  describe("fetchCourseItems", () => {
+    it("should list every page of assignments and topics under their own type", async () => {
+      const fetchMock = stubCanvas({
+        "/api/v1/courses/101/assignments?per_page=100": {
+          body: [
+            { id: 1, name: "HW 1", due_at: "2025-09-23T05:59:00Z" },
+            { id: 2, name: "Quiz 1", quiz_id: 20 },
+          ],
+          next: "/api/v1/courses/101/assignments?page=2&per_page=100",
+        },
+        "/api/v1/courses/101/assignments?page=2&per_page=100": {
+          body: [{ id: 3, name: "Forum", discussion_topic: { id: 30 } }],
+        },
+        "/api/v1/courses/101/discussion_topics?per_page=100": {
+          body: [{ id: 31, title: "Introductions", todo_date: null }],
+        },
+      });
+      const stats = createStats();
+
+      const items = await fetchCourseItems(config, courses, stats);
+
+      expect(fetchMock).toHaveBeenCalledTimes(3);
+      expect(
+        items.map((item) => `${item.plannable_type}:${item.plannable_id}`),
+      ).toEqual([
+        "assignment:1",
+        "quiz:20",
+        "discussion_topic:30",
+        "discussion_topic:31",
+      ]);
+      expect(items[0]).toMatchObject({
+        course_id: 101,
+        plannable: { title: "HW 1", due_at: "2025-09-23T05:59:00Z" },
+      });
+      expect(stats.scrapingStats.coursesCrawled).toBe(1);
+    });
+
+    it("should skip courses that can't be listed", async () => {
+      stubCanvas({});
+      const stats = createStats();
+
+      expect(await fetchCourseItems(config, courses, stats)).toEqual([]);
+      expect(stats.scrapingStats.coursesCrawled).toBe(0);
+    });
+  });
+
+  it("should read the next page from a Link header", () => {
+    expect(
+      parseNextLink(
+        '<https://canvas.test/api/v1/courses?page=1>; rel="current", <https://canvas.test/api/v1/courses?page=2>; rel="next", <https://canvas.test/api/v1/courses?page=5>; rel="last"',
+      ),
+    ).toBe("https://canvas.test/api/v1/courses?page=2");
+    expect(
+      parseNextLink('<https://canvas.test/api/v1/courses?page=5>; rel="last"'),
+    ).toBeNull();
+    expect(parseNextLink(null)).toBeNull();
+  });
+
+  it("should format dates like the Canvas UI in the institution timezone", () => {
+    expect(formatCanvasDate("2025-09-22T22:00:00Z", "America/Denver")).toBe(
+      "Mon Sep 22, 2025 4:00pm",
+    );
+    expect(formatCanvasDate("2025-09-22T22:00:00Z", "America/New_York")).toBe(
+      "Mon Sep 22, 2025 6:00pm",
+    );
+    expect(formatCanvasDate("2025-12-01T06:59:00Z", "America/Denver")).toBe(
+      "Sun Nov 30, 2025 11:59pm",
+    );
+  });
+
+  it("should reduce HTML to plain text", () => {
+    expect(
+      htmlToText(
+        "<h2>Goals</h2><p>Read &quot;Ch. 3&quot; &amp; answer</p><script>x()</script><ul><li>Q1</li><li>Q2</li></ul>",
+      ),
+    ).toBe('Goals\nRead "Ch. 3" & answer\nQ1\nQ2');
+    expect(htmlToText("<p>Escape &amp;lt;script&amp;gt; tags</p>")).toBe(
+      "Escape &lt;script&gt; tags",
+    );
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect } from "vitest";
+import {
+  toItemPath,
+  selectCourseItemLinks,
+  selectUnplannedItems,
+} from "../src/course-crawler.js";
+
+// AIDEV-NOTE: Test suite for course crawl link handling
+// Page navigation (course list, index pages) needs a browser and is not covered here
+
+describe("Course Crawler", () => {
+  const baseUrl = "https://canvas.test";
+
+  describe("toItemPath", () => {
+    it("should reduce absolute and relative links to their path", () => {
+      expect(
+        toItemPath(
+          "https://canvas.test/courses/12/assignments/345?module_item_id=9#x",
+          baseUrl,
+        ),
+      ).toBe("/courses/12/assignments/345");
+      expect(toItemPath("/courses/12/quizzes/678/", baseUrl)).toBe(
+        "/courses/12/quizzes/678",
+      );
+    });
+
+    it("should ignore links to other sites and empty links", () => {
+      expect(toItemPath("https://example.com/courses/1", baseUrl)).toBe(null);
+      expect(toItemPath(null, baseUrl)).toBe(null);
+    });
+  });
+
+  describe("selectCourseItemLinks", () => {
+    it("should keep item links and drop navigation and duplicates", () => {
+      const links = [
+        { href: "/courses/12/assignments/345", text: " Homework\n3 " },
+        { href: "/courses/12/assignments/345?foo=1", text: "Homework 3" },
+        { href: "/courses/12/assignments/syllabus", text: "Syllabus" },
+        { href: "/courses/12/discussion_topics/90", text: "Intro Post" },
+        { href: "/courses/12/quizzes", text: "Quizzes" },
+        { href: "/courses/12/quizzes/678", text: "Quiz 1", rowText: "Due" },
+      ];
+
+      expect(selectCourseItemLinks(links, baseUrl)).toEqual([
+        {
+          path: "/courses/12/assignments/345",
+          title: "Homework 3",
+          rowText: "",
+        },
+        {
+          path: "/courses/12/discussion_topics/90",
+          title: "Intro Post",
+          rowText: "",
+        },
+        { path: "/courses/12/quizzes/678", title: "Quiz 1", rowText: "Due" },
+      ]);
+    });
+  });
+
+  describe("selectUnplannedItems", () => {
+    it("should skip items the planner already listed", () => {
+      const crawled = [
+        { path: "/courses/12/assignments/345", title: "Homework 3" },
+        { path: "/courses/12/assignments/346", title: "Final Project" },
+        { path: "/courses/13/assignments/346", title: "Other course" },
+      ];
+
+      expect(
+        selectUnplannedItems(
+          ["/courses/12/assignments/345", null],
+          crawled,
+          baseUrl,
+        ).map((item) => item.path),
+      ).toEqual(["/courses/12/assignments/346", "/courses/13/assignments/346"]);
+    });
+  });
+});
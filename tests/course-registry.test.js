@@ -0,0 +1,124 @@
+import { describe, it, expect } from "vitest";
+import {
+  parseCourseName,
+  resolveCourse,
+  annotateCourses,
+  getCourseLabel,
+} from "../src/course-registry.js";
+
+// AIDEV-NOTE: Test suite for course name parsing and registry aliases shared by the exporters
+
+describe("parseCourseName", () => {
+  it("should parse code, section, term and title", () => {
+    expect(
+      parseCourseName("ATLS 5420-001: Interactive Design (Fall 2025)"),
+    ).toEqual({
+      code: "ATLS 5420",
+      department: "ATLS",
+      number: "5420",
+      section: "001",
+      term: "Fall 2025",
+      title: "Interactive Design",
+    });
+  });
+
+  it("should handle hyphenated codes and section keywords", () => {
+    expect(parseCourseName("CSCI-1300-010 Starting Computing")).toMatchObject({
+      code: "CSCI 1300",
+      section: "010",
+      title: "Starting Computing",
+    });
+    expect(
+      parseCourseName("PSYC 2012 Sec 100 - Biological Psychology"),
+    ).toMatchObject({
+      code: "PSYC 2012",
+      section: "100",
+      title: "Biological Psychology",
+    });
+  });
+
+  it("should expand two-digit years", () => {
+    expect(parseCourseName("MATH 1300 (Spring '26)").term).toBe("Spring 2026");
+  });
+
+  it("should not read a term or plain words as a course code", () => {
+    expect(parseCourseName("Advising Sandbox Fall 2025")).toMatchObject({
+      code: null,
+      term: "Fall 2025",
+      title: "Advising Sandbox",
+    });
+  });
+
+  it("should fall back to the full name as title", () => {
+    expect(parseCourseName("Orientation")).toMatchObject({
+      code: null,
+      section: null,
+      term: null,
+      title: "Orientation",
+    });
+  });
+});
+
+describe("resolveCourse", () => {
+  const registry = [
+    { pattern: "atls 5420", alias: "Interactive Design", color: "blue" },
+    { pattern: "99", alias: "Advising", color: null },
+    { pattern: "*sandbox*", alias: "Sandbox, Misc", color: "grey" },
+  ];
+
+  it("should match registry entries by course code", () => {
+    const course = resolveCourse(
+      {
+        course_id: "12",
+        class_name: "ATLS 5420-001: Interactive Design (Fall 2025)",
+      },
+      registry,
+    );
+    expect(course).toMatchObject({
+      id: "12",
+      code: "ATLS 5420",
+      alias: "Interactive Design",
+      color: "blue",
+      label: "Interactive Design",
+    });
+  });
+
+  it("should match registry entries by course ID and name pattern", () => {
+    expect(
+      resolveCourse(
+        { course_id: "99", class_name: "Student Success" },
+        registry,
+      ).alias,
+    ).toBe("Advising");
+    // Commas are stripped from labels for Notion multi-select options
+    expect(
+      resolveCourse({ course_id: "5", class_name: "My Sandbox" }, registry)
+        .label,
+    ).toBe("Sandbox Misc");
+  });
+
+  it("should label unregistered courses with their code or name", () => {
+    expect(
+      resolveCourse({ course_id: "7", class_name: "CSCI 1300-010" }).label,
+    ).toBe("CSCI 1300");
+    expect(
+      resolveCourse({ course_id: "8", class_name: "Orientation" }).label,
+    ).toBe("Orientation");
+  });
+});
+
+describe("annotateCourses", () => {
+  it("should add a course object to every item", () => {
+    const items = annotateCourses(
+      [{ id: "assignment:1", course_id: "12", class_name: "ATLS 5420-001" }],
+      [],
+    );
+    expect(items[0].id).toBe("assignment:1");
+    expect(items[0].course.code).toBe("ATLS 5420");
+    expect(getCourseLabel(items[0])).toBe("ATLS 5420");
+  });
+
+  it("should fall back to the class name for unannotated items", () => {
+    expect(getCourseLabel({ class_name: "CSCI 1300" })).toBe("CSCI 1300");
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it, expect } from "vitest";
+import { parseDiscussionRequirements } from "../src/scrapers/discussion.js";
+
+// AIDEV-NOTE: Test suite for parsing graded discussion info (no browser needed)
+
+describe("Discussion Requirements", () => {
+  it("should parse a graded discussion with a single due date", () => {
+    expect(
+      parseDiscussionRequirements(
+        "This is a graded discussion: 10 points possible\nDue Sep 22 at 11:59pm",
+      ),
+    ).toEqual({
+      due: "Sep 22 at 11:59pm",
+      points_possible: 10,
+      discussion: {
+        graded: true,
+        require_initial_post: false,
+        required_replies: 0,
+        reply_to_topic_due: null,
+        required_replies_due: null,
+        peer_reviews: false,
+      },
+    });
+  });
+
+  it("should parse reply-to-topic and required-replies checkpoints", () => {
+    const result = parseDiscussionRequirements(
+      [
+        "This is a graded discussion: 15 points possible",
+        "Reply to Topic: Sep 22 at 11:59pm",
+        "Required Replies (2): Sep 25 at 11:59pm",
+        "Peer reviews are required for this discussion",
+      ].join("\n"),
+      { initialPostRequired: true },
+    );
+
+    expect(result.due).toBe("Sep 22 at 11:59pm");
+    expect(result.points_possible).toBe(15);
+    expect(result.discussion).toEqual({
+      graded: true,
+      require_initial_post: true,
+      required_replies: 2,
+      reply_to_topic_due: "Sep 22 at 11:59pm",
+      required_replies_due: "Sep 25 at 11:59pm",
+      peer_reviews: true,
+    });
+  });
+
+  it("should treat discussions without grading info as ungraded", () => {
+    const result = parseDiscussionRequirements("");
+    expect(result.due).toBeNull();
+    expect(result.points_possible).toBeNull();
+    expect(result.discussion.graded).toBe(false);
+  });
+});
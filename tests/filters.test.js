@@ -0,0 +1,94 @@
+import { describe, it, expect } from "vitest";
+import {
+  matchesCoursePattern,
+  resolveDueWindow,
+  applyItemFilters,
+} from "../src/filters.js";
+
+// AIDEV-NOTE: Test suite for export filters applied to normalized items
+
+describe("Export Filters", () => {
+  const now = new Date(2025, 8, 15, 12, 0, 0);
+  const item = (overrides) => ({
+    course_id: "12",
+    class_name: "CSCI 1300",
+    type: "assignment",
+    due_at: "2025-09-20T05:59:00.000Z",
+    ...overrides,
+  });
+
+  describe("matchesCoursePattern", () => {
+    it("should match course IDs exactly", () => {
+      expect(matchesCoursePattern(item(), "12")).toBe(true);
+      expect(matchesCoursePattern(item(), "123")).toBe(false);
+    });
+
+    it("should match names by substring or wildcard, ignoring case", () => {
+      const sandbox = item({ class_name: "Sandbox - Jane Doe" });
+      expect(matchesCoursePattern(sandbox, "sandbox")).toBe(true);
+      expect(matchesCoursePattern(sandbox, "Sandbox*")).toBe(true);
+      expect(matchesCoursePattern(sandbox, "*doe")).toBe(true);
+      expect(matchesCoursePattern(sandbox, "doe*")).toBe(false);
+      expect(
+        matchesCoursePattern(item({ class_name: "C++ (Intro)" }), "c++ (*"),
+      ).toBe(true);
+    });
+  });
+
+  describe("resolveDueWindow", () => {
+    it("should resolve relative and absolute window bounds", () => {
+      const window = resolveDueWindow(
+        { dueFrom: "7d", dueUntil: "2025-12-19" },
+        now,
+      );
+      expect(window.from).toEqual(new Date(2025, 8, 8));
+      expect(window.until).toEqual(new Date(2025, 11, 19, 23, 59, 59, 999));
+    });
+
+    it("should leave unset bounds open and reject bad values", () => {
+      expect(resolveDueWindow({}, now)).toEqual({ from: null, until: null });
+      expect(() => resolveDueWindow({ dueFrom: "last week" }, now)).toThrow(
+        /Invalid due date filter/,
+      );
+    });
+  });
+
+  describe("applyItemFilters", () => {
+    const items = [
+      item({ title: "keep" }),
+      item({ course_id: "99", class_name: "Advising Shell" }),
+      item({ type: "announcement" }),
+      item({ due_at: "2026-03-01T00:00:00.000Z" }),
+      item({ due_at: null, title: "undated" }),
+    ];
+
+    it("should keep everything without filters", () => {
+      expect(applyItemFilters(items, {}, "test", now)).toHaveLength(5);
+    });
+
+    it("should apply course, type and due date filters together", () => {
+      const kept = applyItemFilters(
+        items,
+        {
+          excludeCourses: "Advising*",
+          types: "assignment,quiz",
+          dueUntil: "30d",
+          includeUndated: false,
+        },
+        "test",
+        now,
+      );
+      expect(kept.map((entry) => entry.title)).toEqual(["keep"]);
+    });
+
+    it("should only keep included courses when an include list is set", () => {
+      const kept = applyItemFilters(
+        items,
+        { includeCourses: "99, Physics*" },
+        "test",
+        now,
+      );
+      expect(kept.map((entry) => entry.course_id)).toEqual(["99"]);
+    });
+  });
+});
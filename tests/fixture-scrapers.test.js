@@ -0,0 +1,288 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { chromium } from "playwright";
+import {
+  verify_is_assignment,
+  verify_is_quiz,
+  verify_is_discussion,
+  verify_is_page,
+  verify_is_peer_review,
+} from "../src/canvas-scraper.js";
+import { scrape_assignment_data } from "../src/scrapers/assignment.js";
+import { scrape_quiz_data } from "../src/scrapers/quiz.js";
+import { scrape_discussion_data } from "../src/scrapers/discussion.js";
+import { LOGIN_STRATEGIES } from "../src/login/index.js";
+import { loadPlannerItems, classifyPlannerItem } from "../src/planner.js";
+import { findElement, getCssSelector } from "../src/selector-profiles.js";
+
+// AIDEV-NOTE: Test suite for the page scrapers against saved Canvas HTML. Fixtures in
+// tests/fixtures/canvas/ are served from https://canvas.test by page.route(), so relative
+// links and page.url() behave as on Canvas. Needs a Playwright Chromium
+// (`npx playwright install chromium`) - the suite is skipped without one
+
+const FIXTURE_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "fixtures",
+  "canvas",
+);
+const BASE_URL = "https://canvas.test";
+
+// Canvas path -> fixture file (names follow getFixtureName() from --save-fixtures)
+const FIXTURE_PAGES = {
+  "/login/ldap": "login.html",
+  "/": "planner.html",
+  "/courses/101/assignments/345": "assignment-345.html",
+  "/courses/101/quizzes/77": "quiz-77.html",
+  "/courses/101/assignments/350": "quiz-350.html",
+  "/courses/101/discussion_topics/55": "discussion-55.html",
+  "/courses/101/discussion_topics/60": "announcement-60.html",
+};
+
+const hasBrowser = fs.existsSync(chromium.executablePath());
+
+describe.skipIf(!hasBrowser)("Scrapers on HTML fixtures", () => {
+  let browser;
+  let page;
+  const operationStats = {
+    sessionId: "fixture-test",
+    scrapingStats: {},
+  };
+
+  beforeAll(async () => {
+    browser = await chromium.launch({ headless: true });
+  });
+
+  afterAll(async () => {
+    await browser?.close();
+  });
+
+  // Open a fixture page; returns the #content element the scraper verifies against
+  const openFixture = async (pathname) => {
+    page = await browser.newPage();
+    await page.route(`${BASE_URL}/**`, (route) => {
+      const file = FIXTURE_PAGES[new URL(route.request().url()).pathname];
+      return file
+        ? route.fulfill({
+            contentType: "text/html",
+            body: fs.readFileSync(path.join(FIXTURE_DIR, file), "utf-8"),
+          })
+        : route.fulfill({ status: 404, body: "Not found" });
+    });
+    await page.goto(`${BASE_URL}${pathname}`);
+    return findElement(page, "content.main");
+  };
+
+  const closePage = async () => {
+    await page?.close();
+    page = null;
+  };
+
+  describe("assignment page", () => {
+    afterAll(closePage);
+
+    it("should be verified as an assignment only", async () => {
+      const content = await openFixture("/courses/101/assignments/345");
+      expect(await verify_is_quiz(content, operationStats)).toBe(false);
+      expect(await verify_is_assignment(content, operationStats)).toBe(true);
+      expect(await verify_is_discussion(content, operationStats, page)).toBe(
+        false,
+      );
+      expect(await verify_is_page(content, operationStats)).toBe(false);
+      expect(await verify_is_peer_review(content, operationStats)).toBe(false);
+    });
+
+    it("should extract the assignment fields", async () => {
+      const data = await scrape_assignment_data(page);
+      expect(data).toMatchObject({
+        title: "Project 2: Text Adventure",
+        due_date: { string: "Mon Sep 22, 2025 4:00pm" },
+        points_possible: 10,
+        submission: {
+          workflow_state: "unsubmitted",
+          tracker_status: "In Progress",
+          submitted_at: null,
+          late: false,
+          missing: true,
+          score: null,
+          grade: null,
+        },
+        submission_types: ["online_upload", "online_text_entry"],
+        attachments: [
+          {
+            name: "starter.zip",
+            url: "https://canvas.test/courses/101/files/9001?wrap=1",
+            download_url: "https://canvas.test/courses/101/files/9001/download",
+          },
+        ],
+        links: [{ text: "Python docs", url: "https://docs.python.org/3/" }],
+        rubric: [
+          {
+            description: "Correctness",
+            points: 6,
+            ratings: [
+              { description: "Full Marks", points: 6 },
+              { description: "No Marks", points: 0 },
+            ],
+          },
+          {
+            description: "Style",
+            points: 4,
+            ratings: [{ description: "Readable", points: 4 }],
+          },
+        ],
+      });
+      expect(data.description).toContain(
+        "Build a text adventure game with at least five rooms.",
+      );
+    });
+  });
+
+  describe("quiz pages", () => {
+    afterAll(closePage);
+
+    it("should extract a classic quiz", async () => {
+      const content = await openFixture("/courses/101/quizzes/77");
+      expect(await verify_is_quiz(content, operationStats)).toBe(true);
+
+      expect(await scrape_quiz_data(page)).toEqual({
+        title: "Quiz 3: Loops",
+        due_date: { string: "Sep 24 at 11:59pm" },
+        description: "Covers chapters 4 and 5.",
+        points_possible: 20,
+        quiz: {
+          engine: "classic",
+          question_count: 10,
+          time_limit_minutes: 90,
+          allowed_attempts: -1,
+          unlock_at: "Sep 20 at 12am",
+          lock_at: "Sep 24 at 11:59pm",
+        },
+      });
+      await closePage();
+    });
+
+    it("should extract a New Quiz from its assignment page", async () => {
+      const content = await openFixture("/courses/101/assignments/350");
+      // New Quizzes are assignment pages too - the scraper checks quizzes first
+      expect(await verify_is_quiz(content, operationStats)).toBe(true);
+      expect(await verify_is_assignment(content, operationStats)).toBe(true);
+
+      expect(await scrape_quiz_data(page)).toEqual({
+        title: "Midterm Exam",
+        due_date: { string: "Oct 15 10am" },
+        description: "Open book. One page of notes allowed.",
+        points_possible: 50,
+        quiz: {
+          engine: "new_quizzes",
+          question_count: null,
+          time_limit_minutes: null,
+          allowed_attempts: null,
+          unlock_at: null,
+          lock_at: "Oct 15 at 11am",
+        },
+      });
+    });
+  });
+
+  describe("discussion pages", () => {
+    afterAll(closePage);
+
+    it("should extract a graded discussion", async () => {
+      const content = await openFixture("/courses/101/discussion_topics/55");
+      expect(await verify_is_quiz(content, operationStats)).toBe(false);
+      expect(await verify_is_assignment(content, operationStats)).toBe(false);
+      expect(await verify_is_discussion(content, operationStats, page)).toBe(
+        "discussion",
+      );
+
+      expect(await scrape_discussion_data(page, "discussion")).toEqual({
+        title: "Week 5 Reflection",
+        due_date: { string: "Sep 26 at 11:59pm" },
+        posted_at: null,
+        description: "Reflect on this week's lab.",
+        points_possible: 5,
+        discussion: {
+          graded: true,
+          require_initial_post: true,
+          required_replies: 0,
+          reply_to_topic_due: null,
+          required_replies_due: null,
+          peer_reviews: false,
+        },
+      });
+      await closePage();
+    });
+
+    it("should tell announcements apart by their breadcrumbs", async () => {
+      const content = await openFixture("/courses/101/discussion_topics/60");
+      expect(await verify_is_discussion(content, operationStats, page)).toBe(
+        "announcement",
+      );
+
+      expect(await scrape_discussion_data(page, "announcement")).toEqual({
+        title: "Exam Room Change",
+        due_date: { string: "Sep 18, 2025 at 9:02am" },
+        posted_at: "Sep 18, 2025 at 9:02am",
+        description: "The midterm moves to room ECCR 265.",
+      });
+    });
+  });
+
+  describe("login page", () => {
+    afterAll(closePage);
+
+    it("should fill and submit the login form", async () => {
+      await openFixture("/login/ldap");
+      const submitted = page.waitForRequest(
+        (request) => request.method() === "POST",
+      );
+      await LOGIN_STRATEGIES.form.login(
+        page,
+        { username: "student", password: "hunter2" },
+        operationStats,
+      );
+
+      const form = new URLSearchParams((await submitted).postData());
+      expect(form.get("username")).toBe("student");
+      expect(form.get("password")).toBe("hunter2");
+    });
+  });
+
+  describe("planner", () => {
+    afterAll(closePage);
+
+    it("should count the loaded days and items", async () => {
+      await openFixture("/");
+      const result = await loadPlannerItems(
+        page,
+        { horizon: "21d", pastDays: 0, includeOverdue: false },
+        operationStats,
+      );
+      expect(result).toMatchObject({ days: 2, items: 6, loadClicks: 0 });
+    });
+
+    it("should classify the planner entries", async () => {
+      const entries = await page.$$eval(
+        getCssSelector("planner.itemContainer"),
+        (items, selectors) =>
+          items.map((item) => ({
+            typeLabel: item.querySelector(selectors.itemType)?.innerText,
+            href: item.querySelector("a")?.getAttribute("href") || null,
+          })),
+        {
+          itemType: getCssSelector("planner.itemType"),
+        },
+      );
+      expect(entries.map(classifyPlannerItem)).toEqual([
+        null,
+        null,
+        null,
+        "page",
+        "calendar_event",
+        "planner_note",
+      ]);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { describe, it, expect } from "vitest";
+import {
+  sanitizeFixtureHtml,
+  getFixtureName,
+  saveFixture,
+} from "../src/fixtures.js";
+
+// AIDEV-NOTE: Test suite for --save-fixtures capture (sanitizing and file naming)
+
+describe("Page Fixtures", () => {
+  describe("sanitizeFixtureHtml", () => {
+    it("should strip scripts, stylesheets and tokens", () => {
+      const html = sanitizeFixtureHtml(
+        [
+          '<meta name="csrf-token" content="abc123">',
+          '<link rel="stylesheet" href="https://cdn.test/app.css">',
+          '<script>ENV = { current_user_id: "42" };</script>',
+          '<input type="hidden" name="authenticity_token" value="secret">',
+          '<input type="password" name="password" value="hunter2">',
+          "<h1>Quiz 3</h1>",
+        ].join(""),
+      );
+      expect(html).toBe(
+        '<meta name="csrf-token" content="REDACTED">' +
+          '<input type="hidden" name="authenticity_token" value="REDACTED">' +
+          '<input type="password" name="password" value="">' +
+          "<h1>Quiz 3</h1>",
+      );
+    });
+
+    it("should rewrite the Canvas host and redact personal data", () => {
+      const html = sanitizeFixtureHtml(
+        '<a href="https://canvas.school.edu/users/4821">Jane Doe</a> ' +
+          "<span>jane.doe@school.edu</span>",
+        { baseUrl: "https://canvas.school.edu", redact: ["Jane Doe", null] },
+      );
+      expect(html).toBe(
+        '<a href="https://canvas.test/users/1">Student Name</a> ' +
+          "<span>student@example.edu</span>",
+      );
+    });
+  });
+
+  describe("getFixtureName", () => {
+    it("should name item fixtures after their type and ID", () => {
+      expect(
+        getFixtureName(
+          "assignment",
+          "https://canvas.test/courses/1/assignments/345",
+        ),
+      ).toBe("assignment-345.html");
+      expect(
+        getFixtureName("quiz", "https://canvas.test/courses/1/quizzes/77/"),
+      ).toBe("quiz-77.html");
+      expect(getFixtureName("login", "https://sso.test/login?x=1")).toBe(
+        "login.html",
+      );
+    });
+  });
+
+  describe("saveFixture", () => {
+    // Minimal page stand-in - saveFixture only reads the URL, ENV and content
+    const fakePage = {
+      url: () => "https://canvas.school.edu/courses/1/discussion_topics/9",
+      evaluate: async () => "Jane Doe",
+      content: async () => "<h1>Jane Doe's topic</h1>",
+    };
+
+    it("should do nothing unless --save-fixtures is set", async () => {
+      expect(
+        await saveFixture(fakePage, "discussion", { scraper: {} }, "test"),
+      ).toBeNull();
+    });
+
+    it("should write the sanitized page", async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "fixtures-"));
+      const filePath = await saveFixture(
+        fakePage,
+        "discussion",
+        {
+          url: "https://canvas.school.edu",
+          account: { username: "jdoe" },
+          scraper: { fixtures: { save: true, dir } },
+        },
+        "test",
+      );
+      expect(filePath).toBe(path.join(dir, "discussion-9.html"));
+      expect(fs.readFileSync(filePath, "utf-8")).toBe(
+        "<h1>Student Name's topic</h1>",
+      );
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it, expect, afterEach } from "vitest";
+import { existsSync, unlinkSync, writeFileSync } from "fs";
+import {
+  computeFingerprint,
+  computeEntryFingerprint,
+  loadItemCache,
+  getCachedItem,
+  setCachedItem,
+  saveItemCache,
+} from "../src/item-cache.js";
+
+// AIDEV-NOTE: Test suite for the incremental scraping cache (fingerprint + TTL reuse)
+
+describe("Item Cache", () => {
+  const cachePath = "/tmp/canvas-scraper-test-item-cache.json";
+  const cacheConfig = {
+    enabled: true,
+    path: cachePath,
+    ttlMs: 24 * 60 * 60 * 1000,
+    fullRefresh: false,
+  };
+  const url = "https://canvas.test/courses/1/assignments/2";
+  const item = { class_name: "CSCI 1300", title: "HW 1", type: "assignment" };
+  const now = Date.UTC(2025, 8, 22, 12);
+
+  afterEach(() => {
+    if (existsSync(cachePath)) unlinkSync(cachePath);
+  });
+
+  it("should fingerprint planner entries deterministically", () => {
+    const fingerprint = computeFingerprint("/courses/1/assignments/2", "HW 1");
+    expect(fingerprint).toMatch(/^[0-9a-f]{64}$/);
+    expect(computeFingerprint("/courses/1/assignments/2", "HW 1")).toBe(
+      fingerprint,
+    );
+    expect(
+      computeFingerprint("/courses/1/assignments/2", "HW 1\nSubmitted"),
+    ).not.toBe(fingerprint);
+  });
+
+  it("should miss when only the day heading of an entry changed", () => {
+    const href = "/courses/1/assignments/2";
+    const plannerText = "Assignment\nHW 1\nDue: 11:59 PM";
+    const before = computeEntryFingerprint(href, {
+      dayText: "Monday, September 22",
+      plannerText,
+    });
+    const moved = computeEntryFingerprint(href, {
+      dayText: "Wednesday, September 24\n2 items",
+      plannerText,
+    });
+
+    const cache = loadItemCache(cacheConfig, "test");
+    setCachedItem(cache, url, before, item, now);
+
+    expect(moved).not.toBe(before);
+    expect(getCachedItem(cache, url, moved, cacheConfig, now)).toBeNull();
+    expect(getCachedItem(cache, url, before, cacheConfig, now)).toEqual(item);
+  });
+
+  it("should reuse an unchanged item within the TTL", () => {
+    const cache = loadItemCache(cacheConfig, "test");
+    setCachedItem(cache, url, "abc", item, now);
+
+    expect(getCachedItem(cache, url, "abc", cacheConfig, now + 1000)).toEqual(
+      item,
+    );
+  });
+
+  it("should miss when the fingerprint changed or the TTL expired", () => {
+    const cache = loadItemCache(cacheConfig, "test");
+    setCachedItem(cache, url, "abc", item, now);
+
+    expect(getCachedItem(cache, url, "def", cacheConfig, now)).toBeNull();
+    expect(
+      getCachedItem(
+        cache,
+        url,
+        "abc",
+        cacheConfig,
+        now + cacheConfig.ttlMs + 1,
+      ),
+    ).toBeNull();
+  });
+
+  it("should bypass the cache on full refresh or when disabled", () => {
+    const cache = loadItemCache(cacheConfig, "test");
+    setCachedItem(cache, url, "abc", item, now);
+
+    expect(
+      getCachedItem(
+        cache,
+        url,
+        "abc",
+        { ...cacheConfig, fullRefresh: true },
+        now,
+      ),
+    ).toBeNull();
+    expect(
+      getCachedItem(cache, url, "abc", { ...cacheConfig, enabled: false }, now),
+    ).toBeNull();
+  });
+
+  it("should persist entries and prune ones not seen for 30 days", () => {
+    const cache = loadItemCache(cacheConfig, "test");
+    const staleUrl = "https://canvas.test/courses/1/quizzes/3";
+    setCachedItem(cache, url, "abc", item, now);
+    setCachedItem(cache, staleUrl, "xyz", item, now - 31 * 24 * 60 * 60 * 1000);
+
+    saveItemCache(cache, cacheConfig, "test", now);
+    const loaded = loadItemCache(cacheConfig, "test");
+
+    expect(Object.keys(loaded.items)).toEqual([url]);
+    expect(getCachedItem(loaded, url, "abc", cacheConfig, now)).toEqual(item);
+  });
+
+  it("should start empty when the cache file is missing or corrupt", () => {
+    expect(loadItemCache(cacheConfig, "test").items).toEqual({});
+  });
+
+  it("should discard a cache written for an older item shape", () => {
+    const cache = loadItemCache(cacheConfig, "test");
+    setCachedItem(cache, url, "abc", item, now);
+    writeFileSync(cachePath, JSON.stringify({ ...cache, version: 1 }));
+
+    expect(loadItemCache(cacheConfig, "test").items).toEqual({});
+  });
+});
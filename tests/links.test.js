@@ -0,0 +1,72 @@
+import { describe, it, expect } from "vitest";
+import { classifyLinks, parseHtmlAnchors } from "../src/scrapers/links.js";
+
+// AIDEV-NOTE: Test suite for splitting description links into attachments and links
+
+describe("Description Links", () => {
+  const pageUrl = "https://canvas.test/courses/12/assignments/345";
+
+  it("should detect Canvas files and build download URLs", () => {
+    const { attachments, links } = classifyLinks(
+      [
+        {
+          text: "Starter code.zip",
+          href: "/courses/12/files/678?wrap=1",
+          className: "instructure_file_link",
+        },
+        {
+          text: "Slides",
+          href: "https://canvas.test/courses/12/files/679/download?verifier=abc",
+        },
+        { text: "Style guide", href: "https://example.com/style" },
+      ],
+      pageUrl,
+    );
+
+    expect(attachments).toEqual([
+      {
+        name: "Starter code.zip",
+        url: "https://canvas.test/courses/12/files/678?wrap=1",
+        download_url: "https://canvas.test/courses/12/files/678/download",
+      },
+      {
+        name: "Slides",
+        url: "https://canvas.test/courses/12/files/679/download?verifier=abc",
+        download_url: "https://canvas.test/courses/12/files/679/download",
+      },
+    ]);
+    expect(links).toEqual([
+      { text: "Style guide", url: "https://example.com/style" },
+    ]);
+  });
+
+  it("should skip anchors, mailto links and duplicates", () => {
+    const { attachments, links } = classifyLinks(
+      [
+        { text: "Top", href: "#top" },
+        { text: "Email", href: "mailto:prof@example.com" },
+        { text: "Docs", href: "https://example.com/docs" },
+        { text: "Docs again", href: "https://example.com/docs" },
+      ],
+      pageUrl,
+    );
+
+    expect(attachments).toEqual([]);
+    expect(links).toEqual([{ text: "Docs", url: "https://example.com/docs" }]);
+  });
+
+  it("should parse anchors from API description HTML", () => {
+    expect(
+      parseHtmlAnchors(
+        '<p>See <a class="instructure_file_link" href="/files/5?wrap=1&amp;x=1" title="notes.pdf"><b>notes</b></a></p>',
+      ),
+    ).toEqual([
+      {
+        href: "/files/5?wrap=1&x=1",
+        className: "instructure_file_link",
+        title: "notes.pdf",
+        text: "notes",
+      },
+    ]);
+  });
+});
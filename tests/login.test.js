@@ -0,0 +1,124 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { generateTotp, resolveLoginStrategies } from "../src/login/index.js";
+import { decodeBase32 } from "../src/login/totp.js";
+import { applySelectorProfile } from "../src/selector-profiles.js";
+
+// AIDEV-NOTE: Test suite for login strategy resolution and TOTP generation
+// TOTP vectors come from RFC 6238 Appendix B (SHA-1, secret "12345678901234567890")
+
+describe("TOTP Generation", () => {
+  const rfcSecret = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+  it("should decode base32 secrets", () => {
+    expect(decodeBase32(rfcSecret).toString()).toBe("12345678901234567890");
+    expect(decodeBase32("gezd gnbv-gy3t qojq").toString()).toBe("1234567890");
+  });
+
+  it("should reject invalid base32 characters", () => {
+    expect(() => decodeBase32("NOT-BASE32!")).toThrow(/Invalid base32/);
+  });
+
+  it.each([
+    [59, "94287082"],
+    [1111111109, "07081804"],
+    [1111111111, "14050471"],
+    [1234567890, "89005924"],
+    [2000000000, "69279037"],
+  ])("should match RFC 6238 vector at T=%i", (seconds, expected) => {
+    expect(
+      generateTotp(rfcSecret, { timestamp: seconds * 1000, digits: 8 }),
+    ).toBe(expected);
+  });
+
+  it("should default to 6-digit codes", () => {
+    expect(generateTotp(rfcSecret, { timestamp: 59000 })).toBe("287082");
+  });
+});
+
+describe("Login Strategy Resolution", () => {
+  it("should default to the form login without MFA", () => {
+    const { login, mfa } = resolveLoginStrategies({});
+
+    expect(login.name).toBe("form");
+    expect(mfa.name).toBe("none");
+  });
+
+  it.each(["form", "canvas", "saml", "multi-step", "microsoft", "google"])(
+    "should resolve the built-in %s strategy",
+    (name) => {
+      const { login } = resolveLoginStrategies({ strategy: name });
+
+      expect(login.name).toBe(name);
+      expect(typeof login.login).toBe("function");
+    },
+  );
+
+  it("should mark manual approval as requiring a headed browser", () => {
+    const { mfa } = resolveLoginStrategies({ mfa: "manual" });
+
+    expect(mfa.requiresHeadedBrowser).toBe(true);
+  });
+
+  describe("with a selector profile", () => {
+    // Fake page rendering only the elements in `selectors`
+    const createPage = (selectors) => ({
+      $: async (selector) =>
+        selectors.includes(selector) ? { selector } : null,
+      waitForSelector: vi.fn(async () => {}),
+      fill: vi.fn(async () => {}),
+      click: vi.fn(async () => {}),
+      url: () => "https://canvas.test/login",
+    });
+    const operationStats = { sessionId: "test" };
+
+    afterEach(() => applySelectorProfile(null));
+
+    it("should fill the form login through profile candidates", async () => {
+      applySelectorProfile({
+        candidates: { "login.username": ['input[name="netid"]'] },
+      });
+      const page = createPage([
+        'input[name="netid"]',
+        'input[id="password"]',
+        'button[type="submit"]',
+      ]);
+      const { login } = resolveLoginStrategies({ strategy: "form" });
+
+      await login.login(
+        page,
+        { username: "ralphie", password: "secret" },
+        operationStats,
+      );
+
+      expect(page.fill).toHaveBeenCalledWith('input[name="netid"]', "ralphie");
+      expect(page.fill).toHaveBeenCalledWith('input[id="password"]', "secret");
+      expect(page.click).toHaveBeenCalledWith('button[type="submit"]');
+    });
+
+    it("should wait for the profile's dashboard link after manual approval", async () => {
+      applySelectorProfile({
+        candidates: { "navigation.dashboardLink": ["a#dashboard"] },
+      });
+      const page = createPage(["a#dashboard"]);
+      const { mfa } = resolveLoginStrategies({ mfa: "manual" });
+      vi.spyOn(console, "log").mockImplementation(() => {});
+
+      await mfa.complete(page, { mfaTimeout: 1000 }, operationStats);
+
+      expect(page.waitForSelector).toHaveBeenCalledWith(
+        "a#dashboard",
+        expect.objectContaining({ state: "attached" }),
+      );
+      console.log.mockRestore();
+    });
+  });
+
+  it("should throw for unknown strategies", () => {
+    expect(() => resolveLoginStrategies({ strategy: "okta" })).toThrow(
+      /Unknown login strategy "okta"/,
+    );
+    expect(() => resolveLoginStrategies({ mfa: "sms" })).toThrow(
+      /Unknown MFA strategy "sms"/,
+    );
+  });
+});
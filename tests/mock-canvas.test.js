@@ -0,0 +1,248 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { describe, it, expect, afterEach, vi } from "vitest";
+import { chromium } from "playwright";
+import { scrapeCanvas } from "../src/canvas-scraper.js";
+import logger from "../src/logger.js";
+import { startMockCanvas, buildMockItems } from "./mock-canvas/server.js";
+
+// AIDEV-NOTE: Test suite for end-to-end scrapes against the local mock Canvas
+// (tests/mock-canvas/). The scrapeCanvas runs need a Playwright Chromium and are skipped
+// without one; the mock server checks run everywhere
+
+const hasBrowser = fs.existsSync(chromium.executablePath());
+
+describe("Mock Canvas", () => {
+  let mock;
+
+  afterEach(async () => {
+    await mock?.close();
+    mock = null;
+    vi.restoreAllMocks();
+  });
+
+  const logIn = async (password = "password") => {
+    const response = await fetch(`${mock.url}/login/ldap`, {
+      method: "POST",
+      body: new URLSearchParams({ username: "student", password }),
+      redirect: "manual",
+    });
+    return response.headers.get("set-cookie")?.split(";")[0] || null;
+  };
+
+  describe("server", () => {
+    it("should require a session and accept only the configured login", async () => {
+      mock = await startMockCanvas();
+      const anonymous = await fetch(mock.url, { redirect: "manual" });
+      expect(anonymous.status).toBe(302);
+      expect(anonymous.headers.get("location")).toBe("/login/ldap");
+
+      expect(await logIn("wrong")).toBeNull();
+      const cookie = await logIn();
+      expect(cookie).toMatch(/^canvas_session=/);
+      expect(mock.stats).toMatchObject({ logins: 1, failedLogins: 1 });
+
+      const dashboard = await fetch(mock.url, { headers: { cookie } });
+      expect(await dashboard.text()).toContain("global_nav_dashboard_link");
+
+      mock.expireSessions();
+      const expired = await fetch(mock.url, {
+        headers: { cookie },
+        redirect: "manual",
+      });
+      expect(expired.status).toBe(302);
+    });
+
+    it("should page the planner days", async () => {
+      mock = await startMockCanvas({
+        items: { assignment: 5 },
+        itemsPerDay: 1,
+        daysPerPage: 2,
+      });
+      const cookie = await logIn();
+      const dashboard = await (
+        await fetch(mock.url, { headers: { cookie } })
+      ).text();
+      expect(dashboard.match(/class="planner-day"/g)).toHaveLength(2);
+      expect(dashboard).toContain('id="load-more"');
+
+      const pages = [];
+      for (const page of [1, 2]) {
+        const response = await fetch(`${mock.url}/planner/days?page=${page}`, {
+          headers: { cookie },
+        });
+        pages.push(await response.json());
+      }
+      expect(pages.map(({ hasMore }) => hasMore)).toEqual([true, false]);
+      expect(pages[1].html.match(/class="planner-day"/g)).toHaveLength(1);
+      expect(mock.stats.plannerPages).toBe(2);
+    });
+
+    it("should serve scripted item failures", async () => {
+      const items = buildMockItems({ assignment: 2 });
+      items[1].fail = "error";
+      mock = await startMockCanvas({ items });
+      const cookie = await logIn();
+
+      const ok = await fetch(`${mock.url}/courses/101/assignments/1000`, {
+        headers: { cookie },
+      });
+      expect(await ok.text()).toContain("Homework 1");
+      const failed = await fetch(`${mock.url}/courses/202/assignments/1001`, {
+        headers: { cookie },
+      });
+      expect(failed.status).toBe(500);
+      expect(mock.stats.itemPages).toEqual({
+        "/courses/101/assignments/1000": 1,
+        "/courses/202/assignments/1001": 1,
+      });
+    });
+  });
+
+  describe.skipIf(!hasBrowser)("scrapeCanvas", () => {
+    const buildConfig = (overrides = {}) => ({
+      url: mock.url,
+      account: { username: "student", password: "password" },
+      timezone: "America/Denver",
+      login: { strategy: "form", mfa: "none" },
+      session: { enabled: false },
+      scraper: {
+        concurrency: 2,
+        planner: { horizon: "21d", pastDays: 0, includeOverdue: false },
+        cache: { enabled: false },
+        courseCrawl: { enabled: false },
+        selectors: {},
+        fixtures: { save: false },
+      },
+      ...overrides,
+    });
+
+    // Run a scrape and read the final scrapingStats from the session summary log
+    const runScrape = async (config) => {
+      const info = vi.spyOn(logger, "info");
+      let items = null;
+      let error = null;
+      try {
+        items = await scrapeCanvas(config, false, "mock-canvas-test");
+      } catch (scrapeError) {
+        error = scrapeError;
+      }
+      const summary = info.mock.calls.find(
+        ([message]) =>
+          message === "Canvas scraping session completed successfully",
+      );
+      info.mockRestore();
+      return { items, error, stats: summary?.[1].finalStats };
+    };
+
+    it("should scrape every planner item type across planner pages", async () => {
+      mock = await startMockCanvas({ itemsPerDay: 2, daysPerPage: 2 });
+      const { items, error, stats } = await runScrape(buildConfig());
+
+      expect(error).toBeNull();
+      expect(items.map(({ type }) => type)).toEqual([
+        "assignment",
+        "assignment",
+        "assignment",
+        "quiz",
+        "discussion",
+        "announcement",
+        "page",
+        "calendar_event",
+        "planner_note",
+      ]);
+      expect(items[0]).toMatchObject({
+        title: "Homework 1",
+        class_name: "CSCI 1300-010: Starting Computing",
+        time_zone: "America/Denver",
+      });
+      expect(stats).toMatchObject({
+        totalItems: 9,
+        itemsProcessed: 9,
+        assignments: 3,
+        quizzes: 1,
+        discussions: 1,
+        announcements: 1,
+        pages: 1,
+        calendarEvents: 1,
+        plannerNotes: 1,
+        errors: 0,
+        skipped: 0,
+        plannerDaysScanned: 5,
+        plannerItemsScanned: 9,
+        successRate: 100,
+      });
+      // 5 days at 2 per page - the dashboard plus two "Load more" clicks
+      expect(mock.stats.plannerPages).toBe(2);
+    }, 60000);
+
+    it("should count failed, unrecognized and slow item pages", async () => {
+      const items = buildMockItems({ assignment: 4 });
+      items[1].fail = "error";
+      items[2].fail = "disconnect";
+      items[3].delayMs = 1500;
+      mock = await startMockCanvas({ items });
+      const { items: scraped, stats } = await runScrape(buildConfig());
+
+      expect(scraped.map(({ title }) => title)).toEqual([
+        "Homework 1",
+        "Homework 4",
+      ]);
+      // The error page is skipped as unrecognized; a dropped connection only loses the item
+      expect(stats).toMatchObject({
+        totalItems: 4,
+        itemsProcessed: 2,
+        assignments: 2,
+        skipped: 1,
+        errors: 0,
+      });
+    }, 60000);
+
+    it("should count an item whose content never loads as an error", async () => {
+      const items = buildMockItems({ assignment: 2 });
+      items[0].fail = "hang";
+      mock = await startMockCanvas({ items });
+      const { items: scraped, stats } = await runScrape(buildConfig());
+
+      expect(scraped.map(({ title }) => title)).toEqual(["Homework 2"]);
+      expect(stats).toMatchObject({ itemsProcessed: 1, errors: 1 });
+    }, 60000);
+
+    it("should fail the run on rejected credentials", async () => {
+      mock = await startMockCanvas();
+      const { error, stats } = await runScrape(
+        buildConfig({ account: { username: "student", password: "wrong" } }),
+      );
+
+      expect(error).not.toBeNull();
+      expect(mock.stats).toMatchObject({ logins: 0, failedLogins: 1 });
+      expect(stats.errors).toBeGreaterThan(0);
+      expect(stats.itemsProcessed).toBe(0);
+    }, 60000);
+
+    it("should reuse a saved session and log in again once it expires", async () => {
+      mock = await startMockCanvas({ items: { assignment: 1 } });
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "mock-canvas-"));
+      const config = buildConfig({
+        session: { enabled: true, path: path.join(dir, "session.json") },
+      });
+
+      try {
+        await runScrape(config);
+        expect(fs.existsSync(config.session.path)).toBe(true);
+
+        const reused = await runScrape(config);
+        expect(reused.stats.itemsProcessed).toBe(1);
+        expect(mock.stats.logins).toBe(1);
+
+        mock.expireSessions();
+        const renewed = await runScrape(config);
+        expect(renewed.stats.itemsProcessed).toBe(1);
+        expect(mock.stats.logins).toBe(2);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    }, 90000);
+  });
+});
@@ -0,0 +1,287 @@
+// AIDEV-NOTE: HTML for the mock Canvas server (tests/mock-canvas/server.js). The markup
+// only has what the built-in selectors look for - the same shapes as the saved pages in
+// tests/fixtures/canvas/ - so a selector change that breaks those fixtures breaks here too
+
+// AIDEV-NOTE: Planner type labels and item paths per item type. Calendar events and
+// planner notes have no item page; the scraper builds them from the planner entry
+const ITEM_TYPES = {
+  assignment: {
+    label: "Assignment",
+    path: (item) => `/courses/${item.course.id}/assignments/${item.id}`,
+  },
+  quiz: {
+    label: "Quiz",
+    path: (item) => `/courses/${item.course.id}/quizzes/${item.id}`,
+  },
+  discussion: {
+    label: "Discussion",
+    path: (item) => `/courses/${item.course.id}/discussion_topics/${item.id}`,
+  },
+  announcement: {
+    label: "Announcement",
+    path: (item) => `/courses/${item.course.id}/discussion_topics/${item.id}`,
+  },
+  page: {
+    label: "Page",
+    path: (item) => `/courses/${item.course.id}/pages/page-${item.id}`,
+  },
+  calendar_event: {
+    label: "Calendar Event",
+    path: (item) => `/calendar?event_id=${item.id}`,
+  },
+  planner_note: { label: "To Do", path: () => null },
+};
+
+/**
+ * Get the link a planner entry points to
+ * @param {Object} item - Mock item ({ id, type, course })
+ * @returns {string|null} Path on the mock server, null for planner notes
+ */
+export const getItemPath = (item) => ITEM_TYPES[item.type].path(item);
+
+/**
+ * Check whether an item type has its own page
+ * @param {string} type - Item type
+ * @returns {boolean}
+ */
+export const hasItemPage = (type) =>
+  !["calendar_event", "planner_note"].includes(type);
+
+/**
+ * Render the login form (same markup as tests/fixtures/canvas/login.html)
+ * @param {Object} options
+ * @param {boolean} options.failed - Show the "invalid credentials" message
+ * @returns {string} HTML
+ */
+export const renderLoginPage = ({ failed = false } = {}) =>
+  layout(
+    "Log In",
+    `<form action="/login/ldap" method="post">
+      ${failed ? '<div class="error">Invalid username or password</div>' : ""}
+      <label for="username">IdentiKey Username</label>
+      <input id="username" name="username" type="text" />
+      <label for="password">IdentiKey Password</label>
+      <input id="password" name="password" type="password" />
+      <button type="submit">Log In</button>
+    </form>`,
+  );
+
+/**
+ * Render the dashboard with the first page of planner days
+ * @param {Object} options
+ * @param {Array<Object>} options.days - Planner days of the first page (see renderPlannerDays)
+ * @param {boolean} options.hasMore - Whether a "Load more" button is shown
+ * @param {string|null} options.timezone - Value for ENV.TIMEZONE
+ * @returns {string} HTML
+ */
+export const renderDashboard = ({ days, hasMore, timezone = null }) =>
+  layout(
+    "Dashboard",
+    `<header id="header">
+      <a id="global_nav_dashboard_link" href="/">Dashboard</a>
+    </header>
+    <div id="content">
+      <button id="planner-today-btn" type="button">Today</button>
+      <div class="PlannerApp">
+        ${renderPlannerDays(days)}
+        ${hasMore ? '<button id="load-more" type="button">Load more</button>' : ""}
+      </div>
+    </div>
+    <script>
+      window.ENV = { TIMEZONE: ${JSON.stringify(timezone)} };
+      // "Load more" fetches the next page of days and appends them like Canvas does
+      let nextPage = 1;
+      document.addEventListener("click", async (event) => {
+        const button = event.target.closest("#load-more");
+        if (!button) return;
+        button.disabled = true;
+        const response = await fetch("/planner/days?page=" + nextPage++);
+        const { html, hasMore } = await response.json();
+        button.insertAdjacentHTML("beforebegin", html);
+        if (hasMore) button.disabled = false;
+        else button.remove();
+      });
+    </script>`,
+  );
+
+/**
+ * Render planner days with their course groups and entries
+ * @param {Array<Object>} days - [{ heading, items: [mock items] }]
+ * @returns {string} HTML
+ */
+export const renderPlannerDays = (days) =>
+  days
+    .map(
+      (day) => `<div class="planner-day">
+        <h2>${day.heading}</h2>
+        ${groupByCourse(day.items)
+          .map(
+            ({ course, items }) => `<div class="planner-grouping">
+              <span class="planner-grouping-title">${course ? course.name : "To Do"}</span>
+              ${items.map(renderPlannerEntry).join("\n")}
+            </div>`,
+          )
+          .join("\n")}
+      </div>`,
+    )
+    .join("\n");
+
+/**
+ * Render an item page - the content arrives after a spinner, like Canvas's React pages
+ * @param {Object} item - Mock item
+ * @param {Object} options
+ * @param {number|null} options.spinnerMs - Delay before the content replaces the spinner,
+ *   null to never replace it
+ * @returns {string} HTML
+ */
+export const renderItemPage = (item, { spinnerMs }) =>
+  layout(
+    item.title,
+    `${renderBreadcrumbs(item)}
+    <div id="content">
+      <div class="loading-spinner">Loading</div>
+    </div>
+    <template id="item-content">${ITEM_CONTENT[item.type](item)}</template>
+    ${
+      spinnerMs === null
+        ? ""
+        : `<script>
+      setTimeout(() => {
+        document.querySelector("#content").innerHTML =
+          document.querySelector("#item-content").innerHTML;
+      }, ${spinnerMs});
+    </script>`
+    }`,
+  );
+
+/**
+ * Render Canvas's error page (no recognizable item inside #content)
+ * @returns {string} HTML
+ */
+export const renderErrorPage = () =>
+  layout(
+    "Page Error",
+    `<div id="content">
+      <h1>Page Error</h1>
+      <p>Something went wrong. Please try again later.</p>
+    </div>`,
+  );
+
+// AIDEV-NOTE: Item page content per type, matching the fixture pages
+const ITEM_CONTENT = {
+  assignment: (item) => `<div id="assignment-student-header-content">
+      <h1 data-testid="title">${item.title}</h1>
+      <span data-testid="due-date">Due: ${item.due} 11:59pm</span>
+      <span data-testid="grade-display">10 Points Possible</span>
+      <span data-testid="submission-workflow-tracker-title">In Progress</span>
+    </div>
+    <div data-testid="assignments-2-assignment-toggle-details-text">
+      <p>Instructions for ${item.title}.</p>
+    </div>
+    <div data-testid="submission-type-selector">
+      <button type="button">Upload</button>
+    </div>`,
+  quiz: (item) => `<div id="quiz_show">
+      <h1 id="quiz_title">${item.title}</h1>
+      <ul id="quiz_student_details">
+        <li><span class="title">Due</span><span class="value">${item.due} at 11:59pm</span></li>
+        <li><span class="title">Points</span><span class="value">10</span></li>
+        <li><span class="title">Questions</span><span class="value">5</span></li>
+      </ul>
+    </div>`,
+  discussion: (item) => `<div data-testid="discussion-topic-container">
+      <h1 data-testid="discussion-topic-title">${item.title}</h1>
+      <div data-testid="graded-discussion-info">
+        <div>This is a graded discussion: 5 points possible</div>
+        <div>Due ${item.due} at 11:59pm</div>
+      </div>
+      <div data-testid="discussion-topic-message"><p>Discuss ${item.title}.</p></div>
+    </div>`,
+  announcement: (item) => `<div id="discussion_topic">
+      <h1 class="discussion-title">${item.title}</h1>
+      <div class="discussion-pubdate">${item.due} at 9:00am</div>
+      <div class="discussion-section message_wrapper"><p>About ${item.title}.</p></div>
+      <a class="discussion-reply-action discussion-reply-box" href="#">Reply</a>
+    </div>`,
+  page: (item) => `<div id="wiki_page_show">
+      <h1 class="page-title">${item.title}</h1>
+      <div class="show-content user_content"><p>Read ${item.title}.</p></div>
+    </div>`,
+};
+
+// AIDEV-NOTE: Breadcrumb section per item type - announcements are told apart from
+// discussions by it
+const BREADCRUMB_SECTIONS = {
+  assignment: ["assignments", "Assignments"],
+  quiz: ["quizzes", "Quizzes"],
+  discussion: ["discussion_topics", "Discussions"],
+  announcement: ["announcements", "Announcements"],
+  page: ["pages", "Pages"],
+};
+
+/**
+ * Render the breadcrumb trail of an item page
+ * @private
+ */
+const renderBreadcrumbs = (item) => {
+  const [section, label] = BREADCRUMB_SECTIONS[item.type];
+  return `<nav id="breadcrumbs" aria-label="breadcrumbs">
+      <ul>
+        <li><a href="/"><span class="screenreader-only">Home</span></a></li>
+        <li><a href="/courses/${item.course.id}"><span>${item.course.name}</span></a></li>
+        <li><a href="/courses/${item.course.id}/${section}"><span>${label}</span></a></li>
+        <li><span>${item.title}</span></li>
+      </ul>
+    </nav>`;
+};
+
+/**
+ * Render one planner entry
+ * @private
+ */
+const renderPlannerEntry = (item) => {
+  const path = getItemPath(item);
+  const link = path
+    ? `<a class="planner-item-view-link" href="${path.replace(/&/g, "&amp;")}">${item.title}</a>`
+    : `<button class="planner-item-view-link" type="button">${item.title}</button>`;
+  const time =
+    item.type === "calendar_event" ? "10:00 AM to 11:00 AM" : "Due: 11:59 PM";
+  return `<div class="planner-item">
+      <span class="planner-item-type">${ITEM_TYPES[item.type].label}</span>
+      ${link}
+      <span class="planner-item-due">${time}</span>
+    </div>`;
+};
+
+/**
+ * Group a day's items by course in first-seen order (planner notes have no course)
+ * @private
+ */
+const groupByCourse = (items) => {
+  const groups = [];
+  for (const item of items) {
+    const course = item.type === "planner_note" ? null : item.course;
+    let group = groups.find((entry) => entry.course === course);
+    if (!group) {
+      group = { course, items: [] };
+      groups.push(group);
+    }
+    group.items.push(item);
+  }
+  return groups;
+};
+
+/**
+ * Wrap body HTML in a document
+ * @private
+ */
+const layout = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <title>${title}</title>
+  </head>
+  <body>
+    ${body}
+  </body>
+</html>`;
@@ -0,0 +1,295 @@
+import http from "http";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import {
+  getItemPath,
+  hasItemPage,
+  renderLoginPage,
+  renderDashboard,
+  renderPlannerDays,
+  renderItemPage,
+  renderErrorPage,
+} from "./pages.js";
+
+// AIDEV-NOTE: Local mock Canvas for end-to-end runs of scrapeCanvas() without a real
+// school: login form, dashboard, planner with "Load more" paging and item pages whose
+// content appears after a spinner. A scenario scripts item counts, failing and slow pages
+// and session expiry; `stats` records what the scraper requested.
+//
+// Run it by hand with `pnpm run mock-canvas` and point the scraper at it:
+//   CANVAS_URL=http://127.0.0.1:4100 CANVAS_USERNAME=student CANVAS_PWD=password pnpm run dev
+
+export const DEFAULT_SCENARIO = {
+  port: 0, // 0 = any free port
+  username: "student",
+  password: "password",
+  // Item counts per type, or a list from buildMockItems() with per-item overrides
+  items: {
+    assignment: 3,
+    quiz: 1,
+    discussion: 1,
+    announcement: 1,
+    page: 1,
+    calendar_event: 1,
+    planner_note: 1,
+  },
+  itemsPerDay: 2,
+  daysPerPage: 3, // planner days per "Load more" page
+  spinnerMs: 200, // delay before item page content replaces the spinner
+  sessionTtlMs: null, // null = sessions never expire
+  timezone: "America/Denver", // ENV.TIMEZONE on the dashboard
+};
+
+const DEFAULT_COURSES = [
+  { id: 101, name: "CSCI 1300-010: Starting Computing" },
+  { id: 202, name: "MATH 2400-001: Calculus 3" },
+];
+
+const ITEM_TITLES = {
+  assignment: "Homework",
+  quiz: "Quiz",
+  discussion: "Discussion",
+  announcement: "Announcement",
+  page: "Reading",
+  calendar_event: "Office Hours",
+  planner_note: "Study Session",
+};
+
+/**
+ * Build mock items from counts per type
+ * @param {Object} counts - e.g. { assignment: 2, quiz: 1 }
+ * @param {Array<Object>} courses - [{ id, name }] - items are spread over them in turn
+ * @returns {Array<Object>} [{ id, type, title, course, fail, delayMs, spinnerMs }] where
+ *   `fail` may be set to "error" (500 error page), "disconnect" (connection dropped) or
+ *   "hang" (spinner never goes away), `delayMs` delays the response and `spinnerMs`
+ *   overrides the scenario's spinner delay
+ */
+export const buildMockItems = (counts, courses = DEFAULT_COURSES) => {
+  const items = [];
+  for (const [type, count] of Object.entries(counts || {})) {
+    for (let n = 1; n <= count; n++) {
+      items.push({
+        id: 1000 + items.length,
+        type,
+        title: `${ITEM_TITLES[type]} ${n}`,
+        course: courses[items.length % courses.length],
+        fail: null,
+        delayMs: 0,
+        spinnerMs: undefined,
+      });
+    }
+  }
+  return items;
+};
+
+/**
+ * Start a mock Canvas server
+ * @param {Object} scenario - Overrides for DEFAULT_SCENARIO
+ * @returns {Promise<Object>} { url, items, stats, expireSessions(), close() } - stats has
+ *   logins, failedLogins, plannerPages (Load more requests) and itemPages (per path)
+ */
+export const startMockCanvas = async (scenario = {}) => {
+  const options = { ...DEFAULT_SCENARIO, ...scenario };
+  const items = Array.isArray(options.items)
+    ? options.items
+    : buildMockItems(options.items);
+  const days = buildPlannerDays(items, options.itemsPerDay, new Date());
+  const sessions = new Map(); // token -> created at
+  const stats = { logins: 0, failedLogins: 0, plannerPages: 0, itemPages: {} };
+
+  const hasSession = (request) => {
+    const token = readCookie(request, "canvas_session");
+    const createdAt = sessions.get(token);
+    if (createdAt === undefined) return false;
+    return (
+      options.sessionTtlMs === null ||
+      Date.now() - createdAt < options.sessionTtlMs
+    );
+  };
+
+  const handleRequest = async (request, response) => {
+    const { pathname, searchParams } = new URL(request.url, "http://canvas");
+
+    if (pathname === "/login/ldap" && request.method === "POST") {
+      const form = new URLSearchParams(await readBody(request));
+      if (
+        form.get("username") === options.username &&
+        form.get("password") === options.password
+      ) {
+        const token = crypto.randomUUID();
+        sessions.set(token, Date.now());
+        stats.logins++;
+        return redirect(response, "/", {
+          "Set-Cookie": `canvas_session=${token}; Path=/; HttpOnly`,
+        });
+      }
+      stats.failedLogins++;
+      return redirect(response, "/login/ldap?error=1");
+    }
+    if (pathname === "/login/ldap") {
+      return send(
+        response,
+        200,
+        renderLoginPage({ failed: searchParams.has("error") }),
+      );
+    }
+
+    // Everything else needs a live session, like Canvas
+    if (!hasSession(request)) return redirect(response, "/login/ldap");
+
+    if (pathname === "/") {
+      return send(
+        response,
+        200,
+        renderDashboard({
+          days: days.slice(0, options.daysPerPage),
+          hasMore: days.length > options.daysPerPage,
+          timezone: options.timezone,
+        }),
+      );
+    }
+    if (pathname === "/planner/days") {
+      stats.plannerPages++;
+      const page = parseInt(searchParams.get("page"), 10) || 0;
+      const start = page * options.daysPerPage;
+      return send(
+        response,
+        200,
+        JSON.stringify({
+          html: renderPlannerDays(
+            days.slice(start, start + options.daysPerPage),
+          ),
+          hasMore: days.length > start + options.daysPerPage,
+        }),
+        "application/json",
+      );
+    }
+
+    const item = items.find(
+      (entry) => hasItemPage(entry.type) && getItemPath(entry) === pathname,
+    );
+    if (!item) return send(response, 404, renderErrorPage());
+
+    stats.itemPages[pathname] = (stats.itemPages[pathname] || 0) + 1;
+    if (item.delayMs) await sleep(item.delayMs);
+    if (item.fail === "disconnect") return request.socket.destroy();
+    if (item.fail === "error") return send(response, 500, renderErrorPage());
+    return send(
+      response,
+      200,
+      renderItemPage(item, {
+        spinnerMs:
+          item.fail === "hang" ? null : (item.spinnerMs ?? options.spinnerMs),
+      }),
+    );
+  };
+
+  const server = http.createServer((request, response) => {
+    handleRequest(request, response).catch((error) => {
+      send(response, 500, error.message, "text/plain");
+    });
+  });
+  await new Promise((resolve) =>
+    server.listen(options.port, "127.0.0.1", resolve),
+  );
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    items,
+    stats,
+    // Invalidate every session, e.g. to make a saved browser session stale
+    expireSessions: () => sessions.clear(),
+    close: () =>
+      new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(resolve);
+      }),
+  };
+};
+
+/**
+ * Spread items over consecutive days starting today
+ * @private
+ */
+const buildPlannerDays = (items, itemsPerDay, now) => {
+  const days = [];
+  items.forEach((item, index) => {
+    const dayIndex = Math.floor(index / itemsPerDay);
+    if (!days[dayIndex]) {
+      const date = new Date(now);
+      date.setDate(now.getDate() + dayIndex);
+      days[dayIndex] = {
+        // Planner headings look like "Monday, October 19"
+        heading: date.toLocaleDateString("en-US", {
+          weekday: "long",
+          month: "long",
+          day: "numeric",
+        }),
+        due: date.toLocaleDateString("en-US", {
+          month: "short",
+          day: "numeric",
+          year: "numeric",
+        }),
+        items: [],
+      };
+    }
+    item.due = days[dayIndex].due;
+    days[dayIndex].items.push(item);
+  });
+  return days;
+};
+
+/**
+ * Read a cookie value from a request
+ * @private
+ */
+const readCookie = (request, name) =>
+  (request.headers.cookie || "")
+    .split(";")
+    .map((cookie) => cookie.trim().split("="))
+    .find(([key]) => key === name)?.[1];
+
+/**
+ * Read a request body as text
+ * @private
+ */
+const readBody = (request) =>
+  new Promise((resolve, reject) => {
+    let body = "";
+    request.on("data", (chunk) => (body += chunk));
+    request.on("end", () => resolve(body));
+    request.on("error", reject);
+  });
+
+/**
+ * Send a response
+ * @private
+ */
+const send = (response, status, body, contentType = "text/html") => {
+  response.writeHead(status, {
+    "Content-Type": `${contentType}; charset=utf-8`,
+  });
+  response.end(body);
+};
+
+/**
+ * Send a redirect
+ * @private
+ */
+const redirect = (response, location, headers = {}) => {
+  response.writeHead(302, { Location: location, ...headers });
+  response.end();
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// AIDEV-NOTE: `node tests/mock-canvas/server.js` serves the default scenario on port 4100
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const mock = await startMockCanvas({
+    port: parseInt(process.env.PORT, 10) || 4100,
+  });
+  console.log(`Mock Canvas running at ${mock.url}`);
+  console.log(
+    `Log in as ${DEFAULT_SCENARIO.username} / ${DEFAULT_SCENARIO.password} - ${mock.items.length} planner items`,
+  );
+}
@@ -0,0 +1,282 @@
+import { describe, it, expect } from "vitest";
+import {
+  SCHEMA_VERSION,
+  parseCanvasUrl,
+  parseDueDate,
+  normalizeItem,
+  normalizeItems,
+  isSubmitted,
+  isResubmissionRequested,
+} from "../src/normalize.js";
+
+// AIDEV-NOTE: Test suite for the normalized item schema shared by output.json and exporters
+
+describe("Item Normalization", () => {
+  const now = new Date(2025, 8, 15, 12, 0, 0);
+
+  describe("parseCanvasUrl", () => {
+    it("should extract course and item IDs from item URLs", () => {
+      expect(
+        parseCanvasUrl("https://canvas.test/courses/12/assignments/345"),
+      ).toEqual({ course_id: "12", item_id: "345" });
+      expect(
+        parseCanvasUrl("/courses/12/quizzes/678?module_item_id=9"),
+      ).toEqual({ course_id: "12", item_id: "678" });
+      expect(
+        parseCanvasUrl("https://canvas.test/courses/12/discussion_topics/90"),
+      ).toEqual({ course_id: "12", item_id: "90" });
+    });
+
+    it("should return nulls for URLs without IDs", () => {
+      expect(parseCanvasUrl("https://canvas.test/")).toEqual({
+        course_id: null,
+        item_id: null,
+      });
+      expect(parseCanvasUrl(null)).toEqual({ course_id: null, item_id: null });
+    });
+  });
+
+  describe("parseDueDate", () => {
+    it("should parse Canvas due date text in the institution timezone", () => {
+      expect(
+        parseDueDate("Mon Sep 22, 2025 4:00pm", "America/Denver", now),
+      ).toBe("2025-09-22T22:00:00.000Z");
+      expect(
+        parseDueDate("Due: Mon Sep 22, 2025 11:59pm", "America/Denver", now),
+      ).toBe("2025-09-23T05:59:00.000Z");
+    });
+
+    it("should return null for missing or placeholder dates", () => {
+      expect(parseDueDate("No due date", "America/Denver", now)).toBeNull();
+      expect(parseDueDate("No publish date", "America/Denver", now)).toBeNull();
+      expect(parseDueDate("", "America/Denver", now)).toBeNull();
+      expect(parseDueDate(null, "America/Denver", now)).toBeNull();
+    });
+  });
+
+  describe("normalizeItem", () => {
+    const scraped = {
+      class_name: "CSCI 1300",
+      title: "Homework 3",
+      due_date: { string: "Mon Sep 22, 2025 4:00pm" },
+      description: "Solve the problems",
+      url: "https://canvas.test/courses/12/assignments/345",
+      type: "assignment",
+    };
+
+    it("should produce the versioned schema from browser-scraped items", () => {
+      expect(
+        normalizeItem(scraped, { timeZone: "America/Denver", now }),
+      ).toEqual({
+        schema_version: SCHEMA_VERSION,
+        id: "assignment:345",
+        course_id: "12",
+        item_id: "345",
+        type: "assignment",
+        title: "Homework 3",
+        class_name: "CSCI 1300",
+        url: "https://canvas.test/courses/12/assignments/345",
+        due_at: "2025-09-22T22:00:00.000Z",
+        due_date: { string: "Mon Sep 22, 2025 4:00pm" },
+        posted_at: null,
+        time_zone: "America/Denver",
+        points_possible: null,
+        status: null,
+        submission: null,
+        submission_types: [],
+        attachments: [],
+        links: [],
+        rubric: null,
+        quiz: null,
+        discussion: null,
+        event: null,
+        peer_review: null,
+        description: "Solve the problems",
+      });
+    });
+
+    it("should prefer exact values provided by the API backend", () => {
+      const normalized = normalizeItem(
+        {
+          ...scraped,
+          course_id: 12,
+          item_id: 345,
+          due_at: "2025-09-22T22:00:00Z",
+          points_possible: 10,
+        },
+        { now },
+      );
+
+      expect(normalized.course_id).toBe("12");
+      expect(normalized.item_id).toBe("345");
+      expect(normalized.due_at).toBe("2025-09-22T22:00:00.000Z");
+      expect(normalized.points_possible).toBe(10);
+    });
+
+    it("should parse with the timezone the scraper tagged the item with", () => {
+      const normalized = normalizeItem(
+        { ...scraped, time_zone: "America/New_York" },
+        { timeZone: "America/Denver", now },
+      );
+
+      expect(normalized.time_zone).toBe("America/New_York");
+      expect(normalized.due_at).toBe("2025-09-22T20:00:00.000Z");
+    });
+
+    it("should normalize submission state and timestamps", () => {
+      const normalized = normalizeItem(
+        {
+          ...scraped,
+          points_possible: 10,
+          submission: {
+            workflow_state: "graded",
+            tracker_status: "Review Feedback",
+            submitted_at: "Sep 12, 2025 3:15pm",
+            late: false,
+            missing: false,
+            score: 8,
+            grade: "8/10",
+          },
+        },
+        { timeZone: "America/Denver", now },
+      );
+
+      expect(normalized.status).toBe("graded");
+      expect(normalized.submission).toEqual({
+        workflow_state: "graded",
+        submitted_at: "2025-09-12T21:15:00.000Z",
+        late: false,
+        missing: false,
+        score: 8,
+        grade: "8/10",
+        redo_request: false,
+      });
+      expect(isSubmitted(normalized)).toBe(true);
+    });
+
+    it("should normalize quiz availability windows", () => {
+      const normalized = normalizeItem(
+        {
+          ...scraped,
+          type: "quiz",
+          url: "https://canvas.test/courses/12/quizzes/678",
+          quiz: {
+            engine: "classic",
+            question_count: 10,
+            time_limit_minutes: 30,
+            allowed_attempts: -1,
+            unlock_at: "Sep 12 at 12am",
+            lock_at: "Sep 22 at 11:59pm",
+          },
+        },
+        { timeZone: "America/Denver", now },
+      );
+
+      expect(normalized.id).toBe("quiz:678");
+      expect(normalized.quiz).toEqual({
+        engine: "classic",
+        question_count: 10,
+        time_limit_minutes: 30,
+        allowed_attempts: -1,
+        unlock_at: "2025-09-12T06:00:00.000Z",
+        lock_at: "2025-09-23T05:59:00.000Z",
+      });
+    });
+
+    it("should normalize graded discussion checkpoints", () => {
+      const normalized = normalizeItem(
+        {
+          ...scraped,
+          type: "discussion",
+          url: "https://canvas.test/courses/12/discussion_topics/90",
+          posted_at: "Sep 10, 2025 9:00am",
+          discussion: {
+            graded: true,
+            require_initial_post: true,
+            required_replies: 2,
+            reply_to_topic_due: "Sep 22 at 11:59pm",
+            required_replies_due: "2025-09-26T05:59:00Z",
+            peer_reviews: false,
+          },
+        },
+        { timeZone: "America/Denver", now },
+      );
+
+      expect(normalized.id).toBe("discussion:90");
+      expect(normalized.posted_at).toBe("2025-09-10T15:00:00.000Z");
+      expect(normalized.discussion).toEqual({
+        graded: true,
+        require_initial_post: true,
+        required_replies: 2,
+        reply_to_topic_due: "2025-09-23T05:59:00.000Z",
+        required_replies_due: "2025-09-26T05:59:00.000Z",
+        peer_reviews: false,
+      });
+    });
+
+    it("should normalize calendar events and planner notes from planner text", () => {
+      const [event, note] = normalizeItems(
+        [
+          {
+            class_name: "CSCI 1300",
+            title: "Midterm Review Session",
+            due_date: { string: "Monday, September 22 at 4:00 PM" },
+            url: "https://canvas.test/calendar?event_id=55",
+            type: "calendar_event",
+            event: {
+              event_id: "55",
+              start_at: "Monday, September 22 at 4:00 PM",
+              end_at: "Monday, September 22 at 5:30 PM",
+              all_day: false,
+            },
+          },
+          {
+            title: "Buy textbook",
+            due_date: { string: "Tomorrow" },
+            url: null,
+            type: "planner_note",
+          },
+        ],
+        { timeZone: "America/Denver", now },
+      );
+
+      expect(event.due_at).toBe("2025-09-22T22:00:00.000Z");
+      expect(event.event).toEqual({
+        event_id: "55",
+        start_at: "2025-09-22T22:00:00.000Z",
+        end_at: "2025-09-22T23:30:00.000Z",
+        all_day: false,
+      });
+      expect(note.id).toBe("planner_note:Buy textbook");
+      expect(note.class_name).toBe("Unknown Class");
+    });
+
+    it("should only treat handed-in work as submitted", () => {
+      expect(
+        isSubmitted({ submission: { workflow_state: "unsubmitted" } }),
+      ).toBe(false);
+      expect(isSubmitted({ submission: { workflow_state: "submitted" } })).toBe(
+        true,
+      );
+      expect(isSubmitted({ submission: null })).toBe(false);
+    });
+
+    it("should flag resubmission requests", () => {
+      const redo = normalizeItem(
+        {
+          ...scraped,
+          submission: { workflow_state: "graded", redo_request: true },
+        },
+        { now },
+      );
+      expect(isResubmissionRequested(redo)).toBe(true);
+      expect(isSubmitted(redo)).toBe(true);
+      expect(isResubmissionRequested({ submission: null })).toBe(false);
+    });
+
+    it("should be idempotent for already-normalized items", () => {
+      const once = normalizeItem(scraped, { now });
+      expect(normalizeItems([once], { now })).toEqual([once]);
+    });
+  });
+});
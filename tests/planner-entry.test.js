@@ -0,0 +1,85 @@
+import { describe, it, expect } from "vitest";
+import {
+  scrape_calendar_event_data,
+  scrape_planner_note_data,
+} from "../src/scrapers/planner-entry.js";
+import { toAssignmentUrl } from "../src/scrapers/peer-review.js";
+import { parsePlannerSchedule } from "../src/planner.js";
+import { normalizeItem } from "../src/normalize.js";
+
+// AIDEV-NOTE: Test suite for items built from planner entries (no browser needed)
+
+describe("Planner Entries", () => {
+  const schedule = {
+    start: "Monday, September 29, 2025 at 10:00 AM",
+    end: "Monday, September 29, 2025 at 11:00 AM",
+    start_at: "2025-09-29T16:00:00.000Z",
+    end_at: "2025-09-29T17:00:00.000Z",
+    all_day: false,
+  };
+
+  it("should build calendar events with their time window", () => {
+    expect(
+      scrape_calendar_event_data({
+        title: "Office Hours",
+        href: "/calendar?event_id=55&include_contexts=course_12",
+        schedule,
+      }),
+    ).toEqual({
+      title: "Office Hours",
+      due_date: { string: "Monday, September 29, 2025 at 10:00 AM" },
+      due_at: "2025-09-29T16:00:00.000Z",
+      description: null,
+      event: {
+        event_id: "55",
+        start_at: "2025-09-29T16:00:00.000Z",
+        end_at: "2025-09-29T17:00:00.000Z",
+        all_day: false,
+      },
+    });
+  });
+
+  it("should build planner notes and fall back without a date", () => {
+    expect(scrape_planner_note_data({ title: "Buy textbook" })).toEqual({
+      title: "Buy textbook",
+      due_date: { string: "No due date" },
+      due_at: null,
+      description: null,
+    });
+  });
+
+  it("should keep a relative due date when a stored item is normalized later", () => {
+    const timeZone = "America/Denver";
+    const stored = {
+      ...scrape_planner_note_data({
+        title: "Buy textbook",
+        schedule: parsePlannerSchedule(
+          "Tomorrow",
+          "To Do: 11:59 PM",
+          timeZone,
+          new Date("2025-09-22T16:00:00Z"),
+        ),
+      }),
+      type: "planner_note",
+      time_zone: timeZone,
+    };
+
+    for (const now of [
+      new Date("2025-09-22T16:00:00Z"),
+      new Date("2025-09-23T16:00:00Z"),
+    ]) {
+      expect(normalizeItem(stored, { now }).due_at).toBe(
+        "2025-09-24T05:59:00.000Z",
+      );
+    }
+  });
+
+  it("should derive the assignment URL from a peer review link", () => {
+    expect(
+      toAssignmentUrl(
+        "https://canvas.test/courses/12/assignments/345/submissions/67",
+      ),
+    ).toBe("https://canvas.test/courses/12/assignments/345");
+    expect(toAssignmentUrl("https://canvas.test/courses/12")).toBe(null);
+  });
+});
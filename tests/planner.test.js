@@ -0,0 +1,195 @@
+import { describe, it, expect } from "vitest";
+import {
+  parsePlannerHorizon,
+  getPlannerStart,
+  parsePlannerDayHeading,
+  classifyPlannerItem,
+  parsePlannerSchedule,
+} from "../src/planner.js";
+
+// AIDEV-NOTE: Test suite for planner window calculations
+// Page interaction (Load more paging) needs a browser and is not covered here
+
+describe("Planner Window", () => {
+  const now = new Date(2025, 8, 22, 10, 30); // Mon Sep 22 2025, 10:30 local
+
+  describe("parsePlannerHorizon", () => {
+    it("should resolve relative day horizons to end of day", () => {
+      const horizon = parsePlannerHorizon("30d", now);
+
+      expect(horizon.getFullYear()).toBe(2025);
+      expect(horizon.getMonth()).toBe(9);
+      expect(horizon.getDate()).toBe(22);
+      expect(horizon.getHours()).toBe(23);
+      expect(horizon.getMinutes()).toBe(59);
+    });
+
+    it("should resolve week horizons", () => {
+      const horizon = parsePlannerHorizon("2w", now);
+
+      expect(horizon.getMonth()).toBe(9);
+      expect(horizon.getDate()).toBe(6);
+    });
+
+    it("should accept an ISO end-of-term date", () => {
+      const horizon = parsePlannerHorizon("2025-12-19", now);
+
+      expect(horizon.getFullYear()).toBe(2025);
+      expect(horizon.getMonth()).toBe(11);
+      expect(horizon.getDate()).toBe(19);
+      expect(horizon.getHours()).toBe(23);
+    });
+
+    it("should default to three weeks", () => {
+      expect(parsePlannerHorizon("", now).getDate()).toBe(13);
+    });
+
+    it("should reject unparseable horizons", () => {
+      expect(() => parsePlannerHorizon("end of term", now)).toThrow(
+        /Invalid planner horizon/,
+      );
+    });
+  });
+
+  describe("getPlannerStart", () => {
+    it("should start today when no past days are requested", () => {
+      const start = getPlannerStart(0, now);
+
+      expect(start.getDate()).toBe(22);
+      expect(start.getHours()).toBe(0);
+    });
+
+    it("should go back the requested number of days", () => {
+      expect(getPlannerStart(7, now).getDate()).toBe(15);
+    });
+  });
+
+  describe("parsePlannerDayHeading", () => {
+    it("should parse relative and named day headings", () => {
+      expect(parsePlannerDayHeading("Today", now).getDate()).toBe(22);
+      expect(parsePlannerDayHeading("Tomorrow", now).getDate()).toBe(23);
+      expect(
+        parsePlannerDayHeading("Monday, September 29", now).getDate(),
+      ).toBe(29);
+    });
+
+    it("should resolve year-less dates forward when requested", () => {
+      const december = new Date(2025, 11, 20);
+
+      expect(
+        parsePlannerDayHeading(
+          "Monday, January 5",
+          december,
+          true,
+        ).getFullYear(),
+      ).toBe(2026);
+    });
+
+    it("should return null for empty headings", () => {
+      expect(parsePlannerDayHeading("", now)).toBe(null);
+    });
+  });
+
+  describe("classifyPlannerItem", () => {
+    it("should classify planner-only and to-do entries", () => {
+      expect(
+        classifyPlannerItem({
+          typeLabel: "Calendar Event",
+          href: "/calendar?event_id=55&include_contexts=course_12",
+        }),
+      ).toBe("calendar_event");
+      expect(
+        classifyPlannerItem({
+          typeLabel: "Peer Review",
+          href: "/courses/12/assignments/345/submissions/67",
+        }),
+      ).toBe("peer_review");
+      expect(
+        classifyPlannerItem({
+          typeLabel: "Page",
+          href: "/courses/12/pages/week-5-reading",
+        }),
+      ).toBe("page");
+      expect(classifyPlannerItem({ typeLabel: "To Do", href: null })).toBe(
+        "planner_note",
+      );
+    });
+
+    it("should leave page-verified types to the item scrapers", () => {
+      expect(
+        classifyPlannerItem({
+          typeLabel: "Assignment",
+          href: "/courses/12/assignments/345",
+        }),
+      ).toBe(null);
+      expect(
+        classifyPlannerItem({
+          typeLabel: "",
+          href: "/courses/12/discussion_topics/90",
+        }),
+      ).toBe(null);
+    });
+  });
+
+  describe("parsePlannerSchedule", () => {
+    const timeZone = "America/Denver";
+    const scrapedAt = new Date("2025-09-22T16:30:00Z"); // Mon Sep 22 2025, 10:30 MDT
+
+    it("should combine the day heading with due and event times", () => {
+      expect(
+        parsePlannerSchedule(
+          "Monday, September 29",
+          "To Do: 11:59 PM",
+          timeZone,
+          scrapedAt,
+        ),
+      ).toEqual({
+        start: "Monday, September 29, 2025 at 11:59 PM",
+        end: null,
+        start_at: "2025-09-30T05:59:00.000Z",
+        end_at: null,
+        all_day: false,
+      });
+      expect(
+        parsePlannerSchedule(
+          "Today\nMonday, September 22",
+          "10:00 AM to 11:30 AM",
+          timeZone,
+          scrapedAt,
+        ),
+      ).toEqual({
+        start: "Monday, September 22, 2025 at 10:00 AM",
+        end: "Monday, September 22, 2025 at 11:30 AM",
+        start_at: "2025-09-22T16:00:00.000Z",
+        end_at: "2025-09-22T17:30:00.000Z",
+        all_day: false,
+      });
+    });
+
+    it("should resolve relative headings against the scrape time", () => {
+      expect(
+        parsePlannerSchedule("Tomorrow", "Due: 11:59 PM", timeZone, scrapedAt),
+      ).toMatchObject({
+        start: "Tuesday, September 23, 2025 at 11:59 PM",
+        start_at: "2025-09-24T05:59:00.000Z",
+      });
+    });
+
+    it("should handle all-day entries and missing headings", () => {
+      expect(
+        parsePlannerSchedule("Tomorrow", "All Day", timeZone, scrapedAt),
+      ).toMatchObject({
+        start: "Tuesday, September 23, 2025",
+        end: null,
+        all_day: true,
+      });
+      expect(parsePlannerSchedule("", "Due: 11:59 PM")).toEqual({
+        start: null,
+        end: null,
+        start_at: null,
+        end_at: null,
+        all_day: false,
+      });
+    });
+  });
+});
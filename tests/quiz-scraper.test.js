@@ -0,0 +1,53 @@
+import { describe, it, expect } from "vitest";
+import { parseQuizDetails } from "../src/scrapers/quiz.js";
+
+// AIDEV-NOTE: Test suite for parsing quiz detail rows (no browser needed)
+
+describe("Quiz Details", () => {
+  it("should parse a classic quiz details list", () => {
+    expect(
+      parseQuizDetails([
+        { label: "Due", value: "Sep 23 at 11:59pm" },
+        { label: "Points", value: "25" },
+        { label: "Questions", value: "12" },
+        { label: "Available", value: "Sep 16 at 12am - Sep 23 at 11:59pm" },
+        { label: "Time Limit", value: "1 Hour 30 Minutes" },
+        { label: "Allowed Attempts", value: "2" },
+      ]),
+    ).toEqual({
+      due: "Sep 23 at 11:59pm",
+      points_possible: 25,
+      question_count: 12,
+      time_limit_minutes: 90,
+      allowed_attempts: 2,
+      unlock_at: "Sep 16 at 12am",
+      lock_at: "Sep 23 at 11:59pm",
+    });
+  });
+
+  it("should handle unlimited attempts, no time limit and open-ended windows", () => {
+    const details = parseQuizDetails([
+      { label: "Time Limit", value: "None" },
+      { label: "Allowed Attempts", value: "Unlimited" },
+      { label: "Available", value: "until Sep 30 at 11:59pm" },
+    ]);
+
+    expect(details.time_limit_minutes).toBeNull();
+    expect(details.allowed_attempts).toBe(-1);
+    expect(details.unlock_at).toBeNull();
+    expect(details.lock_at).toBe("Sep 30 at 11:59pm");
+  });
+
+  it("should parse a New Quizzes assignment overview", () => {
+    const details = parseQuizDetails([
+      { label: "Due", value: "Oct 3 by 11:59pm" },
+      { label: "Points", value: "15" },
+      { label: "Submitting", value: "an external tool" },
+    ]);
+
+    expect(details.due).toBe("Oct 3 by 11:59pm");
+    expect(details.points_possible).toBe(15);
+    expect(details.question_count).toBeNull();
+    expect(details.time_limit_minutes).toBeNull();
+  });
+});
@@ -0,0 +1,176 @@
+import { describe, it, expect } from "vitest";
+import {
+  pickSampleItems,
+  suggestAlternatives,
+  evaluateSelectorChecks,
+  listUncheckedProfileSelectors,
+  formatSelectorReport,
+} from "../src/selector-check.js";
+
+// AIDEV-NOTE: Test suite for the --check-selectors report logic (no browser involved)
+
+describe("Selector Check", () => {
+  const baseUrl = "https://canvas.test";
+  const measured = (...counts) =>
+    counts.map((count, index) => ({
+      candidate: `#c${index}`,
+      selector: `#c${index}`,
+      count,
+      error: null,
+    }));
+
+  describe("pickSampleItems", () => {
+    it("should pick one entry per item type", () => {
+      const samples = pickSampleItems(
+        [
+          { href: "/courses/1/assignments/10", title: "HW 1" },
+          { href: "/courses/1/assignments/11", title: "HW 2" },
+          { href: "/courses/1/quizzes/5", title: "Quiz" },
+          { href: "/courses/1/discussion_topics/7", title: "Topic" },
+          { href: "/courses/1/pages/intro", typeLabel: "Page" },
+          { href: "/courses/1/assignments/10/submissions/3", title: "Review" },
+          { href: null, typeLabel: "To Do", title: "Note" },
+          { href: "/calendar?event_id=4", typeLabel: "Calendar Event" },
+        ],
+        baseUrl,
+      );
+      expect(samples.map(({ type }) => type)).toEqual([
+        "assignment",
+        "quiz",
+        "discussion",
+        "page",
+        "peer_review",
+      ]);
+      expect(samples[0]).toEqual({
+        type: "assignment",
+        url: "https://canvas.test/courses/1/assignments/10",
+        title: "HW 1",
+      });
+    });
+  });
+
+  describe("suggestAlternatives", () => {
+    it("should suggest test IDs, IDs and classes mentioning the selector name", () => {
+      const inventory = [
+        { tag: "div", id: "", testId: "sidebar", classes: [] },
+        { tag: "span", id: "", testId: "due-at", classes: [] },
+        { tag: "div", id: "due_date_box", testId: "", classes: [] },
+        { tag: "p", id: "", testId: "", classes: ["assignment-date"] },
+      ];
+      expect(suggestAlternatives("assignment.dueDate", inventory)).toEqual([
+        '[data-testid="due-at"]',
+        "#due_date_box",
+        "p.assignment-date",
+      ]);
+    });
+
+    it("should use the page type for verification containers", () => {
+      expect(
+        suggestAlternatives("verification.page.container", [
+          { tag: "div", id: "wiki_page_body", testId: "", classes: [] },
+        ]),
+      ).toEqual(["#wiki_page_body"]);
+    });
+  });
+
+  describe("evaluateSelectorChecks", () => {
+    it("should mark pass, fallback, fail and absent selectors", () => {
+      const rows = evaluateSelectorChecks(
+        "page",
+        {
+          "verification.page.container": measured(1),
+          "page.title": measured(0, 2),
+          "page.body": measured(0),
+          "page.bodyLinks": measured(3),
+        },
+        [],
+      );
+      expect(
+        rows.map(({ key, status, count }) => [key, status, count]),
+      ).toEqual([
+        ["verification.page.container", "pass", 1],
+        ["page.title", "fallback", 2],
+        ["page.body", "absent", 0],
+        ["page.bodyLinks", "pass", 3],
+      ]);
+      expect(rows[1].candidate).toBe("#c1");
+
+      const failed = evaluateSelectorChecks(
+        "page",
+        { "verification.page.container": measured(0) },
+        [],
+      );
+      expect(failed[0].status).toBe("fail");
+    });
+
+    it("should accept any selector of a required group", () => {
+      const rows = evaluateSelectorChecks(
+        "quiz",
+        {
+          "verification.quiz.container": measured(0),
+          "verification.quiz.newQuizContainer": measured(1),
+          "quiz.title": measured(0),
+          "newQuiz.title": measured(0),
+        },
+        [],
+      );
+      const status = Object.fromEntries(
+        rows.map((row) => [row.key, row.status]),
+      );
+      expect(status["verification.quiz.container"]).toBe("absent");
+      expect(status["verification.quiz.newQuizContainer"]).toBe("pass");
+      expect(status["quiz.title"]).toBe("fail");
+      expect(status["newQuiz.title"]).toBe("fail");
+    });
+  });
+
+  describe("listUncheckedProfileSelectors", () => {
+    it("should report skipped and unused profile keys", () => {
+      const rows = listUncheckedProfileSelectors([{ key: "planner.items" }], {
+        candidates: {
+          "planner.items": [".a"],
+          "planner.day": [".b"],
+          "planner.itemz": [".c"],
+        },
+      });
+      expect(rows.map(({ key, status }) => [key, status])).toEqual([
+        ["planner.day", "skipped"],
+        ["planner.itemz", "unused"],
+      ]);
+    });
+  });
+
+  describe("formatSelectorReport", () => {
+    it("should print a table with a summary", () => {
+      const report = formatSelectorReport([
+        {
+          page: "planner",
+          key: "planner.items",
+          status: "pass",
+          count: 4,
+          candidate: ".item a",
+          suggestions: [],
+        },
+        {
+          page: "assignment",
+          key: "assignment.title",
+          status: "fail",
+          count: 0,
+          candidate: null,
+          suggestions: ['[data-testid="title"]'],
+        },
+      ]);
+      const lines = report.split("\n");
+      expect(lines[0]).toMatch(/^Page\s+Selector\s+Status\s+Matches/);
+      expect(lines[2]).toMatch(
+        /^planner\s+planner\.items\s+PASS\s+4\s+\.item a$/,
+      );
+      expect(lines[3]).toMatch(
+        /^assignment\s+assignment\.title\s+FAIL\s+0\s+try: \[data-testid="title"\]$/,
+      );
+      expect(lines.at(-1)).toBe(
+        "1 passed, 0 fallback, 1 failed, 0 absent (optional), 0 skipped, 0 unused profile keys",
+      );
+    });
+  });
+});
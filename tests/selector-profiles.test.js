@@ -0,0 +1,119 @@
+import { describe, it, expect, afterEach } from "vitest";
+import {
+  toPlaywrightSelector,
+  selectHostProfile,
+  applySelectorProfile,
+  getSelectorCandidates,
+  getCssSelector,
+  findElement,
+  resolveSelector,
+} from "../src/selector-profiles.js";
+
+// AIDEV-NOTE: Test suite for selector candidate lists and per-host selector profiles
+
+describe("Selector Profiles", () => {
+  afterEach(() => applySelectorProfile(null));
+
+  // Fake page that only "finds" the given selectors
+  const pageWith = (...selectors) => ({
+    $: async (selector) => (selectors.includes(selector) ? { selector } : null),
+  });
+
+  describe("toPlaywrightSelector", () => {
+    it("should convert each candidate form", () => {
+      expect(toPlaywrightSelector("#content")).toBe("#content");
+      expect(toPlaywrightSelector({ css: ".title" })).toBe(".title");
+      expect(toPlaywrightSelector({ xpath: "//h1" })).toBe("xpath=//h1");
+      expect(toPlaywrightSelector({ testId: "due-date" })).toBe(
+        '[data-testid="due-date"]',
+      );
+      expect(toPlaywrightSelector({ role: "button", name: "Load more" })).toBe(
+        'internal:role=button[name="Load more"i]',
+      );
+      expect(toPlaywrightSelector({ unknown: true })).toBeNull();
+    });
+  });
+
+  describe("selectHostProfile", () => {
+    const profiles = {
+      "*": { "planner.items": ".any a", "planner.day": ".day" },
+      "*.instructure.com": { planner: { items: [".hosted a"] } },
+      "school.instructure.com": {
+        planner: { items: [{ testId: "todo-link" }, ".school a"] },
+      },
+    };
+
+    it("should prefer exact hosts over wildcards and the default profile", () => {
+      const profile = selectHostProfile(
+        profiles,
+        "https://school.instructure.com",
+      );
+      expect(profile.host).toBe("school.instructure.com");
+      expect(profile.candidates).toEqual({
+        "planner.items": [{ testId: "todo-link" }, ".school a"],
+        "planner.day": [".day"],
+      });
+    });
+
+    it("should apply wildcard hosts and ignore other hosts", () => {
+      expect(
+        selectHostProfile(profiles, "https://other.instructure.com").candidates[
+          "planner.items"
+        ],
+      ).toEqual([".hosted a"]);
+      expect(
+        selectHostProfile(profiles, "https://canvas.test").candidates[
+          "planner.items"
+        ],
+      ).toEqual([".any a"]);
+    });
+  });
+
+  describe("candidate resolution", () => {
+    it("should put profile candidates before the built-in ones", () => {
+      applySelectorProfile({
+        candidates: { "planner.items": [".custom a"] },
+      });
+      const candidates = getSelectorCandidates("planner.items");
+      expect(candidates[0]).toBe(".custom a");
+      expect(candidates.length).toBeGreaterThan(1);
+    });
+
+    it("should reject unknown selectors", () => {
+      expect(() => getSelectorCandidates("planner.nope")).toThrow(
+        'Unknown selector "planner.nope"',
+      );
+    });
+
+    it("should pick the first CSS candidate for in-page selectors", () => {
+      applySelectorProfile({
+        candidates: {
+          "planner.day": [{ xpath: "//section" }, { testId: "planner-day" }],
+        },
+      });
+      expect(getCssSelector("planner.day")).toBe('[data-testid="planner-day"]');
+    });
+
+    it("should try candidates in order and return the first match", async () => {
+      const page = pageWith(
+        "div[id='assignment_show']",
+        "#assignment-student-header-content",
+      );
+      expect(
+        (await findElement(page, "verification.assignment.container")).selector,
+      ).toBe("#assignment-student-header-content");
+
+      const legacyPage = pageWith("div[id='assignment_show']");
+      expect(
+        await resolveSelector(legacyPage, "verification.assignment.container"),
+      ).toBe("div[id='assignment_show']");
+    });
+
+    it("should fall back to the first candidate when nothing matches", async () => {
+      expect(await findElement(pageWith(), "breadcrumbs.className")).toBeNull();
+      expect(await resolveSelector(pageWith(), "breadcrumbs.className")).toBe(
+        getSelectorCandidates("breadcrumbs.className")[0],
+      );
+    });
+  });
+});
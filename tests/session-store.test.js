@@ -0,0 +1,85 @@
+import { describe, it, expect, afterEach } from "vitest";
+import { existsSync, statSync, readFileSync, unlinkSync } from "fs";
+import {
+  loadSessionState,
+  saveSessionState,
+  clearSessionState,
+} from "../src/session-store.js";
+
+// AIDEV-NOTE: Test suite for browser session persistence between runs
+// Uses a fake BrowserContext since only storageState() is needed
+
+describe("Session Store", () => {
+  const sessionPath = "/tmp/canvas-scraper-test-session.json";
+  const state = {
+    cookies: [
+      { name: "canvas_session", value: "abc123", domain: "canvas.test" },
+    ],
+    origins: [],
+  };
+  const fakeContext = { storageState: async () => state };
+
+  afterEach(() => {
+    if (existsSync(sessionPath)) unlinkSync(sessionPath);
+  });
+
+  it("should save and load a plain session with owner-only permissions", async () => {
+    const sessionConfig = {
+      enabled: true,
+      path: sessionPath,
+      encryptionKey: "",
+    };
+
+    expect(await saveSessionState(fakeContext, sessionConfig, "test")).toBe(
+      true,
+    );
+    expect(statSync(sessionPath).mode & 0o777).toBe(0o600);
+    expect(loadSessionState(sessionConfig, "test")).toEqual(state);
+  });
+
+  it("should encrypt the session when a key is configured", async () => {
+    const sessionConfig = {
+      enabled: true,
+      path: sessionPath,
+      encryptionKey: "correct horse battery staple",
+    };
+
+    await saveSessionState(fakeContext, sessionConfig, "test");
+
+    expect(readFileSync(sessionPath, "utf-8")).not.toContain("abc123");
+    expect(loadSessionState(sessionConfig, "test")).toEqual(state);
+  });
+
+  it("should ignore an encrypted session when the key is wrong", async () => {
+    await saveSessionState(
+      fakeContext,
+      { enabled: true, path: sessionPath, encryptionKey: "right" },
+      "test",
+    );
+
+    const result = loadSessionState(
+      { enabled: true, path: sessionPath, encryptionKey: "wrong" },
+      "test",
+    );
+    expect(result).toBe(null);
+  });
+
+  it("should do nothing when session reuse is disabled", async () => {
+    const sessionConfig = { enabled: false, path: sessionPath };
+
+    expect(await saveSessionState(fakeContext, sessionConfig, "test")).toBe(
+      false,
+    );
+    expect(existsSync(sessionPath)).toBe(false);
+    expect(loadSessionState(sessionConfig, "test")).toBe(null);
+  });
+
+  it("should clear a saved session", async () => {
+    const sessionConfig = { enabled: true, path: sessionPath };
+    await saveSessionState(fakeContext, sessionConfig, "test");
+
+    clearSessionState(sessionConfig, "test");
+
+    expect(existsSync(sessionPath)).toBe(false);
+  });
+});
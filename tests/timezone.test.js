@@ -0,0 +1,139 @@
+import { describe, it, expect } from "vitest";
+import {
+  isValidTimezone,
+  getTimezoneOffset,
+  zonedTimeToUtc,
+  formatInTimezone,
+  resolveTimezone,
+  getHostTimezone,
+} from "../src/timezone.js";
+import { parseDueDate } from "../src/normalize.js";
+
+// AIDEV-NOTE: Test suite for DST-aware institution timezone handling
+// 2025 US transitions: Mar 9 02:00 -> 03:00 (spring forward), Nov 2 02:00 -> 01:00 (fall back)
+
+describe("Timezone Handling", () => {
+  const denver = "America/Denver";
+
+  describe("getTimezoneOffset", () => {
+    it("should follow daylight saving time", () => {
+      expect(getTimezoneOffset(new Date("2025-01-15T12:00:00Z"), denver)).toBe(
+        -420,
+      );
+      expect(getTimezoneOffset(new Date("2025-07-15T12:00:00Z"), denver)).toBe(
+        -360,
+      );
+      expect(
+        getTimezoneOffset(new Date("2025-07-15T12:00:00Z"), "Asia/Kolkata"),
+      ).toBe(330);
+    });
+  });
+
+  describe("zonedTimeToUtc", () => {
+    it("should convert 11:59pm to the next UTC day on both sides of DST", () => {
+      expect(
+        zonedTimeToUtc(
+          { year: 2025, month: 3, day: 8, hour: 23, minute: 59 },
+          denver,
+        ).toISOString(),
+      ).toBe("2025-03-09T06:59:00.000Z");
+      expect(
+        zonedTimeToUtc(
+          { year: 2025, month: 3, day: 9, hour: 23, minute: 59 },
+          denver,
+        ).toISOString(),
+      ).toBe("2025-03-10T05:59:00.000Z");
+      expect(
+        zonedTimeToUtc(
+          { year: 2025, month: 11, day: 1, hour: 23, minute: 59 },
+          denver,
+        ).toISOString(),
+      ).toBe("2025-11-02T05:59:00.000Z");
+      expect(
+        zonedTimeToUtc(
+          { year: 2025, month: 11, day: 2, hour: 23, minute: 59 },
+          denver,
+        ).toISOString(),
+      ).toBe("2025-11-03T06:59:00.000Z");
+    });
+
+    it("should resolve repeated fall-back times to the first occurrence", () => {
+      expect(
+        zonedTimeToUtc(
+          { year: 2025, month: 11, day: 2, hour: 1, minute: 30 },
+          denver,
+        ).toISOString(),
+      ).toBe("2025-11-02T07:30:00.000Z");
+    });
+
+    it("should shift skipped spring-forward times past the gap", () => {
+      expect(
+        zonedTimeToUtc(
+          { year: 2025, month: 3, day: 9, hour: 2, minute: 30 },
+          denver,
+        ).toISOString(),
+      ).toBe("2025-03-09T09:30:00.000Z");
+    });
+  });
+
+  describe("formatInTimezone", () => {
+    it("should format local time with the offset in effect", () => {
+      expect(formatInTimezone("2025-09-23T05:59:00Z", denver)).toBe(
+        "2025-09-22T23:59:00-06:00",
+      );
+      expect(formatInTimezone("2025-12-16T06:59:00Z", denver)).toBe(
+        "2025-12-15T23:59:00-07:00",
+      );
+    });
+  });
+
+  describe("resolveTimezone", () => {
+    it("should prefer an explicit IANA name", () => {
+      expect(resolveTimezone("Europe/Berlin", "America/Denver", "test")).toBe(
+        "Europe/Berlin",
+      );
+    });
+
+    it("should use the detected timezone for auto", () => {
+      expect(resolveTimezone("auto", "America/Chicago", "test")).toBe(
+        "America/Chicago",
+      );
+    });
+
+    it("should fall back to the host timezone for invalid values", () => {
+      expect(isValidTimezone("Mars/Olympus_Mons")).toBe(false);
+      expect(resolveTimezone("Mars/Olympus_Mons", null, "test")).toBe(
+        getHostTimezone(),
+      );
+      expect(resolveTimezone("auto", null, "test")).toBe(getHostTimezone());
+    });
+  });
+
+  describe("parseDueDate across DST", () => {
+    const now = new Date("2025-09-01T18:00:00Z");
+
+    it("should parse 11:59pm due dates with the offset of that day", () => {
+      expect(parseDueDate("Fri Oct 31, 2025 11:59pm", denver, now)).toBe(
+        "2025-11-01T05:59:00.000Z",
+      );
+      expect(parseDueDate("Mon Nov 3, 2025 11:59pm", denver, now)).toBe(
+        "2025-11-04T06:59:00.000Z",
+      );
+    });
+
+    it("should resolve relative dates in the institution timezone", () => {
+      // 10:30pm Sep 1 in Denver is already Sep 2 in UTC
+      const lateEvening = new Date("2025-09-02T04:30:00Z");
+      expect(parseDueDate("Tomorrow at 11:59pm", denver, lateEvening)).toBe(
+        "2025-09-03T05:59:00.000Z",
+      );
+    });
+
+    it("should parse year-less dates into the future", () => {
+      const december = new Date("2025-12-20T18:00:00Z");
+      expect(parseDueDate("Jan 5 11:59pm", denver, december)).toBe(
+        "2026-01-06T06:59:00.000Z",
+      );
+    });
+  });
+});
@@ -0,0 +1,249 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { existsSync, readFileSync, unlinkSync, writeFileSync } from "fs";
+
+// AIDEV-NOTE: Test suite for Todoist task completion following Canvas submissions, with a
+// stubbed Todoist API client
+
+const api = {
+  getTasks: vi.fn(),
+  getProjects: vi.fn(),
+  addProject: vi.fn(),
+  addTask: vi.fn(),
+  updateTask: vi.fn(),
+  closeTask: vi.fn(),
+  reopenTask: vi.fn(),
+};
+
+vi.mock("@doist/todoist-api-typescript", () => ({
+  TodoistApi: vi.fn(() => api),
+}));
+
+const { exportToTodoist } = await import("../src/todoist-export.js");
+const { parseSubmissionDetails } =
+  await import("../src/scrapers/assignment.js");
+
+describe("Todoist Export", () => {
+  const mapPath = "/tmp/canvas-scraper-test-todoist-export-map.json";
+  let operationStats;
+
+  const task = {
+    id: "11",
+    content: "Homework 3",
+    description: "",
+    labels: [],
+    projectId: "inbox",
+    priority: 3,
+  };
+
+  const item = (submission) => ({
+    id: "assignment:345",
+    type: "assignment",
+    title: "Homework 3",
+    url: "https://canvas.test/courses/101/assignments/345",
+    class_name: "CSCI 1300-010: Starting Computing",
+    course: { code: "CSCI 1300", label: "CSCI 1300" },
+    submission: { workflow_state: "unsubmitted", ...submission },
+  });
+  const buildConfig = (todoist = {}) => ({
+    todoist_api_key: "test-key",
+    exportOptions: { skipSubmitted: true },
+    todoist: {
+      mapPath,
+      closeSubmitted: true,
+      reopenResubmitted: true,
+      ...todoist,
+    },
+  });
+  const writeMap = (entry) =>
+    writeFileSync(
+      mapPath,
+      JSON.stringify({
+        version: 1,
+        tasks: {
+          "assignment:345": { taskId: "11", title: "Homework 3", ...entry },
+        },
+      }),
+    );
+  const readMapEntry = () =>
+    JSON.parse(readFileSync(mapPath, "utf-8")).tasks["assignment:345"];
+
+  beforeEach(() => {
+    operationStats = {
+      apiStats: {
+        todoist: {
+          creates: 0,
+          updates: 0,
+          closes: 0,
+          reopens: 0,
+          errors: 0,
+          skipped: 0,
+        },
+      },
+    };
+    api.getTasks.mockResolvedValue({ results: [task] });
+    api.getProjects.mockResolvedValue({ results: [] });
+    api.addTask.mockResolvedValue({ id: "12" });
+    api.closeTask.mockResolvedValue(true);
+    api.reopenTask.mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    vi.clearAllMocks();
+    if (existsSync(mapPath)) unlinkSync(mapPath);
+  });
+
+  it("should read mapped tasks past the first page", async () => {
+    writeMap({});
+    api.getTasks.mockImplementation(async ({ cursor }) =>
+      cursor === "page-2"
+        ? { results: [task], nextCursor: null }
+        : { results: [], nextCursor: "page-2" },
+    );
+    await exportToTodoist(
+      [item({ workflow_state: "unsubmitted" })],
+      buildConfig(),
+      "test",
+      operationStats,
+    );
+
+    expect(api.getTasks).toHaveBeenCalledTimes(2);
+    expect(api.addTask).not.toHaveBeenCalled();
+    expect(operationStats.apiStats.todoist.skipped).toBe(0);
+  });
+
+  it("should keep using a remembered project past the first page", async () => {
+    writeFileSync(
+      mapPath,
+      JSON.stringify({
+        version: 1,
+        tasks: {},
+        projects: { "course:101": "p2" },
+      }),
+    );
+    api.getTasks.mockResolvedValue({ results: [] });
+    api.getProjects.mockImplementation(async ({ cursor }) =>
+      cursor === "page-2"
+        ? { results: [{ id: "p2", name: "Intro to Programming" }] }
+        : { results: [{ id: "p1", name: "Chores" }], nextCursor: "page-2" },
+    );
+    await exportToTodoist(
+      [{ ...item({}), course_id: "101" }],
+      buildConfig({ projects: { mode: "project" } }),
+      "test",
+      operationStats,
+    );
+
+    expect(api.addProject).not.toHaveBeenCalled();
+    expect(api.addTask).toHaveBeenCalledWith(
+      expect.objectContaining({ projectId: "p2" }),
+    );
+  });
+
+  it("should close the task of submitted work", async () => {
+    writeMap({});
+    await exportToTodoist(
+      [item({ workflow_state: "submitted" })],
+      buildConfig(),
+      "test",
+      operationStats,
+    );
+
+    expect(api.closeTask).toHaveBeenCalledWith("11");
+    expect(operationStats.apiStats.todoist).toMatchObject({
+      closes: 1,
+      updates: 0,
+    });
+    expect(readMapEntry().closedBySync).toBe(true);
+  });
+
+  it("should not close a task found only by its title", async () => {
+    await exportToTodoist(
+      [item({ workflow_state: "submitted" })],
+      buildConfig(),
+      "test",
+      operationStats,
+    );
+
+    expect(api.closeTask).not.toHaveBeenCalled();
+    expect(operationStats.apiStats.todoist.skipped).toBe(1);
+    expect(readMapEntry()).toBeUndefined();
+  });
+
+  it("should keep the task of unsubmitted work open", async () => {
+    writeMap({});
+    const { submission } = parseSubmissionDetails({ status: "Unsubmitted" });
+    await exportToTodoist(
+      [item(submission)],
+      buildConfig(),
+      "test",
+      operationStats,
+    );
+
+    expect(api.closeTask).not.toHaveBeenCalled();
+    expect(operationStats.apiStats.todoist).toMatchObject({
+      closes: 0,
+      skipped: 0,
+      errors: 0,
+    });
+  });
+
+  it("should not create tasks for submitted work", async () => {
+    api.getTasks.mockResolvedValue({ results: [] });
+    await exportToTodoist(
+      [item({ workflow_state: "graded" })],
+      buildConfig(),
+      "test",
+      operationStats,
+    );
+
+    expect(api.addTask).not.toHaveBeenCalled();
+    expect(api.closeTask).not.toHaveBeenCalled();
+    expect(operationStats.apiStats.todoist.skipped).toBe(1);
+  });
+
+  it("should reopen a task it closed when a resubmission is requested", async () => {
+    writeMap({ closedBySync: true });
+    api.getTasks.mockResolvedValue({ results: [] });
+    await exportToTodoist(
+      [item({ workflow_state: "graded", redo_request: true })],
+      buildConfig(),
+      "test",
+      operationStats,
+    );
+
+    expect(api.reopenTask).toHaveBeenCalledWith("11");
+    expect(operationStats.apiStats.todoist.reopens).toBe(1);
+    expect(readMapEntry().closedBySync).toBe(false);
+  });
+
+  it("should leave tasks completed by hand closed", async () => {
+    writeMap({});
+    api.getTasks.mockResolvedValue({ results: [] });
+    await exportToTodoist(
+      [item({ workflow_state: "graded", redo_request: true })],
+      buildConfig(),
+      "test",
+      operationStats,
+    );
+
+    expect(api.reopenTask).not.toHaveBeenCalled();
+    expect(api.addTask).not.toHaveBeenCalled();
+    expect(operationStats.apiStats.todoist.skipped).toBe(1);
+  });
+
+  it("should leave tasks open when closing is turned off", async () => {
+    writeMap({});
+    await exportToTodoist(
+      [item({ workflow_state: "submitted" })],
+      buildConfig({ closeSubmitted: false }),
+      "test",
+      operationStats,
+    );
+
+    expect(api.closeTask).not.toHaveBeenCalled();
+    expect(operationStats.apiStats.todoist).toMatchObject({
+      closes: 0,
+      skipped: 1,
+    });
+  });
+});
@@ -0,0 +1,188 @@
+import { describe, it, expect } from "vitest";
+import {
+  DEFAULT_FIELD_OWNERSHIP,
+  parseFieldOwnership,
+  buildTaskFields,
+  readTaskFields,
+  diffTaskFields,
+  toTaskArgs,
+} from "../src/todoist-fields.js";
+
+// AIDEV-NOTE: Test suite for the Todoist task field diff and per-field ownership
+
+describe("Todoist Fields", () => {
+  const item = {
+    id: "assignment:345",
+    type: "assignment",
+    title: "Homework 3",
+    url: "https://canvas.test/courses/101/assignments/345",
+    description: "Solve the problems.",
+    due_at: "2025-09-23T05:59:00.000Z",
+    due_date: { string: "Mon Sep 22, 2025 11:59pm" },
+    course: { code: "CSCI 1300", label: "CSCI 1300" },
+  };
+  const fields = buildTaskFields(item, { projectId: "p1" });
+  const task = {
+    id: "11",
+    content: "Homework 3",
+    description: `Solve the problems.\n\n[Canvas Link](${item.url})`,
+    due: {
+      string: "Sep 22 11:59 PM",
+      date: "2025-09-22",
+      datetime: "2025-09-23T05:59:00Z",
+      isRecurring: false,
+    },
+    labels: ["assignment", "CSCI 1300"],
+    projectId: "p1",
+    priority: 3,
+  };
+
+  describe("parseFieldOwnership", () => {
+    it("should override single fields and keep the defaults", () => {
+      expect(parseFieldOwnership("")).toEqual(DEFAULT_FIELD_OWNERSHIP);
+      expect(parseFieldOwnership(" content=canvas, due=user ")).toEqual({
+        ...DEFAULT_FIELD_OWNERSHIP,
+        content: "canvas",
+        due: "user",
+      });
+    });
+
+    it("should reject unknown fields and owners", () => {
+      expect(() => parseFieldOwnership("title=canvas")).toThrow(
+        /Invalid Todoist field ownership "title=canvas"/,
+      );
+      expect(() => parseFieldOwnership("due=nobody")).toThrow(/due=nobody/);
+    });
+  });
+
+  describe("buildTaskFields", () => {
+    it("should build the fields Canvas wants", () => {
+      expect(fields).toEqual({
+        content: "Homework 3",
+        description: task.description,
+        due: { datetime: "2025-09-23T05:59:00.000Z" },
+        labels: ["CSCI 1300", "assignment"],
+        project: "p1",
+        priority: 3,
+      });
+    });
+
+    it("should fall back to the due text and leave out missing fields", () => {
+      expect(
+        buildTaskFields(
+          {
+            type: "quiz",
+            title: "Quiz 1",
+            class_name: "CSCI 1300",
+            due_date: { string: "Due: Sep 24 at 11:59pm" },
+          },
+          { priority: 4 },
+        ),
+      ).toEqual({
+        content: "Quiz 1",
+        due: { string: "Sep 24 at 11:59pm" },
+        labels: ["CSCI 1300", "quiz"],
+        priority: 4,
+      });
+    });
+  });
+
+  it("should read a task in the same shape and convert fields to API arguments", () => {
+    expect(readTaskFields(task)).toEqual({
+      ...fields,
+      labels: ["assignment", "CSCI 1300"],
+      section: null,
+    });
+    expect(toTaskArgs(fields)).toEqual({
+      content: "Homework 3",
+      description: task.description,
+      labels: ["CSCI 1300", "assignment"],
+      priority: 3,
+      projectId: "p1",
+      dueDatetime: "2025-09-23T05:59:00.000Z",
+    });
+  });
+
+  describe("diffTaskFields", () => {
+    it("should find no changes when the task matches Canvas", () => {
+      expect(
+        diffTaskFields(fields, task, fields, DEFAULT_FIELD_OWNERSHIP),
+      ).toEqual({ changes: {}, kept: [] });
+    });
+
+    it("should send a moved due date and keep a renamed title", () => {
+      const moved = {
+        ...fields,
+        due: { datetime: "2025-09-25T05:59:00.000Z" },
+      };
+      const renamed = { ...task, content: "HW 3 - hard one" };
+
+      expect(
+        diffTaskFields(moved, renamed, fields, DEFAULT_FIELD_OWNERSHIP),
+      ).toEqual({
+        changes: { due: { datetime: "2025-09-25T05:59:00.000Z" } },
+        kept: ["content"],
+      });
+    });
+
+    it("should update user-owned fields that weren't edited in Todoist", () => {
+      const retitled = { ...fields, content: "Homework 3 (revised)" };
+
+      expect(
+        diffTaskFields(retitled, task, fields, DEFAULT_FIELD_OWNERSHIP),
+      ).toEqual({ changes: { content: "Homework 3 (revised)" }, kept: [] });
+    });
+
+    it("should overwrite Canvas-owned fields even after edits", () => {
+      const rescheduled = {
+        ...task,
+        due: { string: "tomorrow", date: "2025-09-20", isRecurring: false },
+      };
+
+      expect(
+        diffTaskFields(fields, rescheduled, fields, DEFAULT_FIELD_OWNERSHIP),
+      ).toEqual({ changes: { due: fields.due }, kept: [] });
+      expect(
+        diffTaskFields(fields, rescheduled, fields, {
+          ...DEFAULT_FIELD_OWNERSHIP,
+          due: "user",
+        }),
+      ).toEqual({ changes: {}, kept: ["due"] });
+    });
+
+    it("should not resend an unchanged due string", () => {
+      const undated = {
+        ...fields,
+        due: { string: "Mon Sep 22, 2025 11:59pm" },
+      };
+      const parsed = {
+        ...task,
+        due: {
+          string: "Sep 22 11:59 PM",
+          date: "2025-09-22",
+          isRecurring: false,
+        },
+      };
+
+      expect(
+        diffTaskFields(undated, parsed, undated, DEFAULT_FIELD_OWNERSHIP),
+      ).toEqual({ changes: {}, kept: [] });
+      expect(
+        diffTaskFields(
+          { ...undated, due: { string: "Mon Sep 29, 2025 11:59pm" } },
+          parsed,
+          undated,
+          DEFAULT_FIELD_OWNERSHIP,
+        ).changes,
+      ).toEqual({ due: { string: "Mon Sep 29, 2025 11:59pm" } });
+    });
+
+    it("should treat differing user-owned fields as edited without synced values", () => {
+      const legacy = { ...task, labels: [], priority: 1, projectId: "p0" };
+
+      expect(
+        diffTaskFields(fields, legacy, null, DEFAULT_FIELD_OWNERSHIP),
+      ).toEqual({ changes: {}, kept: ["labels", "project", "priority"] });
+    });
+  });
+});
@@ -0,0 +1,153 @@
+import { describe, it, expect, afterEach } from "vitest";
+import { existsSync, unlinkSync, writeFileSync } from "fs";
+import {
+  getItemKey,
+  loadTodoistMap,
+  findTodoistTask,
+  setTodoistTask,
+  saveTodoistMap,
+} from "../src/todoist-map.js";
+
+// AIDEV-NOTE: Test suite for the Canvas item -> Todoist task mapping and task adoption
+
+describe("Todoist Map", () => {
+  const mapPath = "/tmp/canvas-scraper-test-todoist-map.json";
+  const mapConfig = { mapPath };
+  const now = Date.UTC(2025, 8, 22, 12);
+
+  const homework = (courseId, code, assignmentId) => ({
+    id: `assignment:${assignmentId}`,
+    type: "assignment",
+    title: "Homework 3",
+    url: `https://canvas.test/courses/${courseId}/assignments/${assignmentId}`,
+    class_name: `${code}-001: Course ${courseId}`,
+    course: { code, label: code },
+  });
+  const csci = homework(101, "CSCI 1300", 345);
+  const math = homework(202, "MATH 2400", 34);
+
+  afterEach(() => {
+    if (existsSync(mapPath)) unlinkSync(mapPath);
+  });
+
+  it("should key items by their stable ID, falling back to the URL", () => {
+    expect(getItemKey(csci)).toBe("assignment:345");
+    expect(getItemKey({ url: "https://canvas.test/x" })).toBe(
+      "https://canvas.test/x",
+    );
+    expect(getItemKey({ title: "No identity" })).toBeNull();
+  });
+
+  it("should find a mapped task even after it was renamed", () => {
+    const map = loadTodoistMap(mapConfig, "test");
+    setTodoistTask(map, csci, 11, null, now);
+    const tasks = [{ id: "11", content: "HW3 (renamed)", description: "" }];
+
+    expect(findTodoistTask(map, tasks, csci, false)).toEqual({
+      task: tasks[0],
+      source: "map",
+      mappedTaskId: "11",
+    });
+  });
+
+  it("should report a mapped task that is no longer active", () => {
+    const map = loadTodoistMap(mapConfig, "test");
+    setTodoistTask(map, csci, "11", null, now);
+    const tasks = [{ id: "12", content: "Homework 3", description: "" }];
+
+    expect(findTodoistTask(map, tasks, csci, false)).toEqual({
+      task: null,
+      source: "map",
+      mappedTaskId: "11",
+    });
+  });
+
+  it("should adopt a task by its exact Canvas URL", () => {
+    const map = loadTodoistMap(mapConfig, "test");
+    const tasks = [
+      {
+        id: "1",
+        content: "Homework 3",
+        description: `Canvas: ${csci.url}`,
+      },
+      {
+        id: "2",
+        content: "Homework 3",
+        description: `Canvas: ${math.url}`,
+      },
+    ];
+
+    // .../assignments/34 must not match the link to .../assignments/345
+    expect(findTodoistTask(map, tasks, math, false)).toMatchObject({
+      task: tasks[1],
+      source: "url",
+    });
+  });
+
+  it("should not adopt a task claimed by another item", () => {
+    const map = loadTodoistMap(mapConfig, "test");
+    setTodoistTask(map, csci, "1", null, now);
+    const tasks = [{ id: "1", content: "Homework 3", description: "" }];
+
+    expect(findTodoistTask(map, tasks, math, false)).toEqual({
+      task: null,
+      source: null,
+      mappedTaskId: null,
+    });
+  });
+
+  it("should match titles within the item's project and prefer its course label", () => {
+    const map = loadTodoistMap(mapConfig, "test");
+    const tasks = [
+      { id: "1", content: "Homework 3", projectId: "p1", labels: [] },
+      { id: "2", content: "Homework 3", projectId: "p2", labels: [] },
+      {
+        id: "3",
+        content: "Homework 3",
+        projectId: "p2",
+        labels: ["MATH 2400"],
+      },
+    ];
+
+    expect(findTodoistTask(map, tasks, math, "p2")).toMatchObject({
+      task: tasks[2],
+      source: "title",
+    });
+    expect(findTodoistTask(map, tasks, csci, "p1").task).toBe(tasks[0]);
+    expect(findTodoistTask(map, tasks, csci, "p3").task).toBeNull();
+  });
+
+  it("should round-trip the mapping through disk", () => {
+    const map = loadTodoistMap(mapConfig, "test");
+    setTodoistTask(map, csci, 11, null, now);
+    setTodoistTask(map, { title: "No identity" }, 12, null, now);
+    saveTodoistMap(map, mapConfig, "test");
+
+    expect(loadTodoistMap(mapConfig, "test")).toEqual({
+      version: 1,
+      tasks: {
+        "assignment:345": {
+          taskId: "11",
+          title: "Homework 3",
+          fields: null,
+          syncedAt: "2025-09-22T12:00:00.000Z",
+        },
+      },
+      projects: {},
+      sections: {},
+    });
+  });
+
+  it("should start empty on a corrupt or outdated mapping file", () => {
+    writeFileSync(mapPath, "{ not json");
+    expect(loadTodoistMap(mapConfig, "test")).toEqual({
+      version: 1,
+      tasks: {},
+      projects: {},
+      sections: {},
+    });
+
+    writeFileSync(mapPath, JSON.stringify({ version: 0, tasks: { a: {} } }));
+    expect(loadTodoistMap(mapConfig, "test").tasks).toEqual({});
+  });
+});
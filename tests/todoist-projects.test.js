@@ -0,0 +1,158 @@
+import { describe, it, expect, vi } from "vitest";
+import {
+  fetchAllPages,
+  getCourseKey,
+  createLocationState,
+  resolveTaskLocation,
+} from "../src/todoist-projects.js";
+
+// AIDEV-NOTE: Test suite for Todoist project/section resolution with a stubbed API client
+
+describe("Todoist Projects", () => {
+  const item = {
+    type: "quiz",
+    title: "Quiz 3",
+    course_id: "101",
+    class_name: "CSCI 1300-010: Starting Computing",
+    course: { id: "101", code: "CSCI 1300", label: "CSCI 1300", color: "blue" },
+  };
+
+  const createApi = (sections = []) => {
+    let nextId = 1;
+    return {
+      addProject: vi.fn(async ({ name }) => ({ id: `p${nextId++}`, name })),
+      getSections: vi.fn(async ({ projectId }) => ({
+        results: sections.filter((section) => section.projectId === projectId),
+      })),
+      addSection: vi.fn(async ({ name, projectId }) => ({
+        id: `s${nextId++}`,
+        name,
+        projectId,
+      })),
+    };
+  };
+  const createMap = () => ({ tasks: {}, projects: {}, sections: {} });
+
+  it("should key courses by ID, falling back to the class name", () => {
+    expect(getCourseKey(item)).toBe("course:101");
+    expect(getCourseKey({ class_name: "Advising" })).toBe("name:advising");
+  });
+
+  it("should read every page of a list", async () => {
+    const pages = {
+      start: { results: [{ id: "p1" }], nextCursor: "c2" },
+      c2: { results: [{ id: "p2" }], nextCursor: null },
+    };
+    const fetchPage = vi.fn(async ({ cursor }) => pages[cursor || "start"]);
+
+    expect(await fetchAllPages(fetchPage)).toEqual([
+      { id: "p1" },
+      { id: "p2" },
+    ]);
+    expect(fetchPage).toHaveBeenCalledWith({ cursor: "c2", limit: 200 });
+  });
+
+  it("should reject an unknown mode", () => {
+    expect(() => createLocationState([], { mode: "folders" })).toThrow(
+      /Invalid Todoist project mode "folders"/,
+    );
+  });
+
+  it("should keep the matched project or Inbox in match mode", async () => {
+    const api = createApi();
+    const state = createLocationState([], {});
+
+    expect(
+      await resolveTaskLocation(api, createMap(), state, item, false, "test"),
+    ).toEqual({ projectId: false, sectionId: null });
+    expect(api.addProject).not.toHaveBeenCalled();
+  });
+
+  it("should create a course project once and remember it across renames", async () => {
+    const api = createApi();
+    const projects = [];
+    const map = createMap();
+    const state = createLocationState(projects, { mode: "project" });
+
+    const first = await resolveTaskLocation(api, map, state, item, false, "t");
+    expect(first).toEqual({ projectId: "p1", sectionId: null });
+    expect(api.addProject).toHaveBeenCalledWith({
+      name: "CSCI 1300",
+      color: "blue",
+    });
+    expect(map.projects).toEqual({ "course:101": "p1" });
+
+    // Renamed in Todoist: no longer matched by name, but still remembered
+    projects[0].name = "Intro to Programming";
+    const nextRun = createLocationState(projects, { mode: "project" });
+    expect(
+      await resolveTaskLocation(api, map, nextRun, item, false, "t"),
+    ).toEqual({ projectId: "p1", sectionId: null });
+    expect(api.addProject).toHaveBeenCalledTimes(1);
+  });
+
+  it("should adopt a matched project and add type sections", async () => {
+    const api = createApi([{ id: "s9", name: "Quizzes", projectId: "p7" }]);
+    const map = createMap();
+    const state = createLocationState([{ id: "p7", name: "CSCI 1300" }], {
+      mode: "project",
+      typeSections: true,
+    });
+
+    expect(await resolveTaskLocation(api, map, state, item, "p7", "t")).toEqual(
+      { projectId: "p7", sectionId: "s9" },
+    );
+    const assignment = await resolveTaskLocation(
+      api,
+      map,
+      state,
+      { ...item, type: "assignment" },
+      "p7",
+      "t",
+    );
+    expect(assignment).toEqual({ projectId: "p7", sectionId: "s1" });
+    expect(api.addSection).toHaveBeenCalledWith({
+      name: "Assignments",
+      projectId: "p7",
+    });
+    expect(api.getSections).toHaveBeenCalledTimes(1);
+    expect(api.addProject).not.toHaveBeenCalled();
+  });
+
+  it("should put courses in sections of one parent project", async () => {
+    const api = createApi();
+    const map = createMap();
+    const state = createLocationState([{ id: "p5", name: "school" }], {
+      mode: "section",
+      parentName: "School",
+      typeSections: true,
+    });
+
+    expect(
+      await resolveTaskLocation(api, map, state, item, false, "t"),
+    ).toEqual({ projectId: "p5", sectionId: "s1" });
+    expect(api.addSection).toHaveBeenCalledWith({
+      name: "CSCI 1300 - Quizzes",
+      projectId: "p5",
+    });
+    expect(map).toMatchObject({
+      projects: { school: "p5" },
+      sections: { "course:101|quiz": "s1" },
+    });
+  });
+
+  it("should leave items without a course where matching puts them", async () => {
+    const api = createApi();
+    const state = createLocationState([], { mode: "section" });
+    const note = {
+      type: "planner_note",
+      title: "Study",
+      class_name: "Unknown Class",
+    };
+
+    expect(
+      await resolveTaskLocation(api, createMap(), state, note, false, "t"),
+    ).toEqual({ projectId: false, sectionId: null });
+    expect(api.addProject).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,163 @@
+import { describe, it, expect, afterEach } from "vitest";
+import { existsSync, unlinkSync, writeFileSync } from "fs";
+import {
+  toApiPriority,
+  parseReminderOffset,
+  parseTaskRules,
+  loadTaskRules,
+  evaluateTaskRules,
+  formatRulesReport,
+} from "../src/todoist-rules.js";
+
+// AIDEV-NOTE: Test suite for Todoist priority/reminder rules and the dry-run report
+
+describe("Todoist Rules", () => {
+  const rulesPath = "/tmp/canvas-scraper-test-todoist-rules.json";
+  const now = new Date("2025-09-20T12:00:00Z");
+  const rules = parseTaskRules({
+    priority: [
+      {
+        name: "Exams",
+        title: ["exam", "midterm"],
+        priority: "p1",
+      },
+      { name: "Quizzes", type: "quiz", priority: "p1" },
+      { name: "Heavy", minPoints: 50, priority: "p1" },
+      { name: "Due soon", dueWithinDays: 2, priority: "p2" },
+      { name: "Advising", course: "*advising*", priority: "p4" },
+      { name: "Announcements", type: "announcement", priority: "p4" },
+    ],
+    defaultPriority: "p3",
+    reminders: { quiz: ["1 day", "3 hours before"], default: "1d" },
+  });
+
+  const item = (overrides) => ({
+    type: "assignment",
+    title: "Homework 3",
+    class_name: "CSCI 1300-010: Starting Computing",
+    course: { label: "CSCI 1300" },
+    points_possible: 10,
+    due_at: "2025-09-27T05:59:00.000Z",
+    ...overrides,
+  });
+
+  afterEach(() => {
+    if (existsSync(rulesPath)) unlinkSync(rulesPath);
+  });
+
+  it("should convert UI priorities and reminder offsets", () => {
+    expect(["p1", "P2", 3, "4"].map(toApiPriority)).toEqual([4, 3, 2, 1]);
+    expect(() => toApiPriority("urgent")).toThrow(/Invalid Todoist priority/);
+
+    expect(
+      ["1 day", "3 hours before", "30m", "2 Days"].map(parseReminderOffset),
+    ).toEqual([1440, 180, 30, 2880]);
+    expect(() => parseReminderOffset("tomorrow")).toThrow(
+      /Invalid reminder "tomorrow"/,
+    );
+  });
+
+  it("should apply the first matching priority rule", () => {
+    const priorityOf = (overrides) =>
+      evaluateTaskRules(item(overrides), rules, now);
+
+    expect(priorityOf({ title: "Midterm Exam" })).toMatchObject({
+      priority: 4,
+      priorityRule: "Exams",
+    });
+    expect(priorityOf({ type: "quiz" }).priorityRule).toBe("Quizzes");
+    expect(priorityOf({ points_possible: 50 }).priorityRule).toBe("Heavy");
+    expect(priorityOf({ due_at: "2025-09-21T05:59:00.000Z" })).toMatchObject({
+      priority: 3,
+      priorityRule: "Due soon",
+    });
+    // Overdue counts as due soon, undated items never do
+    expect(
+      priorityOf({ due_at: "2025-09-01T05:59:00.000Z" }).priorityRule,
+    ).toBe("Due soon");
+    expect(
+      priorityOf({ class_name: "Advising Sandbox", due_at: null }).priorityRule,
+    ).toBe("Advising");
+    expect(priorityOf({ type: "announcement" }).priority).toBe(1);
+    expect(priorityOf({})).toMatchObject({ priority: 2, priorityRule: null });
+  });
+
+  it("should not match points bounds for items without points", () => {
+    const pointsRules = parseTaskRules({
+      priority: [
+        { name: "Light", maxPoints: 5, priority: "p4" },
+        { name: "Graded", minPoints: 0, priority: "p2" },
+      ],
+    });
+    const ruleOf = (overrides) =>
+      evaluateTaskRules(item(overrides), pointsRules, now).priorityRule;
+
+    expect(ruleOf({ points_possible: null })).toBeNull();
+    expect(ruleOf({ points_possible: undefined })).toBeNull();
+    expect(ruleOf({ points_possible: 3 })).toBe("Light");
+    expect(ruleOf({ points_possible: 0 })).toBe("Light");
+    expect(ruleOf({ points_possible: 10 })).toBe("Graded");
+  });
+
+  it("should pick reminders by type with a default", () => {
+    expect(evaluateTaskRules(item({ type: "quiz" }), rules, now)).toMatchObject(
+      { reminders: [1440, 180], reminderRule: "quiz" },
+    );
+    expect(evaluateTaskRules(item({}), rules, now)).toMatchObject({
+      reminders: [1440],
+      reminderRule: "default",
+    });
+    expect(evaluateTaskRules(item({}), parseTaskRules(), now)).toEqual({
+      priority: 3,
+      priorityRule: null,
+      reminders: [],
+      reminderRule: null,
+    });
+  });
+
+  it("should reject invalid conditions", () => {
+    expect(() =>
+      parseTaskRules({ priority: [{ minPoints: "50", priority: "p1" }] }),
+    ).toThrow(/Invalid "minPoints" in priority rule "Rule 1"/);
+  });
+
+  it("should load rules from disk and fall back to the defaults", () => {
+    writeFileSync(
+      rulesPath,
+      JSON.stringify({ priority: [{ type: "quiz", priority: "p1" }] }),
+    );
+    expect(loadTaskRules({ rulesPath }, "test").priority).toHaveLength(1);
+
+    writeFileSync(rulesPath, JSON.stringify({ defaultPriority: "p9" }));
+    expect(loadTaskRules({ rulesPath }, "test")).toEqual(parseTaskRules());
+  });
+
+  it("should throw on an invalid file in strict mode", () => {
+    writeFileSync(rulesPath, JSON.stringify({ reminders: { quiz: "soon" } }));
+    expect(() =>
+      loadTaskRules({ rulesPath }, "test", { strict: true }),
+    ).toThrow(/Invalid reminder "soon"/);
+  });
+
+  it("should report what each rule would apply", () => {
+    const report = formatRulesReport(
+      [
+        item({ type: "quiz", title: "Quiz 3" }),
+        item({ title: "Reading notes", due_at: null }),
+      ],
+      rules,
+      now,
+    );
+    const lines = report.split("\n");
+
+    expect(lines[0]).toMatch(
+      /^Item\s+Course\s+Type\s+Due in\s+Priority\s+Reminders$/,
+    );
+    expect(lines[1]).toMatch(
+      /^Quiz 3\s+CSCI 1300\s+quiz\s+6.7d\s+p1 \(Quizzes\)\s+1d, 3h \(quiz\)$/,
+    );
+    expect(lines[2]).toMatch(
+      /^Reading notes .*-\s+p3 \(default\)\s+none - no due time \(default\)$/,
+    );
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it, expect } from "vitest";
+import { runWithConcurrency } from "../src/worker-pool.js";
+
+// AIDEV-NOTE: Test suite for the bounded worker pool used by item scraping
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("Worker Pool", () => {
+  it("should preserve input order when jobs finish out of order", async () => {
+    const delays = [30, 5, 20, 1, 10];
+
+    const results = await runWithConcurrency(
+      delays,
+      3,
+      async (delay, index) => {
+        await sleep(delay);
+        return `item-${index}`;
+      },
+    );
+
+    expect(results).toEqual(["item-0", "item-1", "item-2", "item-3", "item-4"]);
+  });
+
+  it("should never exceed the concurrency limit", async () => {
+    let active = 0;
+    let maxActive = 0;
+
+    await runWithConcurrency(Array.from({ length: 10 }), 3, async () => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await sleep(5);
+      active--;
+    });
+
+    expect(maxActive).toBe(3);
+  });
+
+  it("should process every item exactly once", async () => {
+    const seen = [];
+
+    await runWithConcurrency([1, 2, 3, 4, 5, 6, 7], 4, async (item) => {
+      seen.push(item);
+    });
+
+    expect(seen.sort()).toEqual([1, 2, 3, 4, 5, 6, 7]);
+  });
+
+  it("should treat invalid concurrency as sequential", async () => {
+    let active = 0;
+    let maxActive = 0;
+
+    await runWithConcurrency([1, 2, 3], 0, async () => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await sleep(1);
+      active--;
+    });
+
+    expect(maxActive).toBe(1);
+  });
+
+  it("should return an empty array for no items", async () => {
+    expect(await runWithConcurrency([], 3, async () => "x")).toEqual([]);
+  });
+});